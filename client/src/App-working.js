@@ -1,9 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import WorkingMapView from './WorkingMapView';
+import TrackLegend from './components/TrackLegend';
+import useRegions from './hooks/useRegions';
 import './App.css';
 
 function App() {
   const [currentTime, setCurrentTime] = useState(new Date());
+  // Track categories switched off in the legend
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+
+  const toggleCategory = (category) => {
+    setHiddenCategories(hidden => (
+      hidden.includes(category) ? hidden.filter(id => id !== category) : [...hidden, category]
+    ));
+  };
+  const { regions, region: defaultRegion, simulationRegion } = useRegions();
+  const region = regions.find(candidate => candidate.id === simulationRegion) || defaultRegion;
 
   // Update current time every second
   useEffect(() => {
@@ -57,7 +69,7 @@ function App() {
             <div className="stats-grid">
               <div className="stat-card total">
                 <div className="stat-number">5</div>
-                <div className="stat-label">Mumbai Trains</div>
+                <div className="stat-label">{region.name} Trains</div>
               </div>
               <div className="stat-card on-time">
                 <div className="stat-number">3</div>
@@ -129,13 +141,10 @@ function App() {
         {/* Map Area */}
         <main className="map-area">
           <div className="map-header">
-            <h2 className="map-title">Mumbai Railway Live Simulation</h2>
+            <h2 className="map-title">{region.name} Railway Live Simulation</h2>
             <div className="map-controls">
+              <TrackLegend hidden={hiddenCategories} onToggle={toggleCategory} />
               <span className="map-legend">
-                <span className="legend-item">
-                  <span className="legend-color railway" style={{backgroundColor: '#dc2626'}}></span>
-                  Railway Tracks
-                </span>
                 <span className="legend-item">
                   <span className="legend-color trains" style={{backgroundColor: '#3b82f6'}}></span>
                   Live Trains
@@ -144,7 +153,7 @@ function App() {
             </div>
           </div>
           <div className="map-wrapper">
-            <WorkingMapView />
+            <WorkingMapView hiddenCategories={hiddenCategories} />
           </div>
         </main>
       </div>
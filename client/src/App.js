@@ -1,9 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import MapView from './MapView';
+import ReschedulePanel from './components/ReschedulePanel';
+import AlertsPanel from './components/AlertsPanel';
+import ClockControls from './components/ClockControls';
+import StringLineView from './components/StringLineView';
+import TrackLegend from './components/TrackLegend';
+import useMetrics from './hooks/useMetrics';
+import useAlerts from './hooks/useAlerts';
+import useRegions from './hooks/useRegions';
 import './App.css';
 
 function App() {
   const [currentTime, setCurrentTime] = useState(new Date());
+  // Open quick-action dialog: 'reschedule', 'delays', 'alerts' or null
+  const [activePanel, setActivePanel] = useState(null);
+  // Main view: 'map' or 'stringline' (time-distance diagram)
+  const [view, setView] = useState('map');
+  // Track categories switched off in the legend
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const { metrics, clock, error: metricsError, refresh: refreshMetrics } = useMetrics();
+  const { alerts, error: alertsError, acknowledge } = useAlerts();
+  const { regions, region, selectRegion, simulationRegion } = useRegions();
 
   // Update current time every second
   useEffect(() => {
@@ -14,20 +31,20 @@ function App() {
     return () => clearInterval(timer);
   }, []);
 
-  // Dummy data for SIH simulation
-  const trainStats = {
-    totalTrains: 22,
-    onTime: 18,
-    delayed: 4,
-    avgDelay: 12, // minutes
-    activeRoutes: 15
+  const toggleCategory = (category) => {
+    setHiddenCategories(hidden => (
+      hidden.includes(category) ? hidden.filter(id => id !== category) : [...hidden, category]
+    ));
   };
 
-  const recentAlerts = [
-    { id: 1, type: 'delay', message: 'Local train on Western Line delayed by 15 minutes', time: '2 min ago' },
-    { id: 2, type: 'maintenance', message: 'Track maintenance scheduled for Platform 3', time: '5 min ago' },
-    { id: 3, type: 'rescheduled', message: 'Express train rescheduled due to weather conditions', time: '8 min ago' }
-  ];
+  // Live KPIs from the simulation server ('–' until the first response)
+  const summary = metrics ? metrics.summary : null;
+  const trainStats = {
+    totalTrains: summary ? summary.total_trains : '–',
+    onTime: summary ? summary.on_time : '–',
+    delayed: summary ? summary.delayed : '–',
+    avgDelay: summary ? summary.avg_delay_min : '–' // minutes
+  };
 
   return (
     <div className="app">
@@ -81,6 +98,23 @@ function App() {
                 <div className="stat-label">Avg Delay</div>
               </div>
             </div>
+            {summary && (
+              <div className="stats-meta">
+                <div>
+                  On-time {summary.on_time_pct !== null ? `${summary.on_time_pct}%` : '–'} · Max delay {summary.max_delay_min}m
+                </div>
+                {metrics.lines.map(line => (
+                  <div key={line.line}>
+                    {line.line}: {line.active}/{line.total} running, {line.delayed} delayed
+                  </div>
+                ))}
+                {clock && <div>Simulation time {clock.time}</div>}
+                {simulationRegion && simulationRegion !== region.id && (
+                  <div>Live trains are simulated for {simulationRegion}, not {region.name}</div>
+                )}
+              </div>
+            )}
+            {metricsError && <div className="stats-meta error">Metrics unavailable: {metricsError}</div>}
           </div>
 
           {/* Quick Actions */}
@@ -90,13 +124,13 @@ function App() {
               <button className="action-btn primary">
                 📊 View Analytics
               </button>
-              <button className="action-btn secondary">
+              <button className="action-btn secondary" onClick={() => setActivePanel('reschedule')}>
                 🔄 Reschedule Trains
               </button>
-              <button className="action-btn secondary">
+              <button className="action-btn secondary" onClick={() => setActivePanel('delays')}>
                 ⚠️ Manage Delays
               </button>
-              <button className="action-btn secondary">
+              <button className="action-btn secondary" onClick={() => setActivePanel('alerts')}>
                 📱 Send Alerts
               </button>
             </div>
@@ -106,10 +140,21 @@ function App() {
           <div className="sidebar-section">
             <h2 className="section-title">Recent Alerts</h2>
             <div className="alerts-list">
-              {recentAlerts.map(alert => (
-                <div key={alert.id} className={`alert-item ${alert.type}`}>
+              {alerts.length === 0 && !alertsError && (
+                <div className="alert-time">No alerts yet</div>
+              )}
+              {alertsError && <div className="alert-time">Alerts unavailable: {alertsError}</div>}
+              {alerts.slice(0, 5).map(alert => (
+                <div key={alert.id} className={`alert-item ${alert.severity}${alert.acknowledged ? ' acknowledged' : ''}`}>
                   <div className="alert-message">{alert.message}</div>
-                  <div className="alert-time">{alert.time}</div>
+                  <div className="alert-time">
+                    {alert.time}
+                    {alert.acknowledged ? (
+                      ' · acknowledged'
+                    ) : (
+                      <button className="alert-ack" onClick={() => acknowledge(alert.id)}>Acknowledge</button>
+                    )}
+                  </div>
                 </div>
               ))}
             </div>
@@ -138,21 +183,42 @@ function App() {
         {/* Map Area */}
         <main className="map-area">
           <div className="map-header">
-            <h2 className="map-title">Mumbai Railway Network</h2>
+            <h2 className="map-title">
+              {view === 'map' ? `${region.name} Railway Network` : 'Time-Distance Diagram'}
+            </h2>
             <div className="map-controls">
-              <span className="map-legend">
-                <span className="legend-item">
-                  <span className="legend-color railway"></span>
-                  Railway Tracks
-                </span>
-              </span>
+              <select
+                className="region-select"
+                value={region.id}
+                onChange={event => selectRegion(event.target.value)}
+                title="Region"
+              >
+                {regions.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+              </select>
+              <div className="view-toggle">
+                <button className={view === 'map' ? 'active' : ''} onClick={() => setView('map')}>
+                  Map
+                </button>
+                <button className={view === 'stringline' ? 'active' : ''} onClick={() => setView('stringline')}>
+                  String line
+                </button>
+              </div>
+              <ClockControls onChange={refreshMetrics} />
+              {view === 'map' && <TrackLegend hidden={hiddenCategories} onToggle={toggleCategory} />}
             </div>
           </div>
           <div className="map-wrapper">
-            <MapView />
+            {view === 'map' ? <MapView region={region} hiddenCategories={hiddenCategories} /> : <StringLineView />}
           </div>
         </main>
       </div>
+
+      {activePanel === 'alerts' && (
+        <AlertsPanel alerts={alerts} onClose={() => setActivePanel(null)} />
+      )}
+      {(activePanel === 'reschedule' || activePanel === 'delays') && (
+        <ReschedulePanel mode={activePanel} onClose={() => setActivePanel(null)} />
+      )}
     </div>
   );
 }
@@ -1,47 +1,38 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, GeoJSON, Polyline, Popup } from 'react-leaflet';
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapContainer, TileLayer, Polyline, Popup } from 'react-leaflet';
 import axios from 'axios';
+import RegionView from './components/RegionView';
+import TrackTileLayer from './components/TrackTileLayer';
 import 'leaflet/dist/leaflet.css';
+import { API_URL } from './config';
 
-const MapView = () => {
-    const [railwayData, setRailwayData] = useState(null);
+/**
+ * Railway tracks and sample trains of the selected region
+ *
+ * @param {Object} props - { region, hiddenCategories } region from /api/regions; track categories to hide
+ */
+const MapView = ({ region, hiddenCategories }) => {
+    const [tracksLoadedAt, setTracksLoadedAt] = useState(null);
     const [trains, setTrains] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showTrains, setShowTrains] = useState(true);
 
-    // Mumbai coordinates for map center
-    const mumbaiCenter = [19.1, 72.85];
-    const defaultZoom = 12;
-
-    // Fetch railway data and demo trains from server
+    // Railway tracks stream in as vector tiles (TrackTileLayer); only demo trains are fetched here
     useEffect(() => {
         const fetchData = async () => {
             try {
                 setLoading(true);
                 setError(null);
                 
-                console.log('Fetching Mumbai railway tracks and demo trains...');
+                console.log(`Fetching ${region.name} demo trains...`);
                 
-                // Fetch railway tracks and demo trains in parallel
-                const [railwayResponse, trainsResponse] = await Promise.all([
-                    axios.get('http://localhost:3001/api/mumbai', {
-                        timeout: 45000 // 45 second timeout
-                    }),
-                    axios.get('http://localhost:3001/api/trains/sample', {
-                        timeout: 30000 // 30 second timeout
-                    })
-                ]);
+                const trainsResponse = await axios.get(`${API_URL}/api/trains/sample`, {
+                    params: { region: region.id },
+                    timeout: 30000 // 30 second timeout
+                });
                 
-                console.log('Railway data received:', railwayResponse.data);
                 console.log('Demo trains received:', trainsResponse.data);
-                
-                if (railwayResponse.data && railwayResponse.data.features) {
-                    setRailwayData(railwayResponse.data);
-                    console.log(`Loaded ${railwayResponse.data.features.length} railway tracks`);
-                } else {
-                    setError('No railway data received');
-                }
 
                 if (trainsResponse.data && trainsResponse.data.trains) {
                     setTrains(trainsResponse.data.trains);
@@ -57,16 +48,10 @@ const MapView = () => {
         };
 
         fetchData();
-    }, []);
+    }, [region.id, region.name]);
 
-    // Style for railway tracks
-    const railwayStyle = {
-        color: '#dc2626', // Red color for railway tracks
-        weight: 3,
-        opacity: 0.8,
-        lineCap: 'round',
-        lineJoin: 'round'
-    };
+    // Stable so the track layer is not rebuilt on every render
+    const handleTracksLoaded = useCallback(() => setTracksLoadedAt(new Date()), []);
 
     // Style for trains based on type
     const getTrainStyle = (trainType) => {
@@ -92,32 +77,12 @@ const MapView = () => {
         return trainLine.map(([lon, lat]) => [lat, lon]);
     };
 
-    // Handle GeoJSON feature events
-    const onEachFeature = (feature, layer) => {
-        if (feature.properties) {
-            const { railway, name, operator, electrified, gauge } = feature.properties;
-            
-            let popupContent = `<div style="font-family: Arial, sans-serif;">`;
-            popupContent += `<h4 style="margin: 0 0 8px 0; color: #1f2937;">Railway Track</h4>`;
-            
-            if (name) popupContent += `<p style="margin: 4px 0;"><strong>Name:</strong> ${name}</p>`;
-            if (railway) popupContent += `<p style="margin: 4px 0;"><strong>Type:</strong> ${railway}</p>`;
-            if (operator) popupContent += `<p style="margin: 4px 0;"><strong>Operator:</strong> ${operator}</p>`;
-            if (electrified) popupContent += `<p style="margin: 4px 0;"><strong>Electrified:</strong> ${electrified}</p>`;
-            if (gauge) popupContent += `<p style="margin: 4px 0;"><strong>Gauge:</strong> ${gauge}</p>`;
-            
-            popupContent += `</div>`;
-            
-            layer.bindPopup(popupContent);
-        }
-    };
-
     return (
         <div className="map-container">
             {loading && (
                 <div className="map-loading">
                     <div className="loading-spinner"></div>
-                    <p>Loading Mumbai railway tracks...</p>
+                    <p>Loading {region.name} trains...</p>
                 </div>
             )}
             
@@ -132,25 +97,21 @@ const MapView = () => {
             )}
 
             <MapContainer
-                center={mumbaiCenter}
-                zoom={defaultZoom}
+                center={region.center}
+                zoom={region.zoom}
                 style={{ height: '100%', width: '100%' }}
                 className="railway-map"
             >
+                <RegionView region={region} />
+
                 {/* Base map layer */}
                 <TileLayer
                     attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                     url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                 />
                 
-                {/* Railway tracks layer */}
-                {railwayData && railwayData.features && railwayData.features.length > 0 && (
-                    <GeoJSON
-                        data={railwayData}
-                        style={railwayStyle}
-                        onEachFeature={onEachFeature}
-                    />
-                )}
+                {/* Railway tracks layer (vector tiles) */}
+                <TrackTileLayer region={region} hiddenCategories={hiddenCategories} onLoad={handleTracksLoaded} />
 
                 {/* Trains layer */}
                 {showTrains && trains && trains.length > 0 && trains.map((train) => (
@@ -198,16 +159,16 @@ const MapView = () => {
 
             {/* Map info overlay */}
             <div className="map-info">
-                {railwayData && railwayData.metadata && (
+                {tracksLoadedAt && (
                     <div className="map-stats">
                         <span className="track-count">
-                            {railwayData.metadata.trackCount} tracks loaded
+                            Tracks in view loaded
                         </span>
                         <span className="train-count">
                             {trains.length} trains active
                         </span>
                         <span className="last-updated">
-                            Updated: {new Date(railwayData.metadata.fetchedAt).toLocaleTimeString()}
+                            Updated: {tracksLoadedAt.toLocaleTimeString()}
                         </span>
                     </div>
                 )}
@@ -1,8 +1,19 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, GeoJSON } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, useMapEvents, GeoJSON } from 'react-leaflet';
 import axios from 'axios';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import useTrainPositions from './hooks/useTrainPositions';
+import useConflicts from './hooks/useConflicts';
+import ConflictOverlay from './components/ConflictOverlay';
+import StationMarkers from './components/StationMarkers';
+import ClockControls from './components/ClockControls';
+import RegionView from './components/RegionView';
+import useRegions from './hooks/useRegions';
+import { trackStyle } from './utils/trackCategories';
+import useTrainAnimation from './hooks/useTrainAnimation';
+import { buildRouteIndex } from './utils/trainGeometry';
+import { API_URL } from './config';
 
 // Fix default markers
 delete L.Icon.Default.prototype._getIconUrl;
@@ -12,16 +23,17 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+// Train colours by service type
+const TRAIN_COLORS = {
+    local: '#3b82f6',   // Blue
+    express: '#10b981', // Green  
+    fast: '#ef4444',    // Red
+    default: '#8b5cf6'  // Purple
+};
+
 // Custom train icon
 const createTrainIcon = (trainType, isMoving = true) => {
-    const colors = {
-        local: '#3b82f6',   // Blue
-        express: '#10b981', // Green  
-        fast: '#ef4444',    // Red
-        default: '#8b5cf6'  // Purple
-    };
-    
-    const color = colors[trainType] || colors.default;
+    const color = TRAIN_COLORS[trainType] || TRAIN_COLORS.default;
     const emoji = '🚂';
     
     return new L.DivIcon({
@@ -39,6 +51,21 @@ const createTrainIcon = (trainType, isMoving = true) => {
                 box-shadow: 0 2px 4px rgba(0,0,0,0.3);
                 position: relative;
             ">${emoji}</div>
+            <div class="train-heading" style="
+                position: absolute;
+                top: -6px;
+                left: -6px;
+                width: 32px;
+                height: 32px;
+                pointer-events: none;
+            "><div style="
+                position: absolute;
+                top: 0;
+                left: 12px;
+                border-left: 4px solid transparent;
+                border-right: 4px solid transparent;
+                border-bottom: 6px solid ${color};
+            "></div></div>
         `,
         className: 'train-marker',
         iconSize: [16, 16],
@@ -46,77 +73,115 @@ const createTrainIcon = (trainType, isMoving = true) => {
     });
 };
 
-// Component to animate train movement
-const TrainAnimator = ({ train, isVisible }) => {
-    const [currentPosition, setCurrentPosition] = useState(null);
-    const [currentTime, setCurrentTime] = useState(new Date());
-    
-    useEffect(() => {
-        const timer = setInterval(() => {
-            setCurrentTime(new Date());
-        }, 1000);
-        
-        return () => clearInterval(timer);
-    }, []);
-    
+// Zoom level from which trains are drawn with the length of the rake
+const TRAIN_BODY_MIN_ZOOM = 15;
+// Length of a 12-car suburban EMU rake
+const TRAIN_BODY_LENGTH_M = 240;
+// Stable placeholder; the animation sets the body's positions directly
+const NO_POSITIONS = [];
+
+// Marker and body of a live train, gliding along its route between updates
+const TrainMarker = ({ train, liveState }) => {
+    const map = useMap();
+    const markerRef = useRef(null);
+    const bodyRef = useRef(null);
+    const [zoom, setZoom] = useState(() => map.getZoom());
+    // Only seeds the marker; the animation moves it from then on
+    const [initialPosition] = useState(() => [liveState.lat, liveState.lon]);
+
+    useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+    const route = useMemo(() => buildRouteIndex(train.route_geometry), [train.route_geometry]);
+    const trainType = train.train_type || 'local';
+    const isMoving = liveState.status === 'running';
+    const icon = useMemo(() => createTrainIcon(trainType, isMoving), [trainType, isMoving]);
+    const showBody = Boolean(route) && zoom >= TRAIN_BODY_MIN_ZOOM;
+
+    const redraw = useTrainAnimation({
+        route,
+        state: liveState,
+        markerRef,
+        bodyRef,
+        bodyLength: TRAIN_BODY_LENGTH_M
+    });
+
+    // A new icon or a freshly mounted body has to be put in place again
     useEffect(() => {
-        if (!train.positions || train.positions.length === 0) return;
-        
-        // Get current time in HH:MM:SS format
-        const timeStr = currentTime.toTimeString().slice(0, 8);
-        
-        // Find the closest position based on current time
-        let closestPosition = train.positions[0];
-        for (let i = 0; i < train.positions.length; i++) {
-            if (train.positions[i].time <= timeStr) {
-                closestPosition = train.positions[i];
-            } else {
-                break;
-            }
-        }
-        
-        if (closestPosition && closestPosition.lat && closestPosition.lon) {
-            setCurrentPosition(closestPosition);
-        }
-        
-    }, [train.positions, currentTime]);
-    
-    if (!isVisible || !currentPosition) return null;
-    
+        redraw();
+    }, [redraw, icon, showBody]);
+
     return (
-        <Marker
-            position={[currentPosition.lat, currentPosition.lon]}
-            icon={createTrainIcon(train.train_type || 'local', currentPosition.status === 'running')}
-        >
-            <Popup>
-                <div style={{ fontFamily: 'Arial, sans-serif', minWidth: '200px' }}>
-                    <h4 style={{ margin: '0 0 8px 0', color: '#1f2937' }}>
-                        🚂 {train.train_name || train.train_id}
-                    </h4>
-                    <p style={{ margin: '4px 0' }}>
-                        <strong>Current Time:</strong> {currentPosition.time}
-                    </p>
-                    <p style={{ margin: '4px 0' }}>
-                        <strong>Speed:</strong> {currentPosition.speed || 0} km/h
-                    </p>
-                    <p style={{ margin: '4px 0' }}>
-                        <strong>Status:</strong> {currentPosition.status || 'running'}
-                    </p>
-                    <p style={{ margin: '4px 0' }}>
-                        <strong>Position:</strong> {currentPosition.lat.toFixed(4)}, {currentPosition.lon.toFixed(4)}
-                    </p>
-                    {train.origin_station && train.destination_station && (
+        <>
+            {showBody && (
+                <Polyline
+                    ref={bodyRef}
+                    positions={NO_POSITIONS}
+                    interactive={false}
+                    pathOptions={{
+                        color: TRAIN_COLORS[trainType] || TRAIN_COLORS.default,
+                        weight: 6,
+                        opacity: 0.85,
+                        lineCap: 'butt'
+                    }}
+                />
+            )}
+            <Marker
+                ref={markerRef}
+                position={initialPosition}
+                icon={icon}
+            >
+                <Popup>
+                    <div style={{ fontFamily: 'Arial, sans-serif', minWidth: '200px' }}>
+                        <h4 style={{ margin: '0 0 8px 0', color: '#1f2937' }}>
+                            🚂 {train.train_name || train.train_id}
+                        </h4>
                         <p style={{ margin: '4px 0' }}>
-                            <strong>Route:</strong> {train.origin_station} → {train.destination_station}
+                            <strong>Current Time:</strong> {liveState.time}
                         </p>
-                    )}
-                </div>
-            </Popup>
-        </Marker>
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Speed:</strong> {liveState.speed || 0} km/h
+                        </p>
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Status:</strong> {liveState.status || 'running'}
+                        </p>
+                        {liveState.delay_sec > 0 && (
+                            <p style={{ margin: '4px 0', color: '#dc2626' }}>
+                                <strong>Delay:</strong> {Math.round(liveState.delay_sec / 60)} min
+                            </p>
+                        )}
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Position:</strong> {liveState.lat.toFixed(4)}, {liveState.lon.toFixed(4)}
+                        </p>
+                        {train.origin_station && train.destination_station && (
+                            <p style={{ margin: '4px 0' }}>
+                                <strong>Route:</strong> {train.origin_station} → {train.destination_station}
+                            </p>
+                        )}
+                    </div>
+                </Popup>
+            </Marker>
+        </>
     );
 };
 
-const WorkingMapView = () => {
+// Component to render a train at its live, server-streamed position
+const TrainAnimator = ({ train, liveState, isVisible }) => {
+    if (!isVisible || !liveState || liveState.lat == null || liveState.lon == null) return null;
+
+    return <TrainMarker train={train} liveState={liveState} />;
+};
+
+/**
+ * Live simulation map of the simulation server's region
+ *
+ * @param {Object} props - { hiddenCategories } track categories to hide
+ */
+const WorkingMapView = ({ hiddenCategories = [] }) => {
+    const { trains: liveTrains, clock, connected } = useTrainPositions();
+    // The simulation server runs one region; show that one
+    const { regions, region: defaultRegion, simulationRegion } = useRegions();
+    const region = regions.find(candidate => candidate.id === simulationRegion) || defaultRegion;
+    const { conflicts } = useConflicts();
     const [railwayData, setRailwayData] = useState(null);
     const [simulationData, setSimulationData] = useState(null);
     const [trains, setTrains] = useState([]);
@@ -124,11 +189,10 @@ const WorkingMapView = () => {
     const [error, setError] = useState(null);
     const [showTrains, setShowTrains] = useState(true);
     const [showRoutes, setShowRoutes] = useState(true);
+    const [showConflicts, setShowConflicts] = useState(true);
+    const [showStations, setShowStations] = useState(true);
     const [showTracks, setShowTracks] = useState(true);
     
-    // Mumbai coordinates for map center
-    const mumbaiCenter = [19.1, 72.85];
-    const defaultZoom = 11;
     
     // Fetch railway data and simulation
     useEffect(() => {
@@ -137,12 +201,12 @@ const WorkingMapView = () => {
                 setLoading(true);
                 setError(null);
                 
-                console.log('🚂 Loading Mumbai railway simulation...');
+                console.log(`🚂 Loading ${region.name} railway simulation...`);
                 
                 // Fetch data from simplified backend
                 const [railwayResponse, simulationResponse] = await Promise.all([
-                    axios.get('http://localhost:3001/api/mumbai', { timeout: 10000 }),
-                    axios.get('http://localhost:3001/api/osrd/simulation', { timeout: 15000 })
+                    axios.get(`${API_URL}/api/tracks`, { params: { region: region.id }, timeout: 10000 }),
+                    axios.get(`${API_URL}/api/osrd/simulation`, { timeout: 15000 })
                 ]);
                 
                 console.log('✅ Railway data loaded:', railwayResponse.data);
@@ -170,17 +234,11 @@ const WorkingMapView = () => {
         };
 
         initializeSimulation();
-    }, []);
+    }, [region.id, region.name]);
     
-    // Style for railway tracks (red dashed lines)
-    const railwayStyle = {
-        color: '#dc2626',     // Red color
-        weight: 3,
-        opacity: 0.8,
-        lineCap: 'round',
-        lineJoin: 'round',
-        dashArray: '8, 4'     // Dashed line
-    };
+    // Railway tracks are styled by category (main line, suburban, siding, ...)
+    const railwayStyle = feature => trackStyle(feature.properties);
+    const showTrack = feature => !hiddenCategories.includes(feature.properties.category);
     
     // Style for train routes (lighter colored lines)
     const getRouteStyle = (trainType) => {
@@ -253,7 +311,7 @@ const WorkingMapView = () => {
                         animation: 'spin 1s linear infinite',
                         margin: '0 auto 10px'
                     }}></div>
-                    <p>Loading Mumbai train simulation...</p>
+                    <p>Loading {region.name} train simulation...</p>
                 </div>
             )}
             
@@ -291,21 +349,25 @@ const WorkingMapView = () => {
             )}
 
             <MapContainer
-                center={mumbaiCenter}
-                zoom={defaultZoom}
+                center={region.center}
+                zoom={region.zoom}
                 style={{ height: '100%', width: '100%' }}
                 className="mumbai-railway-map"
             >
+                <RegionView region={region} />
+
                 {/* Base map layer */}
                 <TileLayer
                     attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                     url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                 />
                 
-                {/* Railway tracks layer (red dashed lines) */}
+                {/* Railway tracks layer; the key rebuilds it when categories are toggled */}
                 {showTracks && railwayData && railwayData.features && railwayData.features.length > 0 && (
                     <GeoJSON
+                        key={`${railwayData.metadata?.region || 'tracks'}:${hiddenCategories.join(',')}`}
                         data={railwayData}
+                        filter={showTrack}
                         style={railwayStyle}
                         onEachFeature={onEachFeature}
                     />
@@ -342,11 +404,20 @@ const WorkingMapView = () => {
                     )
                 ))}
 
+                {/* Conflicting track sections */}
+                {showConflicts && (
+                    <ConflictOverlay conflicts={conflicts} clock={clock} />
+                )}
+
+                {/* Stations with arrival/departure boards */}
+                {showStations && <StationMarkers trains={trains} />}
+
                 {/* Animated train markers */}
                 {showTrains && trains && trains.length > 0 && trains.map((train) => (
                     <TrainAnimator
                         key={train.train_id}
                         train={train}
+                        liveState={liveTrains[train.train_id]}
                         isVisible={showTrains}
                     />
                 ))}
@@ -365,7 +436,7 @@ const WorkingMapView = () => {
                 minWidth: '200px'
             }}>
                 <h3 style={{ margin: '0 0 12px 0', fontSize: '14px', fontWeight: 'bold' }}>
-                    Mumbai Train Simulation
+                    {region.name} Train Simulation
                 </h3>
                 
                 <div style={{ marginBottom: '8px' }}>
@@ -381,6 +452,10 @@ const WorkingMapView = () => {
                         Status: {error ? 'Error' : loading ? 'Loading' : 'Running'}
                     </span>
                 </div>
+
+                <div style={{ marginBottom: '8px' }}>
+                    <ClockControls />
+                </div>
                 
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
                     <button 
@@ -427,6 +502,36 @@ const WorkingMapView = () => {
                     >
                         {showRoutes ? '📍 Hide Routes' : '📍 Show Routes'}
                     </button>
+
+                    <button 
+                        onClick={() => setShowConflicts(!showConflicts)}
+                        style={{
+                            padding: '6px 12px',
+                            border: '1px solid #d1d5db',
+                            borderRadius: '4px',
+                            background: showConflicts ? '#f59e0b' : 'white',
+                            color: showConflicts ? 'white' : '#374151',
+                            cursor: 'pointer',
+                            fontSize: '12px'
+                        }}
+                    >
+                        {showConflicts ? `⚠️ Hide Conflicts (${conflicts.length})` : `⚠️ Show Conflicts (${conflicts.length})`}
+                    </button>
+
+                    <button 
+                        onClick={() => setShowStations(!showStations)}
+                        style={{
+                            padding: '6px 12px',
+                            border: '1px solid #d1d5db',
+                            borderRadius: '4px',
+                            background: showStations ? '#1f2937' : 'white',
+                            color: showStations ? 'white' : '#374151',
+                            cursor: 'pointer',
+                            fontSize: '12px'
+                        }}
+                    >
+                        {showStations ? '🚉 Hide Stations' : '🚉 Show Stations'}
+                    </button>
                 </div>
             </div>
 
@@ -444,11 +549,13 @@ const WorkingMapView = () => {
                     fontSize: '12px'
                 }}>
                     <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
-                        Mumbai Railway Simulation
+                        {region.name} Railway Simulation
                     </div>
                     <div>Trains: {trains.length}</div>
                     <div>Mode: {simulationData.metadata?.type || 'Realistic'}</div>
-                    <div>Updated: {new Date().toLocaleTimeString()}</div>
+                    <div>Sim time: {clock?.time || '--:--:--'}</div>
+                    <div>Live updates: {connected ? 'connected' : 'offline'}</div>
+                    <div>Conflicts: {conflicts.length}</div>
                     <div>Tracks: {railwayData?.features?.length || 0}</div>
                 </div>
             )}
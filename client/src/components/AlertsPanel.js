@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+/**
+ * Dialog behind the "Send Alerts" quick action: pick open alerts and send them
+ * over the configured outbound channels (webhook, email)
+ *
+ * @param {Object} props - { alerts, onClose }
+ */
+const AlertsPanel = ({ alerts, onClose }) => {
+    const [channels, setChannels] = useState([]);
+    const [selected, setSelected] = useState(() => new Set(
+        alerts.filter(alert => !alert.acknowledged).map(alert => alert.id)
+    ));
+    const [note, setNote] = useState('');
+    const [sending, setSending] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        axios.get(`${API_URL}/api/alerts/channels`)
+            .then(response => setChannels(response.data.channels || []))
+            .catch(err => setMessage(err.response?.data?.message || err.message));
+    }, []);
+
+    const toggle = (id) => {
+        setSelected(previous => {
+            const next = new Set(previous);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const sendAlerts = async () => {
+        try {
+            setSending(true);
+            setMessage(null);
+            const response = await axios.post(`${API_URL}/api/alerts/send`, {
+                alert_ids: [...selected],
+                note: note || undefined
+            });
+            const results = response.data.results.map(result => `${result.channel}: ${result.status}`).join(', ');
+            setMessage(`Sent ${response.data.sent} alert(s) — ${results}`);
+        } catch (err) {
+            const results = err.response?.data?.results;
+            setMessage(results
+                ? results.map(result => `${result.channel}: ${result.error || result.status}`).join(', ')
+                : err.response?.data?.message || err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const configured = channels.filter(channel => channel.configured);
+
+    return (
+        <div className="panel-overlay" onClick={onClose}>
+            <div className="panel-dialog" onClick={event => event.stopPropagation()}>
+                <div className="panel-header">
+                    <h2 className="section-title">Send Alerts</h2>
+                    <button className="panel-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="panel-section">
+                    <h3 className="panel-heading">Channels</h3>
+                    {channels.map(channel => (
+                        <div key={channel.channel} className="panel-message">
+                            {channel.configured ? '✅' : '⚪'} {channel.channel}
+                            {channel.target ? ` → ${channel.target}` : ' (not configured)'}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="panel-section">
+                    <table className="panel-table">
+                        <thead>
+                            <tr><th></th><th>Severity</th><th>Time</th><th>Alert</th></tr>
+                        </thead>
+                        <tbody>
+                            {alerts.map(alert => (
+                                <tr key={alert.id}>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.has(alert.id)}
+                                            onChange={() => toggle(alert.id)}
+                                        />
+                                    </td>
+                                    <td>{alert.severity}</td>
+                                    <td>{alert.time}</td>
+                                    <td>{alert.message}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="panel-form">
+                        <input
+                            type="text"
+                            placeholder="Note for recipients (optional)"
+                            value={note}
+                            onChange={event => setNote(event.target.value)}
+                        />
+                        <button
+                            className="action-btn primary"
+                            disabled={sending || selected.size === 0 || configured.length === 0}
+                            onClick={sendAlerts}
+                        >
+                            {sending ? 'Sending…' : `📱 Send ${selected.size} alert(s)`}
+                        </button>
+                    </div>
+                    {message && <p className="panel-message">{message}</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AlertsPanel;
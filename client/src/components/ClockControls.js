@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import useSimulationClock from '../hooks/useSimulationClock';
+
+const SPEEDS = [1, 2, 5, 10, 30, 60];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Format seconds since midnight as HH:MM
+ * @param {number} seconds - Seconds since midnight
+ * @returns {string} HH:MM
+ */
+const formatClock = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Play/pause, speed and timeline controls for the shared simulation clock
+ *
+ * @param {Object} props - { onChange } called after the clock was changed
+ */
+const ClockControls = ({ onChange }) => {
+    const { clock, error, setRunning, setSpeed, seek } = useSimulationClock();
+    // Slider position while the user is dragging it
+    const [scrubbing, setScrubbing] = useState(null);
+
+    if (!clock) {
+        return <div className="clock-controls">{error ? `Clock unavailable: ${error}` : 'Connecting to clock…'}</div>;
+    }
+
+    const apply = async (action) => {
+        const updated = await action();
+        if (updated && onChange) onChange(updated);
+    };
+
+    const commitScrub = () => {
+        if (scrubbing === null) return;
+        const target = scrubbing;
+        setScrubbing(null);
+        apply(() => seek(formatClock(target)));
+    };
+
+    return (
+        <div className="clock-controls">
+            <button
+                className="clock-button"
+                onClick={() => apply(() => setRunning(!clock.running))}
+                title={clock.running ? 'Pause' : 'Play'}
+            >
+                {clock.running ? '⏸' : '▶'}
+            </button>
+            <span className="clock-time">{scrubbing !== null ? formatClock(scrubbing) : clock.time}</span>
+            <input
+                className="clock-timeline"
+                type="range"
+                min="0"
+                max={SECONDS_PER_DAY - 60}
+                step="60"
+                value={scrubbing !== null ? scrubbing : clock.seconds}
+                onChange={event => setScrubbing(Number(event.target.value))}
+                onMouseUp={commitScrub}
+                onTouchEnd={commitScrub}
+                onKeyUp={commitScrub}
+            />
+            <select value={clock.speed} onChange={event => apply(() => setSpeed(Number(event.target.value)))}>
+                {SPEEDS.map(speed => (
+                    <option key={speed} value={speed}>{speed}x</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default ClockControls;
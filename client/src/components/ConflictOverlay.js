@@ -0,0 +1,67 @@
+import React from 'react';
+import { Polyline, Popup } from 'react-leaflet';
+
+const CONFLICT_COLORS = {
+    head_on: '#b91c1c',
+    headway: '#f59e0b'
+};
+
+const CONFLICT_LABELS = {
+    head_on: 'Head-on conflict',
+    headway: 'Headway violation'
+};
+
+/**
+ * Map overlay highlighting track sections where simulated trains conflict.
+ * Conflicts happening at the current simulation time are drawn solid, others dashed.
+ *
+ * @param {Object} props - { conflicts, clock }
+ */
+const ConflictOverlay = ({ conflicts, clock }) => {
+    const now = clock?.seconds;
+
+    return conflicts.map(conflict => {
+        if (!conflict.geometry || conflict.geometry.coordinates.length < 2) return null;
+
+        const active = now != null && now >= conflict.start_sec && now <= conflict.end_sec;
+        const color = CONFLICT_COLORS[conflict.type] || CONFLICT_COLORS.headway;
+
+        return (
+            <Polyline
+                key={conflict.id}
+                positions={conflict.geometry.coordinates.map(([lon, lat]) => [lat, lon])}
+                pathOptions={{
+                    color,
+                    weight: active ? 8 : 6,
+                    opacity: active ? 0.9 : 0.5,
+                    lineCap: 'round',
+                    dashArray: active ? null : '6, 6'
+                }}
+            >
+                <Popup>
+                    <div style={{ fontFamily: 'Arial, sans-serif', minWidth: '200px' }}>
+                        <h4 style={{ margin: '0 0 8px 0', color }}>
+                            ⚠️ {CONFLICT_LABELS[conflict.type] || conflict.type}
+                        </h4>
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Trains:</strong> {conflict.trains.join(' / ')}
+                        </p>
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Section:</strong> {conflict.section.from} – {conflict.section.to}
+                        </p>
+                        <p style={{ margin: '4px 0' }}>
+                            <strong>Window:</strong> {conflict.start_time} – {conflict.end_time}
+                        </p>
+                        {conflict.min_headway_sec != null && (
+                            <p style={{ margin: '4px 0' }}>
+                                <strong>Min headway:</strong> {Math.round(conflict.min_headway_sec / 60 * 10) / 10} min
+                            </p>
+                        )}
+                    </div>
+                </Popup>
+            </Polyline>
+        );
+    });
+};
+
+export default ConflictOverlay;
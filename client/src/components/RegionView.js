@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+/**
+ * Move the map to a region's center and zoom whenever the region changes
+ *
+ * @param {Object} props - { region } region from /api/regions
+ */
+const RegionView = ({ region }) => {
+    const map = useMap();
+
+    useEffect(() => {
+        map.setView(region.center, region.zoom);
+    }, [map, region]);
+
+    return null;
+};
+
+export default RegionView;
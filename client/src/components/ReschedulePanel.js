@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const ACTION_LABELS = {
+    retime_departure: 'Retime departure',
+    extend_dwell: 'Extend dwell',
+    hold: 'Hold now'
+};
+
+/**
+ * Delay injection for running trains ("Manage Delays")
+ */
+const DelayManager = () => {
+    const [trains, setTrains] = useState([]);
+    const [trainId, setTrainId] = useState('');
+    const [minutes, setMinutes] = useState(5);
+    const [message, setMessage] = useState(null);
+
+    const loadTrains = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/live/state`);
+            setTrains(response.data.trains || []);
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadTrains();
+    }, [loadTrains]);
+
+    const injectDelay = async () => {
+        try {
+            await axios.post(`${API_URL}/api/live/delays`, {
+                train_id: trainId,
+                delay_sec: Math.round(Number(minutes) * 60)
+            });
+            setMessage(`Added ${minutes} min delay to ${trainId}`);
+            loadTrains();
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        }
+    };
+
+    return (
+        <div className="panel-section">
+            <h3 className="panel-heading">Running delays</h3>
+            <table className="panel-table">
+                <thead>
+                    <tr><th>Train</th><th>Status</th><th>Delay</th></tr>
+                </thead>
+                <tbody>
+                    {trains.map(train => (
+                        <tr key={train.train_id}>
+                            <td>{train.train_id} {train.train_name}</td>
+                            <td>{train.status}</td>
+                            <td>{train.delay_sec > 0 ? `${Math.round(train.delay_sec / 60)} min` : '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className="panel-form">
+                <select value={trainId} onChange={event => setTrainId(event.target.value)}>
+                    <option value="">Select train</option>
+                    {trains.map(train => (
+                        <option key={train.train_id} value={train.train_id}>{train.train_id}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    value={minutes}
+                    onChange={event => setMinutes(event.target.value)}
+                />
+                <span>min</span>
+                <button className="action-btn primary" disabled={!trainId} onClick={injectDelay}>
+                    Add delay
+                </button>
+            </div>
+            {message && <p className="panel-message">{message}</p>}
+        </div>
+    );
+};
+
+/**
+ * Preview and apply a rescheduling plan ("Reschedule Trains")
+ */
+const PlanPreview = () => {
+    const [plan, setPlan] = useState(null);
+    const [applied, setApplied] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadApplied = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/reschedule/applied`);
+            setApplied(response.data.plans || []);
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadApplied();
+    }, [loadApplied]);
+
+    const proposePlan = async () => {
+        try {
+            setLoading(true);
+            setMessage(null);
+            const response = await axios.get(`${API_URL}/api/reschedule/plan`, { timeout: 60000 });
+            setPlan(response.data.plan);
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const applyPlan = async () => {
+        try {
+            const response = await axios.post(`${API_URL}/api/reschedule/apply`, { plan_id: plan.id });
+            setMessage(`Applied ${response.data.actions_applied} actions to ${response.data.trains_updated.length} trains`);
+            setPlan(null);
+            loadApplied();
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        }
+    };
+
+    const revertPlans = async () => {
+        try {
+            const response = await axios.delete(`${API_URL}/api/reschedule/applied`);
+            setMessage(`Reverted ${response.data.reverted.length} plan(s); trains are back on the timetable`);
+            setPlan(null);
+            loadApplied();
+        } catch (err) {
+            setMessage(err.response?.data?.message || err.message);
+        }
+    };
+
+    return (
+        <div className="panel-section">
+            <button className="action-btn primary" onClick={proposePlan} disabled={loading}>
+                {loading ? 'Computing plan…' : '🔄 Propose plan'}
+            </button>
+            {applied.length > 0 && (
+                <button className="action-btn" onClick={revertPlans}>
+                    ↩️ Revert {applied.length} applied plan(s)
+                </button>
+            )}
+
+            {plan && (
+                <>
+                    <div className="plan-metrics">
+                        <div>Conflicts: {plan.conflicts_before} → {plan.conflicts_after}</div>
+                        <div>
+                            Total delay: {plan.metrics.current.total_delay_min} → {plan.metrics.proposed.total_delay_min} min
+                        </div>
+                        <div>
+                            Passenger delay: {plan.metrics.current.passenger_delay_min} → {plan.metrics.proposed.passenger_delay_min} passenger-min
+                        </div>
+                    </div>
+
+                    {plan.actions.length === 0 ? (
+                        <p className="panel-message">No conflicts to resolve — the current timetable is clear.</p>
+                    ) : (
+                        <table className="panel-table">
+                            <thead>
+                                <tr><th>Train</th><th>Action</th><th>Station</th><th>Departure</th><th>Reason</th></tr>
+                            </thead>
+                            <tbody>
+                                {plan.actions.map(action => (
+                                    <tr key={`${action.train_id}-${action.type}-${action.station}`}>
+                                        <td>{action.train_id}</td>
+                                        <td>{ACTION_LABELS[action.type] || action.type} +{Math.round(action.delay_sec / 60 * 10) / 10} min</td>
+                                        <td>{action.station}</td>
+                                        <td>{action.scheduled_departure} → {action.revised_departure}</td>
+                                        <td>{action.reasons.join('; ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {plan.unresolved.length > 0 && (
+                        <p className="panel-message">
+                            ⚠️ {plan.unresolved.length} conflict(s) could not be resolved automatically
+                        </p>
+                    )}
+
+                    {plan.actions.length > 0 && (
+                        <button className="action-btn primary" onClick={applyPlan}>
+                            ✅ Apply to simulation
+                        </button>
+                    )}
+                </>
+            )}
+            {message && <p className="panel-message">{message}</p>}
+        </div>
+    );
+};
+
+/**
+ * Dialog behind the "Reschedule Trains" and "Manage Delays" quick actions
+ *
+ * @param {Object} props - { mode: 'reschedule' | 'delays', onClose }
+ */
+const ReschedulePanel = ({ mode, onClose }) => (
+    <div className="panel-overlay" onClick={onClose}>
+        <div className="panel-dialog" onClick={event => event.stopPropagation()}>
+            <div className="panel-header">
+                <h2 className="section-title">{mode === 'delays' ? 'Manage Delays' : 'Reschedule Trains'}</h2>
+                <button className="panel-close" onClick={onClose}>✕</button>
+            </div>
+            {mode === 'delays' ? <DelayManager /> : <PlanPreview />}
+        </div>
+    </div>
+);
+
+export default ReschedulePanel;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import useStationBoard from '../hooks/useStationBoard';
+
+const STATUS_LABELS = {
+    expected: 'Expected',
+    arrived: 'Arrived',
+    departed: 'Departed',
+    skipped: 'Not stopping'
+};
+
+/**
+ * Departures and arrivals at a station, as computed by the simulation
+ *
+ * @param {Object} props - { station } station name
+ */
+const StationBoard = ({ station }) => {
+    const [kind, setKind] = useState('departures');
+    const { board, error } = useStationBoard(station);
+    const rows = board ? board[kind] : [];
+
+    return (
+        <div className="station-board">
+            <div className="station-board-header">
+                <strong>🚉 {station}</strong>
+                {board && <span className="station-board-time">{board.time}</span>}
+            </div>
+            <div className="view-toggle">
+                <button className={kind === 'departures' ? 'active' : ''} onClick={() => setKind('departures')}>
+                    Departures
+                </button>
+                <button className={kind === 'arrivals' ? 'active' : ''} onClick={() => setKind('arrivals')}>
+                    Arrivals
+                </button>
+            </div>
+
+            {error && <p className="panel-message">Board unavailable: {error}</p>}
+            {!error && !board && <p className="panel-message">Loading board…</p>}
+            {board && rows.length === 0 && <p className="panel-message">No more {kind} today.</p>}
+
+            {rows.length > 0 && (
+                <table className="panel-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Expected</th>
+                            <th>{kind === 'departures' ? 'To' : 'From'}</th>
+                            <th>Pf</th>
+                            <th>Train</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={`${row.train_id}-${row.scheduled}`} className={row.status}>
+                                <td>{row.scheduled.slice(0, 5)}</td>
+                                <td className={row.delay_sec > 0 ? 'late' : undefined}>
+                                    {row.expected ? row.expected.slice(0, 5) : '–'}
+                                    {row.delay_sec > 0 && ` (+${Math.round(row.delay_sec / 60)}m)`}
+                                </td>
+                                <td>{kind === 'departures' ? row.destination : row.origin}</td>
+                                <td>{row.platform || '–'}</td>
+                                <td title={row.train_name}>{row.train_id}</td>
+                                <td>{STATUS_LABELS[row.status] || row.status}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default StationBoard;
@@ -0,0 +1,53 @@
+import React, { useState, useMemo } from 'react';
+import { CircleMarker, Popup } from 'react-leaflet';
+import StationBoard from './StationBoard';
+
+/**
+ * Station popup that only mounts (and polls) the board while it is open
+ *
+ * @param {Object} props - { station } station name
+ */
+const StationPopup = ({ station }) => {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <Popup
+            minWidth={380}
+            maxWidth={520}
+            eventHandlers={{ add: () => setOpen(true), remove: () => setOpen(false) }}
+        >
+            {open && <StationBoard station={station} />}
+        </Popup>
+    );
+};
+
+/**
+ * Clickable markers for every station the trains serve; clicking one opens
+ * its arrivals and departures board.
+ *
+ * @param {Object} props - { trains } simulated trains with `stations` arrays
+ */
+const StationMarkers = ({ trains }) => {
+    const stations = useMemo(() => {
+        const byName = new Map();
+        (trains || []).forEach(train => {
+            (train.stations || []).forEach(station => {
+                if (!byName.has(station.name)) byName.set(station.name, station);
+            });
+        });
+        return [...byName.values()];
+    }, [trains]);
+
+    return stations.map(station => (
+        <CircleMarker
+            key={station.name}
+            center={[station.lat, station.lon]}
+            radius={5}
+            pathOptions={{ color: '#1f2937', weight: 2, fillColor: 'white', fillOpacity: 1 }}
+        >
+            <StationPopup station={station.name} />
+        </CircleMarker>
+    ));
+};
+
+export default StationMarkers;
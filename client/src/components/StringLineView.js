@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useStringLine from '../hooks/useStringLine';
+
+const TRAIN_COLORS = {
+    local: '#3b82f6',
+    express: '#10b981',
+    fast: '#ef4444',
+    default: '#8b5cf6'
+};
+const CONFLICT_COLORS = {
+    head_on: '#dc2626',
+    headway: '#f59e0b'
+};
+const MARGIN = { top: 16, right: 24, bottom: 32, left: 112 };
+// Spacing of the time grid, in seconds
+const TIME_STEPS = [5 * 60, 10 * 60, 15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60];
+// Aim for a grid line about every this many pixels
+const GRID_SPACING_PX = 90;
+
+/**
+ * Format seconds since midnight as HH:MM
+ * @param {number} seconds - Seconds since midnight
+ * @returns {string} HH:MM
+ */
+const formatClock = (seconds) => {
+    const hours = Math.floor(seconds / 3600) % 24;
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * SVG points attribute for time-distance points
+ * @param {Array} points - [seconds, distance_m] pairs
+ * @param {Function} x - Time scale
+ * @param {Function} y - Distance scale
+ * @returns {string} Points attribute
+ */
+const toSvgPoints = (points, x, y) => points.map(([seconds, distance]) => `${x(seconds)},${y(distance)}`).join(' ');
+
+/**
+ * Size of an element, kept up to date as it is resized
+ * @param {Object} ref - Element ref
+ * @returns {Object} { width, height }
+ */
+const useElementSize = (ref) => {
+    const [size, setSize] = useState({ width: 0, height: 0 });
+
+    useEffect(() => {
+        const element = ref.current;
+        if (!element) return undefined;
+
+        const observer = new ResizeObserver(([entry]) => {
+            setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [ref]);
+
+    return size;
+};
+
+/**
+ * Details of the train under the cursor
+ *
+ * @param {Object} props - { train, time, distance, position: { x, y } }
+ */
+const TrainTooltip = ({ train, time, distance, position }) => {
+    const served = train.stops.filter(stop => stop.distance_m !== null);
+    const delays = served.filter(stop => stop.delay_sec !== null).map(stop => stop.delay_sec);
+
+    return (
+        <div className="stringline-tooltip" style={{ left: position.x + 14, top: position.y + 14 }}>
+            <strong>{train.train_name || train.train_id}</strong> ({train.train_id})
+            <div>{formatClock(time)} · {(distance / 1000).toFixed(1)} km</div>
+            <div>Max delay {delays.length > 0 ? Math.round(Math.max(...delays) / 60) : 0} min</div>
+            <table>
+                <tbody>
+                    {served.map(stop => (
+                        <tr key={stop.station} className={stop.skipped ? 'skipped' : undefined}>
+                            <td>{stop.station}</td>
+                            <td>{stop.planned_departure || stop.planned_arrival || '–'}</td>
+                            <td>{stop.skipped ? 'skipped' : (stop.departure || stop.arrival || '–')}</td>
+                            <td>{stop.delay_sec > 0 ? `+${Math.round(stop.delay_sec / 60)}m` : ''}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+/**
+ * Time-distance (Marey) diagram of a corridor: stations by chainage on the
+ * vertical axis, time on the horizontal axis, one line per train run. Dashed
+ * lines are the timetable, solid lines the simulation with disruptions and live
+ * delays; shaded boxes mark conflicts.
+ */
+const StringLineView = () => {
+    const [line, setLine] = useState('');
+    const [showPlanned, setShowPlanned] = useState(true);
+    const [showSimulated, setShowSimulated] = useState(true);
+    const [showConflicts, setShowConflicts] = useState(true);
+    // { train, time, distance, position } of the train under the cursor
+    const [hover, setHover] = useState(null);
+    const chartRef = useRef(null);
+    const { width, height } = useElementSize(chartRef);
+    const { corridor, lines, clock, error } = useStringLine(line);
+
+    const plotWidth = Math.max(width - MARGIN.left - MARGIN.right, 0);
+    const plotHeight = Math.max(height - MARGIN.top - MARGIN.bottom, 0);
+    const ready = corridor && corridor.start_sec !== null && plotWidth > 0 && plotHeight > 0;
+
+    let chart = null;
+    if (ready) {
+        const step = TIME_STEPS.find(candidate => (
+            (corridor.end_sec - corridor.start_sec) / candidate <= plotWidth / GRID_SPACING_PX
+        )) || TIME_STEPS[TIME_STEPS.length - 1];
+        const start = Math.floor(corridor.start_sec / step) * step;
+        const end = Math.ceil(corridor.end_sec / step) * step;
+
+        const x = seconds => MARGIN.left + ((seconds - start) / (end - start || 1)) * plotWidth;
+        const y = distance => MARGIN.top + (distance / (corridor.length_m || 1)) * plotHeight;
+        const ticks = [];
+        for (let seconds = start; seconds <= end; seconds += step) ticks.push(seconds);
+
+        const trackHover = (train, event) => {
+            const bounds = chartRef.current.getBoundingClientRect();
+            const px = event.clientX - bounds.left;
+            const py = event.clientY - bounds.top;
+            setHover({
+                train,
+                time: start + ((px - MARGIN.left) / plotWidth) * (end - start),
+                distance: Math.min(Math.max(((py - MARGIN.top) / plotHeight) * corridor.length_m, 0), corridor.length_m),
+                position: { x: px, y: py }
+            });
+        };
+
+        chart = (
+            <svg width={width} height={height}>
+                {/* Time grid */}
+                {ticks.map(seconds => (
+                    <g key={seconds}>
+                        <line
+                            x1={x(seconds)} x2={x(seconds)}
+                            y1={MARGIN.top} y2={MARGIN.top + plotHeight}
+                            className="stringline-grid"
+                        />
+                        <text x={x(seconds)} y={height - 10} textAnchor="middle" className="stringline-label">
+                            {formatClock(seconds)}
+                        </text>
+                    </g>
+                ))}
+
+                {/* Stations */}
+                {corridor.stations.map(station => (
+                    <g key={station.name}>
+                        <line
+                            x1={MARGIN.left} x2={MARGIN.left + plotWidth}
+                            y1={y(station.distance_m)} y2={y(station.distance_m)}
+                            className="stringline-grid station"
+                        />
+                        <text x={MARGIN.left - 8} y={y(station.distance_m) + 4} textAnchor="end" className="stringline-label">
+                            {station.name}
+                        </text>
+                    </g>
+                ))}
+
+                {/* Conflicts */}
+                {showConflicts && corridor.conflicts.map(conflict => (
+                    <rect
+                        key={conflict.id}
+                        x={x(conflict.start_sec)}
+                        y={y(conflict.from_m)}
+                        width={Math.max(x(conflict.end_sec) - x(conflict.start_sec), 2)}
+                        height={Math.max(y(conflict.to_m) - y(conflict.from_m), 2)}
+                        fill={CONFLICT_COLORS[conflict.type] || CONFLICT_COLORS.headway}
+                        fillOpacity={0.25}
+                        stroke={CONFLICT_COLORS[conflict.type] || CONFLICT_COLORS.headway}
+                    >
+                        <title>
+                            {`${conflict.type === 'head_on' ? 'Head-on' : 'Headway'} conflict ${conflict.trains.join(' / ')}: `
+                                + `${conflict.section.from}–${conflict.section.to} ${conflict.start_time}–${conflict.end_time}`}
+                        </title>
+                    </rect>
+                ))}
+
+                {/* Train runs */}
+                {corridor.trains.map(train => {
+                    const color = TRAIN_COLORS[train.train_type] || TRAIN_COLORS.default;
+                    const highlighted = hover && hover.train.train_id === train.train_id;
+                    const conflicted = showConflicts
+                        && corridor.conflicts.some(conflict => conflict.trains.includes(train.train_id));
+
+                    return (
+                        <g
+                            key={train.train_id}
+                            onMouseMove={event => trackHover(train, event)}
+                            onMouseLeave={() => setHover(null)}
+                        >
+                            {showPlanned && train.planned.length > 1 && (
+                                <polyline
+                                    points={toSvgPoints(train.planned, x, y)}
+                                    fill="none"
+                                    stroke={color}
+                                    strokeOpacity={0.6}
+                                    strokeWidth={highlighted ? 2 : 1}
+                                    strokeDasharray="4 3"
+                                />
+                            )}
+                            {showSimulated && train.simulated.length > 1 && (
+                                <polyline
+                                    points={toSvgPoints(train.simulated, x, y)}
+                                    fill="none"
+                                    stroke={conflicted ? CONFLICT_COLORS.head_on : color}
+                                    strokeWidth={highlighted ? 3 : 1.5}
+                                />
+                            )}
+                            {/* Wider invisible stroke so thin lines are easy to hover */}
+                            {(showSimulated ? train.simulated : train.planned).length > 1 && (
+                                <polyline
+                                    points={toSvgPoints(showSimulated ? train.simulated : train.planned, x, y)}
+                                    fill="none"
+                                    stroke="transparent"
+                                    strokeWidth={10}
+                                />
+                            )}
+                        </g>
+                    );
+                })}
+
+                {/* Current simulation time */}
+                {clock && clock.seconds >= start && clock.seconds <= end && (
+                    <line
+                        x1={x(clock.seconds)} x2={x(clock.seconds)}
+                        y1={MARGIN.top} y2={MARGIN.top + plotHeight}
+                        className="stringline-now"
+                    />
+                )}
+            </svg>
+        );
+    }
+
+    return (
+        <div className="stringline-view">
+            <div className="stringline-toolbar">
+                <select value={line || (corridor ? corridor.line : '')} onChange={event => setLine(event.target.value)}>
+                    {lines.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <label><input type="checkbox" checked={showPlanned} onChange={event => setShowPlanned(event.target.checked)} /> Planned</label>
+                <label><input type="checkbox" checked={showSimulated} onChange={event => setShowSimulated(event.target.checked)} /> Simulated</label>
+                <label><input type="checkbox" checked={showConflicts} onChange={event => setShowConflicts(event.target.checked)} /> Conflicts</label>
+                {corridor && <span className="stringline-summary">{corridor.trains.length} trains · {corridor.conflicts.length} conflicts</span>}
+                {error && <span className="stringline-summary error">{error}</span>}
+            </div>
+            <div className="stringline-chart" ref={chartRef}>
+                {chart}
+                {corridor && corridor.start_sec === null && <p className="panel-message">No train runs on this corridor.</p>}
+                {hover && <TrainTooltip {...hover} />}
+            </div>
+        </div>
+    );
+};
+
+export default StringLineView;
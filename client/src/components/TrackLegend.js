@@ -0,0 +1,28 @@
+import React from 'react';
+import { TRACK_CATEGORIES } from '../utils/trackCategories';
+
+/**
+ * Legend of the track categories; clicking a category hides or shows its tracks
+ *
+ * @param {Object} props - { hidden, onToggle } hidden category ids; onToggle(id)
+ */
+const TrackLegend = ({ hidden, onToggle }) => (
+    <span className="map-legend">
+        {TRACK_CATEGORIES.map(category => (
+            <button
+                key={category.id}
+                className={`legend-item ${hidden.includes(category.id) ? 'off' : ''}`}
+                onClick={() => onToggle(category.id)}
+                title={hidden.includes(category.id) ? `Show ${category.label}` : `Hide ${category.label}`}
+            >
+                <span
+                    className="legend-color"
+                    style={{ background: category.color, opacity: category.opacity || 1 }}
+                ></span>
+                {category.label}
+            </button>
+        ))}
+    </span>
+);
+
+export default TrackLegend;
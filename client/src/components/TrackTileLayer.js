@@ -0,0 +1,96 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.vectorgrid';
+import { trackStyle } from '../utils/trackCategories';
+import { API_URL } from '../config';
+
+// Deepest zoom the server generates tiles for (MAX_ZOOM in server/src/vectorTiles.js)
+const MAX_NATIVE_ZOOM = 14;
+
+/**
+ * Tile style function drawing every track except those in hidden categories
+ *
+ * @param {Array} hidden - Hidden category ids
+ * @returns {Function} (properties, zoom) => path options, or [] to skip the track
+ */
+const styleExcept = hidden => (properties, zoom) => (
+    hidden.includes(properties.category) ? [] : trackStyle(properties, zoom)
+);
+
+/**
+ * Popup HTML describing a track
+ *
+ * @param {Object} properties - Tile feature properties
+ * @returns {string} Popup content
+ */
+const trackPopupContent = ({ railway, category, name, operator, electrified, gauge }) => {
+    let popupContent = `<div style="font-family: Arial, sans-serif;">`;
+    popupContent += `<h4 style="margin: 0 0 8px 0; color: #1f2937;">Railway Track</h4>`;
+
+    if (name) popupContent += `<p style="margin: 4px 0;"><strong>Name:</strong> ${name}</p>`;
+    if (railway) popupContent += `<p style="margin: 4px 0;"><strong>Type:</strong> ${railway}</p>`;
+    if (category) popupContent += `<p style="margin: 4px 0;"><strong>Category:</strong> ${category}</p>`;
+    if (operator) popupContent += `<p style="margin: 4px 0;"><strong>Operator:</strong> ${operator}</p>`;
+    if (electrified) popupContent += `<p style="margin: 4px 0;"><strong>Electrified:</strong> ${electrified}</p>`;
+    if (gauge) popupContent += `<p style="margin: 4px 0;"><strong>Gauge:</strong> ${gauge}</p>`;
+
+    popupContent += `</div>`;
+    return popupContent;
+};
+
+/**
+ * Railway tracks of a region drawn from the server's vector tiles, so only the
+ * tiles in view are downloaded. Clicking a track shows its details.
+ *
+ * @param {Object} props - { region, hiddenCategories, onLoad } region from /api/regions;
+ *   track categories not to draw; onLoad() runs when the visible tiles have loaded
+ */
+const TrackTileLayer = ({ region, hiddenCategories = [], onLoad }) => {
+    const map = useMap();
+    const layerRef = useRef(null);
+    // Read when the layer is (re)built so a region change keeps the hidden categories
+    const hiddenRef = useRef(hiddenCategories);
+    hiddenRef.current = hiddenCategories;
+    // Hidden categories the current tiles were drawn with
+    const styledRef = useRef(null);
+
+    useEffect(() => {
+        // The plugin's default SVG renderer; its canvas renderer breaks on click with Leaflet 1.9
+        const layer = L.vectorGrid.protobuf(`${API_URL}/api/tiles/{z}/{x}/{y}.mvt?region=${region.id}`, {
+            vectorTileLayerStyles: { tracks: styleExcept(hiddenRef.current) },
+            maxNativeZoom: MAX_NATIVE_ZOOM,
+            interactive: true,
+            getFeatureId: feature => feature.properties.id
+        });
+
+        layer.on('click', event => {
+            L.popup()
+                .setLatLng(event.latlng)
+                .setContent(trackPopupContent(event.layer.properties))
+                .openOn(map);
+        });
+        if (onLoad) layer.on('load', onLoad);
+
+        layer.addTo(map);
+        layerRef.current = layer;
+        styledRef.current = hiddenRef.current;
+        return () => {
+            map.removeLayer(layer);
+            layerRef.current = null;
+        };
+    }, [map, region.id, onLoad]);
+
+    // Restyle the loaded tiles when categories are toggled
+    useEffect(() => {
+        const layer = layerRef.current;
+        if (!layer || styledRef.current === hiddenCategories) return;
+        styledRef.current = hiddenCategories;
+        layer.options.vectorTileLayerStyles = { tracks: styleExcept(hiddenCategories) };
+        layer.redraw();
+    }, [hiddenCategories]);
+
+    return null;
+};
+
+export default TrackTileLayer;
@@ -0,0 +1,2 @@
+// Simulation server the dashboard talks to over REST and Socket.IO (set REACT_APP_API_URL when building)
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+import { API_URL } from '../config';
+
+const MAX_ALERTS = 20;
+
+/**
+ * Recent alerts raised by the simulation server. The list is loaded once and then
+ * kept current from the `alert` and `alert:acknowledged` Socket.IO events.
+ *
+ * @returns {Object} { alerts, error, acknowledge, refresh }
+ */
+const useAlerts = () => {
+    const [alerts, setAlerts] = useState([]);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/alerts`, { params: { limit: MAX_ALERTS } });
+            setAlerts(response.data.alerts || []);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Failed to load alerts:', err);
+            setError(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        refresh();
+
+        const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+        socket.on('alert', alert => {
+            setAlerts(previous => [alert, ...previous].slice(0, MAX_ALERTS));
+        });
+        socket.on('alert:acknowledged', alert => {
+            setAlerts(previous => previous.map(item => (item.id === alert.id ? alert : item)));
+        });
+
+        return () => {
+            socket.disconnect();
+        };
+    }, [refresh]);
+
+    const acknowledge = useCallback(async (id) => {
+        try {
+            const response = await axios.post(`${API_URL}/api/alerts/${id}/acknowledge`);
+            setAlerts(previous => previous.map(item => (item.id === id ? response.data.alert : item)));
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    return { alerts, error, acknowledge, refresh };
+};
+
+export default useAlerts;
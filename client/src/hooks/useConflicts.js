@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const REFRESH_MS = 60000;
+
+/**
+ * Fetch headway and head-on conflicts detected in the simulated timetable.
+ * The list is refreshed periodically so imported timetables show up.
+ *
+ * @returns {Object} { conflicts, error }
+ */
+const useConflicts = () => {
+    const [conflicts, setConflicts] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchConflicts = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/conflicts`, { timeout: 30000 });
+                if (!cancelled) {
+                    setConflicts(response.data.conflicts || []);
+                    setError(null);
+                }
+            } catch (err) {
+                console.error('❌ Failed to load conflicts:', err);
+                if (!cancelled) setError(err.response?.data?.message || err.message);
+            }
+        };
+
+        fetchConflicts();
+        const timer = setInterval(fetchConflicts, REFRESH_MS);
+
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, []);
+
+    return { conflicts, error };
+};
+
+export default useConflicts;
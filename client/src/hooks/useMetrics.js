@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const REFRESH_MS = 15000;
+
+/**
+ * Fetch live KPIs (on-time performance, delays, per-line and per-station figures)
+ * computed by the simulation server, refreshing them periodically.
+ *
+ * @returns {Object} { metrics, clock, error, refresh }
+ */
+const useMetrics = () => {
+    const [metrics, setMetrics] = useState(null);
+    const [clock, setClock] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchMetrics = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/metrics`, { timeout: 30000 });
+            setMetrics(response.data.metrics);
+            setClock(response.data.clock);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Failed to load metrics:', err);
+            setError(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchMetrics();
+        const timer = setInterval(fetchMetrics, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [fetchMetrics]);
+
+    return { metrics, clock, error, refresh: fetchMetrics };
+};
+
+export default useMetrics;
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+// Used until the server answers (and if it never does) so the map still opens somewhere sensible
+const FALLBACK_REGION = {
+    id: 'mumbai',
+    name: 'Mumbai Suburban',
+    center: [19.1, 72.85],
+    zoom: 11,
+    lines: []
+};
+
+/**
+ * Load the regions configured on the server and keep track of the selected one.
+ *
+ * @returns {Object} { regions, region, selectRegion(id), simulationRegion, error }
+ */
+const useRegions = () => {
+    const [regions, setRegions] = useState([FALLBACK_REGION]);
+    const [regionId, setRegionId] = useState(null);
+    const [defaultId, setDefaultId] = useState(FALLBACK_REGION.id);
+    // Region the simulation server runs (only it has live trains)
+    const [simulationRegion, setSimulationRegion] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchRegions = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/regions`, { timeout: 10000 });
+                setRegions(response.data.regions);
+                setDefaultId(response.data.default);
+                setSimulationRegion(response.data.simulation_region || null);
+                setError(null);
+            } catch (err) {
+                console.error('❌ Failed to load regions:', err);
+                setError(err.response?.data?.message || err.message);
+            }
+        };
+
+        fetchRegions();
+    }, []);
+
+    const region = regions.find(candidate => candidate.id === (regionId || defaultId)) || regions[0];
+
+    return { regions, region, selectRegion: setRegionId, simulationRegion, error };
+};
+
+export default useRegions;
@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+import { API_URL } from '../config';
+
+/**
+ * Follow the server's simulation clock and control it. Every map view and the
+ * sidebar read positions and KPIs at this clock, so controlling it here keeps
+ * them consistent.
+ *
+ * @returns {Object} { clock, error, setRunning, setSpeed, seek }
+ */
+const useSimulationClock = () => {
+    const [clock, setClock] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        axios.get(`${API_URL}/api/live/clock`)
+            .then(response => setClock(response.data.clock))
+            .catch(err => setError(err.response?.data?.message || err.message));
+
+        const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+        socket.on('clock', setClock);
+
+        return () => {
+            socket.disconnect();
+        };
+    }, []);
+
+    const control = useCallback(async (body) => {
+        try {
+            const response = await axios.post(`${API_URL}/api/live/clock`, body);
+            setClock(response.data.clock);
+            setError(null);
+            return response.data.clock;
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+            return null;
+        }
+    }, []);
+
+    const setRunning = useCallback(running => control({ running }), [control]);
+    const setSpeed = useCallback(speed => control({ speed }), [control]);
+    const seek = useCallback(time => control({ time }), [control]);
+
+    return { clock, error, setRunning, setSpeed, seek };
+};
+
+export default useSimulationClock;
@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const REFRESH_MS = 15000;
+
+/**
+ * Fetch the arrivals and departures board of a station, refreshing it
+ * periodically while mounted.
+ *
+ * @param {string} station - Station name
+ * @returns {Object} { board, error, refresh }
+ */
+const useStationBoard = (station) => {
+    const [board, setBoard] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchBoard = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/stations/${encodeURIComponent(station)}/board`, { timeout: 30000 });
+            setBoard(response.data.board);
+            setError(null);
+        } catch (err) {
+            console.error(`❌ Failed to load board for ${station}:`, err);
+            setError(err.response?.data?.message || err.message);
+        }
+    }, [station]);
+
+    useEffect(() => {
+        fetchBoard();
+        const timer = setInterval(fetchBoard, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [fetchBoard]);
+
+    return { board, error, refresh: fetchBoard };
+};
+
+export default useStationBoard;
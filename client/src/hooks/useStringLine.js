@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const REFRESH_MS = 30000;
+
+/**
+ * Fetch the time-distance diagram of a corridor (planned and simulated train
+ * runs, stations by chainage, conflicts), refreshing it periodically so live
+ * delays and disruptions show up.
+ *
+ * @param {string} line - Corridor to load; the server picks one when empty
+ * @returns {Object} { corridor, lines, clock, error, refresh }
+ */
+const useStringLine = (line) => {
+    const [corridor, setCorridor] = useState(null);
+    const [lines, setLines] = useState([]);
+    const [clock, setClock] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchStringLine = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/stringline`, {
+                params: line ? { line } : {},
+                timeout: 30000
+            });
+            setCorridor(response.data.corridor);
+            setLines(response.data.lines);
+            setClock(response.data.clock);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Failed to load string line:', err);
+            setError(err.response?.data?.message || err.message);
+        }
+    }, [line]);
+
+    useEffect(() => {
+        fetchStringLine();
+        const timer = setInterval(fetchStringLine, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [fetchStringLine]);
+
+    return { corridor, lines, clock, error, refresh: fetchStringLine };
+};
+
+export default useStringLine;
@@ -0,0 +1,80 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { pointAlong, sliceAlong } from '../utils/trainGeometry';
+
+// Bounds for how long a marker glides between two server updates
+const MIN_TWEEN_MS = 200;
+const MAX_TWEEN_MS = 2000;
+// Larger moves (clock scrubbing, reloads) are jumped rather than animated
+const MAX_TWEEN_DISTANCE_M = 5000;
+
+/**
+ * Glide a train marker along its route between live updates.
+ *
+ * The server streams a train's chainage (`distance_m`) about once per clock tick.
+ * Between updates the marker is moved every animation frame along the route
+ * geometry, its `.train-heading` element is rotated to the track bearing and the
+ * optional body polyline is redrawn behind it. Leaflet layers are updated directly
+ * so the animation does not re-render React components.
+ *
+ * @param {Object} options - { route (from buildRouteIndex, or null), state (live train state),
+ *   markerRef, bodyRef (Leaflet polyline ref), bodyLength (m) }
+ * @returns {Function} Redraw the train at its current animated position
+ */
+const useTrainAnimation = ({ route, state, markerRef, bodyRef, bodyLength }) => {
+    const animation = useRef({ distance: null, updatedAt: null });
+
+    const place = useCallback((distance) => {
+        const marker = markerRef.current;
+        if (!marker) return;
+
+        const point = route && distance != null
+            ? pointAlong(route, distance)
+            : { lat: state.lat, lon: state.lon, bearing: state.bearing };
+
+        marker.setLatLng([point.lat, point.lon]);
+
+        const heading = marker.getElement()?.querySelector('.train-heading');
+        if (heading) {
+            heading.style.display = point.bearing == null ? 'none' : '';
+            heading.style.transform = `rotate(${point.bearing || 0}deg)`;
+        }
+
+        if (bodyRef.current && route && distance != null) {
+            bodyRef.current.setLatLngs(sliceAlong(route, distance - bodyLength, distance));
+        }
+    }, [route, state.lat, state.lon, state.bearing, markerRef, bodyRef, bodyLength]);
+
+    useEffect(() => {
+        const current = animation.current;
+        const now = performance.now();
+        const target = state.distance_m;
+        const elapsed = current.updatedAt == null ? 0 : now - current.updatedAt;
+        current.updatedAt = now;
+
+        if (!route || target == null || current.distance == null
+            || Math.abs(target - current.distance) > MAX_TWEEN_DISTANCE_M) {
+            current.distance = target;
+            place(target);
+            return undefined;
+        }
+
+        // Spread the move over roughly the time until the next update is due
+        const from = current.distance;
+        const duration = Math.min(Math.max(elapsed, MIN_TWEEN_MS), MAX_TWEEN_MS);
+        let frame = null;
+
+        const step = (time) => {
+            const ratio = Math.min(Math.max((time - now) / duration, 0), 1);
+            current.distance = from + (target - from) * ratio;
+            place(current.distance);
+            if (ratio < 1) frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+
+        return () => cancelAnimationFrame(frame);
+    }, [route, state.distance_m, place]);
+
+    return useCallback(() => place(animation.current.distance), [place]);
+};
+
+export default useTrainAnimation;
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { API_URL } from '../config';
+
+/**
+ * Subscribe to live train positions streamed by the server simulation clock.
+ * Pass `lines` to only receive trains on those lines; omit it for the whole region.
+ * The region defaults to the one the server simulates.
+ *
+ * @param {Object} options - { lines: ['Western'], region: 'mumbai' }
+ * @returns {Object} { trains: { [train_id]: state }, clock, connected }
+ */
+const useTrainPositions = ({ lines = [], region } = {}) => {
+    const [trains, setTrains] = useState({});
+    const [clock, setClock] = useState(null);
+    const [connected, setConnected] = useState(false);
+
+    // Stable dependency for the subscription filter
+    const linesKey = lines.join(',');
+
+    useEffect(() => {
+        const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+        const filter = { lines: linesKey ? linesKey.split(',') : [], region };
+
+        socket.on('connect', () => {
+            setConnected(true);
+            socket.emit('subscribe', filter);
+        });
+
+        socket.on('disconnect', () => setConnected(false));
+
+        socket.on('clock', setClock);
+
+        // Full state on (re)subscribe replaces whatever we had
+        socket.on('trains:snapshot', ({ trains: snapshot }) => {
+            const byId = {};
+            snapshot.forEach(train => { byId[train.train_id] = train; });
+            setTrains(byId);
+        });
+
+        // Deltas only carry trains whose state changed
+        socket.on('trains:delta', ({ trains: changed }) => {
+            setTrains(previous => {
+                const next = { ...previous };
+                changed.forEach(train => { next[train.train_id] = train; });
+                return next;
+            });
+        });
+
+        return () => {
+            socket.disconnect();
+        };
+    }, [linesKey, region]);
+
+    return { trains, clock, connected };
+};
+
+export default useTrainPositions;
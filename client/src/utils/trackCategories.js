@@ -0,0 +1,32 @@
+// Track categories assigned by the server (server/src/trackCategories.js), in legend order
+export const TRACK_CATEGORIES = [
+    { id: 'mainline', label: 'Main line', color: '#dc2626', weight: 3 },
+    { id: 'suburban', label: 'Suburban', color: '#2563eb', weight: 3 },
+    { id: 'metro', label: 'Metro / tram', color: '#7c3aed', weight: 2 },
+    { id: 'siding', label: 'Siding', color: '#f59e0b', weight: 1.5 },
+    { id: 'yard', label: 'Yard', color: '#92400e', weight: 1.5 },
+    { id: 'platform', label: 'Platform', color: '#6b7280', weight: 4, opacity: 0.5 },
+    { id: 'disused', label: 'Disused', color: '#9ca3af', weight: 2, dashArray: '4 6' },
+    { id: 'other', label: 'Other', color: '#059669', weight: 2, dashArray: '2 4' }
+];
+
+const OTHER = TRACK_CATEGORIES[TRACK_CATEGORIES.length - 1];
+
+/**
+ * Line style of a track by its category, slightly heavier when zoomed in
+ *
+ * @param {Object} properties - Track properties with `category`
+ * @param {number} zoom - Map zoom (optional)
+ * @returns {Object} Leaflet path options
+ */
+export const trackStyle = (properties, zoom = 12) => {
+    const category = TRACK_CATEGORIES.find(candidate => candidate.id === properties?.category) || OTHER;
+    return {
+        color: category.color,
+        weight: zoom >= 14 ? category.weight + 1 : category.weight,
+        opacity: category.opacity || 0.8,
+        dashArray: category.dashArray || null,
+        lineCap: 'round',
+        lineJoin: 'round'
+    };
+};
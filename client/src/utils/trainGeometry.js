@@ -0,0 +1,108 @@
+// Mean earth radius used by the server (turf) when measuring route chainage
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} Distance in meters
+ */
+const haversine = (a, b) => {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} Degrees clockwise from north (0-360)
+ */
+const bearingBetween = (a, b) => {
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Precompute cumulative chainage along a route so positions can be looked up by distance
+ * @param {Array} routeGeometry - Route points [{ lat, lon }]
+ * @returns {Object|null} { points, chainage, length } or null for routes with less than two points
+ */
+export const buildRouteIndex = (routeGeometry) => {
+    if (!Array.isArray(routeGeometry) || routeGeometry.length < 2) return null;
+
+    const chainage = [0];
+    for (let i = 1; i < routeGeometry.length; i++) {
+        chainage.push(chainage[i - 1] + haversine(routeGeometry[i - 1], routeGeometry[i]));
+    }
+    return { points: routeGeometry, chainage, length: chainage[chainage.length - 1] };
+};
+
+/**
+ * Index of the route segment containing a chainage
+ * @param {Object} index - Route index from buildRouteIndex
+ * @param {number} distance - Chainage in meters
+ * @returns {number} Index of the segment's first point
+ */
+const segmentAt = (index, distance) => {
+    let low = 0;
+    let high = index.chainage.length - 1;
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (index.chainage[middle] <= distance) low = middle;
+        else high = middle;
+    }
+    return low;
+};
+
+/**
+ * Position and heading at a chainage along the route
+ * @param {Object} index - Route index from buildRouteIndex
+ * @param {number} distance - Chainage in meters (clamped to the route)
+ * @returns {Object} { lat, lon, bearing }
+ */
+export const pointAlong = (index, distance) => {
+    const clamped = Math.min(Math.max(distance, 0), index.length);
+    const i = segmentAt(index, clamped);
+    const from = index.points[i];
+    const to = index.points[i + 1];
+    const span = index.chainage[i + 1] - index.chainage[i];
+    const ratio = span > 0 ? (clamped - index.chainage[i]) / span : 0;
+
+    return {
+        lat: from.lat + (to.lat - from.lat) * ratio,
+        lon: from.lon + (to.lon - from.lon) * ratio,
+        bearing: bearingBetween(from, to)
+    };
+};
+
+/**
+ * Part of the route between two chainages, following its curves
+ * @param {Object} index - Route index from buildRouteIndex
+ * @param {number} start - Start chainage in meters
+ * @param {number} end - End chainage in meters
+ * @returns {Array} Leaflet positions [[lat, lon], ...]
+ */
+export const sliceAlong = (index, start, end) => {
+    const from = Math.min(Math.max(start, 0), index.length);
+    const to = Math.min(Math.max(end, from), index.length);
+    const first = pointAlong(index, from);
+    const last = pointAlong(index, to);
+
+    const positions = [[first.lat, first.lon]];
+    for (let i = segmentAt(index, from) + 1; i < index.points.length && index.chainage[i] < to; i++) {
+        positions.push([index.points[i].lat, index.points[i].lon]);
+    }
+    positions.push([last.lat, last.lon]);
+    return positions;
+};
@@ -0,0 +1,198 @@
+const { formatTime } = require('./simulator');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Lateness at which a delayed train raises a warning and a critical alert
+const DEFAULT_DELAY_THRESHOLDS = { warning: 5 * 60, critical: 15 * 60 };
+// Only conflicts starting within this much simulation time are announced
+const CONFLICT_HORIZON_SEC = 30 * 60;
+// Alerts kept in the history
+const MAX_HISTORY = 500;
+
+/**
+ * Generates operational alerts from simulation activity and keeps their history.
+ *
+ * Alerts are raised for
+ * - trains running later than the delay thresholds (warning, critical),
+ * - headway (warning) and head-on (critical) conflicts about to happen,
+ * - trains held between stations (warning),
+ * - trains completing their run (info).
+ * New alerts are pushed to Socket.IO clients as `alert` events.
+ */
+class AlertCenter {
+    /**
+     * @param {Object} io - Socket.IO server instance
+     * @param {Object} options - { delayThresholds: { warning, critical } in seconds }
+     */
+    constructor(io, options = {}) {
+        this.io = io;
+        this.delayThresholds = { ...DEFAULT_DELAY_THRESHOLDS, ...options.delayThresholds };
+        this.alerts = [];
+        this.nextId = 1;
+        // Keys of conditions already alerted, so a condition is only announced once
+        this.raised = new Set();
+    }
+
+    /**
+     * Record a new alert unless the same condition was already announced
+     * @param {Object} details - { type, severity, message, key?, time, train_id?, line?, station?, trains? }
+     * @returns {Object|null} Created alert or null if it is a duplicate
+     */
+    raise(details) {
+        const { key, ...fields } = details;
+        if (key) {
+            if (this.raised.has(key)) return null;
+            this.raised.add(key);
+        }
+
+        const alert = {
+            id: `alert_${this.nextId++}`,
+            created_at: new Date().toISOString(),
+            train_id: null,
+            line: null,
+            station: null,
+            ...fields,
+            acknowledged: false,
+            acknowledged_at: null,
+            acknowledged_by: null,
+            deliveries: []
+        };
+
+        this.alerts.push(alert);
+        if (this.alerts.length > MAX_HISTORY) this.alerts.shift();
+
+        this.io.emit('alert', alert);
+        console.log(`🚨 [${alert.severity}] ${alert.message}`);
+        return alert;
+    }
+
+    /**
+     * Raise alerts for state changes of live trains
+     * @param {Object} liveSimulation - LiveSimulation instance
+     */
+    watch(liveSimulation) {
+        liveSimulation.on('train:state', ({ train, previous, state }) => {
+            // Trains seen for the first time (startup, reloads) have no transition to report
+            if (!previous) return;
+
+            const subject = `${train.train_name || train.train_id} (${train.train_id})`;
+            const common = { train_id: train.train_id, line: train.line || null, time: state.time };
+
+            if (state.status === 'held' && !state.station && previous.status !== 'held') {
+                this.raise({
+                    ...common,
+                    type: 'stopped_between_stations',
+                    severity: 'warning',
+                    message: `${subject} stopped between stations${state.next_station ? ` before ${state.next_station}` : ''}`
+                });
+            }
+
+            if (state.status === 'completed' && previous.status !== 'completed') {
+                this.raise({
+                    ...common,
+                    type: 'train_completed',
+                    severity: 'info',
+                    station: state.station,
+                    message: `${subject} completed its run${state.station ? ` at ${state.station}` : ''}`
+                });
+            }
+        });
+    }
+
+    /**
+     * Raise delay alerts for trains past the thresholds
+     * @param {Array} trains - Per-train rows from computeMetrics ({ train_id, train_name, line, delay_sec })
+     * @param {number} now - Simulation time in seconds
+     */
+    checkDelays(trains, now) {
+        for (const train of trains) {
+            const severity = train.delay_sec >= this.delayThresholds.critical ? 'critical'
+                : train.delay_sec >= this.delayThresholds.warning ? 'warning' : null;
+
+            // A train that recovers can be announced again if it falls behind later
+            if (!severity) {
+                this.raised.delete(`delay:${train.train_id}:warning`);
+                this.raised.delete(`delay:${train.train_id}:critical`);
+                continue;
+            }
+
+            this.raise({
+                key: `delay:${train.train_id}:${severity}`,
+                type: 'delay',
+                severity,
+                train_id: train.train_id,
+                line: train.line,
+                time: formatTime(now),
+                message: `${train.train_name || train.train_id} (${train.train_id}) running ${Math.round(train.delay_sec / 60)} min late`
+            });
+        }
+    }
+
+    /**
+     * Raise alerts for conflicts that are about to happen
+     * @param {Array} conflicts - Conflicts from detectConflicts
+     * @param {number} now - Simulation time in seconds
+     */
+    checkConflicts(conflicts, now) {
+        for (const conflict of conflicts) {
+            if (conflict.end_sec < now || conflict.start_sec - now > CONFLICT_HORIZON_SEC) continue;
+
+            const kind = conflict.type === 'head_on' ? 'Head-on' : 'Headway';
+            this.raise({
+                key: `conflict:${conflict.id}:${conflict.start_sec}`,
+                type: 'conflict',
+                severity: conflict.type === 'head_on' ? 'critical' : 'warning',
+                trains: conflict.trains,
+                station: conflict.section.from,
+                time: formatTime(now),
+                message: `${kind} conflict between ${conflict.trains.join(' and ')} in ${conflict.section.from}–${conflict.section.to} at ${conflict.start_time}`
+            });
+        }
+    }
+
+    /**
+     * Alert history, newest first
+     * @param {Object} filter - { status: 'open' | 'acknowledged', severity, limit }
+     * @returns {Array} Alerts
+     */
+    list(filter = {}) {
+        return this.alerts
+            .filter(alert => !filter.status || alert.acknowledged === (filter.status === 'acknowledged'))
+            .filter(alert => !filter.severity || alert.severity === filter.severity)
+            .reverse()
+            .slice(0, filter.limit || MAX_HISTORY);
+    }
+
+    /**
+     * Look up an alert
+     * @param {string} id - Alert id
+     * @returns {Object|null} Alert
+     */
+    get(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    /**
+     * Mark an alert as seen by an operator
+     * @param {string} id - Alert id
+     * @param {string} by - Who acknowledged it
+     * @returns {Object|null} Updated alert or null if unknown
+     */
+    acknowledge(id, by) {
+        const alert = this.get(id);
+        if (!alert) return null;
+
+        if (!alert.acknowledged) {
+            alert.acknowledged = true;
+            alert.acknowledged_at = new Date().toISOString();
+            alert.acknowledged_by = by || null;
+            this.io.emit('alert:acknowledged', alert);
+        }
+        return alert;
+    }
+}
+
+module.exports = {
+    SEVERITIES,
+    AlertCenter
+};
@@ -0,0 +1,284 @@
+const turf = require('@turf/turf');
+const { formatTime } = require('./simulator');
+
+// Minimum time between two trains entering the same block in the same direction
+const DEFAULT_MIN_HEADWAY_SEC = 180;
+// Automatic signalling splits station-to-station sections into blocks of about this length
+const DEFAULT_BLOCK_LENGTH_M = 1500;
+// Stations further than this from a route are not on it
+const STATION_MATCH_DISTANCE_M = 200;
+
+/**
+ * Stations every route passes, keyed by name, collected from all train station lists
+ * @param {Array} trains - Simulated trains
+ * @returns {Array} Stations { name, lat, lon }
+ */
+function collectStations(trains) {
+    const stations = new Map();
+    for (const train of trains) {
+        for (const station of train.stations || []) {
+            if (!stations.has(station.name)) stations.set(station.name, station);
+        }
+    }
+    return [...stations.values()];
+}
+
+/**
+ * Split a train's route into sections between consecutive stations it passes,
+ * including stations it runs through without stopping
+ * @param {Object} train - Simulated train with route_geometry and schedule
+ * @param {Array} stations - All known stations
+ * @returns {Array} Sections { from, to, start_m, end_m }
+ */
+function routeSections(train, stations) {
+    const line = turf.lineString(train.route_geometry.map(point => [point.lon, point.lat]));
+
+    // The train's own stops use the chainages the simulator computed
+    const stops = new Map((train.schedule || []).map(stop => [stop.station, stop.chainage_m]));
+    const points = [...stops].map(([name, chainage]) => ({ name, chainage }));
+
+    for (const station of stations) {
+        if (stops.has(station.name)) continue;
+        const nearest = turf.nearestPointOnLine(line, turf.point([station.lon, station.lat]), { units: 'meters' });
+        if (nearest.properties.dist <= STATION_MATCH_DISTANCE_M) {
+            points.push({ name: station.name, chainage: nearest.properties.location });
+        }
+    }
+
+    points.sort((a, b) => a.chainage - b.chainage);
+
+    const sections = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        if (points[i + 1].chainage - points[i].chainage <= 0) continue;
+        sections.push({
+            from: points[i].name,
+            to: points[i + 1].name,
+            start_m: points[i].chainage,
+            end_m: points[i + 1].chainage
+        });
+    }
+    return sections;
+}
+
+/**
+ * Time at which a train's chainage first passes a distance, interpolated between samples
+ * @param {Array} samples - Positions with `seconds` and `distance_m`, in time order
+ * @param {number} distance - Chainage in meters
+ * @param {boolean} strict - Require the chainage to be exceeded rather than reached
+ * @returns {number|null} Seconds since midnight or null if never reached
+ */
+function timeAtDistance(samples, distance, strict) {
+    for (let i = 0; i < samples.length; i++) {
+        const current = samples[i];
+        const reached = strict ? current.distance_m > distance : current.distance_m >= distance;
+        if (!reached) continue;
+        if (i === 0) return current.seconds;
+
+        const previous = samples[i - 1];
+        const ratio = (distance - previous.distance_m) / (current.distance_m - previous.distance_m || 1);
+        return previous.seconds + Math.max(0, Math.min(1, ratio)) * (current.seconds - previous.seconds);
+    }
+    return null;
+}
+
+/**
+ * Block occupations of one train: which block it is in, in which direction, and when
+ * @param {Object} train - Simulated train
+ * @param {Array} stations - All known stations
+ * @param {Object} options - { blockLength }
+ * @returns {Array} Occupations
+ */
+function trainOccupations(train, stations, options) {
+    const samples = (train.positions || []).map(position => ({
+        seconds: position.seconds,
+        distance_m: position.distance_m
+    }));
+    const occupations = [];
+
+    for (const section of routeSections(train, stations)) {
+        // Blocks are numbered from the alphabetically first station so both directions agree
+        const forward = section.from < section.to;
+        const key = forward ? `${section.from}|${section.to}` : `${section.to}|${section.from}`;
+
+        // Block count comes from the station spacing so every train uses the same split
+        const a = stations.find(station => station.name === section.from);
+        const b = stations.find(station => station.name === section.to);
+        const spacing = turf.distance([a.lon, a.lat], [b.lon, b.lat], { units: 'meters' });
+        const blockCount = Math.max(1, Math.round(spacing / options.blockLength));
+        const length = section.end_m - section.start_m;
+
+        for (let i = 0; i < blockCount; i++) {
+            const start = section.start_m + (length * i) / blockCount;
+            const end = section.start_m + (length * (i + 1)) / blockCount;
+            const enter = timeAtDistance(samples, start, true);
+            const exit = timeAtDistance(samples, end, false);
+            if (enter === null || exit === null) continue;
+
+            occupations.push({
+                train_id: train.train_id,
+                section: key,
+                from: section.from,
+                to: section.to,
+                block: forward ? i : blockCount - 1 - i,
+                direction: forward ? 1 : -1,
+                start_m: start,
+                end_m: end,
+                enter,
+                exit
+            });
+        }
+    }
+    return occupations;
+}
+
+/**
+ * Route geometry between two chainages, as [longitude, latitude] pairs
+ * @param {Object} train - Simulated train
+ * @param {number} startMeters - Start chainage
+ * @param {number} endMeters - End chainage
+ * @returns {Array} Coordinates
+ */
+function sliceRoute(train, startMeters, endMeters) {
+    const line = turf.lineString(train.route_geometry.map(point => [point.lon, point.lat]));
+    if (endMeters - startMeters <= 0) return [];
+    return turf.lineSliceAlong(line, startMeters, endMeters, { units: 'meters' }).geometry.coordinates;
+}
+
+/**
+ * Detect headway violations and head-on conflicts between simulated trains.
+ *
+ * Routes are split into sections between the stations they pass and each section
+ * into signalling blocks. Two trains conflict when
+ * - they enter the same block in the same direction less than `minHeadway`
+ *   seconds apart, or the follower enters before the leader has left (headway), or
+ * - they occupy the same section in opposite directions at the same time (head-on),
+ *   unless `doubleTrack` is set because each direction has its own line.
+ * Consecutive blocks with the same pair of trains are merged into one conflict.
+ * @param {Array} trains - Simulated trains (positions, schedule, route_geometry)
+ * @param {Object} options - { minHeadway (s), blockLength (m), doubleTrack }
+ * @returns {Array} Conflicts sorted by start time
+ */
+function detectConflicts(trains, options = {}) {
+    const settings = {
+        minHeadway: options.minHeadway || DEFAULT_MIN_HEADWAY_SEC,
+        blockLength: options.blockLength || DEFAULT_BLOCK_LENGTH_M,
+        doubleTrack: Boolean(options.doubleTrack)
+    };
+
+    const routable = trains.filter(train => train.route_geometry && train.route_geometry.length > 1);
+    const trainsById = new Map(routable.map(train => [train.train_id, train]));
+    const stations = collectStations(routable);
+
+    const bySection = new Map();
+    for (const train of routable) {
+        for (const occupation of trainOccupations(train, stations, settings)) {
+            if (!bySection.has(occupation.section)) bySection.set(occupation.section, []);
+            bySection.get(occupation.section).push(occupation);
+        }
+    }
+
+    // pair|type|section -> merged conflict
+    const merged = new Map();
+    // `first` is the train that enters the conflicting block or section first
+    const record = (type, first, second, details) => {
+        const [a, b] = first.train_id < second.train_id ? [first, second] : [second, first];
+        const id = `${type}:${a.train_id}:${b.train_id}:${first.section}`;
+        const start = Math.min(first.enter, second.enter);
+        const end = Math.max(first.exit, second.exit);
+
+        if (!merged.has(id)) {
+            merged.set(id, {
+                id,
+                type,
+                trains: [a.train_id, b.train_id],
+                leader: first.train_id,
+                follower: second.train_id,
+                section: { from: first.from, to: first.to },
+                start,
+                end,
+                enters: new Map(),
+                exits: new Map(),
+                blocks: new Set(),
+                min_headway_sec: null,
+                geometry: []
+            });
+        }
+
+        const conflict = merged.get(id);
+        conflict.start = Math.min(conflict.start, start);
+        conflict.end = Math.max(conflict.end, end);
+        for (const occupation of [first, second]) {
+            const enter = conflict.enters.get(occupation.train_id);
+            const exit = conflict.exits.get(occupation.train_id);
+            conflict.enters.set(occupation.train_id, enter === undefined ? occupation.enter : Math.min(enter, occupation.enter));
+            conflict.exits.set(occupation.train_id, exit === undefined ? occupation.exit : Math.max(exit, occupation.exit));
+        }
+        conflict.blocks.add(first.block);
+        if (details.headway !== undefined) {
+            conflict.min_headway_sec = conflict.min_headway_sec === null
+                ? details.headway
+                : Math.min(conflict.min_headway_sec, details.headway);
+        }
+        conflict.geometry.push({ train: first.train_id, start_m: first.start_m, end_m: first.end_m });
+    };
+
+    for (const occupations of bySection.values()) {
+        for (let i = 0; i < occupations.length; i++) {
+            for (let j = i + 1; j < occupations.length; j++) {
+                const x = occupations[i];
+                const y = occupations[j];
+                if (x.train_id === y.train_id) continue;
+
+                if (x.direction === y.direction && x.block === y.block) {
+                    const [leader, follower] = x.enter <= y.enter ? [x, y] : [y, x];
+                    const headway = follower.enter - leader.enter;
+                    if (headway < settings.minHeadway || follower.enter < leader.exit) {
+                        record('headway', leader, follower, { headway: Math.round(headway) });
+                    }
+                } else if (x.direction !== y.direction && !settings.doubleTrack) {
+                    if (x.enter < y.exit && y.enter < x.exit) {
+                        record('head_on', ...(x.enter <= y.enter ? [x, y] : [y, x]), {});
+                    }
+                }
+            }
+        }
+    }
+
+    return [...merged.values()]
+        .map(conflict => {
+            // Draw the conflict along the first train's route over the affected blocks
+            const parts = conflict.geometry.filter(part => part.train === conflict.geometry[0].train);
+            const startM = Math.min(...parts.map(part => part.start_m));
+            const endM = Math.max(...parts.map(part => part.end_m));
+
+            return {
+                id: conflict.id,
+                type: conflict.type,
+                trains: conflict.trains,
+                leader: conflict.leader,
+                follower: conflict.follower,
+                leader_enter_sec: Math.round(conflict.enters.get(conflict.leader)),
+                follower_enter_sec: Math.round(conflict.enters.get(conflict.follower)),
+                leader_exit_sec: Math.round(conflict.exits.get(conflict.leader)),
+                follower_exit_sec: Math.round(conflict.exits.get(conflict.follower)),
+                section: conflict.section,
+                blocks: conflict.blocks.size,
+                start_time: formatTime(conflict.start),
+                end_time: formatTime(conflict.end),
+                start_sec: Math.round(conflict.start),
+                end_sec: Math.round(conflict.end),
+                min_headway_sec: conflict.min_headway_sec,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: sliceRoute(trainsById.get(conflict.geometry[0].train), startM, endM)
+                }
+            };
+        })
+        .sort((a, b) => a.start_sec - b.start_sec);
+}
+
+module.exports = {
+    DEFAULT_MIN_HEADWAY_SEC,
+    detectConflicts,
+    routeSections
+};
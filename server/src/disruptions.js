@@ -0,0 +1,167 @@
+const { parseTime, formatTime } = require('./simulator');
+
+const DISRUPTION_TYPES = ['train_delay', 'station_closure', 'speed_restriction', 'line_blockage'];
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Resolve a station name or alias against the known stations (case-insensitive)
+ * @param {Map} stations - Stations keyed by lower-case name and alias
+ * @param {string} name - Station name
+ * @returns {Object|null} Station { name, lat, lon }
+ */
+function findStation(stations, name) {
+    if (typeof name !== 'string') return null;
+    return stations.get(name.trim().toLowerCase()) || null;
+}
+
+/**
+ * Validate an incident and normalize it into the form the simulator reads.
+ *
+ * - train_delay: { train_id, delay_sec, station? } - extra dwell at a station, or a
+ *   later departure from the origin when no station is given
+ * - station_closure: { station, start_time?, end_time? } - trains run through without stopping
+ * - speed_restriction: { from, to, speed_kmph, start_time?, end_time? } - speed cap
+ *   on the track between two stations
+ * - line_blockage: { from, to, start_time, end_time } - no train may enter the track
+ *   between two stations until the blockage is lifted
+ * @param {Object} input - Incident from the API
+ * @param {Array} knownStations - Stations { name, lat, lon, aliases? }
+ * @param {Array} trainIds - Known train ids
+ * @returns {Object} { disruption, errors }
+ */
+function normalizeDisruption(input, knownStations, trainIds) {
+    const errors = [];
+    const body = input || {};
+    const stations = new Map(knownStations.flatMap(station => (
+        [station.name, ...(station.aliases || [])].map(name => [name.toLowerCase(), station])
+    )));
+
+    if (!DISRUPTION_TYPES.includes(body.type)) {
+        return { disruption: null, errors: [`type must be one of ${DISRUPTION_TYPES.join(', ')}`] };
+    }
+
+    const disruption = {
+        type: body.type,
+        description: body.description || null,
+        start_time: null,
+        end_time: null,
+        start_sec: null,
+        end_sec: null
+    };
+
+    // Optional time window; incidents without one apply all day
+    for (const field of ['start_time', 'end_time']) {
+        if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+        if (!TIME_PATTERN.test(body[field])) {
+            errors.push(`${field} "${body[field]}" is not a HH:MM[:SS] time`);
+            continue;
+        }
+        disruption[field.replace('time', 'sec')] = parseTime(body[field]);
+        disruption[field] = formatTime(parseTime(body[field]));
+    }
+    if (disruption.start_sec !== null && disruption.end_sec !== null && disruption.end_sec <= disruption.start_sec) {
+        errors.push('end_time must be after start_time');
+    }
+
+    if (body.type === 'train_delay') {
+        const delay = Number(body.delay_sec);
+        if (!trainIds.includes(body.train_id)) errors.push(`Unknown train_id "${body.train_id}"`);
+        if (!Number.isFinite(delay) || delay <= 0) errors.push('delay_sec must be a positive number');
+        disruption.train_id = body.train_id;
+        disruption.delay_sec = Math.round(delay);
+        disruption.station = null;
+        if (body.station) {
+            const station = findStation(stations, body.station);
+            if (!station) errors.push(`Unknown station "${body.station}"`);
+            else disruption.station = station.name;
+        }
+    }
+
+    if (body.type === 'station_closure') {
+        const station = findStation(stations, body.station);
+        if (!station) errors.push(body.station ? `Unknown station "${body.station}"` : 'station is required');
+        else disruption.station = station.name;
+    }
+
+    if (body.type === 'speed_restriction' || body.type === 'line_blockage') {
+        const from = findStation(stations, body.from);
+        const to = findStation(stations, body.to);
+        if (!from) errors.push(body.from ? `Unknown station "${body.from}"` : 'from is required');
+        if (!to) errors.push(body.to ? `Unknown station "${body.to}"` : 'to is required');
+        if (from && to && from.name === to.name) errors.push('from and to must be different stations');
+        if (from && to) {
+            disruption.section = {
+                from: { name: from.name, lat: from.lat, lon: from.lon },
+                to: { name: to.name, lat: to.lat, lon: to.lon }
+            };
+        }
+    }
+
+    if (body.type === 'speed_restriction') {
+        const speed = Number(body.speed_kmph);
+        if (!Number.isFinite(speed) || speed <= 0) errors.push('speed_kmph must be a positive number');
+        disruption.speed_kmph = speed;
+    }
+
+    if (body.type === 'line_blockage' && (disruption.start_sec === null || disruption.end_sec === null)) {
+        errors.push('A line blockage needs start_time and end_time');
+    }
+
+    return { disruption: errors.length === 0 ? disruption : null, errors };
+}
+
+/**
+ * In-memory register of active incidents that the simulator honours
+ */
+class DisruptionRegistry {
+    constructor() {
+        this.disruptions = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Validate and register an incident
+     * @param {Object} input - Incident from the API
+     * @param {Array} knownStations - Stations { name, lat, lon }
+     * @param {Array} trainIds - Known train ids
+     * @returns {Object} { disruption, errors }
+     */
+    create(input, knownStations, trainIds) {
+        const { disruption, errors } = normalizeDisruption(input, knownStations, trainIds);
+        if (!disruption) return { disruption: null, errors };
+
+        const created = {
+            id: `inc_${this.nextId++}`,
+            created_at: new Date().toISOString(),
+            ...disruption
+        };
+        this.disruptions.set(created.id, created);
+        return { disruption: created, errors: [] };
+    }
+
+    /**
+     * All registered incidents in creation order
+     * @returns {Array} Incidents
+     */
+    list() {
+        return [...this.disruptions.values()];
+    }
+
+    /**
+     * Remove an incident
+     * @param {string} id - Incident id
+     * @returns {Object|null} Removed incident, or null if unknown
+     */
+    remove(id) {
+        const disruption = this.disruptions.get(id) || null;
+        this.disruptions.delete(id);
+        return disruption;
+    }
+}
+
+module.exports = {
+    DISRUPTION_TYPES,
+    DisruptionRegistry,
+    normalizeDisruption
+};
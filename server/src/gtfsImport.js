@@ -0,0 +1,281 @@
+const path = require('path');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const csv = require('csv-parser');
+const turf = require('@turf/turf');
+const { parseTime, formatTime, formatServiceTime, estimateLineSpeed } = require('./simulator');
+
+const REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['routes.txt', 'shapes.txt', 'calendar.txt', 'calendar_dates.txt'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a CSV file (GTFS table or timetable upload) into row objects
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array>} Rows keyed by column name
+ */
+function parseCsv(buffer) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        Readable.from([buffer])
+            .pipe(csv({
+                // Feeds exported from Excel often start with a byte order mark
+                mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(),
+                mapValues: ({ value }) => value.trim()
+            }))
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Read the GTFS tables we use from a zip archive
+ * @param {Buffer|string} zipInput - Zip file content or path
+ * @returns {Promise<Object>} Tables keyed by file name without extension
+ */
+async function readGtfsZip(zipInput) {
+    const zip = new AdmZip(zipInput);
+
+    // Some feeds wrap their files in a top-level folder
+    const entries = new Map();
+    for (const entry of zip.getEntries()) {
+        if (!entry.isDirectory) entries.set(path.posix.basename(entry.entryName), entry);
+    }
+
+    const missing = REQUIRED_FILES.filter(file => !entries.has(file));
+    if (missing.length > 0) {
+        throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+    }
+
+    const tables = {};
+    for (const file of [...REQUIRED_FILES, ...OPTIONAL_FILES]) {
+        const entry = entries.get(file);
+        tables[file.replace('.txt', '')] = entry ? await parseCsv(entry.getData()) : [];
+    }
+    return tables;
+}
+
+/**
+ * Normalise a date to GTFS YYYYMMDD form
+ * @param {string} date - YYYY-MM-DD or YYYYMMDD
+ * @returns {string} YYYYMMDD
+ */
+function toGtfsDate(date) {
+    const compact = String(date).replace(/-/g, '');
+    if (!/^\d{8}$/.test(compact)) {
+        throw new Error(`Invalid service date "${date}": expected YYYY-MM-DD or YYYYMMDD`);
+    }
+    return compact;
+}
+
+/**
+ * Service ids running on a given date, from calendar.txt and calendar_dates.txt
+ * @param {Object} tables - GTFS tables
+ * @param {string} date - YYYYMMDD
+ * @returns {Set} Active service ids
+ */
+function activeServices(tables, date) {
+    const year = Number(date.slice(0, 4));
+    const month = Number(date.slice(4, 6));
+    const day = Number(date.slice(6, 8));
+    const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+    const services = new Set();
+    for (const row of tables.calendar) {
+        if (row[weekday] === '1' && row.start_date <= date && row.end_date >= date) {
+            services.add(row.service_id);
+        }
+    }
+
+    // exception_type 1 adds service on the date, 2 removes it
+    for (const row of tables.calendar_dates) {
+        if (row.date !== date) continue;
+        if (row.exception_type === '1') services.add(row.service_id);
+        if (row.exception_type === '2') services.delete(row.service_id);
+    }
+
+    return services;
+}
+
+/**
+ * Route geometry per shape_id from shapes.txt
+ * @param {Array} shapeRows - shapes.txt rows
+ * @returns {Map} shape_id -> [{ lat, lon }]
+ */
+function buildShapes(shapeRows) {
+    const shapes = new Map();
+    for (const row of shapeRows) {
+        if (!shapes.has(row.shape_id)) shapes.set(row.shape_id, []);
+        shapes.get(row.shape_id).push({
+            sequence: Number(row.shape_pt_sequence),
+            lat: Number(row.shape_pt_lat),
+            lon: Number(row.shape_pt_lon)
+        });
+    }
+
+    for (const [shapeId, points] of shapes) {
+        points.sort((a, b) => a.sequence - b.sequence);
+        shapes.set(shapeId, points.map(({ lat, lon }) => ({ lat, lon })));
+    }
+    return shapes;
+}
+
+/**
+ * Resolve each stop to the station it belongs to.
+ * Platforms (location_type 0 with a parent_station) are reported as their parent
+ * so all trips calling at a station share one name and position.
+ * @param {Array} stopRows - stops.txt rows
+ * @returns {Map} stop_id -> { name, lat, lon, gtfs_stop_id }
+ */
+function buildStations(stopRows) {
+    const stops = new Map(stopRows.map(row => [row.stop_id, row]));
+    const stations = new Map();
+
+    for (const row of stopRows) {
+        const station = row.parent_station && stops.has(row.parent_station)
+            ? stops.get(row.parent_station)
+            : row;
+
+        stations.set(row.stop_id, {
+            name: station.stop_name,
+            lat: Number(station.stop_lat),
+            lon: Number(station.stop_lon),
+            gtfs_stop_id: station.stop_id,
+            // Kept per stop so station boards can show where trains call
+            platform: row.platform_code || null
+        });
+    }
+    return stations;
+}
+
+/**
+ * Convert parsed GTFS tables into train services
+ * @param {Object} tables - GTFS tables from readGtfsZip
+ * @param {Object} options - { date: 'YYYY-MM-DD', routes: [route_id or short name], limit }
+ * @returns {Object} { trains, stations, metadata }
+ */
+function convertGtfsFeed(tables, options = {}) {
+    const routes = new Map(tables.routes.map(row => [row.route_id, row]));
+    const shapes = buildShapes(tables.shapes);
+    const stations = buildStations(tables.stops);
+    const services = options.date ? activeServices(tables, toGtfsDate(options.date)) : null;
+    const routeFilter = options.routes && options.routes.length > 0 ? new Set(options.routes) : null;
+
+    const stopTimes = new Map();
+    for (const row of tables.stop_times) {
+        if (!stopTimes.has(row.trip_id)) stopTimes.set(row.trip_id, []);
+        stopTimes.get(row.trip_id).push(row);
+    }
+
+    const trains = [];
+    const usedStations = new Map();
+    const skipped = [];
+
+    for (const trip of tables.trips) {
+        if (options.limit && trains.length >= options.limit) break;
+
+        const route = routes.get(trip.route_id) || {};
+        const line = route.route_short_name || route.route_long_name || trip.route_id;
+
+        if (services && !services.has(trip.service_id)) continue;
+        if (routeFilter && !routeFilter.has(trip.route_id) && !routeFilter.has(line)) continue;
+
+        const calls = (stopTimes.get(trip.trip_id) || [])
+            .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence))
+            .filter(call => stations.has(call.stop_id));
+
+        if (calls.length < 2) {
+            skipped.push({ trip_id: trip.trip_id, reason: 'fewer than two stops' });
+            continue;
+        }
+
+        // Intermediate stops may be untimed; halts are only known where both times are given
+        const tripStations = calls.map(call => {
+            const { platform, ...station } = stations.get(call.stop_id);
+            const arrival = call.arrival_time ? parseTime(call.arrival_time) : null;
+            const departure = call.departure_time ? parseTime(call.departure_time) : null;
+            usedStations.set(station.name, station);
+
+            return {
+                name: station.name,
+                lat: station.lat,
+                lon: station.lon,
+                gtfs_stop_id: station.gtfs_stop_id,
+                halt_time_sec: arrival !== null && departure !== null ? Math.max(departure - arrival, 0) : 0,
+                ...(platform && { platform })
+            };
+        });
+        tripStations[tripStations.length - 1].halt_time_sec = 0;
+
+        const first = calls[0];
+        const last = calls[calls.length - 1];
+        const departure = parseTime(first.departure_time || first.arrival_time);
+        const arrival = parseTime(last.arrival_time || last.departure_time);
+
+        const routeGeometry = shapes.get(trip.shape_id) ||
+            tripStations.map(({ lat, lon }) => ({ lat, lon }));
+
+        const routeLength = turf.length(
+            turf.lineString(routeGeometry.map(point => [point.lon, point.lat])),
+            { units: 'meters' }
+        );
+        const haltTime = tripStations.slice(1).reduce((total, station) => total + station.halt_time_sec, 0);
+
+        const origin = tripStations[0].name;
+        const destination = tripStations[tripStations.length - 1].name;
+
+        trains.push({
+            train_id: trip.trip_id,
+            train_name: `${origin} → ${destination}${trip.trip_short_name ? ` (${trip.trip_short_name})` : ''}`,
+            origin_station: origin,
+            destination_station: destination,
+            line: line,
+            departure_time: formatTime(departure),
+            speed_kmph: estimateLineSpeed(routeLength, arrival - departure - haltTime, tripStations.length - 1),
+            stations: tripStations,
+            route_geometry: routeGeometry,
+            gtfs: {
+                trip_id: trip.trip_id,
+                route_id: trip.route_id,
+                service_id: trip.service_id,
+                shape_id: trip.shape_id || null,
+                headsign: trip.trip_headsign || null,
+                // departure_time wraps past midnight; trip updates need the feed's own start time
+                start_time: formatServiceTime(departure)
+            }
+        });
+    }
+
+    return {
+        trains,
+        stations: [...usedStations.values()],
+        metadata: {
+            service_date: options.date || null,
+            trip_count: tables.trips.length,
+            imported_count: trains.length,
+            skipped
+        }
+    };
+}
+
+/**
+ * Import train services from a GTFS static zip
+ * @param {Buffer|string} zipInput - Zip file content or path
+ * @param {Object} options - See convertGtfsFeed
+ * @returns {Promise<Object>} { trains, stations, metadata }
+ */
+async function importGtfsFeed(zipInput, options = {}) {
+    const tables = await readGtfsZip(zipInput);
+    const feed = convertGtfsFeed(tables, options);
+    console.log(`🚆 Imported ${feed.trains.length} of ${feed.metadata.trip_count} GTFS trips`);
+    return feed;
+}
+
+module.exports = {
+    parseCsv,
+    readGtfsZip,
+    convertGtfsFeed,
+    importGtfsFeed
+};
@@ -0,0 +1,236 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { parseTime, formatServiceTime } = require('./simulator');
+
+const { FeedMessage, VehiclePosition, TripDescriptor, TripUpdate } = GtfsRealtimeBindings.transit_realtime;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * POSIX time for a simulation clock time on the given service day
+ * @param {Date} serviceDay - Local midnight of the service day
+ * @param {number} seconds - Seconds since midnight (may exceed 24h for trips past midnight)
+ * @returns {number} Seconds since the epoch
+ */
+function toPosixTime(serviceDay, seconds) {
+    return Math.floor(serviceDay.getTime() / 1000) + Math.round(seconds);
+}
+
+/**
+ * Local midnight of today, used as the service day for the simulation clock
+ * @returns {Date} Service day
+ */
+function currentServiceDay() {
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Service day a train's run belongs to: the day before the clock's day while a run
+ * that set off before midnight (or is timetabled past 24:00:00) is still under way
+ * @param {Object} liveSimulation - LiveSimulation instance
+ * @param {string} trainId - Train identifier
+ * @param {Date} serviceDay - Service day of the simulation clock
+ * @returns {Date} Service day of the train
+ */
+function trainServiceDay(liveSimulation, trainId, serviceDay) {
+    if (liveSimulation.serviceTime(trainId) < SECONDS_PER_DAY) return serviceDay;
+
+    const previous = new Date(serviceDay);
+    previous.setDate(previous.getDate() - 1);
+    return previous;
+}
+
+/**
+ * Format a service day as GTFS YYYYMMDD
+ * @param {Date} serviceDay - Service day
+ * @returns {string} YYYYMMDD
+ */
+function formatServiceDate(serviceDay) {
+    const month = String(serviceDay.getMonth() + 1).padStart(2, '0');
+    const day = String(serviceDay.getDate()).padStart(2, '0');
+    return `${serviceDay.getFullYear()}${month}${day}`;
+}
+
+/**
+ * GTFS stop_id for a station of a simulated train (station name when not imported from GTFS)
+ * @param {Object} train - Simulated train
+ * @param {string} stationName - Station name
+ * @returns {string|null} stop_id
+ */
+function stopIdFor(train, stationName) {
+    if (!stationName) return null;
+    const station = (train.stations || []).find(candidate => candidate.name === stationName);
+    return station && station.gtfs_stop_id ? station.gtfs_stop_id : stationName;
+}
+
+/**
+ * Trip descriptor shared by vehicle positions and trip updates
+ * @param {Object} train - Simulated train
+ * @param {Date} serviceDay - Service day of the train (see trainServiceDay)
+ * @returns {Object} TripDescriptor fields
+ */
+function tripDescriptor(train, serviceDay) {
+    // GTFS start_time is the scheduled departure from the first stop, not the boarding dwell
+    const startTime = parseTime(train.gtfs && train.gtfs.start_time ? train.gtfs.start_time : train.departure_time);
+
+    return {
+        tripId: train.train_id,
+        routeId: train.gtfs ? train.gtfs.route_id : train.line,
+        startTime: formatServiceTime(startTime),
+        startDate: formatServiceDate(serviceDay),
+        scheduleRelationship: TripDescriptor.ScheduleRelationship.SCHEDULED
+    };
+}
+
+/**
+ * Feed header for a full-dataset feed
+ * @param {number} timestamp - POSIX time of the simulation clock
+ * @returns {Object} FeedHeader fields
+ */
+function feedHeader(timestamp) {
+    return {
+        gtfsRealtimeVersion: '2.0',
+        incrementality: GtfsRealtimeBindings.transit_realtime.FeedHeader.Incrementality.FULL_DATASET,
+        timestamp
+    };
+}
+
+/**
+ * Build a VehiclePositions feed from the live simulation.
+ * Trains that have not started or have completed their run are left out.
+ * @param {Object} liveSimulation - LiveSimulation instance
+ * @param {Date} serviceDay - Service day (defaults to today)
+ * @returns {Object} FeedMessage
+ */
+function buildVehiclePositionsFeed(liveSimulation, serviceDay = currentServiceDay()) {
+    const clock = liveSimulation.getClock();
+    const timestamp = toPosixTime(serviceDay, clock.seconds);
+    const entity = [];
+
+    for (const { train, state } of liveSimulation.getTrainStates()) {
+        if (state.lat === null || state.status === 'completed') continue;
+
+        // At a platform the vehicle is stopped at that station, otherwise heading to the next one
+        const stopped = Boolean(state.station);
+        const stopId = stopIdFor(train, stopped ? state.station : state.next_station);
+
+        entity.push({
+            id: `vehicle-${train.train_id}`,
+            vehicle: {
+                trip: tripDescriptor(train, trainServiceDay(liveSimulation, train.train_id, serviceDay)),
+                vehicle: { id: train.train_id, label: train.train_name },
+                position: {
+                    latitude: state.lat,
+                    longitude: state.lon,
+                    ...(state.bearing !== null && { bearing: state.bearing }),
+                    speed: state.speed / 3.6
+                },
+                currentStatus: stopped
+                    ? VehiclePosition.VehicleStopStatus.STOPPED_AT
+                    : VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO,
+                ...(stopId && { stopId }),
+                timestamp
+            }
+        });
+    }
+
+    return FeedMessage.fromObject({ header: feedHeader(timestamp), entity });
+}
+
+/**
+ * Build a TripUpdates feed from the live simulation.
+ * Stops the train has not yet served are predicted from the live simulation, so
+ * an injected delay only moves the stops the train had not reached when it was held.
+ * Delays are measured against the planned run of the timetable where one is given,
+ * so waits added by disruptions and rescheduling plans are reported too.
+ * @param {Object} liveSimulation - LiveSimulation instance
+ * @param {Map} planned - train_id -> simulated run of the timetable (optional)
+ * @param {Date} serviceDay - Service day (defaults to today)
+ * @returns {Object} FeedMessage
+ */
+function buildTripUpdatesFeed(liveSimulation, planned = new Map(), serviceDay = currentServiceDay()) {
+    const clock = liveSimulation.getClock();
+    const timestamp = toPosixTime(serviceDay, clock.seconds);
+    const entity = [];
+
+    for (const { train, state } of liveSimulation.getTrainStates()) {
+        if (state.status === 'completed') continue;
+
+        const stopTimeUpdate = [];
+        const trainDay = trainServiceDay(liveSimulation, train.train_id, serviceDay);
+        const now = liveSimulation.serviceTime(train.train_id);
+        const reference = planned.get(train.train_id);
+        // Expected time of a scheduled event and its delay against the planned stop
+        const event = (seconds, plannedStop, field) => {
+            const time = liveSimulation.eventTime(train.train_id, seconds);
+            const scheduled = plannedStop && plannedStop[field] !== null ? plannedStop[field] : seconds;
+            return { delay: Math.round(time - scheduled), time: toPosixTime(trainDay, time) };
+        };
+
+        (train.schedule || []).forEach((stop, index) => {
+            const plannedStop = reference && reference.schedule[index] && reference.schedule[index].station === stop.station
+                ? reference.schedule[index]
+                : null;
+            const lastEvent = stop.departure_sec !== null ? stop.departure_sec : stop.arrival_sec;
+            if (liveSimulation.eventTime(train.train_id, lastEvent) < now) return;
+
+            // Stations closed by a disruption are passed without stopping
+            if (stop.skipped) {
+                stopTimeUpdate.push({
+                    stopSequence: index + 1,
+                    stopId: stopIdFor(train, stop.station),
+                    scheduleRelationship: TripUpdate.StopTimeUpdate.ScheduleRelationship.SKIPPED
+                });
+                return;
+            }
+
+            stopTimeUpdate.push({
+                stopSequence: index + 1,
+                stopId: stopIdFor(train, stop.station),
+                ...(stop.arrival_sec !== null && { arrival: event(stop.arrival_sec, plannedStop, 'arrival_sec') }),
+                ...(stop.departure_sec !== null && { departure: event(stop.departure_sec, plannedStop, 'departure_sec') })
+            });
+        });
+
+        if (stopTimeUpdate.length === 0) continue;
+
+        entity.push({
+            id: `trip-${train.train_id}`,
+            tripUpdate: {
+                trip: tripDescriptor(train, trainDay),
+                vehicle: { id: train.train_id, label: train.train_name },
+                stopTimeUpdate,
+                delay: state.delay_sec,
+                timestamp
+            }
+        });
+    }
+
+    return FeedMessage.fromObject({ header: feedHeader(timestamp), entity });
+}
+
+/**
+ * Serialize a feed to protobuf bytes
+ * @param {Object} feed - FeedMessage
+ * @returns {Buffer} Encoded feed
+ */
+function encodeFeed(feed) {
+    return Buffer.from(FeedMessage.encode(feed).finish());
+}
+
+/**
+ * Plain-object form of a feed for debugging (enum names, numeric timestamps)
+ * @param {Object} feed - FeedMessage
+ * @returns {Object} JSON-friendly feed
+ */
+function feedToJson(feed) {
+    return FeedMessage.toObject(feed, { enums: String, longs: Number });
+}
+
+module.exports = {
+    buildVehiclePositionsFeed,
+    buildTripUpdatesFeed,
+    encodeFeed,
+    feedToJson
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side files named in import requests must live under this directory; uploads are not affected
+const IMPORT_DIR = path.resolve(process.env.IMPORT_DIR || path.join(__dirname, '..', 'data'));
+
+/**
+ * Resolve a "path" sent to an import endpoint to a file inside IMPORT_DIR.
+ * Relative paths are taken from IMPORT_DIR and symlinks are followed before
+ * checking, so neither "../" nor a link can reach other files on the server.
+ * @param {string} requested - Path from the request
+ * @returns {Promise<string|null>} Absolute path, or null when it points outside IMPORT_DIR
+ */
+async function resolveImportPath(requested) {
+    if (typeof requested !== 'string' || requested.trim() === '') return null;
+
+    const root = await fs.promises.realpath(IMPORT_DIR).catch(() => IMPORT_DIR);
+    const candidate = path.resolve(root, requested);
+    // A missing file is reported by the importer; only its location is checked here
+    const resolved = await fs.promises.realpath(candidate).catch(() => candidate);
+    return resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+module.exports = {
+    IMPORT_DIR,
+    resolveImportPath
+};
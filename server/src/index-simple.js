@@ -1,162 +1,92 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const multer = require('multer');
+const { Server } = require('socket.io');
+const { simulateTrain, parseTime } = require('./simulator');
+const { LiveSimulation, MIN_SPEED, MAX_SPEED } = require('./realtime');
+const { detectConflicts } = require('./conflicts');
+const { corridorNames, buildStringLine } = require('./stringLine');
+const { buildStationBoard } = require('./stationBoard');
+const { TimetableRevision, proposeReschedule, simulateWithDelays } = require('./reschedule');
+const { DisruptionRegistry, DISRUPTION_TYPES } = require('./disruptions');
+const { computeMetrics, plannedRun } = require('./metrics');
+const { AlertCenter, SEVERITIES } = require('./alerts');
+const { CHANNELS, channelConfig, dispatchAlerts } = require('./notifier');
+const { getStore, seedTrainsFromFile } = require('./store');
+const { getStationRegistry } = require('./stations');
+const { getRegion, listRegions } = require('./regions');
+const { fetchStationsFromOverpass } = require('./osm');
+const { parseStationExtract, loadStationExtractFromFile } = require('./osmImport');
+const { resolveImportPath } = require('./importPaths');
+const { importGtfsFeed } = require('./gtfsImport');
+const { parseTimetableCsv } = require('./timetableImport');
+const { app: trackApi, ENDPOINTS: TRACK_ENDPOINTS, initializeTracks } = require('./index');
+const { buildVehiclePositionsFeed, buildTripUpdatesFeed, encodeFeed, feedToJson } = require('./gtfsRealtime');
 
 const app = express();
+const server = http.createServer(app);
+const io = new Server(server, {
+    cors: { origin: '*' }
+});
 const PORT = process.env.PORT || 3001;
 
+// Uploaded timetable feeds are parsed in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024 } // 200 MB
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Load Mumbai trains data
-let mumbaiTrainsData = [];
-try {
-    const mumbaiTrainsPath = path.join(__dirname, '..', 'data', 'mumbaiTrains.json');
-    if (fs.existsSync(mumbaiTrainsPath)) {
-        mumbaiTrainsData = JSON.parse(fs.readFileSync(mumbaiTrainsPath, 'utf8'));
-        console.log(`📊 Loaded ${mumbaiTrainsData.length} Mumbai trains from data file`);
-    } else {
-        console.warn('⚠️  Mumbai trains data file not found');
-    }
-} catch (error) {
-    console.error('❌ Failed to load Mumbai trains data:', error.message);
+const store = getStore();
+
+// Region whose timetable this server simulates (REGION, or the default region)
+const simulationRegion = getRegion(process.env.REGION);
+if (!simulationRegion) {
+    console.error(`❌ Unknown region "${process.env.REGION}"; configured: ${listRegions().map(region => region.id).join(', ')}`);
+    process.exit(1);
 }
 
-// Mock Mumbai railway tracks for development
-const mockMumbaiTracks = {
-    "type": "FeatureCollection",
-    "features": [
-        {
-            "type": "Feature",
-            "properties": {
-                "railway": "rail",
-                "name": "Western Railway Line",
-                "operator": "Western Railway",
-                "electrified": "yes",
-                "gauge": "1676"
-            },
-            "geometry": {
-                "type": "LineString",
-                "coordinates": [
-                    [72.8258, 18.9220], // Churchgate
-                    [72.8250, 18.9407], // Marine Lines
-                    [72.8205, 18.9584], // Grant Road
-                    [72.8246, 19.0021], // Lower Parel
-                    [72.8471, 19.0182], // Dadar
-                    [72.8289, 19.0660], // Santacruz
-                    [72.8460, 19.1191], // Andheri
-                    [72.8415, 19.1592], // Goregaon
-                    [72.8412, 19.1818], // Malad
-                    [72.8560, 19.2273], // Kandivali
-                    [72.8560, 19.2400]  // Borivali
-                ]
-            }
-        },
-        {
-            "type": "Feature",
-            "properties": {
-                "railway": "rail",
-                "name": "Central Railway Line",
-                "operator": "Central Railway",
-                "electrified": "yes",
-                "gauge": "1676"
-            },
-            "geometry": {
-                "type": "LineString",
-                "coordinates": [
-                    [72.8350, 18.9400], // CST
-                    [72.8433, 18.9972], // Byculla
-                    [72.8471, 19.0182], // Dadar
-                    [72.8553, 19.0370], // Sion
-                    [72.8677, 19.0660], // Kurla
-                    [72.8981, 19.0723], // Ghatkopar
-                    [72.9511, 19.1375], // Bhandup
-                    [72.9623, 19.1512], // Mulund
-                    [72.9714, 19.1620], // Nahur
-                    [72.9781, 19.2183]  // Thane
-                ]
-            }
-        },
-        {
-            "type": "Feature",
-            "properties": {
-                "railway": "rail",
-                "name": "Harbour Line",
-                "operator": "Central Railway",
-                "electrified": "yes",
-                "gauge": "1676"
-            },
-            "geometry": {
-                "type": "LineString",
-                "coordinates": [
-                    [72.8350, 18.9400], // CST
-                    [72.8677, 19.0660], // Kurla
-                    [73.0186, 19.0594], // Vashi
-                    [73.0179, 19.0319], // Belapur
-                    [73.1171, 18.9876]  // Panvel
-                ]
-            }
-        }
-    ],
-    "metadata": {
-        "fetchedAt": new Date().toISOString(),
-        "trackCount": 3,
-        "source": "mock_data"
-    }
-};
+// Active train services, reloaded from the store on startup
+let mumbaiTrainsData = [];
+
+// Canonical stations (ids, aliases, lines, interchanges) that train stops must reference
+const stationRegistry = getStationRegistry();
+const STATIONS_FILE = process.env.STATIONS_FILE || simulationRegion.stations_file;
+
+// Result of checking the loaded trains against the station registry
+let stationValidation = null;
+
+// Recently proposed rescheduling plans, kept until applied or superseded
+const reschedulePlans = new Map();
+const MAX_STORED_PLANS = 10;
+
+// Applied plans, kept as regulations on top of the stored timetable until reverted
+const timetableRevision = new TimetableRevision();
+
+// Incidents (delays, closures, speed restrictions, blockages) honoured by every simulation
+const disruptions = new DisruptionRegistry();
 
 // Generate realistic train simulation
 function generateTrainSimulation(trains) {
-    const currentTime = new Date();
-    const results = trains.map(train => {
-        const positions = [];
-        
-        // Generate positions for the next 8 hours with 30-second intervals
-        for (let minutes = 0; minutes < 480; minutes += 0.5) {
-            const totalTime = 8 * 60; // 8 hours in minutes
-            const progress = Math.min(minutes / totalTime, 1);
-            
-            // Interpolate between start and end stations
-            const route = train.route_geometry;
-            if (route && route.length > 1) {
-                const segmentIndex = Math.floor(progress * (route.length - 1));
-                const segmentProgress = (progress * (route.length - 1)) - segmentIndex;
-                
-                const startPoint = route[segmentIndex];
-                const endPoint = route[Math.min(segmentIndex + 1, route.length - 1)];
-                
-                const lat = startPoint.lat + (endPoint.lat - startPoint.lat) * segmentProgress;
-                const lon = startPoint.lon + (endPoint.lon - startPoint.lon) * segmentProgress;
-                
-                const time = new Date(currentTime.getTime() + minutes * 60000);
-                const timeStr = time.toTimeString().slice(0, 8);
-                
-                positions.push({
-                    time: timeStr,
-                    lat: lat,
-                    lon: lon,
-                    speed: train.speed_kmph || 40,
-                    status: progress >= 1 ? 'completed' : 'running'
-                });
-            }
-        }
-        
-        return {
-            train_id: train.train_id,
-            train_name: train.train_name,
+    const regulations = timetableRevision.regulations();
+    const results = trains
+        .filter(train => train.route_geometry && train.route_geometry.length > 1)
+        .map(train => ({
+            ...simulateTrain(train, { disruptions: disruptions.list(), regulations: regulations[train.train_id] || [] }),
             train_type: train.train_id.includes('express') ? 'express' : 'local',
             origin_station: train.origin_station,
             destination_station: train.destination_station,
             departure_time: train.departure_time,
             speed_kmph: train.speed_kmph,
-            positions: positions,
-            route_geometry: train.route_geometry,
-            stations: train.stations,
+            line: train.line,
+            gtfs: train.gtfs || null,
             status: 'running'
-        };
-    });
+        }));
     
     return {
         success: true,
@@ -170,56 +100,207 @@ function generateTrainSimulation(trains) {
     };
 }
 
-// Routes
+// Server-owned simulation clock streamed to clients over Socket.IO
+const liveSimulation = new LiveSimulation(io, {
+    region: simulationRegion.id,
+    startTime: process.env.SIM_START_TIME,
+    speed: process.env.SIM_SPEED
+});
+
+// Alerts raised from live train state changes and periodic delay/conflict checks
+const alertCenter = new AlertCenter(io);
+alertCenter.watch(liveSimulation);
+const DELAY_CHECK_MS = 15000;
+const CONFLICT_CHECK_MS = 60000;
 
 /**
- * GET /api/health - Health check endpoint
+ * Raise alerts for late trains
  */
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '1.0.0',
-        trains_loaded: mumbaiTrainsData.length,
-        services: {
-            backend: 'healthy',
-            osm_tracks: 'mock_data',
-            train_simulation: 'mock_mode'
-        }
+function checkDelayAlerts() {
+    try {
+        const { trains } = computeMetrics(liveSimulation, mumbaiTrainsData);
+        alertCenter.checkDelays(trains, liveSimulation.getClock().seconds);
+    } catch (error) {
+        console.error('❌ Delay alert check failed:', error.message);
+    }
+}
+
+/**
+ * Conflicts between trains as they are running now: injected delays and applied plans
+ * are simulated the same way /api/reschedule/plan does, so both report the same conflicts
+ * @param {Object} options - detectConflicts options (minHeadway, blockLength, doubleTrack)
+ * @returns {Array} Conflicts
+ */
+function currentConflicts(options = {}) {
+    const runs = simulateWithDelays(mumbaiTrainsData, {
+        holds: liveSimulation.getHolds(),
+        regulations: timetableRevision.regulations(),
+        disruptions: disruptions.list()
     });
-});
+    return detectConflicts(runs, options);
+}
 
 /**
- * GET /api/mumbai - Get Mumbai railway tracks
+ * Raise alerts for upcoming conflicts
  */
-app.get('/api/mumbai', (req, res) => {
+function checkConflictAlerts() {
     try {
-        console.log('📍 Serving Mumbai railway tracks (mock data)');
-        res.json(mockMumbaiTracks);
+        const conflicts = currentConflicts();
+        alertCenter.checkConflicts(conflicts, liveSimulation.getClock().seconds);
+    } catch (error) {
+        console.error('❌ Conflict alert check failed:', error.message);
+    }
+}
+
+/**
+ * Reload train services from the store and hand them to the live clock.
+ * Applied plans were made for the previous timetable, so they are reverted.
+ */
+async function loadTrainData() {
+    if (timetableRevision.revert().length > 0) console.log('🔄 Timetable changed; applied rescheduling plans reverted');
+    reschedulePlans.clear();
+    stationRegistry.addStations(await store.getStations(), 'store');
+    const trains = await store.getTrains();
+    stationValidation = stationRegistry.validateTrains(trains);
+    mumbaiTrainsData = trains.map(train => stationRegistry.annotateTrain(train));
+    console.log(`📊 Loaded ${mumbaiTrainsData.length} ${simulationRegion.name} trains from ${store.kind} storage`);
+    if (!stationValidation.valid || stationValidation.warnings.length > 0) {
+        console.warn(`⚠️  Station check: ${stationValidation.errors.length} error(s), ${stationValidation.warnings.length} warning(s) (see /api/stations/validation)`);
+    }
+    liveSimulation.loadTrains(generateTrainSimulation(mumbaiTrainsData).trains);
+}
+
+// Routes
+
+/**
+ * GET /api/trains/mumbai - Train services of the simulated region (path kept for older clients)
+ */
+app.get('/api/trains/mumbai', async (req, res) => {
+    try {
+        const trains = await store.getTrains();
+        res.json({
+            success: true,
+            trains: trains,
+            count: trains.length,
+            region: simulationRegion.id,
+            description: `${simulationRegion.name} trains with realistic schedules and routes`
+        });
     } catch (error) {
-        console.error('❌ Error serving Mumbai tracks:', error);
         res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to fetch Mumbai railway data'
+            error: 'Failed to get trains',
+            message: error.message
         });
     }
 });
 
 /**
- * GET /api/trains/mumbai - Get Mumbai trains data
+ * POST /api/trains/import - Merge trains from a CSV timetable into the active train set
+ * Upload the CSV as multipart field "file" or send it as a text/csv body.
+ * One row per stop: train_id, sequence, station, and optionally train_name, line,
+ * arrival, departure (HH:MM[:SS]), halt_sec, speed_kmph.
+ * Query parameters:
+ * - dry_run: "true" to validate without saving
  */
-app.get('/api/trains/mumbai', (req, res) => {
+app.post('/api/trains/import', upload.single('file'), express.text({ type: ['text/csv', 'text/plain'] }), async (req, res) => {
     try {
+        const content = req.file ? req.file.buffer : (typeof req.body === 'string' ? req.body : null);
+        if (!content) {
+            return res.status(400).json({
+                error: 'Missing timetable',
+                message: 'Upload a CSV in the "file" field or send it with Content-Type text/csv',
+                columns: ['train_id', 'train_name', 'line', 'sequence', 'station', 'arrival', 'departure', 'halt_sec', 'speed_kmph']
+            });
+        }
+
+        const { trains, errors, rowCount } = await parseTimetableCsv(content, stationRegistry.list());
+        const dryRun = req.query.dry_run === 'true';
+
+        if (trains.length === 0) {
+            return res.status(422).json({
+                error: 'No valid trains in timetable',
+                message: `${errors.length} error(s) in ${rowCount} row(s)`,
+                errors: errors
+            });
+        }
+
+        if (!dryRun) {
+            await store.saveTrains(trains);
+            await loadTrainData();
+        }
+
         res.json({
             success: true,
-            trains: mumbaiTrainsData,
-            count: mumbaiTrainsData.length,
-            description: '5 Mumbai local trains with realistic schedules and routes'
+            dry_run: dryRun,
+            imported: trains.map(train => train.train_id),
+            rejected_rows: errors.length,
+            errors: errors
         });
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to get Mumbai trains',
+        console.error('❌ Timetable import failed:', error);
+        res.status(400).json({
+            error: 'Timetable import failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/trains/import/gtfs - Replace train services with trips from a GTFS static zip
+ * Either upload the zip as multipart field "file" or send JSON { "path": "gtfs.zip" } for a file under IMPORT_DIR.
+ * Optional fields (query or body):
+ * - date: only import trips running on this service date (YYYY-MM-DD)
+ * - routes: comma-separated route_ids or route short names
+ * - limit: maximum number of trips
+ */
+app.post('/api/trains/import/gtfs', upload.single('file'), async (req, res) => {
+    try {
+        const params = { ...req.query, ...req.body };
+
+        if (!req.file && !params.path) {
+            return res.status(400).json({
+                error: 'Missing GTFS feed',
+                message: 'Upload a zip in the "file" field or provide a server-side "path"',
+                example: { path: 'mumbai-suburban-gtfs.zip', date: '2025-10-01' }
+            });
+        }
+
+        const zipInput = req.file ? req.file.buffer : await resolveImportPath(params.path);
+        if (!zipInput) {
+            return res.status(403).json({
+                error: 'Path not allowed',
+                message: 'Server-side feeds must be files in the import directory (IMPORT_DIR)'
+            });
+        }
+
+        const feed = await importGtfsFeed(zipInput, {
+            date: params.date,
+            routes: params.routes ? String(params.routes).split(',').map(route => route.trim()) : [],
+            limit: parseInt(params.limit, 10) || 0
+        });
+
+        if (feed.trains.length === 0) {
+            return res.status(422).json({
+                error: 'No trips imported',
+                message: 'The feed has no trips matching the requested date and routes',
+                metadata: feed.metadata
+            });
+        }
+
+        await store.replaceTrains(feed.trains);
+        await store.saveStations(feed.stations);
+        stationRegistry.addStations(feed.stations, 'gtfs');
+        await loadTrainData();
+
+        res.json({
+            success: true,
+            trains_count: feed.trains.length,
+            stations_count: feed.stations.length,
+            metadata: feed.metadata
+        });
+    } catch (error) {
+        console.error('❌ GTFS import failed:', error);
+        res.status(400).json({
+            error: 'GTFS import failed',
             message: error.message
         });
     }
@@ -228,22 +309,28 @@ app.get('/api/trains/mumbai', (req, res) => {
 /**
  * GET /api/osrd/simulation - Get OSRD simulation (mock mode)
  */
-app.get('/api/osrd/simulation', (req, res) => {
+app.get('/api/osrd/simulation', async (req, res) => {
     try {
-        if (mumbaiTrainsData.length === 0) {
+        const trains = await store.getTrains();
+        if (trains.length === 0) {
             return res.status(404).json({
                 error: 'No train data available',
-                message: 'Mumbai trains data not loaded'
+                message: `${simulationRegion.name} trains data not loaded`
             });
         }
 
-        console.log('🚂 Generating mock simulation for Mumbai trains...');
-        const simulation = generateTrainSimulation(mumbaiTrainsData);
+        console.log(`🚂 Generating mock simulation for ${simulationRegion.name} trains...`);
+        const simulation = generateTrainSimulation(trains);
+        await store.saveSimulationRun({
+            id: simulation.simulationId,
+            metadata: simulation.metadata,
+            trains: simulation.trains
+        });
         
         res.json({
             success: true,
             simulation: simulation,
-            trains_count: mumbaiTrainsData.length,
+            trains_count: trains.length,
             generated_at: new Date().toISOString(),
             mode: 'mock_simulation'
         });
@@ -257,28 +344,843 @@ app.get('/api/osrd/simulation', (req, res) => {
     }
 });
 
+/**
+ * GET /api/osrd/simulation/runs - List stored simulation runs (newest first)
+ * Query parameters:
+ * - limit: maximum number of runs (default 20)
+ */
+app.get('/api/osrd/simulation/runs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const runs = await store.getSimulationRuns(limit);
+        res.json({
+            success: true,
+            runs: runs,
+            count: runs.length
+        });
+    } catch (error) {
+        console.error('❌ Failed to list simulation runs:', error);
+        res.status(500).json({
+            error: 'Failed to list simulation runs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/osrd/simulation/runs/:id - Get a stored simulation run with train positions
+ */
+app.get('/api/osrd/simulation/runs/:id', async (req, res) => {
+    try {
+        const run = await store.getSimulationRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({
+                error: 'Simulation run not found',
+                message: `No simulation run with id ${req.params.id}`
+            });
+        }
+        res.json({
+            success: true,
+            run: run
+        });
+    } catch (error) {
+        console.error('❌ Failed to load simulation run:', error);
+        res.status(500).json({
+            error: 'Failed to load simulation run',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/conflicts - Headway violations and head-on conflicts in the simulated timetable,
+ * with the delays trains are currently running with
+ * Query parameters:
+ * - headway: minimum headway in seconds (default 180)
+ * - block: signalling block length in meters (default 1500)
+ * - double_track: "true" when each direction has its own track (skips head-on checks)
+ */
+app.get('/api/conflicts', (req, res) => {
+    try {
+        const conflicts = currentConflicts({
+            minHeadway: parseInt(req.query.headway, 10) || undefined,
+            blockLength: parseInt(req.query.block, 10) || undefined,
+            doubleTrack: req.query.double_track === 'true'
+        });
+
+        res.json({
+            success: true,
+            conflicts: conflicts,
+            count: conflicts.length,
+            summary: {
+                headway: conflicts.filter(conflict => conflict.type === 'headway').length,
+                head_on: conflicts.filter(conflict => conflict.type === 'head_on').length
+            }
+        });
+    } catch (error) {
+        console.error('❌ Conflict detection failed:', error);
+        res.status(500).json({
+            error: 'Conflict detection failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/stringline - Time-distance diagram of one corridor (planned and simulated runs)
+ * Query parameters:
+ * - line: corridor to draw (default the first line alphabetically)
+ * - headway, block, double_track: conflict detection settings (as for /api/conflicts)
+ */
+app.get('/api/stringline', (req, res) => {
+    try {
+        const simulated = liveSimulation.getTrainStates().map(({ train }) => train);
+        const lines = corridorNames(simulated);
+        const line = req.query.line || lines[0];
+        if (!lines.includes(line)) {
+            return res.status(404).json({
+                error: 'Unknown line',
+                message: `No trains run on line "${line}"; known lines: ${lines.join(', ') || 'none'}`
+            });
+        }
+
+        const corridor = buildStringLine(simulated, mumbaiTrainsData.map(train => plannedRun(train)), {
+            line,
+            conflicts: currentConflicts({
+                minHeadway: parseInt(req.query.headway, 10) || undefined,
+                blockLength: parseInt(req.query.block, 10) || undefined,
+                doubleTrack: req.query.double_track === 'true'
+            }),
+            eventTime: (trainId, seconds) => liveSimulation.eventTime(trainId, seconds)
+        });
+
+        res.json({
+            success: true,
+            lines: lines,
+            corridor: corridor,
+            clock: liveSimulation.getClock()
+        });
+    } catch (error) {
+        console.error('❌ String line generation failed:', error);
+        res.status(500).json({
+            error: 'String line generation failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/stations - Stations in the registry
+ * Query parameters:
+ * - line: only stations served by this line
+ * - q: name or alias contains this text
+ */
+app.get('/api/stations', (req, res) => {
+    const stations = stationRegistry.list({ line: req.query.line, q: req.query.q });
+    res.json({
+        success: true,
+        count: stations.length,
+        stations: stations
+    });
+});
+
+/**
+ * GET /api/stations/validation - Check every train stop against the station registry
+ */
+app.get('/api/stations/validation', (req, res) => {
+    res.json({
+        success: true,
+        validation: stationValidation || stationRegistry.validateTrains(mumbaiTrainsData)
+    });
+});
+
+/**
+ * GET /api/stations/:id - One station by id, name or alias, with the trains calling at it
+ */
+app.get('/api/stations/:id', (req, res) => {
+    const station = stationRegistry.resolve(req.params.id);
+    if (!station) {
+        return res.status(404).json({
+            error: 'Station not found',
+            message: `No station with id, name or alias "${req.params.id}"`
+        });
+    }
+
+    const trains = mumbaiTrainsData
+        .filter(train => (train.stations || []).some(stop => stop.station_id === station.id))
+        .map(train => ({ train_id: train.train_id, train_name: train.train_name, line: train.line || null }));
+
+    res.json({
+        success: true,
+        station: {
+            ...station,
+            interchanges: station.interchanges.map(link => ({
+                ...link,
+                name: stationRegistry.get(link.station_id) ? stationRegistry.get(link.station_id).name : null
+            }))
+        },
+        trains: trains
+    });
+});
+
+/**
+ * POST /api/stations/import/osm - Merge OSM railway=station nodes into the registry
+ * Either upload an extract (.osm, .osm.json, .geojson) as multipart field "file",
+ * send JSON { "path": "mumbai-railways.osm" } for a file under IMPORT_DIR, or pass a bounding box
+ * s, w, n, e in the query to download the stations from Overpass.
+ */
+app.post('/api/stations/import/osm', upload.single('file'), async (req, res) => {
+    try {
+        let features;
+        if (req.file) {
+            features = parseStationExtract(req.file.buffer.toString('utf8'), req.file.originalname).features;
+        } else if (req.body && req.body.path) {
+            const extractPath = await resolveImportPath(req.body.path);
+            if (!extractPath) {
+                return res.status(403).json({
+                    error: 'Path not allowed',
+                    message: 'Server-side extracts must be files in the import directory (IMPORT_DIR)'
+                });
+            }
+            features = (await loadStationExtractFromFile(extractPath)).features;
+        } else {
+            const bbox = ['s', 'w', 'n', 'e'].map(key => parseFloat(req.query[key]));
+            const [south, west, north, east] = bbox;
+            if (bbox.some(isNaN) || south >= north || west >= east) {
+                return res.status(400).json({
+                    error: 'Missing station source',
+                    message: 'Upload an extract in the "file" field, provide a server-side "path", or pass s, w, n, e to query Overpass',
+                    example: '/api/stations/import/osm?s=18.9&w=72.7&n=19.3&e=73.0'
+                });
+            }
+
+            try {
+                features = await fetchStationsFromOverpass(south, west, north, east);
+            } catch (error) {
+                console.error('❌ Overpass station query failed:', error.message);
+                return res.status(502).json({
+                    error: 'Overpass query failed',
+                    message: 'Could not download stations from Overpass; the registry is unchanged'
+                });
+            }
+        }
+
+        const { added, matched } = stationRegistry.addOsmStations(features);
+        mumbaiTrainsData = mumbaiTrainsData.map(train => stationRegistry.annotateTrain(train));
+        stationValidation = stationRegistry.validateTrains(mumbaiTrainsData);
+        console.log(`🚉 Merged ${features.length} OSM stations (${matched} matched, ${added} added)`);
+
+        res.json({
+            success: true,
+            osm_stations: features.length,
+            matched: matched,
+            added: added,
+            stations_count: stationRegistry.list().length
+        });
+    } catch (error) {
+        console.error('❌ OSM station import failed:', error);
+        res.status(400).json({
+            error: 'OSM station import failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/stations/:name/board - Arrivals and departures at a station (by name, alias or id)
+ * Query parameters:
+ * - limit: maximum rows per list (default 20)
+ */
+app.get('/api/stations/:name/board', async (req, res) => {
+    try {
+        const station = stationRegistry.resolve(req.params.name);
+        if (!station) {
+            return res.status(404).json({
+                error: 'Station not found',
+                message: `No station named "${req.params.name}"`
+            });
+        }
+
+        const board = buildStationBoard(station.name, liveSimulation.getTrainStates().map(({ train }) => train), {
+            aliases: station.aliases,
+            services: mumbaiTrainsData,
+            planned: new Map(mumbaiTrainsData.map(train => [train.train_id, plannedRun(train)])),
+            now: liveSimulation.getClock().seconds,
+            serviceTime: trainId => liveSimulation.serviceTime(trainId),
+            eventTime: (trainId, seconds) => liveSimulation.eventTime(trainId, seconds),
+            limit: Math.min(parseInt(req.query.limit, 10) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            station: station,
+            board: board
+        });
+    } catch (error) {
+        console.error('❌ Station board failed:', error);
+        res.status(500).json({
+            error: 'Station board failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/reschedule/plan - Propose retimings that clear conflicts given current delays
+ * Query parameters: headway, block, double_track (as for /api/conflicts)
+ */
+app.get('/api/reschedule/plan', (req, res) => {
+    try {
+        const delays = liveSimulation.getDelays();
+        const plan = proposeReschedule(mumbaiTrainsData, {
+            holds: liveSimulation.getHolds(),
+            regulations: timetableRevision.regulations(),
+            now: liveSimulation.getClock().seconds,
+            serviceTime: trainId => liveSimulation.serviceTime(trainId),
+            minHeadway: parseInt(req.query.headway, 10) || undefined,
+            blockLength: parseInt(req.query.block, 10) || undefined,
+            doubleTrack: req.query.double_track === 'true',
+            disruptions: disruptions.list()
+        });
+
+        const id = `plan_${Date.now()}`;
+        reschedulePlans.set(id, { ...plan, delays, disruptionIds: disruptions.list().map(disruption => disruption.id) });
+        if (reschedulePlans.size > MAX_STORED_PLANS) {
+            reschedulePlans.delete(reschedulePlans.keys().next().value);
+        }
+
+        res.json({
+            success: true,
+            plan: {
+                id: id,
+                generated_at: liveSimulation.getClock().time,
+                ...plan
+            }
+        });
+    } catch (error) {
+        console.error('❌ Rescheduling failed:', error);
+        res.status(500).json({
+            error: 'Rescheduling failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/reschedule/apply - Apply a proposed plan to the running simulation. Its
+ * waits are kept on top of the stored timetable, which delays are still measured against.
+ * Body: { plan_id }
+ */
+app.post('/api/reschedule/apply', (req, res) => {
+    try {
+        const planId = req.body && req.body.plan_id;
+        const plan = reschedulePlans.get(planId);
+        if (!plan) {
+            return res.status(404).json({
+                error: 'Plan not found',
+                message: `No rescheduling plan with id ${planId}; request a new one from /api/reschedule/plan`
+            });
+        }
+
+        // Delays injected after the plan was made would be silently dropped
+        const delays = liveSimulation.getDelays();
+        const stale = Object.keys({ ...delays, ...plan.delays }).some(trainId => delays[trainId] !== plan.delays[trainId]);
+        const disruptionIds = disruptions.list().map(disruption => disruption.id);
+        const disruptionsChanged = disruptionIds.join(',') !== plan.disruptionIds.join(',');
+        if (stale || disruptionsChanged) {
+            return res.status(409).json({
+                error: 'Plan is out of date',
+                message: `${stale ? 'Train delays' : 'Disruptions'} changed since the plan was proposed; request a new plan`
+            });
+        }
+
+        const revisedIds = Object.keys(plan.regulations);
+        timetableRevision.apply(planId, plan);
+        liveSimulation.loadTrains(generateTrainSimulation(mumbaiTrainsData).trains);
+        reschedulePlans.clear();
+
+        console.log(`🔄 Applied rescheduling plan ${planId}: ${plan.actions.length} actions on ${revisedIds.length} trains`);
+
+        res.json({
+            success: true,
+            plan_id: planId,
+            actions_applied: plan.actions.length,
+            trains_updated: revisedIds
+        });
+    } catch (error) {
+        console.error('❌ Failed to apply rescheduling plan:', error);
+        res.status(500).json({
+            error: 'Failed to apply rescheduling plan',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/reschedule/applied - Plans applied on top of the stored timetable
+ */
+app.get('/api/reschedule/applied', (req, res) => {
+    const plans = timetableRevision.list();
+    res.json({
+        success: true,
+        plans: plans,
+        count: plans.length
+    });
+});
+
+/**
+ * DELETE /api/reschedule/applied - Revert every applied plan, returning trains to the stored timetable
+ */
+app.delete('/api/reschedule/applied', (req, res) => {
+    try {
+        const reverted = timetableRevision.revert();
+        liveSimulation.loadTrains(generateTrainSimulation(mumbaiTrainsData).trains);
+        reschedulePlans.clear();
+
+        console.log(`↩️  Reverted ${reverted.length} rescheduling plan(s)`);
+        res.json({
+            success: true,
+            reverted: reverted.map(plan => plan.plan_id)
+        });
+    } catch (error) {
+        console.error('❌ Failed to revert rescheduling plans:', error);
+        res.status(500).json({
+            error: 'Failed to revert rescheduling plans',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/disruptions - Incidents the simulator is currently honouring
+ */
+app.get('/api/disruptions', (req, res) => {
+    const list = disruptions.list();
+    res.json({
+        success: true,
+        disruptions: list,
+        count: list.length
+    });
+});
+
+/**
+ * POST /api/disruptions - Create an incident and re-simulate the affected trains
+ * Body by type:
+ * - train_delay: { train_id, delay_sec, station? }
+ * - station_closure: { station, start_time?, end_time? }
+ * - speed_restriction: { from, to, speed_kmph, start_time?, end_time? }
+ * - line_blockage: { from, to, start_time, end_time }
+ * Any type may carry a free-text description.
+ */
+app.post('/api/disruptions', async (req, res) => {
+    try {
+        const trainIds = mumbaiTrainsData.map(train => train.train_id);
+        const { disruption, errors } = disruptions.create(req.body, stationRegistry.list(), trainIds);
+
+        if (!disruption) {
+            return res.status(400).json({
+                error: 'Invalid disruption',
+                message: errors.join('; '),
+                errors: errors,
+                types: DISRUPTION_TYPES
+            });
+        }
+
+        const simulation = generateTrainSimulation(mumbaiTrainsData);
+        liveSimulation.loadTrains(simulation.trains);
+        reschedulePlans.clear();
+
+        console.log(`⚠️  Disruption ${disruption.id} (${disruption.type}) created`);
+        res.status(201).json({
+            success: true,
+            disruption: disruption,
+            affected_trains: simulation.trains
+                .filter(train => train.disruptions.includes(disruption.id))
+                .map(train => train.train_id)
+        });
+    } catch (error) {
+        console.error('❌ Failed to create disruption:', error);
+        res.status(500).json({
+            error: 'Failed to create disruption',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/disruptions/:id - Lift an incident and re-simulate
+ */
+app.delete('/api/disruptions/:id', (req, res) => {
+    try {
+        const disruption = disruptions.remove(req.params.id);
+        if (!disruption) {
+            return res.status(404).json({
+                error: 'Disruption not found',
+                message: `No disruption with id ${req.params.id}`
+            });
+        }
+
+        liveSimulation.loadTrains(generateTrainSimulation(mumbaiTrainsData).trains);
+        reschedulePlans.clear();
+
+        console.log(`✅ Disruption ${disruption.id} lifted`);
+        res.json({
+            success: true,
+            disruption: disruption
+        });
+    } catch (error) {
+        console.error('❌ Failed to delete disruption:', error);
+        res.status(500).json({
+            error: 'Failed to delete disruption',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Send a GTFS-Realtime feed as protobuf, or as JSON with ?format=json
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} feed - FeedMessage
+ */
+function sendFeed(req, res, feed) {
+    if (req.query.format === 'json') {
+        return res.json(feedToJson(feed));
+    }
+    res.set('Content-Type', 'application/x-protobuf');
+    res.send(encodeFeed(feed));
+}
+
+/**
+ * GET /api/gtfs-rt/vehicle-positions - GTFS-Realtime VehiclePositions for the live simulation
+ * Query parameters:
+ * - format: "json" for a readable debug variant (default protobuf)
+ */
+app.get('/api/gtfs-rt/vehicle-positions', (req, res) => {
+    try {
+        sendFeed(req, res, buildVehiclePositionsFeed(liveSimulation));
+    } catch (error) {
+        console.error('❌ Failed to build VehiclePositions feed:', error);
+        res.status(500).json({
+            error: 'Failed to build VehiclePositions feed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/gtfs-rt/trip-updates - GTFS-Realtime TripUpdates (predicted stop times) for the live simulation
+ * Query parameters:
+ * - format: "json" for a readable debug variant (default protobuf)
+ */
+app.get('/api/gtfs-rt/trip-updates', (req, res) => {
+    try {
+        sendFeed(req, res, buildTripUpdatesFeed(
+            liveSimulation,
+            new Map(mumbaiTrainsData.map(train => [train.train_id, plannedRun(train)]))
+        ));
+    } catch (error) {
+        console.error('❌ Failed to build TripUpdates feed:', error);
+        res.status(500).json({
+            error: 'Failed to build TripUpdates feed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/live/state - Current live simulation clock and train states
+ * Query parameters:
+ * - lines: optional comma-separated line names (e.g. Western,Central)
+ */
+app.get('/api/live/state', (req, res) => {
+    const lines = req.query.lines ? req.query.lines.split(',').map(line => line.trim()) : null;
+
+    res.json({
+        success: true,
+        clock: liveSimulation.getClock(),
+        trains: liveSimulation.getSnapshot(lines)
+    });
+});
+
+/**
+ * GET /api/live/clock - Simulation clock (time, speed, running)
+ */
+app.get('/api/live/clock', (req, res) => {
+    res.json({
+        success: true,
+        clock: liveSimulation.getClock()
+    });
+});
+
+/**
+ * POST /api/live/clock - Pause/resume, change speed or scrub the simulation clock
+ * Body: { "running": false, "speed": 10, "time": "08:30" } (all optional)
+ */
+app.post('/api/live/clock', (req, res) => {
+    const { running, speed, time } = req.body || {};
+    const errors = [];
+
+    if (running !== undefined && typeof running !== 'boolean') errors.push('running must be true or false');
+    if (speed !== undefined && !(Number(speed) >= MIN_SPEED && Number(speed) <= MAX_SPEED)) {
+        errors.push(`speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+    }
+    if (time !== undefined && !/^\d{1,2}:\d{2}(:\d{2})?$/.test(time)) errors.push('time must be HH:MM[:SS]');
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid clock control',
+            message: errors.join('; '),
+            example: { running: true, speed: 10, time: '08:30' }
+        });
+    }
+
+    if (speed !== undefined) liveSimulation.setSpeed(Number(speed));
+    if (time !== undefined) liveSimulation.seek(parseTime(time));
+    if (running !== undefined) liveSimulation.setRunning(running);
+
+    res.json({
+        success: true,
+        clock: liveSimulation.getClock()
+    });
+});
+
+/**
+ * POST /api/live/delays - Inject a delay into a running train
+ * Body: { "train_id": "T001", "delay_sec": 300 }
+ */
+app.post('/api/live/delays', (req, res) => {
+    const { train_id, delay_sec } = req.body || {};
+    const delay = Number(delay_sec);
+
+    if (!train_id || !Number.isFinite(delay) || delay <= 0) {
+        return res.status(400).json({
+            error: 'Invalid delay',
+            message: 'Provide train_id and a positive delay_sec',
+            example: { train_id: 'T001', delay_sec: 300 }
+        });
+    }
+
+    const state = liveSimulation.injectDelay(train_id, delay);
+    if (!state) {
+        return res.status(404).json({
+            error: 'Train not found',
+            message: `No live train with id ${train_id}`
+        });
+    }
+
+    console.log(`⏱️  Injected ${delay}s delay into ${train_id}`);
+    res.json({
+        success: true,
+        train: state
+    });
+});
+
+/**
+ * GET /api/metrics - Live KPIs: on-time performance, delays, trains per line,
+ * station throughput per hour and punctuality by hour
+ * Query parameters:
+ * - threshold: seconds of lateness still counted as on time (default 300)
+ */
+app.get('/api/metrics', (req, res) => {
+    try {
+        const metrics = computeMetrics(liveSimulation, mumbaiTrainsData, {
+            onTimeThreshold: parseInt(req.query.threshold, 10) || undefined
+        });
+
+        res.json({
+            success: true,
+            clock: liveSimulation.getClock(),
+            metrics: metrics
+        });
+    } catch (error) {
+        console.error('❌ Metrics computation failed:', error);
+        res.status(500).json({
+            error: 'Metrics computation failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/alerts - Alert history, newest first
+ * Query parameters:
+ * - status: "open" or "acknowledged"
+ * - severity: info, warning or critical
+ * - limit: maximum number of alerts (default 50)
+ */
+app.get('/api/alerts', (req, res) => {
+    const { status, severity } = req.query;
+    if ((status && !['open', 'acknowledged'].includes(status)) || (severity && !SEVERITIES.includes(severity))) {
+        return res.status(400).json({
+            error: 'Invalid filter',
+            message: `status must be open or acknowledged, severity one of ${SEVERITIES.join(', ')}`
+        });
+    }
+
+    const alerts = alertCenter.list({
+        status,
+        severity,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+    res.json({
+        success: true,
+        alerts: alerts,
+        count: alerts.length,
+        open: alertCenter.list({ status: 'open' }).length
+    });
+});
+
+/**
+ * GET /api/alerts/channels - Outbound alert channels and whether they are configured
+ */
+app.get('/api/alerts/channels', (req, res) => {
+    const config = channelConfig();
+    res.json({
+        success: true,
+        channels: CHANNELS.map(channel => ({
+            channel,
+            configured: Boolean(config[channel]),
+            target: config[channel] ? (config[channel].url || config[channel].to) : null
+        }))
+    });
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge - Mark an alert as seen
+ * Body: { "by": "controller-1" } (optional)
+ */
+app.post('/api/alerts/:id/acknowledge', (req, res) => {
+    const alert = alertCenter.acknowledge(req.params.id, req.body && req.body.by);
+    if (!alert) {
+        return res.status(404).json({
+            error: 'Alert not found',
+            message: `No alert with id ${req.params.id}`
+        });
+    }
+    res.json({
+        success: true,
+        alert: alert
+    });
+});
+
+/**
+ * POST /api/alerts/send - Send alerts over the outbound channels ("Send Alerts")
+ * Body: { alert_ids?, channels?: ["webhook", "email"], note? }
+ * Without alert_ids every open alert that has not been sent yet goes out.
+ */
+app.post('/api/alerts/send', async (req, res) => {
+    try {
+        const { alert_ids: alertIds, channels, note } = req.body || {};
+
+        const unknownChannels = (channels || []).filter(channel => !CHANNELS.includes(channel));
+        if (unknownChannels.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown channel',
+                message: `Unknown channel(s) ${unknownChannels.join(', ')}; use ${CHANNELS.join(' or ')}`
+            });
+        }
+
+        const config = channelConfig();
+        if (!CHANNELS.some(channel => config[channel])) {
+            return res.status(400).json({
+                error: 'No alert channels configured',
+                message: 'Set ALERT_WEBHOOK_URL and/or ALERT_EMAIL_TO (with ALERT_SMTP_HOST/ALERT_SMTP_PORT)'
+            });
+        }
+
+        const alerts = Array.isArray(alertIds)
+            ? alertIds.map(id => alertCenter.get(id)).filter(Boolean)
+            : alertCenter.list({ status: 'open' }).filter(alert => !alert.deliveries.some(delivery => delivery.status === 'sent'));
+        if (alerts.length === 0) {
+            return res.json({
+                success: true,
+                sent: 0,
+                results: [],
+                message: 'No alerts to send'
+            });
+        }
+
+        const results = await dispatchAlerts(alerts, { channels, note, config });
+        const sentAt = new Date().toISOString();
+        for (const alert of alerts) {
+            alert.deliveries.push(...results.map(result => ({ ...result, at: sentAt })));
+        }
+
+        const delivered = results.some(result => result.status === 'sent');
+        console.log(`📱 Sent ${alerts.length} alert(s): ${results.map(result => `${result.channel} ${result.status}`).join(', ')}`);
+        res.status(delivered ? 200 : 502).json({
+            success: delivered,
+            sent: delivered ? alerts.length : 0,
+            alert_ids: alerts.map(alert => alert.id),
+            results: results
+        });
+    } catch (error) {
+        console.error('❌ Failed to send alerts:', error);
+        res.status(500).json({
+            error: 'Failed to send alerts',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET / - Root endpoint with API documentation
  */
 app.get('/', (req, res) => {
     res.json({
-        name: 'Mumbai Railway Simulation API (Simplified)',
+        name: 'Railway Simulation API (Simplified)',
         version: '1.0.0',
-        description: 'Simplified API for Mumbai train simulation with mock OSRD backend',
+        description: `Simplified API for ${simulationRegion.name} train simulation with mock OSRD backend, plus the railway track, tile and snapping API`,
         endpoints: {
-            'GET /api/health': 'Health check',
-            'GET /api/mumbai': 'Mumbai railway tracks (mock data)',
-            'GET /api/trains/mumbai': 'Mumbai train schedules',
-            'GET /api/osrd/simulation': 'Train simulation (mock mode)'
+            ...TRACK_ENDPOINTS,
+            'GET /api/trains/mumbai': 'Train schedules of the simulated region',
+            'POST /api/trains/import': 'Merge trains from a CSV timetable (upload "file" or text/csv body, ?dry_run=true to validate)',
+            'POST /api/trains/import/gtfs': 'Replace train services from a GTFS static zip (upload "file" or JSON "path")',
+            'GET /api/osrd/simulation': 'Train simulation (mock mode)',
+            'GET /api/conflicts': 'Headway and head-on conflicts between simulated trains',
+            'GET /api/stations': 'Registered stations with ids, aliases, lines, platforms and interchanges (?line=Western&q=dadar)',
+            'GET /api/stations/validation': 'Check every train stop against the station registry',
+            'GET /api/stations/:id': 'One station by id, name or alias, with the trains calling at it',
+            'POST /api/stations/import/osm': 'Merge OSM railway=station nodes from an extract or an Overpass bbox query',
+            'GET /api/stations/:name/board': 'Arrivals and departures at a station (scheduled, expected, delay, platform)',
+            'GET /api/stringline': 'Time-distance diagram of a corridor (?line=Western): planned and simulated runs, conflicts',
+            'GET /api/reschedule/plan': 'Propose retimings that clear conflicts given current delays',
+            'POST /api/reschedule/apply': 'Apply a proposed rescheduling plan to the live simulation',
+            'GET /api/reschedule/applied': 'Rescheduling plans applied on top of the stored timetable',
+            'DELETE /api/reschedule/applied': 'Revert applied rescheduling plans',
+            'GET /api/disruptions': 'Active incidents honoured by the simulator',
+            'POST /api/disruptions': 'Create an incident (train_delay, station_closure, speed_restriction, line_blockage)',
+            'DELETE /api/disruptions/:id': 'Lift an incident',
+            'GET /api/gtfs-rt/vehicle-positions': 'GTFS-Realtime VehiclePositions (protobuf, ?format=json for debugging)',
+            'GET /api/gtfs-rt/trip-updates': 'GTFS-Realtime TripUpdates (protobuf, ?format=json for debugging)',
+            'GET /api/osrd/simulation/runs': 'Stored simulation runs',
+            'GET /api/osrd/simulation/runs/:id': 'Stored simulation run with positions',
+            'GET /api/live/state': 'Live simulation clock and train states',
+            'GET /api/live/clock': 'Simulation clock (time, speed, running)',
+            'POST /api/live/clock': 'Pause/resume, set speed (1-60x) or scrub the simulation clock',
+            'POST /api/live/delays': 'Inject a delay into a running train',
+            'GET /api/metrics': 'Live KPIs: on-time performance, delays, per-line counts, station throughput, punctuality trend',
+            'GET /api/alerts': 'Alert history (delays, conflicts, stopped trains, completed runs)',
+            'GET /api/alerts/channels': 'Outbound alert channels (webhook, email)',
+            'POST /api/alerts/:id/acknowledge': 'Acknowledge an alert',
+            'POST /api/alerts/send': 'Send open alerts via webhook/email',
+            'WS  subscribe': 'Socket.IO: subscribe to trains:delta for { lines } or { region }'
         },
         status: {
             osrd_backend: 'mock_mode',
-            mumbai_tracks: 'available',
+            storage: store.kind,
+            region: simulationRegion.id,
             train_data: `${mumbaiTrainsData.length} trains loaded`
         }
     });
 });
 
+// Track, tile, snapping, routing, region and health endpoints (index.js), so the dashboard
+// needs one server; this server only adds which region it simulates to /api/regions
+trackApi.locals.simulationRegion = simulationRegion.id;
+app.use(trackApi);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
@@ -296,14 +1198,107 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚂 Mumbai Railway Simulation API (Simplified) running on port ${PORT}`);
-    console.log(`📍 API Documentation: http://localhost:${PORT}`);
-    console.log(`🗺️  Mumbai tracks: http://localhost:${PORT}/api/mumbai`);
-    console.log(`🚄 Train simulation: http://localhost:${PORT}/api/osrd/simulation`);
-    console.log(`⚡ Health check: http://localhost:${PORT}/api/health`);
+/**
+ * Seed train services on startup: from the GTFS feed in GTFS_FEED_PATH (or the
+ * region's gtfs_feed) when set, otherwise from the region's trains file if the store is empty
+ */
+async function seedTrainData() {
+    const feedPath = process.env.GTFS_FEED_PATH || simulationRegion.gtfs_feed;
+    if (feedPath) {
+        try {
+            const feed = await importGtfsFeed(feedPath, { date: process.env.GTFS_SERVICE_DATE });
+            if (feed.trains.length > 0) {
+                await store.replaceTrains(feed.trains);
+                await store.saveStations(feed.stations);
+                stationRegistry.addStations(feed.stations, 'gtfs');
+                return;
+            }
+        } catch (error) {
+            console.error('❌ Failed to load GTFS feed:', error.message);
+        }
+    }
+
+    if (simulationRegion.trains_file) {
+        await seedTrainsFromFile(store, simulationRegion.trains_file);
+    }
+}
+
+/**
+ * Load the station registry from STATIONS_FILE (or the region's stations file),
+ * plus the stations of the OSM extract in OSM_EXTRACT_PATH (or the region's extract)
+ */
+async function loadStationRegistry() {
+    if (STATIONS_FILE) {
+        try {
+            const count = stationRegistry.loadFile(STATIONS_FILE);
+            console.log(`🚉 Loaded ${count} stations from ${path.basename(STATIONS_FILE)}`);
+        } catch (error) {
+            console.error(`❌ Failed to load station registry from ${STATIONS_FILE}:`, error.message);
+        }
+    }
+
+    const extractPath = process.env.OSM_EXTRACT_PATH || simulationRegion.osm_extract;
+    if (extractPath) {
+        try {
+            const { features } = await loadStationExtractFromFile(extractPath);
+            const { added, matched } = stationRegistry.addOsmStations(features);
+            console.log(`🚉 Merged ${features.length} OSM stations (${matched} matched, ${added} added)`);
+        } catch (error) {
+            console.error('❌ Failed to read stations from OSM extract:', error.message);
+        }
+    }
+}
+
+// Interval timers of the periodic delay and conflict alert checks
+const alertChecks = [];
+
+/**
+ * Load storage, stations and trains, start the live clock and alert checks, then listen
+ * @param {number} port - Port to listen on (PORT by default, 0 for any free port)
+ * @returns {Promise<Object>} Listening HTTP server
+ */
+async function start(port = PORT) {
+    await store.init();
+    await loadStationRegistry();
+    await seedTrainData();
+    await initializeTracks(simulationRegion);
+    await loadTrainData();
+
+    liveSimulation.start();
+    alertChecks.push(setInterval(checkDelayAlerts, DELAY_CHECK_MS), setInterval(checkConflictAlerts, CONFLICT_CHECK_MS));
+    await new Promise(resolve => server.listen(port, resolve));
+
+    const { port: listening } = server.address();
+    console.log(`🚂 ${simulationRegion.name} Railway Simulation API (Simplified) running on port ${listening}`);
+    console.log(`📍 API Documentation: http://localhost:${listening}`);
+    console.log(`🗺️  Tracks: http://localhost:${listening}/api/tracks?region=${simulationRegion.id}`);
+    console.log(`🚄 Train simulation: http://localhost:${listening}/api/osrd/simulation`);
+    console.log(`📡 Live updates: ws://localhost:${listening} (Socket.IO)`);
+    console.log(`⚡ Health check: http://localhost:${listening}/api/health`);
     console.log(`🎯 Mode: Simplified (No OSRD dependency)`);
-});
+    return server;
+}
 
-module.exports = app;
\ No newline at end of file
+/**
+ * Stop the live clock and alert checks and close the server and its sockets
+ * @returns {Promise<void>}
+ */
+function stop() {
+    liveSimulation.stop();
+    alertChecks.splice(0).forEach(clearInterval);
+    return new Promise(resolve => io.close(() => resolve()));
+}
+
+// Start server once train data is loaded from storage; tests require this module and call start()
+if (require.main === module) {
+    start().catch(error => {
+        console.error('❌ Failed to initialize storage:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    app,
+    start,
+    stop
+};
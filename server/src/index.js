@@ -1,17 +1,129 @@
 const express = require('express');
 const cors = require('cors');
-const { fetchRailwayTracks, getMumbaiRailwayTracks, clearCache, getCacheStats } = require('./osm');
+const path = require('path');
+const multer = require('multer');
+const {
+    fetchRailwayTracks,
+    getRegionRailwayTracks,
+    setLocalTracks,
+    refreshFromOverpass,
+    getTrackStoreInfo,
+    clearCache,
+    getCacheStats
+} = require('./osm');
+const { parseRailwayExtract, loadExtractFromFile } = require('./osmImport');
+const { resolveImportPath } = require('./importPaths');
 const { snapTrainToTracks, snapMultipleTrains, generateSampleTrainPositions } = require('./snap');
+const { routeThroughWaypoints } = require('./topology');
+const { DEFAULT_OPTIONS: MATCH_DEFAULTS, MAX_FIXES, normalizeFix, matchTrainPath } = require('./mapMatching');
+const { getStore, seedTrainsFromFile } = require('./store');
+const { getStationRegistry } = require('./stations');
+const { getRegion, listRegions, withRegion, describeRegion } = require('./regions');
+const { getTrackVectorTile, clearTileIndexes } = require('./vectorTiles');
+const { TRACK_CATEGORIES, parseTrackFilters, filterTracks, countCategories } = require('./trackCategories');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Uploaded OSM extracts are parsed in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024 } // 200 MB
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+const store = getStore();
+
+// Stations (names, aliases, imports) that routes can be requested by; the
+// simulation server mounting this API fills the same registry
+const stationRegistry = getStationRegistry();
+
+/**
+ * Prepare persistent storage: seed timetable and station data of the default
+ * region, then prepare the track endpoints
+ */
+async function initializeStorage() {
+    const region = getRegion();
+    await store.init();
+    if (region.trains_file) {
+        await seedTrainsFromFile(store, region.trains_file);
+    }
+
+    const stationsFile = process.env.STATIONS_FILE || region.stations_file;
+    if (stationsFile) {
+        try {
+            const count = stationRegistry.loadFile(stationsFile);
+            console.log(`🚉 Loaded ${count} stations from ${path.basename(stationsFile)}`);
+        } catch (error) {
+            console.error(`❌ Failed to load station registry from ${stationsFile}:`, error.message);
+        }
+    }
+    await initializeTracks();
+}
+
+/**
+ * Register stored stations for routing and load a local OSM extract so the track
+ * endpoints work without Overpass. Expects the store to be initialized.
+ * @param {Object} region - Region whose extract to load (default region when omitted)
+ */
+async function initializeTracks(region = getRegion()) {
+    stationRegistry.addStations(await store.getStations(), 'store');
+    console.log(`📊 ${stationRegistry.list().length} stations available for routing`);
+
+    const extractPath = process.env.OSM_EXTRACT_PATH || region.osm_extract;
+    if (extractPath) {
+        try {
+            const tracks = await loadExtractFromFile(extractPath);
+            await setLocalTracks(tracks, path.basename(extractPath));
+        } catch (error) {
+            console.error('❌ Failed to load OSM extract:', error.message);
+        }
+    }
+}
+
+/**
+ * Resolve a station id, name, alias or "lat,lon" string to a routing waypoint
+ * @param {string} value - Station id, name or alias (case-insensitive), or "lat,lon"
+ * @returns {Object|null} { name, lat, lon } or null if unknown
+ */
+function resolveWaypoint(value) {
+    const trimmed = String(value).trim();
+    const coords = trimmed.split(',').map(Number);
+    if (coords.length === 2 && coords.every(Number.isFinite)) {
+        return { name: trimmed, lat: coords[0], lon: coords[1] };
+    }
+
+    const station = stationRegistry.resolve(trimmed);
+    return station ? { name: station.name, lat: station.lat, lon: station.lon } : null;
+}
+
 // Routes
 
+/**
+ * Narrow a track collection down to the tracks matching the request's filters
+ * @param {Object} railwayData - GeoJSON FeatureCollection of classified tracks
+ * @param {Object} filters - Filters from parseTrackFilters
+ * @returns {Object} FeatureCollection with the matching tracks (unchanged without filters)
+ */
+function applyTrackFilters(railwayData, filters) {
+    if (Object.keys(filters).length === 0) return railwayData;
+
+    const features = filterTracks(railwayData.features, filters);
+    return {
+        ...railwayData,
+        features,
+        metadata: {
+            ...railwayData.metadata,
+            trackCount: features.length,
+            categories: countCategories(features),
+            filters
+        }
+    };
+}
+
 /**
  * GET /api/osm - Fetch railway tracks for given bounding box
  * Query parameters:
@@ -19,6 +131,9 @@ app.use(express.json());
  * - w: west longitude (required) 
  * - n: north latitude (required)
  * - e: east longitude (required)
+ * - category: comma separated track categories to keep, e.g. mainline,suburban (optional)
+ * - electrified: true or false (optional)
+ * - gauge: track gauge in millimetres, e.g. 1676 (optional)
  */
 app.get('/api/osm', async (req, res) => {
     try {
@@ -54,10 +169,18 @@ app.get('/api/osm', async (req, res) => {
             });
         }
 
+        const { filters, error: filterError } = parseTrackFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: filterError
+            });
+        }
+
         // Fetch railway tracks
         const railwayData = await fetchRailwayTracks(south, west, north, east);
         
-        res.json(railwayData);
+        res.json(applyTrackFilters(railwayData, filters));
 
     } catch (error) {
         console.error('Error in /api/osm endpoint:', error);
@@ -68,13 +191,144 @@ app.get('/api/osm', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/osm/categories - Track categories with the tags that define them, in legend order
+ */
+app.get('/api/osm/categories', (req, res) => {
+    res.json({ categories: TRACK_CATEGORIES });
+});
+
+/**
+ * POST /api/osm/import - Load a local railway extract into the track store
+ * Either upload a file as multipart field "file" (.osm, .osm.json or .geojson)
+ * or send JSON { "path": "mumbai-railways.osm" } for a file under IMPORT_DIR (default server/data).
+ */
+app.post('/api/osm/import', upload.single('file'), async (req, res) => {
+    try {
+        let tracks;
+        let source;
+
+        if (req.file) {
+            source = req.file.originalname;
+            tracks = parseRailwayExtract(req.file.buffer.toString('utf8'), source);
+        } else if (req.body && req.body.path) {
+            const extractPath = await resolveImportPath(req.body.path);
+            if (!extractPath) {
+                return res.status(403).json({
+                    error: 'Path not allowed',
+                    message: 'Server-side extracts must be files in the import directory (IMPORT_DIR)'
+                });
+            }
+            source = path.basename(extractPath);
+            tracks = await loadExtractFromFile(extractPath);
+        } else {
+            return res.status(400).json({
+                error: 'Missing extract',
+                message: 'Upload a file in the "file" field or provide a server-side "path"',
+                example: { path: 'mumbai-railways.osm' }
+            });
+        }
+
+        if (tracks.features.length === 0) {
+            return res.status(422).json({
+                error: 'No railway tracks found',
+                message: `${source} does not contain any railway LineStrings`
+            });
+        }
+
+        const trackStore = await setLocalTracks(tracks, source);
+
+        res.json({
+            success: true,
+            format: tracks.metadata.format,
+            trackStore: trackStore
+        });
+
+    } catch (error) {
+        console.error('Error in /api/osm/import endpoint:', error);
+        res.status(400).json({
+            error: 'Import failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/osm/refresh - Refresh the track store from Overpass for a bounding box
+ * Query parameters: s, w, n, e (same as /api/osm)
+ */
+app.post('/api/osm/refresh', async (req, res) => {
+    try {
+        const south = parseFloat(req.query.s);
+        const west = parseFloat(req.query.w);
+        const north = parseFloat(req.query.n);
+        const east = parseFloat(req.query.e);
+
+        if ([south, west, north, east].some(isNaN) || south >= north || west >= east) {
+            return res.status(400).json({
+                error: 'Invalid bounding box',
+                message: 'Please provide valid s (south), w (west), n (north), e (east) coordinates',
+                example: '/api/osm/refresh?s=18.9&w=72.7&n=19.3&e=73.0'
+            });
+        }
+
+        const trackStore = await refreshFromOverpass(south, west, north, east);
+
+        res.json({
+            success: true,
+            trackStore: trackStore
+        });
+
+    } catch (error) {
+        console.error('Error in /api/osm/refresh endpoint:', error);
+        res.status(502).json({
+            error: 'Refresh failed',
+            message: 'Could not refresh tracks from Overpass; the local track store is unchanged'
+        });
+    }
+});
+
+/**
+ * GET /api/osm/source - Describe where railway tracks are currently served from
+ */
+app.get('/api/osm/source', async (req, res) => {
+    try {
+        res.json(await getTrackStoreInfo());
+    } catch (error) {
+        console.error('Error in /api/osm/source endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to read track store'
+        });
+    }
+});
+
+/**
+ * Check the optional direction of travel hints of a snap request
+ * @param {*} heading - Heading in degrees, or null
+ * @param {*} previousPosition - Earlier [longitude, latitude], or null
+ * @returns {string|null} What is wrong, or null when the hints are usable
+ */
+function validateTravelDirection(heading, previousPosition) {
+    if (heading !== null && !Number.isFinite(heading)) {
+        return 'heading must be a number of degrees clockwise from north';
+    }
+    if (previousPosition !== null && !(Array.isArray(previousPosition) && previousPosition.length === 2 &&
+        previousPosition.every(Number.isFinite))) {
+        return 'previousPosition must be an array of [longitude, latitude]';
+    }
+    return null;
+}
+
 /**
  * POST /api/snap - Snap a single train to nearest railway track
- * Body: { "position": [longitude, latitude], "trainId": "optional", "trainType": "optional" }
+ * Body: { "position": [longitude, latitude], "trainId": "optional", "trainType": "optional", "region": "optional",
+ *         "heading": degrees (optional), "previousPosition": [longitude, latitude] (optional) }
+ * heading or previousPosition point the train body in the direction of travel
  */
-app.post('/api/snap', async (req, res) => {
+app.post('/api/snap', withRegion, async (req, res) => {
     try {
-        const { position, trainId, trainType = 'local', trainBodyMeters = 150 } = req.body;
+        const { position, trainId, trainType = 'local', trainBodyMeters = 150, heading = null, previousPosition = null } = req.body;
         
         if (!position || !Array.isArray(position) || position.length !== 2) {
             return res.status(400).json({
@@ -83,14 +337,23 @@ app.post('/api/snap', async (req, res) => {
                 example: { position: [72.826, 19.054] }
             });
         }
+
+        const directionError = validateTravelDirection(heading, previousPosition);
+        if (directionError) {
+            return res.status(400).json({
+                error: 'Invalid direction of travel',
+                message: directionError,
+                example: { position: [72.826, 19.054], heading: 350 }
+            });
+        }
         
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.status(500).json({
                 error: 'No railway data available',
-                message: 'Could not fetch Mumbai railway tracks'
+                message: `Could not fetch ${req.region.name} railway tracks`
             });
         }
         
@@ -101,7 +364,9 @@ app.post('/api/snap', async (req, res) => {
             {
                 trainBodyMeters,
                 trainId,
-                trainType
+                trainType,
+                heading,
+                previousPosition
             }
         );
         
@@ -133,9 +398,9 @@ app.post('/api/snap', async (req, res) => {
 
 /**
  * POST /api/snap/multiple - Snap multiple trains to railway tracks
- * Body: { "trains": [{ "position": [lon, lat], "id": "optional", "type": "optional" }] }
+ * Body: { "trains": [{ "position": [lon, lat], "id": "optional", "type": "optional" }], "region": "optional" }
  */
-app.post('/api/snap/multiple', async (req, res) => {
+app.post('/api/snap/multiple', withRegion, async (req, res) => {
     try {
         const { trains, trainBodyMeters = 150 } = req.body;
         
@@ -152,13 +417,13 @@ app.post('/api/snap/multiple', async (req, res) => {
             });
         }
         
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.status(500).json({
                 error: 'No railway data available',
-                message: 'Could not fetch Mumbai railway tracks'
+                message: `Could not fetch ${req.region.name} railway tracks`
             });
         }
         
@@ -192,15 +457,137 @@ app.post('/api/snap/multiple', async (req, res) => {
     }
 });
 
+/**
+ * Check the fix sequences of a map matching request
+ * @param {Array} trains - [{ id, fixes }]
+ * @returns {string|null} What is wrong, or null when every sequence can be matched
+ */
+function validateFixSequences(trains) {
+    const total = trains.reduce((count, train) => count + (train && Array.isArray(train.fixes) ? train.fixes.length : 0), 0);
+    if (total > MAX_FIXES) return `A request may carry at most ${MAX_FIXES} fixes (got ${total})`;
+
+    for (const train of trains) {
+        if (!train || typeof train !== 'object' || Array.isArray(train)) return 'Each train must be an object with fixes';
+        const label = train.id !== undefined ? `Train ${train.id}` : 'Train';
+        if (!Array.isArray(train.fixes) || train.fixes.length === 0) return `${label} has no fixes`;
+
+        let lastTime = -Infinity;
+        for (let i = 0; i < train.fixes.length; i++) {
+            const fix = normalizeFix(train.fixes[i]);
+            if (!fix) return `${label} fix ${i} needs a position [longitude, latitude] or lat and lon`;
+            if (train.fixes[i].timestamp !== undefined && fix.time === null) return `${label} fix ${i} has an unreadable timestamp`;
+            if (fix.time !== null) {
+                if (fix.time < lastTime) return `${label} fixes must be in time order (fix ${i} is earlier than the one before)`;
+                lastTime = fix.time;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * POST /api/snap/match - Map-match GPS fix sequences to continuous track paths
+ * Body: {
+ *   "trains": [{ "id": "T001", "fixes": [{ "position": [lon, lat], "timestamp": "2025-10-01T09:00:00Z",
+ *                                          "heading": 12, "speed": 60, "accuracy": 15 }] }],
+ *   "options": { "gpsSigma": 20, "searchRadius": 200, "maxSpeed": 200 },
+ *   "region": "optional"
+ * }
+ * A single train may also be sent as { "trainId", "fixes" }. Heading (degrees), speed (km/h)
+ * and accuracy (m) are optional.
+ */
+app.post('/api/snap/match', withRegion, async (req, res) => {
+    try {
+        const trains = Array.isArray(req.body.trains)
+            ? req.body.trains
+            : [{ id: req.body.trainId, fixes: req.body.fixes }];
+
+        const problem = validateFixSequences(trains);
+        if (problem) {
+            return res.status(400).json({
+                error: 'Invalid fixes',
+                message: problem,
+                example: {
+                    trainId: 'T001',
+                    fixes: [
+                        { position: [72.8258, 18.9220], timestamp: '2025-10-01T09:00:00Z', heading: 350, speed: 45 },
+                        { position: [72.8252, 18.9310], timestamp: '2025-10-01T09:01:00Z', heading: 355, speed: 50 }
+                    ]
+                }
+            });
+        }
+
+        const options = {};
+        for (const [key, value] of Object.entries(req.body.options || {})) {
+            if (!(key in MATCH_DEFAULTS) || !Number.isFinite(value) || value <= 0) {
+                return res.status(400).json({
+                    error: 'Invalid option',
+                    message: `Options must be positive numbers among ${Object.keys(MATCH_DEFAULTS).join(', ')}`,
+                    defaults: MATCH_DEFAULTS
+                });
+            }
+            options[key] = value;
+        }
+
+        const railwayData = await getRegionRailwayTracks(req.region);
+
+        if (!railwayData.features || railwayData.features.length === 0) {
+            return res.status(500).json({
+                error: 'No railway data available',
+                message: `Could not fetch ${req.region.name} railway tracks`
+            });
+        }
+
+        const matches = trains.map(train => {
+            const match = matchTrainPath(train.fixes, railwayData, options);
+            return {
+                id: train.id !== undefined ? train.id : null,
+                fixes: match.fixes,
+                geometry: match.segments.length === 1
+                    ? { type: 'LineString', coordinates: match.segments[0].coordinates }
+                    : { type: 'MultiLineString', coordinates: match.segments.map(segment => segment.coordinates) },
+                length_m: Math.round(match.segments.reduce((total, segment) => total + segment.length, 0)),
+                segments: match.segments.map(segment => ({
+                    from_fix: segment.from,
+                    to_fix: segment.to,
+                    length_m: Math.round(segment.length)
+                })),
+                statistics: {
+                    totalFixes: train.fixes.length,
+                    matchedFixes: match.matchedFixes,
+                    unmatchedFixes: train.fixes.length - match.matchedFixes
+                }
+            };
+        });
+
+        res.json({
+            success: true,
+            trains: matches,
+            metadata: {
+                processedAt: new Date().toISOString(),
+                options: { ...MATCH_DEFAULTS, ...options },
+                trackCount: railwayData.features.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in /api/snap/match endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to match train fixes to tracks'
+        });
+    }
+});
+
 /**
  * GET /api/trains/sample - Get sample train positions for Mumbai
  */
-app.get('/api/trains/sample', async (req, res) => {
+app.get('/api/trains/sample', withRegion, async (req, res) => {
     try {
         const sampleTrains = generateSampleTrainPositions();
         
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.json({
@@ -244,12 +631,57 @@ app.get('/api/trains/sample', async (req, res) => {
 });
 
 /**
- * GET /api/mumbai - Get Mumbai railway tracks with predefined bounding box
+ * GET /api/regions - Configured regions with their bounding box, map view and data sources,
+ * plus the region whose timetable is simulated when the simulation server mounts this app
+ */
+app.get('/api/regions', (req, res) => {
+    res.json({
+        default: getRegion().id,
+        simulation_region: app.locals.simulationRegion || null,
+        regions: listRegions().map(describeRegion)
+    });
+});
+
+/**
+ * GET /api/tracks - Railway tracks of a configured region
+ * Query parameters:
+ * - region: region id (default region when omitted)
+ * - category, electrified, gauge: track filters as on /api/osm (optional)
+ */
+app.get('/api/tracks', withRegion, async (req, res) => {
+    try {
+        const { filters, error: filterError } = parseTrackFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: filterError
+            });
+        }
+
+        const railwayData = await getRegionRailwayTracks(req.region);
+        res.json(applyTrackFilters(railwayData, filters));
+    } catch (error) {
+        console.error('Error in /api/tracks endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: `Failed to fetch ${req.region.name} railway data`
+        });
+    }
+});
+
+/**
+ * GET /api/mumbai - Mumbai railway tracks (kept for older clients; same as /api/tracks?region=mumbai)
  */
 app.get('/api/mumbai', async (req, res) => {
     try {
-        const railwayData = await getMumbaiRailwayTracks();
-        res.json(railwayData);
+        const region = getRegion('mumbai');
+        if (!region) {
+            return res.status(404).json({
+                error: 'Unknown region',
+                message: 'Region "mumbai" is not configured'
+            });
+        }
+        res.json(await getRegionRailwayTracks(region));
     } catch (error) {
         console.error('Error in /api/mumbai endpoint:', error);
         res.status(500).json({
@@ -259,13 +691,45 @@ app.get('/api/mumbai', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/tiles/:z/:x/:y.mvt - Mapbox Vector Tile of a region's railway tracks (layer "tracks")
+ * Query parameters:
+ * - region: region id (default region when omitted)
+ */
+app.get('/api/tiles/:z/:x/:y.mvt', withRegion, async (req, res) => {
+    try {
+        const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+        if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+            return res.status(400).json({
+                error: 'Invalid tile',
+                message: 'Tile coordinates must be integers with 0 <= x, y < 2^z and z <= 24'
+            });
+        }
+
+        const tile = await getTrackVectorTile(req.region, z, x, y);
+        res.set('Cache-Control', 'public, max-age=300');
+        if (!tile) {
+            return res.status(204).end();
+        }
+        res.type('application/vnd.mapbox-vector-tile').send(tile);
+    } catch (error) {
+        console.error('Error in /api/tiles endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: `Failed to build ${req.region.name} track tile`
+        });
+    }
+});
+
 /**
  * POST /api/snap - Snap a single train to nearest railway track
- * Body: { "position": [longitude, latitude], "trainId": "optional", "trainType": "optional" }
+ * Body: { "position": [longitude, latitude], "trainId": "optional", "trainType": "optional", "region": "optional",
+ *         "heading": degrees (optional), "previousPosition": [longitude, latitude] (optional) }
+ * heading or previousPosition point the train body in the direction of travel
  */
-app.post('/api/snap', async (req, res) => {
+app.post('/api/snap', withRegion, async (req, res) => {
     try {
-        const { position, trainId, trainType, trainBodyMeters } = req.body;
+        const { position, trainId, trainType, trainBodyMeters, heading = null, previousPosition = null } = req.body;
         
         if (!position || !Array.isArray(position) || position.length !== 2) {
             return res.status(400).json({
@@ -275,8 +739,17 @@ app.post('/api/snap', async (req, res) => {
             });
         }
 
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        const directionError = validateTravelDirection(heading, previousPosition);
+        if (directionError) {
+            return res.status(400).json({
+                error: 'Invalid direction of travel',
+                message: directionError,
+                example: { "position": [72.8777, 19.0760], "heading": 350 }
+            });
+        }
+
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.status(503).json({
@@ -289,7 +762,9 @@ app.post('/api/snap', async (req, res) => {
         const snappedTrain = snapTrainToTracks(position, railwayData.features, {
             trainId: trainId || `train_${Date.now()}`,
             trainType: trainType || 'local',
-            trainBodyMeters: trainBodyMeters || 150
+            trainBodyMeters: trainBodyMeters || 150,
+            heading,
+            previousPosition
         });
 
         if (!snappedTrain) {
@@ -313,9 +788,9 @@ app.post('/api/snap', async (req, res) => {
 
 /**
  * POST /api/snap-multiple - Snap multiple trains to railway tracks
- * Body: { "trains": [{"position": [lon, lat], "id": "optional", "type": "optional"}] }
+ * Body: { "trains": [{"position": [lon, lat], "id": "optional", "type": "optional"}], "region": "optional" }
  */
-app.post('/api/snap-multiple', async (req, res) => {
+app.post('/api/snap-multiple', withRegion, async (req, res) => {
     try {
         const { trains, trainBodyMeters } = req.body;
         
@@ -332,8 +807,8 @@ app.post('/api/snap-multiple', async (req, res) => {
             });
         }
 
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.status(503).json({
@@ -366,7 +841,7 @@ app.post('/api/snap-multiple', async (req, res) => {
 /**
  * GET /api/demo-trains - Get demo trains snapped to Mumbai tracks
  */
-app.get('/api/demo-trains', async (req, res) => {
+app.get('/api/demo-trains', withRegion, async (req, res) => {
     try {
         // Demo train positions around Mumbai
         const demoTrains = [
@@ -379,8 +854,8 @@ app.get('/api/demo-trains', async (req, res) => {
             { position: [72.8750, 19.0850], id: "mumbai_express_2", type: "express" }
         ];
 
-        // Get Mumbai railway tracks
-        const railwayData = await getMumbaiRailwayTracks();
+        // Get the requested region's railway tracks
+        const railwayData = await getRegionRailwayTracks(req.region);
         
         if (!railwayData.features || railwayData.features.length === 0) {
             return res.status(503).json({
@@ -412,12 +887,94 @@ app.get('/api/demo-trains', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/route - Shortest track-following path between stations
+ * Query parameters:
+ * - from: origin station name or "lat,lon" (required)
+ * - to: destination station name or "lat,lon" (required)
+ * - via: optional comma-separated intermediate station names
+ * - region: region whose tracks to route over (default region when omitted)
+ */
+app.get('/api/route', withRegion, async (req, res) => {
+    try {
+        const { from, to, via } = req.query;
+
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Missing required parameters',
+                message: 'Please provide from and to station names',
+                example: '/api/route?from=CST&to=Thane&via=Dadar'
+            });
+        }
+
+        const names = [from, ...(via ? via.split(',') : []), to];
+        const waypoints = names.map(resolveWaypoint);
+        const unknown = names.filter((name, i) => !waypoints[i]);
+
+        if (unknown.length > 0) {
+            return res.status(404).json({
+                error: 'Unknown station',
+                message: `Could not find station(s): ${unknown.join(', ')}`,
+                knownStations: stationRegistry.list().map(station => station.name)
+            });
+        }
+
+        const railwayData = await getRegionRailwayTracks(req.region);
+
+        if (!railwayData.features || railwayData.features.length === 0) {
+            return res.status(503).json({
+                error: 'No railway data available',
+                message: 'Railway tracks not loaded. Please try again later.'
+            });
+        }
+
+        const route = routeThroughWaypoints(
+            railwayData,
+            waypoints.map(waypoint => [waypoint.lon, waypoint.lat])
+        );
+
+        if (!route) {
+            return res.status(404).json({
+                error: 'No route found',
+                message: `Stations ${names.join(' → ')} are not connected by railway track`
+            });
+        }
+
+        res.json({
+            success: true,
+            stations: waypoints,
+            length_m: Math.round(route.length),
+            legs: route.legs.map((leg, i) => ({
+                from: waypoints[i].name,
+                to: waypoints[i + 1].name,
+                length_m: Math.round(leg.length),
+                snap_distance_m: {
+                    from: Math.round(leg.startSnapDistance),
+                    to: Math.round(leg.endSnapDistance)
+                }
+            })),
+            geometry: {
+                type: 'LineString',
+                coordinates: route.coordinates
+            },
+            route_geometry: route.coordinates.map(([lon, lat]) => ({ lat, lon }))
+        });
+
+    } catch (error) {
+        console.error('Error in /api/route endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to compute route'
+        });
+    }
+});
+
 /**
  * GET /api/cache/stats - Get cache statistics
  */
-app.get('/api/cache/stats', (req, res) => {
+app.get('/api/cache/stats', async (req, res) => {
     try {
-        const stats = getCacheStats();
+        const stats = await getCacheStats();
         res.json(stats);
     } catch (error) {
         console.error('Error getting cache stats:', error);
@@ -431,9 +988,10 @@ app.get('/api/cache/stats', (req, res) => {
 /**
  * DELETE /api/cache - Clear cache
  */
-app.delete('/api/cache', (req, res) => {
+app.delete('/api/cache', async (req, res) => {
     try {
-        clearCache();
+        await clearCache();
+        clearTileIndexes();
         res.json({
             success: true,
             message: 'Cache cleared successfully'
@@ -459,28 +1017,45 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Endpoints served by this module, also listed by the simulation server that mounts it
+const ENDPOINTS = {
+    'GET /api/osm?s={south}&w={west}&n={north}&e={east}': 'Fetch railway tracks for bounding box (filters: category, electrified, gauge)',
+    'GET /api/osm/categories': 'Track categories (mainline, suburban, metro, siding, yard, platform, disused, other)',
+    'GET /api/regions': 'Configured regions (bbox, map center and zoom, data sources)',
+    'GET /api/tracks?region={id}': 'Railway tracks of a configured region',
+    'GET /api/mumbai': 'Mumbai railway tracks (same as /api/tracks?region=mumbai)',
+    'GET /api/tiles/{z}/{x}/{y}.mvt?region={id}': 'Mapbox Vector Tiles of a region\'s railway tracks (layer "tracks")',
+    'GET /api/trains/sample?region={id}': 'Sample trains snapped to a region\'s tracks',
+    'POST /api/osm/import': 'Load a local .osm/.osm.json/GeoJSON railway extract (upload "file" or JSON "path" under IMPORT_DIR)',
+    'POST /api/osm/refresh?s={south}&w={west}&n={north}&e={east}': 'Refresh the track store from Overpass',
+    'GET /api/osm/source': 'Show where railway tracks are served from',
+    'POST /api/snap': 'Snap single train to nearest track of the requested region',
+    'POST /api/snap-multiple': 'Snap multiple trains to tracks of the requested region',
+    'POST /api/snap/match': 'Map-match timestamped GPS fixes (optional heading, speed) to a continuous track path per train',
+    'GET /api/demo-trains': 'Get demo trains snapped to Mumbai tracks',
+    'GET /api/route?from={station}&to={station}&via={stations}': 'Shortest track-following path between stations',
+    'GET /api/cache/stats': 'Get track tile cache statistics',
+    'DELETE /api/cache': 'Clear the track tile cache',
+    'GET /api/health': 'Health check'
+};
+
 /**
  * GET / - Root endpoint with API documentation
  */
 app.get('/', (req, res) => {
     res.json({
-        name: 'Mumbai Railway Tracks API',
+        name: 'Railway Tracks API',
         version: '1.0.0',
         description: 'API for fetching railway track data from OpenStreetMap and snapping trains to tracks',
-        endpoints: {
-            'GET /api/osm?s={south}&w={west}&n={north}&e={east}': 'Fetch railway tracks for bounding box',
-            'GET /api/mumbai': 'Get Mumbai railway tracks with predefined coordinates',
-            'POST /api/snap': 'Snap single train to nearest track',
-            'POST /api/snap-multiple': 'Snap multiple trains to tracks',
-            'GET /api/demo-trains': 'Get demo trains snapped to Mumbai tracks',
-            'GET /api/cache/stats': 'Get cache statistics',
-            'DELETE /api/cache': 'Clear cache',
-            'GET /api/health': 'Health check'
-        },
+        endpoints: ENDPOINTS,
         examples: {
-            mumbai: 'http://localhost:3001/api/mumbai',
+            regions: 'http://localhost:3001/api/regions',
+            tracks: 'http://localhost:3001/api/tracks?region=mumbai',
+            vectorTile: 'http://localhost:3001/api/tiles/12/2877/1826.mvt?region=mumbai',
             demoTrains: 'http://localhost:3001/api/demo-trains',
             custom: 'http://localhost:3001/api/osm?s=18.9&w=72.7&n=19.3&e=73.0',
+            filtered: 'http://localhost:3001/api/osm?s=18.9&w=72.7&n=19.3&e=73.0&category=mainline,suburban&electrified=true',
+            route: 'http://localhost:3001/api/route?from=CST&to=Thane',
             snapTrain: {
                 url: 'http://localhost:3001/api/snap',
                 method: 'POST',
@@ -490,29 +1065,44 @@ app.get('/', (req, res) => {
     });
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: 'Something went wrong'
+// Run on its own (npm run start:tracks); the simulation server (index-simple.js)
+// mounts this app instead and uses its own error and 404 handlers
+if (require.main === module) {
+    // Error handling middleware
+    app.use((error, req, res, next) => {
+        console.error('Unhandled error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Something went wrong'
+        });
     });
-});
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Not found',
-        message: `Route ${req.method} ${req.path} not found`
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({
+            error: 'Not found',
+            message: `Route ${req.method} ${req.path} not found`
+        });
     });
-});
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚂 Mumbai Railway Tracks API server running on port ${PORT}`);
-    console.log(`📍 API Documentation: http://localhost:${PORT}`);
-    console.log(`🗺️  Mumbai tracks: http://localhost:${PORT}/api/mumbai`);
-    console.log(`⚡ Health check: http://localhost:${PORT}/api/health`);
-});
+    // Start server once storage is ready
+    initializeStorage()
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`🚂 Railway Tracks API server running on port ${PORT}`);
+                console.log(`📍 API Documentation: http://localhost:${PORT}`);
+                console.log(`🗺️  Tracks: http://localhost:${PORT}/api/tracks?region=${getRegion().id}`);
+                console.log(`⚡ Health check: http://localhost:${PORT}/api/health`);
+            });
+        })
+        .catch(error => {
+            console.error('❌ Failed to initialize storage:', error.message);
+            process.exit(1);
+        });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = {
+    app,
+    ENDPOINTS,
+    initializeTracks
+};
\ No newline at end of file
@@ -0,0 +1,382 @@
+const turf = require('@turf/turf');
+const RBush = require('rbush');
+const { getRailwayGraph, shortestPathBetween, distancesFrom } = require('./topology');
+const { nearestPointOnSegment } = require('./snap');
+
+// Meters per degree of latitude on turf's mean earth radius
+const METERS_PER_DEGREE = (6371008.8 * Math.PI) / 180;
+
+// Most fixes matched in one request (matching runs synchronously)
+const MAX_FIXES = 1000;
+// Longest track distance searched between consecutive fixes; wider gaps split the path
+const MAX_TRANSITION_M = 20000;
+
+const DEFAULT_OPTIONS = {
+    gpsSigma: 20,           // m, standard deviation of GPS error (a fix's accuracy overrides it)
+    searchRadius: 200,      // m, tracks further from a fix are not considered
+    maxCandidates: 8,       // closest track edges kept per fix
+    transitionBeta: 50,     // m, tolerance for track distance differing from straight-line distance
+    headingSigma: 30,       // degrees, spread of GPS heading around the track bearing
+    minHeadingSpeed: 5,     // km/h, headings of slower fixes are ignored (GPS heading is noise at a crawl)
+    maxSpeed: 200           // km/h, transitions needing a faster train are impossible
+};
+
+// Segment indexes of graph edges, one per graph (topology.js keeps one graph per
+// region track array, so the index lives as long as the region's tracks are unchanged)
+const edgeIndexes = new WeakMap();
+
+/**
+ * R-tree over every segment of every graph edge, with each edge's cumulative
+ * segment lengths so a projection can be turned into a distance along the edge
+ * @param {Object} graph - Railway graph from getRailwayGraph
+ * @returns {Object} { tree, offsets: Array per edge of meters at each vertex }
+ */
+function getEdgeIndex(graph) {
+    let index = edgeIndexes.get(graph);
+    if (index) return index;
+
+    const items = [];
+    const offsets = graph.edges.map(edge => {
+        const coords = edge.coordinates;
+        const offset = [0];
+        for (let i = 0; i < coords.length - 1; i++) {
+            const [lon1, lat1] = coords[i];
+            const [lon2, lat2] = coords[i + 1];
+            items.push({
+                minX: Math.min(lon1, lon2),
+                minY: Math.min(lat1, lat2),
+                maxX: Math.max(lon1, lon2),
+                maxY: Math.max(lat1, lat2),
+                edgeId: edge.id,
+                segmentIndex: i
+            });
+            offset.push(offset[i] + turf.distance(coords[i], coords[i + 1], { units: 'meters' }));
+        }
+        return offset;
+    });
+
+    const tree = new RBush();
+    tree.load(items);
+    index = { tree, offsets };
+    edgeIndexes.set(graph, index);
+    return index;
+}
+
+/**
+ * Candidate track positions for a fix: the closest point of each edge within the search radius
+ * @param {Object} graph - Railway graph
+ * @param {Array} point - [longitude, latitude]
+ * @param {Object} options - { searchRadius, maxCandidates }
+ * @returns {Array} Candidates { edge, location, coordinates, distance, bearing }, closest first
+ */
+function findCandidates(graph, point, { searchRadius, maxCandidates }) {
+    const { tree, offsets } = getEdgeIndex(graph);
+    const [lon, lat] = point;
+    const latRadius = searchRadius / METERS_PER_DEGREE;
+    const lonRadius = latRadius / Math.max(Math.cos((lat * Math.PI) / 180), 1e-6);
+
+    const byEdge = new Map();
+    for (const item of tree.search({ minX: lon - lonRadius, minY: lat - latRadius, maxX: lon + lonRadius, maxY: lat + latRadius })) {
+        const edge = graph.edges[item.edgeId];
+        const a = edge.coordinates[item.segmentIndex];
+        const b = edge.coordinates[item.segmentIndex + 1];
+        const nearest = nearestPointOnSegment(point, a, b);
+        if (nearest.distance > searchRadius) continue;
+
+        const current = byEdge.get(edge.id);
+        if (!current || nearest.distance < current.distance) {
+            const offset = offsets[edge.id];
+            byEdge.set(edge.id, {
+                edge,
+                location: offset[item.segmentIndex] + nearest.fraction * (offset[item.segmentIndex + 1] - offset[item.segmentIndex]),
+                coordinates: nearest.coordinates,
+                distance: nearest.distance,
+                bearing: turf.bearing(a, b)
+            });
+        }
+    }
+
+    return [...byEdge.values()]
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxCandidates);
+}
+
+/**
+ * Smallest angle between two bearings, treating a track as running both ways
+ * @param {number} heading - Degrees
+ * @param {number} bearing - Track bearing in degrees
+ * @returns {number} 0..90 degrees
+ */
+function headingDifference(heading, bearing) {
+    const difference = Math.abs((((heading - bearing) % 360) + 540) % 360 - 180);
+    return Math.min(difference, 180 - difference);
+}
+
+/**
+ * Log-likelihood of observing a fix when the train is at a candidate position:
+ * Gaussian GPS error, plus agreement between the fix heading and the track
+ * @param {Object} candidate - Candidate from findCandidates
+ * @param {Object} fix - Normalized fix
+ * @param {Object} options - Matching options
+ * @returns {number} Log-probability (up to a constant)
+ */
+function emissionLogProb(candidate, fix, options) {
+    const sigma = fix.accuracy || options.gpsSigma;
+    let logProb = -0.5 * (candidate.distance / sigma) ** 2;
+
+    const moving = fix.speed === null || fix.speed >= options.minHeadingSpeed;
+    if (fix.heading !== null && moving) {
+        logProb += -0.5 * (headingDifference(fix.heading, candidate.bearing) / options.headingSigma) ** 2;
+    }
+    return logProb;
+}
+
+/**
+ * Log-likelihood of moving between candidates of consecutive fixes: track
+ * distance should match the straight-line distance (and the reported speeds),
+ * and no train covers it faster than maxSpeed
+ * @param {number} trackDistance - Meters along the track between the candidates
+ * @param {Object} from - Previous normalized fix
+ * @param {Object} to - Next normalized fix
+ * @param {Object} options - Matching options
+ * @returns {number} Log-probability (up to a constant), -Infinity when impossible
+ */
+function transitionLogProb(trackDistance, from, to, options) {
+    if (!Number.isFinite(trackDistance)) return -Infinity;
+
+    const straight = turf.distance(from.position, to.position, { units: 'meters' });
+    let logProb = -Math.abs(trackDistance - straight) / options.transitionBeta;
+
+    const seconds = from.time !== null && to.time !== null ? (to.time - from.time) / 1000 : null;
+    if (seconds > 0) {
+        // GPS error can make a stationary train look like it moved
+        const slack = 2 * options.gpsSigma;
+        if (((trackDistance - slack) / seconds) * 3.6 > options.maxSpeed) return -Infinity;
+
+        if (from.speed !== null && to.speed !== null) {
+            const expected = ((from.speed + to.speed) / 2 / 3.6) * seconds;
+            logProb += -Math.abs(trackDistance - expected) / Math.max(options.transitionBeta, 0.3 * expected);
+        }
+    }
+    return logProb;
+}
+
+/**
+ * Track distance from one candidate to each candidate of the next fix
+ * @param {Object} graph - Railway graph
+ * @param {Object} from - Candidate
+ * @param {Array} targets - Candidates of the next fix
+ * @param {number} maxLength - Search limit in meters
+ * @returns {Array} Meters per target (Infinity when not reachable within maxLength)
+ */
+function trackDistances(graph, from, targets, maxLength) {
+    const nodeDistances = distancesFrom(graph, from, maxLength);
+    const viaNode = node => (nodeDistances.has(node) ? nodeDistances.get(node) : Infinity);
+
+    return targets.map(to => {
+        const distance = Math.min(
+            to.edge.id === from.edge.id ? Math.abs(to.location - from.location) : Infinity,
+            viaNode(to.edge.from) + to.location,
+            viaNode(to.edge.to) + to.edge.length - to.location
+        );
+        return distance <= maxLength ? distance : Infinity;
+    });
+}
+
+/**
+ * Parse a fix: position as [lon, lat] or { lat, lon }; timestamp as ISO string or
+ * epoch milliseconds; heading in degrees, speed in km/h and accuracy in meters optional
+ * @param {Object} fix - Raw fix
+ * @returns {Object|null} { position, time, timestamp, heading, speed, accuracy } or null when the position is invalid
+ */
+function normalizeFix(fix) {
+    if (!fix) return null;
+    const position = Array.isArray(fix.position) ? fix.position : [fix.lon, fix.lat];
+    if (position.length !== 2 || !position.every(Number.isFinite)) return null;
+
+    const time = fix.timestamp === undefined ? null : new Date(fix.timestamp).getTime();
+    const number = value => (Number.isFinite(value) ? value : null);
+    return {
+        position,
+        time: Number.isFinite(time) ? time : null,
+        timestamp: fix.timestamp === undefined ? null : fix.timestamp,
+        heading: number(fix.heading),
+        speed: number(fix.speed),
+        accuracy: Number.isFinite(fix.accuracy) && fix.accuracy > 0 ? fix.accuracy : null
+    };
+}
+
+/**
+ * Bearing of the first step of a coordinate list
+ * @param {Array} coords - [longitude, latitude] in travel order
+ * @param {boolean} fromEnd - Use the last step instead
+ * @returns {number|null} Degrees, or null when the list has no length
+ */
+function travelBearing(coords, fromEnd = false) {
+    const ordered = fromEnd ? coords.slice().reverse() : coords;
+    const start = ordered[0];
+    const next = ordered.find(coord => coord[0] !== start[0] || coord[1] !== start[1]);
+    if (!next) return null;
+    return fromEnd ? turf.bearing(next, start) : turf.bearing(start, next);
+}
+
+/**
+ * Match a sequence of GPS fixes to the most plausible continuous path over the
+ * railway graph with a hidden Markov model: candidate track positions per fix
+ * are scored by GPS distance and heading, moves between them by how well the
+ * track distance agrees with the fixes, and the Viterbi algorithm picks the
+ * best sequence. Parallel lines are only swapped where the track connects them.
+ * Where no plausible move exists the match restarts as a new segment.
+ * @param {Array} fixes - Raw fixes in time order (see normalizeFix)
+ * @param {Object} railwayData - GeoJSON FeatureCollection of railway tracks
+ * @param {Object} options - Overrides of DEFAULT_OPTIONS
+ * @returns {Object} { fixes: per-fix match, segments: [{ from, to, coordinates, length }], matchedFixes }
+ */
+function matchTrainPath(fixes, railwayData, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const graph = getRailwayGraph(railwayData);
+    const normalized = fixes.map(normalizeFix);
+
+    // One step per fix that has candidate positions
+    const steps = [];
+    normalized.forEach((fix, index) => {
+        const candidates = fix ? findCandidates(graph, fix.position, settings) : [];
+        if (candidates.length > 0) {
+            steps.push({ index, fix, candidates, emissions: candidates.map(candidate => emissionLogProb(candidate, fix, settings)) });
+        }
+    });
+
+    // Forward Viterbi pass; a step that no previous candidate can reach starts a new segment
+    steps.forEach((step, s) => {
+        const previous = steps[s - 1];
+        step.score = step.emissions.slice();
+        step.back = step.candidates.map(() => null);
+        step.transitions = null;
+        if (!previous) {
+            step.segmentStart = true;
+            return;
+        }
+
+        const seconds = previous.fix.time !== null && step.fix.time !== null ? (step.fix.time - previous.fix.time) / 1000 : null;
+        const straight = turf.distance(previous.fix.position, step.fix.position, { units: 'meters' });
+        const maxLength = Math.min(seconds > 0
+            ? (settings.maxSpeed / 3.6) * seconds + 2 * settings.searchRadius
+            : 3 * straight + 2 * settings.searchRadius, MAX_TRANSITION_M);
+
+        step.transitions = previous.candidates.map(candidate =>
+            trackDistances(graph, candidate, step.candidates, maxLength)
+                .map(distance => transitionLogProb(distance, previous.fix, step.fix, settings)));
+
+        step.score = step.candidates.map((candidate, j) => {
+            let best = -Infinity;
+            previous.candidates.forEach((_, i) => {
+                const score = previous.score[i] + step.transitions[i][j];
+                if (score > best) {
+                    best = score;
+                    step.back[j] = i;
+                }
+            });
+            return best + step.emissions[j];
+        });
+
+        step.segmentStart = step.score.every(score => score === -Infinity);
+        if (step.segmentStart) {
+            step.score = step.emissions.slice();
+            step.back = step.candidates.map(() => null);
+        }
+    });
+
+    // Backward pass: best score of the rest of the segment from each candidate
+    for (let s = steps.length - 1; s >= 0; s--) {
+        const next = steps[s + 1];
+        steps[s].future = next && !next.segmentStart
+            ? steps[s].candidates.map((_, i) => Math.max(...next.candidates.map((__, j) =>
+                next.transitions[i][j] + next.emissions[j] + next.future[j])))
+            : steps[s].candidates.map(() => 0);
+    }
+
+    // Trace back the best candidate of every step, segment by segment
+    for (let s = steps.length - 1; s >= 0; s--) {
+        const step = steps[s];
+        const next = steps[s + 1];
+        if (!next || next.segmentStart) {
+            step.chosen = step.score.indexOf(Math.max(...step.score));
+        } else {
+            step.chosen = next.back[next.chosen];
+        }
+
+        // Share of the best complete path going through the chosen candidate
+        const totals = step.candidates.map((_, i) => step.score[i] + step.future[i]);
+        const best = totals[step.chosen];
+        const sum = totals.reduce((total, score) => total + Math.exp(score - best), 0);
+        step.confidence = 1 / sum;
+    }
+
+    // Join consecutive matched positions along the track
+    const segments = [];
+    steps.forEach((step, s) => {
+        const candidate = step.candidates[step.chosen];
+        if (step.segmentStart) {
+            segments.push({ from: step.index, to: step.index, coordinates: [candidate.coordinates], length: 0 });
+            return;
+        }
+
+        const previous = steps[s - 1];
+        const segment = segments[segments.length - 1];
+        const leg = shortestPathBetween(graph, previous.candidates[previous.chosen], candidate);
+        if (leg) {
+            for (const coord of leg.coordinates) {
+                const last = segment.coordinates[segment.coordinates.length - 1];
+                if (last[0] !== coord[0] || last[1] !== coord[1]) segment.coordinates.push(coord);
+            }
+            segment.length += leg.length;
+            previous.leaving = travelBearing(leg.coordinates);
+            step.arriving = travelBearing(leg.coordinates, true);
+        }
+        const last = segment.coordinates[segment.coordinates.length - 1];
+        if (last[0] !== candidate.coordinates[0] || last[1] !== candidate.coordinates[1]) segment.coordinates.push(candidate.coordinates);
+        segment.to = step.index;
+    });
+
+    const byIndex = new Map(steps.map(step => [step.index, step]));
+    const results = normalized.map((fix, index) => {
+        const step = byIndex.get(index);
+        if (!step) {
+            return { index, timestamp: fix ? fix.timestamp : null, originalPosition: fix ? fix.position : null, matched: false };
+        }
+
+        const candidate = step.candidates[step.chosen];
+        const bearing = [step.leaving, step.arriving].find(value => value !== undefined && value !== null);
+        return {
+            index,
+            timestamp: fix.timestamp,
+            originalPosition: fix.position,
+            matched: true,
+            snappedPosition: candidate.coordinates,
+            // Direction of travel along the matched path; the track's own direction for a lone fix
+            bearing: bearing === undefined ? candidate.bearing : bearing,
+            distanceToTrack: candidate.distance,
+            confidence: step.confidence,
+            candidates: step.candidates.length,
+            track: {
+                properties: candidate.edge.properties,
+                edge: candidate.edge.id,
+                location: candidate.location
+            }
+        };
+    });
+
+    return {
+        fixes: results,
+        segments,
+        matchedFixes: steps.length
+    };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    MAX_FIXES,
+    normalizeFix,
+    findCandidates,
+    matchTrainPath
+};
@@ -0,0 +1,197 @@
+const { simulateTrain, formatTime } = require('./simulator');
+
+// Trains up to this late still count as on time (suburban punctuality standard)
+const DEFAULT_ON_TIME_THRESHOLD_SEC = 5 * 60;
+
+// Timetabled runs without disruptions or delays, cached per train service object
+const plannedRuns = new WeakMap();
+
+/**
+ * Simulated run of a train's timetable, used as the reference for delays
+ * @param {Object} train - Train service
+ * @returns {Object} Simulated train
+ */
+function plannedRun(train) {
+    if (!plannedRuns.has(train)) plannedRuns.set(train, simulateTrain(train));
+    return plannedRuns.get(train);
+}
+
+/**
+ * Time of the event that marks a stop: departure from the origin, arrival elsewhere
+ * @param {Object} stop - Schedule entry
+ * @param {number} index - Position in the schedule
+ * @returns {number} Seconds since midnight
+ */
+function stopEventSec(stop, index) {
+    return index === 0 ? stop.departure_sec : stop.arrival_sec;
+}
+
+/**
+ * Clock hour label for a time, e.g. "09:00"
+ * @param {number} seconds - Seconds since midnight
+ * @returns {string} Hour label
+ */
+function hourLabel(seconds) {
+    return `${formatTime(seconds).slice(0, 2)}:00`;
+}
+
+/**
+ * Round seconds to minutes with one decimal
+ * @param {number} seconds - Duration in seconds
+ * @returns {number} Minutes
+ */
+function toMinutes(seconds) {
+    return Math.round(seconds / 6) / 10;
+}
+
+/**
+ * Stop events of one live train with their actual (or predicted) and timetabled times
+ * @param {Object} liveSimulation - LiveSimulation instance
+ * @param {Object} simulated - Simulated train loaded into the live clock
+ * @param {Object} planned - Simulated timetable of the same train
+ * @returns {Array} Events { station, index, actual, planned, lateness, terminus }
+ */
+function stopEvents(liveSimulation, simulated, planned) {
+    const events = [];
+    (simulated.schedule || []).forEach((stop, index) => {
+        const reference = planned.schedule[index];
+        if (stop.skipped || !reference || reference.station !== stop.station) return;
+
+        const actual = liveSimulation.eventTime(simulated.train_id, stopEventSec(stop, index));
+        const scheduled = stopEventSec(reference, index);
+        events.push({
+            station: stop.station,
+            index,
+            actual,
+            planned: scheduled,
+            lateness: Math.max(actual - scheduled, 0),
+            terminus: index === simulated.schedule.length - 1
+        });
+    });
+    return events;
+}
+
+/**
+ * Compute operational KPIs from the live simulation state.
+ *
+ * A train's delay is the lateness of its next stop (predicted from the current
+ * disruptions and injected delays) or of its arrival at the terminus once it has
+ * completed its run. On-time performance, average and maximum delay cover trains
+ * that have started; trains that have not left their origin are only counted.
+ * @param {Object} liveSimulation - LiveSimulation instance
+ * @param {Array} trains - Timetabled train services
+ * @param {Object} options - { onTimeThreshold (s) }
+ * @returns {Object} { summary, trains, lines, stations, punctuality }
+ */
+function computeMetrics(liveSimulation, trains, options = {}) {
+    const threshold = options.onTimeThreshold || DEFAULT_ON_TIME_THRESHOLD_SEC;
+    const timetable = new Map(trains.map(train => [train.train_id, train]));
+
+    const rows = [];
+    const lines = new Map();
+    const stations = new Map();
+    const hours = new Map();
+
+    for (const { train, state } of liveSimulation.getTrainStates()) {
+        const service = timetable.get(train.train_id);
+        const events = service ? stopEvents(liveSimulation, train, plannedRun(service)) : [];
+        // Clock time on the train's service day, which runs on past midnight
+        const now = liveSimulation.serviceTime(train.train_id);
+
+        const upcoming = events.find(event => event.actual > now);
+        const current = state.status === 'completed' || !upcoming ? events[events.length - 1] : upcoming;
+        const delay = current ? current.lateness : state.delay_sec;
+        const started = state.status !== 'scheduled';
+
+        rows.push({
+            train_id: train.train_id,
+            train_name: train.train_name,
+            line: train.line || null,
+            status: state.status,
+            delay_sec: Math.round(delay),
+            on_time: delay <= threshold,
+            started
+        });
+
+        // Trains serving each station per hour, by the time they actually call there
+        for (const event of events) {
+            if (!stations.has(event.station)) stations.set(event.station, new Map());
+            const byHour = stations.get(event.station);
+            const hour = hourLabel(event.actual);
+            byHour.set(hour, (byHour.get(hour) || 0) + 1);
+
+            // Arrivals that already happened make up the punctuality trend
+            if (event.index > 0 && event.actual <= now) {
+                const bucket = hours.get(hourLabel(event.actual)) || { arrivals: 0, onTime: 0, lateness: 0 };
+                bucket.arrivals++;
+                bucket.lateness += event.lateness;
+                if (event.lateness <= threshold) bucket.onTime++;
+                hours.set(hourLabel(event.actual), bucket);
+            }
+        }
+    }
+
+    for (const row of rows) {
+        const name = row.line || 'Unassigned';
+        const line = lines.get(name) || { line: name, total: 0, active: 0, on_time: 0, delayed: 0, delaySec: 0 };
+        line.total++;
+        if (row.started && row.status !== 'completed') line.active++;
+        if (row.started) {
+            if (row.on_time) line.on_time++;
+            else line.delayed++;
+            line.delaySec += row.delay_sec;
+        }
+        lines.set(name, line);
+    }
+
+    const started = rows.filter(row => row.started);
+    const onTime = started.filter(row => row.on_time).length;
+    const totalDelay = started.reduce((total, row) => total + row.delay_sec, 0);
+
+    return {
+        summary: {
+            total_trains: rows.length,
+            active: started.filter(row => row.status !== 'completed').length,
+            scheduled: rows.length - started.length,
+            completed: started.filter(row => row.status === 'completed').length,
+            on_time: onTime,
+            delayed: started.length - onTime,
+            on_time_pct: started.length > 0 ? Math.round((onTime / started.length) * 1000) / 10 : null,
+            avg_delay_min: started.length > 0 ? toMinutes(totalDelay / started.length) : 0,
+            max_delay_min: toMinutes(Math.max(0, ...started.map(row => row.delay_sec))),
+            on_time_threshold_sec: threshold
+        },
+        trains: rows
+            .map(({ started: _started, ...row }) => row)
+            .sort((a, b) => b.delay_sec - a.delay_sec),
+        lines: [...lines.values()].map(({ delaySec, ...line }) => ({
+            ...line,
+            avg_delay_min: line.on_time + line.delayed > 0 ? toMinutes(delaySec / (line.on_time + line.delayed)) : 0
+        })),
+        stations: [...stations].map(([station, byHour]) => {
+            const counts = [...byHour].sort(([a], [b]) => a.localeCompare(b));
+            const peak = counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best), counts[0]);
+            return {
+                station,
+                trains: counts.reduce((total, [, count]) => total + count, 0),
+                peak_hour: peak[0],
+                per_hour: Object.fromEntries(counts)
+            };
+        }).sort((a, b) => b.trains - a.trains),
+        punctuality: [...hours]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([hour, bucket]) => ({
+                hour,
+                arrivals: bucket.arrivals,
+                on_time: bucket.onTime,
+                on_time_pct: Math.round((bucket.onTime / bucket.arrivals) * 1000) / 10,
+                avg_delay_min: toMinutes(bucket.lateness / bucket.arrivals)
+            }))
+    };
+}
+
+module.exports = {
+    DEFAULT_ON_TIME_THRESHOLD_SEC,
+    computeMetrics,
+    plannedRun
+};
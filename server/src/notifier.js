@@ -0,0 +1,111 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const CHANNELS = ['webhook', 'email'];
+
+/**
+ * Outbound alert channels configured through the environment.
+ *
+ * - ALERT_WEBHOOK_URL: alerts are POSTed there as JSON
+ * - ALERT_EMAIL_TO: alerts are mailed through ALERT_SMTP_HOST:ALERT_SMTP_PORT
+ *   (default localhost:1025, a local SMTP catcher such as MailHog) from ALERT_EMAIL_FROM
+ * @param {Object} env - Environment variables
+ * @returns {Object} { webhook, email } with null for unconfigured channels
+ */
+function channelConfig(env = process.env) {
+    return {
+        webhook: env.ALERT_WEBHOOK_URL ? { url: env.ALERT_WEBHOOK_URL } : null,
+        email: env.ALERT_EMAIL_TO
+            ? {
+                host: env.ALERT_SMTP_HOST || 'localhost',
+                port: parseInt(env.ALERT_SMTP_PORT, 10) || 1025,
+                from: env.ALERT_EMAIL_FROM || 'railway-alerts@localhost',
+                to: env.ALERT_EMAIL_TO
+            }
+            : null
+    };
+}
+
+/**
+ * One line per alert for plain-text messages
+ * @param {Object} alert - Alert
+ * @returns {string} Summary line
+ */
+function alertLine(alert) {
+    return `[${alert.severity.toUpperCase()}] ${alert.time || ''} ${alert.message}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * POST alerts to the configured webhook
+ * @param {Object} config - { url }
+ * @param {Array} alerts - Alerts to send
+ * @param {string} note - Optional operator note
+ */
+async function sendWebhook(config, alerts, note) {
+    await axios.post(config.url, {
+        source: 'mumbai-railway-simulation',
+        sent_at: new Date().toISOString(),
+        note: note || null,
+        alerts: alerts
+    }, { timeout: 10000 });
+}
+
+/**
+ * Mail alerts through the configured SMTP server
+ * @param {Object} config - { host, port, from, to }
+ * @param {Array} alerts - Alerts to send
+ * @param {string} note - Optional operator note
+ */
+async function sendEmail(config, alerts, note) {
+    const transport = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: false,
+        // Local SMTP stand-ins do not offer TLS
+        ignoreTLS: true
+    });
+
+    const critical = alerts.filter(alert => alert.severity === 'critical').length;
+    await transport.sendMail({
+        from: config.from,
+        to: config.to,
+        subject: `Railway alerts: ${alerts.length} alert(s)${critical > 0 ? `, ${critical} critical` : ''}`,
+        text: [note, ...alerts.map(alertLine)].filter(Boolean).join('\n')
+    });
+}
+
+/**
+ * Send alerts over the requested channels
+ * @param {Array} alerts - Alerts to send
+ * @param {Object} options - { channels: ['webhook', 'email'] (default all configured), note, config }
+ * @returns {Promise<Array>} Results { channel, status: 'sent' | 'failed' | 'not_configured', error? }
+ */
+async function dispatchAlerts(alerts, options = {}) {
+    const config = options.config || channelConfig();
+    const channels = options.channels && options.channels.length > 0
+        ? options.channels
+        : CHANNELS.filter(channel => config[channel]);
+    const senders = { webhook: sendWebhook, email: sendEmail };
+
+    const results = [];
+    for (const channel of channels) {
+        if (!config[channel]) {
+            results.push({ channel, status: 'not_configured' });
+            continue;
+        }
+        try {
+            await senders[channel](config[channel], alerts, options.note);
+            results.push({ channel, status: 'sent' });
+        } catch (error) {
+            console.error(`❌ Failed to send alerts via ${channel}:`, error.message);
+            results.push({ channel, status: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    CHANNELS,
+    channelConfig,
+    dispatchAlerts
+};
@@ -1,29 +1,112 @@
 const axios = require('axios');
-const osmtogeojson = require('osmtogeojson');
 const NodeCache = require('node-cache');
+const osmtogeojson = require('osmtogeojson');
+const turf = require('@turf/turf');
+const { getStore } = require('./store');
+const { TrackTileCache } = require('./trackTiles');
+const { classifyFeatures, countCategories } = require('./trackCategories');
+
+// Overpass results cached per map tile (24 hour TTL), persisted under TRACK_TILE_CACHE_DIR
+const tileCache = new TrackTileCache();
+
+// Track collection per region, kept while the track store is unchanged so the
+// snapping, routing and map matching indexes built on it are reused across requests
+const regionTracks = new NodeCache({ stdTTL: 24 * 60 * 60, useClones: false });
+
+// Point OVERPASS_URL at a local stand-in (see overpassMock.js) to run without internet access
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
 
-// Cache with 24 hour TTL (24 * 60 * 60 = 86400 seconds)
-const cache = new NodeCache({ stdTTL: 86400 });
+/**
+ * Keep only LineString features that carry a railway tag
+ * @param {Object} geoJson - GeoJSON FeatureCollection
+ * @returns {Array} Railway track features
+ */
+function filterRailwayFeatures(geoJson) {
+    return (geoJson.features || []).filter(feature => {
+        const isLineString = feature.geometry && feature.geometry.type === 'LineString';
+        const hasRailwayTag = feature.properties && feature.properties.railway;
+        return isLineString && hasRailwayTag;
+    });
+}
 
 /**
- * Fetch railway tracks from OSM Overpass API for a given bounding box
+ * Keep only named railway stations, as points (station areas are reduced to their centroid)
+ * @param {Object} geoJson - GeoJSON FeatureCollection
+ * @returns {Array} Point features tagged railway=station
+ */
+function filterStationFeatures(geoJson) {
+    return (geoJson.features || [])
+        .filter(feature => feature.geometry && feature.properties &&
+            feature.properties.railway === 'station' && feature.properties.name)
+        .map(feature => (feature.geometry.type === 'Point'
+            ? feature
+            : { ...feature, geometry: turf.centroid(feature).geometry }));
+}
+
+/**
+ * Fetch railway tracks for a given bounding box, from the track store or else
+ * from Overpass through the tile cache (only tiles not cached yet are downloaded).
+ * Every track gets its category (see trackCategories.js) in properties.category.
  * @param {number} south - Southern boundary
  * @param {number} west - Western boundary  
  * @param {number} north - Northern boundary
  * @param {number} east - Eastern boundary
- * @returns {Promise<Object>} GeoJSON FeatureCollection of railway tracks
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of classified railway tracks
  */
 async function fetchRailwayTracks(south, west, north, east) {
-    // Create cache key from bounding box coordinates
-    const cacheKey = `railway_${south}_${west}_${north}_${east}`;
-    
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-        console.log(`Cache hit for bounding box: ${south},${west},${north},${east}`);
-        return cachedData;
+    // Serve from the persistent track store when it holds imported tracks for this area;
+    // areas it does not cover (e.g. another region) still go to Overpass
+    const store = getStore();
+    const storeInfo = await store.getTrackInfo();
+    const box = { south, west, north, east };
+    const stored = storeInfo.trackCount > 0 ? await store.getTracks(box) : [];
+    if (stored.length > 0) {
+        const features = classifyFeatures(stored);
+        return {
+            type: 'FeatureCollection',
+            features: features,
+            metadata: {
+                fetchedAt: storeInfo.loadedAt,
+                boundingBox: box,
+                trackCount: features.length,
+                categories: countCategories(features),
+                source: storeInfo.source
+            }
+        };
+    }
+
+    const tiled = await tileCache.getTracks(box, missing => (
+        fetchFromOverpass(missing.south, missing.west, missing.north, missing.east)
+    ));
+    if (tiled.tiles.fetched > 0 || tiled.error) {
+        console.log(`Track tiles for ${south},${west},${north},${east}: ${tiled.tiles.cached}/${tiled.tiles.total} cached, ${tiled.tiles.fetched} fetched`);
     }
 
+    const features = classifyFeatures(tiled.features);
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        ...(tiled.error && { error: tiled.error }),
+        metadata: {
+            fetchedAt: new Date().toISOString(),
+            boundingBox: box,
+            trackCount: features.length,
+            categories: countCategories(features),
+            source: 'overpass',
+            tiles: tiled.tiles
+        }
+    };
+}
+
+/**
+ * Download railway tracks for a bounding box from the Overpass API
+ * @param {number} south - Southern boundary
+ * @param {number} west - Western boundary
+ * @param {number} north - Northern boundary
+ * @param {number} east - Eastern boundary
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of railway tracks
+ */
+async function fetchFromOverpass(south, west, north, east) {
     console.log(`Fetching railway data from OSM for bounding box: ${south},${west},${north},${east}`);
 
     // Overpass API query to get railway tracks
@@ -39,7 +122,7 @@ async function fetchRailwayTracks(south, west, north, east) {
     try {
         // Fetch data from Overpass API
         const response = await axios.post(
-            'https://overpass-api.de/api/interpreter',
+            OVERPASS_URL,
             overpassQuery,
             {
                 headers: {
@@ -55,24 +138,18 @@ async function fetchRailwayTracks(south, west, north, east) {
         // Filter only LineString features with railway tags
         const railwayTracks = {
             type: 'FeatureCollection',
-            features: geoJson.features.filter(feature => {
-                const isLineString = feature.geometry && feature.geometry.type === 'LineString';
-                const hasRailwayTag = feature.properties && feature.properties.railway;
-                return isLineString && hasRailwayTag;
-            })
+            features: filterRailwayFeatures(geoJson)
         };
 
         // Add metadata
         railwayTracks.metadata = {
             fetchedAt: new Date().toISOString(),
             boundingBox: { south, west, north, east },
-            trackCount: railwayTracks.features.length
+            trackCount: railwayTracks.features.length,
+            source: 'overpass'
         };
 
-        // Cache the result
-        cache.set(cacheKey, railwayTracks);
-        
-        console.log(`Fetched and cached ${railwayTracks.features.length} railway tracks`);
+        console.log(`Fetched ${railwayTracks.features.length} railway tracks`);
         return railwayTracks;
 
     } catch (error) {
@@ -93,47 +170,146 @@ async function fetchRailwayTracks(south, west, north, east) {
 }
 
 /**
- * Get Mumbai railway tracks with predefined bounding box
- * @returns {Promise<Object>} GeoJSON FeatureCollection of Mumbai railway tracks
+ * Download railway stations (railway=station) for a bounding box from the Overpass API
+ * @param {number} south - Southern boundary
+ * @param {number} west - Western boundary
+ * @param {number} north - Northern boundary
+ * @param {number} east - Eastern boundary
+ * @returns {Promise<Array>} Station point features
  */
-async function getMumbaiRailwayTracks() {
-    // Mumbai bounding box coordinates
-    const mumbaiBox = {
-        south: 18.9,
-        west: 72.7,
-        north: 19.3,
-        east: 73.0
-    };
-    
-    return await fetchRailwayTracks(
-        mumbaiBox.south,
-        mumbaiBox.west,
-        mumbaiBox.north,
-        mumbaiBox.east
-    );
+async function fetchStationsFromOverpass(south, west, north, east) {
+    console.log(`Fetching railway stations from OSM for bounding box: ${south},${west},${north},${east}`);
+
+    const overpassQuery = `
+        [out:json][timeout:25];
+        nwr["railway"="station"](${south},${west},${north},${east});
+        out center;
+    `;
+
+    const response = await axios.post(OVERPASS_URL, overpassQuery, {
+        headers: {
+            'Content-Type': 'text/plain',
+        },
+        timeout: 30000,
+    });
+
+    return filterStationFeatures(osmtogeojson(response.data));
 }
 
 /**
- * Clear cache (useful for development)
+ * Get the railway tracks of a configured region. The same collection is returned
+ * until the track store changes or the cache is cleared, so callers must not modify it.
+ * @param {Object} region - Region from regions.js
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of the region's railway tracks
  */
-function clearCache() {
-    cache.flushAll();
-    console.log('Railway tracks cache cleared');
+async function getRegionRailwayTracks(region) {
+    const stamp = trackStoreStamp(await getStore().getTrackInfo());
+    const cached = regionTracks.get(region.id);
+    if (cached && cached.stamp === stamp) return cached.tracks;
+
+    const { south, west, north, east } = region.bbox;
+    const tracks = fetchRailwayTracks(south, west, north, east).then(railwayTracks => {
+        // Do not keep a failed download; the next request retries the missing tiles
+        if (railwayTracks.error) regionTracks.del(region.id);
+        return {
+            ...railwayTracks,
+            metadata: { ...railwayTracks.metadata, region: region.id }
+        };
+    });
+    regionTracks.set(region.id, { stamp, tracks });
+    tracks.catch(() => {
+        if (regionTracks.get(region.id)?.tracks === tracks) regionTracks.del(region.id);
+    });
+    return tracks;
 }
 
 /**
- * Get cache statistics
+ * Identify the current contents of the track store
+ * @param {Object} info - Track store info ({ source, trackCount, loadedAt })
+ * @returns {string} Stamp that changes whenever tracks are imported or refreshed
  */
-function getCacheStats() {
+function trackStoreStamp(info) {
+    return `${info.source}|${info.trackCount}|${info.loadedAt}`;
+}
+
+/**
+ * Replace the stored tracks with tracks from an imported extract
+ * @param {Object} railwayTracks - GeoJSON FeatureCollection of railway tracks
+ * @param {string} source - Description of where the tracks came from (e.g. file name)
+ * @returns {Promise<Object>} Track store summary
+ */
+async function setLocalTracks(railwayTracks, source) {
+    const features = filterRailwayFeatures(railwayTracks);
+    await getStore().replaceTracks(features, source);
+
+    console.log(`📥 Loaded ${features.length} railway tracks from ${source}`);
+    return getTrackStoreInfo();
+}
+
+/**
+ * Refresh the track store from Overpass for a bounding box.
+ * Features are upserted by OSM id, so refreshed ways replace their stored copies.
+ * @param {number} south - Southern boundary
+ * @param {number} west - Western boundary
+ * @param {number} north - Northern boundary
+ * @param {number} east - Eastern boundary
+ * @returns {Promise<Object>} Track store summary plus the number of refreshed tracks
+ */
+async function refreshFromOverpass(south, west, north, east) {
+    const fresh = await fetchFromOverpass(south, west, north, east);
+    if (fresh.error) {
+        throw new Error(fresh.error);
+    }
+
+    await getStore().upsertTracks(fresh.features, 'overpass');
+
+    const info = await getTrackStoreInfo();
+    return { ...info, refreshedTracks: fresh.features.length };
+}
+
+/**
+ * Describe the current track store
+ * @returns {Promise<Object>} { source, trackCount, loadedAt, storage }
+ */
+async function getTrackStoreInfo() {
+    const store = getStore();
+    const info = await store.getTrackInfo();
+
+    // An empty store means every request goes to Overpass
     return {
-        keys: cache.keys(),
-        stats: cache.getStats()
+        ...info,
+        source: info.trackCount > 0 ? info.source : 'overpass',
+        storage: store.kind
     };
 }
 
+/**
+ * Clear the track tile cache, in memory and on disk (useful for development)
+ */
+async function clearCache() {
+    await tileCache.clear();
+    regionTracks.flushAll();
+    console.log('Railway tracks cache cleared');
+}
+
+/**
+ * Get track tile cache statistics
+ * @returns {Promise<Object>} { dir, zoom, memoryTiles, diskTiles, hits, misses }
+ */
+async function getCacheStats() {
+    return await tileCache.stats();
+}
+
 module.exports = {
     fetchRailwayTracks,
-    getMumbaiRailwayTracks,
+    getRegionRailwayTracks,
+    filterRailwayFeatures,
+    filterStationFeatures,
+    fetchStationsFromOverpass,
+    setLocalTracks,
+    refreshFromOverpass,
+    getTrackStoreInfo,
+    trackStoreStamp,
     clearCache,
     getCacheStats
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const osmtogeojson = require('osmtogeojson');
+const { DOMParser } = require('@xmldom/xmldom');
+const { filterRailwayFeatures, filterStationFeatures } = require('./osm');
+
+/**
+ * Work out which kind of extract a file contains
+ * @param {string} fileName - Original file name (used for the extension)
+ * @param {string} content - File content
+ * @returns {string} 'osm-xml', 'osm-json' or 'geojson'
+ */
+function detectExtractFormat(fileName, content) {
+    const name = (fileName || '').toLowerCase();
+    const start = content.trimStart().slice(0, 1);
+
+    if (name.endsWith('.osm') || name.endsWith('.xml') || start === '<') {
+        return 'osm-xml';
+    }
+
+    if (start === '{') {
+        // Overpass/OSM JSON carries an `elements` array, GeoJSON a `type`
+        const data = JSON.parse(content);
+        if (Array.isArray(data.elements)) return 'osm-json';
+        if (data.type === 'FeatureCollection' || data.type === 'Feature') return 'geojson';
+    }
+
+    throw new Error(`Unsupported extract format for ${fileName || 'upload'}: expected .osm, .osm.json or GeoJSON`);
+}
+
+/**
+ * Convert an OSM or GeoJSON extract into GeoJSON
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name
+ * @returns {Object} { geoJson, format }
+ */
+function extractToGeoJson(content, fileName) {
+    const format = detectExtractFormat(fileName, content);
+
+    switch (format) {
+        case 'osm-xml': {
+            const document = new DOMParser().parseFromString(content, 'text/xml');
+            return { geoJson: osmtogeojson(document), format };
+        }
+        case 'osm-json':
+            return { geoJson: osmtogeojson(JSON.parse(content)), format };
+        default: {
+            const data = JSON.parse(content);
+            return { geoJson: data.type === 'Feature' ? { type: 'FeatureCollection', features: [data] } : data, format };
+        }
+    }
+}
+
+/**
+ * Convert an OSM or GeoJSON railway extract into a FeatureCollection of railway tracks
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name
+ * @returns {Object} GeoJSON FeatureCollection of railway LineStrings
+ */
+function parseRailwayExtract(content, fileName) {
+    const { geoJson, format } = extractToGeoJson(content, fileName);
+
+    return {
+        type: 'FeatureCollection',
+        features: filterRailwayFeatures(geoJson),
+        metadata: { format }
+    };
+}
+
+/**
+ * Convert an OSM or GeoJSON extract into a FeatureCollection of railway stations
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name
+ * @returns {Object} GeoJSON FeatureCollection of railway=station points
+ */
+function parseStationExtract(content, fileName) {
+    const { geoJson, format } = extractToGeoJson(content, fileName);
+
+    return {
+        type: 'FeatureCollection',
+        features: filterStationFeatures(geoJson),
+        metadata: { format }
+    };
+}
+
+/**
+ * Read and parse a railway extract from disk
+ * @param {string} filePath - Path to a .osm, .osm.json or .geojson file
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of railway tracks
+ */
+async function loadExtractFromFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return parseRailwayExtract(content, path.basename(filePath));
+}
+
+/**
+ * Read a railway extract from disk and keep its stations
+ * @param {string} filePath - Path to a .osm, .osm.json or .geojson file
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of railway stations
+ */
+async function loadStationExtractFromFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return parseStationExtract(content, path.basename(filePath));
+}
+
+module.exports = {
+    detectExtractFormat,
+    parseRailwayExtract,
+    parseStationExtract,
+    loadExtractFromFile,
+    loadStationExtractFromFile
+};
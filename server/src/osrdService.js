@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { simulateTrains } = require('./simulator');
 
 class OSRDService {
     constructor(osrdBaseUrl = 'http://localhost:8080') {
@@ -205,38 +206,8 @@ class OSRDService {
     async mockSimulation(trains) {
         console.log('⚠️  Running mock simulation (OSRD not available)');
         
-        // Generate mock simulation results
-        const simulationResults = trains.map(train => {
-            const positions = [];
-            const totalTime = 8 * 60 * 60; // 8 hours in seconds
-            const timeStep = 30; // 30 seconds
-            
-            for (let time = 0; time <= totalTime; time += timeStep) {
-                // Simple linear interpolation between start and end
-                const progress = time / totalTime;
-                const startCoord = train.route_geometry[0];
-                const endCoord = train.route_geometry[train.route_geometry.length - 1];
-                
-                const lat = startCoord.lat + (endCoord.lat - startCoord.lat) * progress;
-                const lon = startCoord.lon + (endCoord.lon - startCoord.lon) * progress;
-                
-                positions.push({
-                    time: this.formatTime(time),
-                    lat: lat,
-                    lon: lon,
-                    speed: train.speed_kmph || 40,
-                    status: progress >= 1 ? 'completed' : 'running'
-                });
-            }
-            
-            return {
-                train_id: train.train_id,
-                train_name: train.train_name,
-                positions: positions,
-                route_geometry: train.route_geometry,
-                stations: train.stations
-            };
-        });
+        // Walk each train along its route with station stops and braking curves
+        const simulationResults = simulateTrains(trains);
         
         return {
             success: true,
@@ -245,7 +216,7 @@ class OSRDService {
             metadata: {
                 type: 'mock_simulation',
                 generated_at: new Date().toISOString(),
-                total_trains: trains.length
+                total_trains: simulationResults.length
             }
         };
     }
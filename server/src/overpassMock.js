@@ -0,0 +1,164 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.OVERPASS_MOCK_PORT || 3099;
+const FIXTURE_FILE = process.env.OVERPASS_FIXTURE || path.join(__dirname, '..', 'data', 'fixtures', 'overpass-mumbai.json');
+
+// Bounding box filter of an Overpass QL statement: (south,west,north,east)
+const BBOX_PATTERN = /\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/;
+// Statement element types: way["railway"](...), nwr[...] (node, way and relation)
+const STATEMENT_PATTERN = /\b(node|way|relation|rel|nwr)\s*\[/g;
+// Tag filters such as ["railway"] or ["railway"="station"]
+const TAG_FILTER_PATTERN = /\["([^"]+)"(?:\s*=\s*"([^"]*)")?\]/g;
+
+/**
+ * Parse the parts of an Overpass QL query that osm.js issues
+ * @param {string} query - Overpass QL
+ * @returns {Object|null} { bbox, types, filters: [{ key, value }], output: 'geom' | 'center' | 'body' },
+ *   or null if no bbox
+ */
+function parseQuery(query) {
+    const bboxMatch = query.match(BBOX_PATTERN);
+    if (!bboxMatch) return null;
+    const [south, west, north, east] = bboxMatch.slice(1).map(Number);
+
+    const types = new Set();
+    for (const [, type] of query.matchAll(STATEMENT_PATTERN)) {
+        if (type === 'nwr') ['node', 'way', 'relation'].forEach(each => types.add(each));
+        else types.add(type === 'rel' ? 'relation' : type);
+    }
+
+    // The statements of a query (way, relation, nwr) repeat the same tag filter
+    const filters = [];
+    for (const [, key, value] of query.matchAll(TAG_FILTER_PATTERN)) {
+        if (!filters.some(filter => filter.key === key && filter.value === value)) {
+            filters.push({ key, value: value === undefined ? null : value });
+        }
+    }
+
+    let output = 'body';
+    if (/out\s+geom/.test(query)) output = 'geom';
+    else if (/out\s+center/.test(query)) output = 'center';
+
+    return { bbox: { south, west, north, east }, types, filters, output };
+}
+
+/**
+ * Bounds of a fixture element
+ * @param {Object} element - Overpass element (node with lat/lon, way/relation with geometry or bounds)
+ * @returns {Object|null} { minlat, minlon, maxlat, maxlon }
+ */
+function elementBounds(element) {
+    if (element.type === 'node') {
+        return { minlat: element.lat, minlon: element.lon, maxlat: element.lat, maxlon: element.lon };
+    }
+    if (element.bounds) return element.bounds;
+    if (!element.geometry || element.geometry.length === 0) return null;
+
+    const lats = element.geometry.map(point => point.lat);
+    const lons = element.geometry.map(point => point.lon);
+    return { minlat: Math.min(...lats), minlon: Math.min(...lons), maxlat: Math.max(...lats), maxlon: Math.max(...lons) };
+}
+
+/**
+ * Shape a matching element like Overpass would for the requested output mode
+ * @param {Object} element - Fixture element
+ * @param {string} output - 'geom', 'center' or 'body'
+ * @returns {Object} Output element
+ */
+function formatElement(element, output) {
+    if (element.type === 'node') return element;
+
+    const { geometry, bounds, ...body } = element;
+    if (output === 'geom') return { ...body, bounds: elementBounds(element), geometry };
+    if (output === 'center') {
+        const box = elementBounds(element);
+        return { ...body, center: { lat: (box.minlat + box.maxlat) / 2, lon: (box.minlon + box.maxlon) / 2 } };
+    }
+    return body;
+}
+
+/**
+ * Answer an Overpass [out:json] query from fixture elements: elements of the
+ * queried types whose bounds intersect the query bbox and that carry the queried tags
+ * @param {Array} elements - Fixture elements (Overpass JSON, ways with geometry)
+ * @param {string} query - Overpass QL
+ * @returns {Object|null} Overpass JSON response, or null if the query is not understood
+ */
+function answerQuery(elements, query) {
+    const parsed = parseQuery(query);
+    if (!parsed) return null;
+    const { bbox, types, filters, output } = parsed;
+
+    const matches = elements.filter(element => {
+        const tags = element.tags || {};
+        const tagged = filters.every(({ key, value }) => (value === null ? key in tags : tags[key] === value));
+        const box = elementBounds(element);
+        return types.has(element.type) && tagged && box &&
+            box.minlat <= bbox.north && box.maxlat >= bbox.south &&
+            box.minlon <= bbox.east && box.maxlon >= bbox.west;
+    });
+
+    return {
+        version: 0.6,
+        generator: 'Overpass API mock',
+        osm3s: {
+            timestamp_osm_base: new Date().toISOString(),
+            copyright: 'The data included in this document is from www.openstreetmap.org. The data is made available under ODbL.'
+        },
+        elements: matches.map(element => formatElement(element, output))
+    };
+}
+
+/**
+ * Express app answering Overpass interpreter requests from a fixture file.
+ * Point OVERPASS_URL at its /api/interpreter to run the servers offline.
+ * @param {string} fixtureFile - Overpass JSON fixture
+ * @returns {Object} Express app
+ */
+function createOverpassMock(fixtureFile = FIXTURE_FILE) {
+    const { elements = [] } = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+    const app = express();
+
+    // osm.js posts the raw query as text/plain; browsers and curl send data=<query>
+    app.use(express.text({ type: 'text/plain' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    const interpret = (req, res) => {
+        const query = typeof req.body === 'string' ? req.body : (req.body && req.body.data) || req.query.data;
+        if (!query) {
+            return res.status(400).type('text/plain').send('Error: no Overpass query given (POST it as text/plain or data=...)');
+        }
+
+        const response = answerQuery(elements, query);
+        if (!response) {
+            return res.status(400).type('text/plain').send('Error: the mock only answers bbox queries such as way["railway"](s,w,n,e)');
+        }
+
+        console.log(`🛰️  Overpass mock: ${response.elements.length} element(s) for ${query.replace(/\s+/g, ' ').trim()}`);
+        res.json(response);
+    };
+
+    app.get('/api/interpreter', interpret);
+    app.post('/api/interpreter', interpret);
+
+    app.get('/api/status', (req, res) => {
+        res.type('text/plain').send(`Overpass API mock serving ${elements.length} elements from ${path.basename(fixtureFile)}`);
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    createOverpassMock().listen(PORT, () => {
+        console.log(`🛰️  Overpass mock running on port ${PORT} with ${path.basename(FIXTURE_FILE)}`);
+        console.log(`   Use OVERPASS_URL=http://localhost:${PORT}/api/interpreter`);
+    });
+}
+
+module.exports = {
+    parseQuery,
+    answerQuery,
+    createOverpassMock
+};
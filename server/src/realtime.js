@@ -0,0 +1,412 @@
+const EventEmitter = require('events');
+const { parseTime, formatTime, heldTime, delayedTime } = require('./simulator');
+
+const DEFAULT_TICK_MS = 1000;
+const DEFAULT_REGION = 'mumbai';
+const SECONDS_PER_DAY = 24 * 60 * 60;
+// Allowed clock speed multipliers
+const MIN_SPEED = 1;
+const MAX_SPEED = 60;
+
+/**
+ * Seconds since local midnight for a Date
+ * @param {Date} date - Date to convert
+ * @returns {number} Seconds since midnight
+ */
+function secondsOfDay(date) {
+    return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+}
+
+/**
+ * Interpolate a train's position between its simulated samples
+ * @param {Array} samples - Positions with numeric `seconds` field, sorted by time
+ * @param {number} time - Seconds since midnight of the train's service day
+ * @returns {Object|null} Interpolated sample or null before the first sample
+ */
+function interpolatePosition(samples, time) {
+    if (samples.length === 0 || time < samples[0].seconds) return null;
+
+    const last = samples[samples.length - 1];
+    if (time >= last.seconds) return last;
+
+    // Binary search for the sample window containing `time`
+    let low = 0;
+    let high = samples.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (samples[mid].seconds <= time) low = mid;
+        else high = mid;
+    }
+
+    const from = samples[low];
+    const to = samples[high];
+    const ratio = (time - from.seconds) / (to.seconds - from.seconds || 1);
+
+    return {
+        ...from,
+        lat: from.lat + (to.lat - from.lat) * ratio,
+        lon: from.lon + (to.lon - from.lon) * ratio,
+        speed: Math.round((from.speed + (to.speed - from.speed) * ratio) * 10) / 10,
+        distance_m: Math.round(from.distance_m + (to.distance_m - from.distance_m) * ratio),
+        bearing: ratio < 0.5 ? from.bearing : to.bearing
+    };
+}
+
+/**
+ * Server-owned simulation clock that streams train state to Socket.IO clients.
+ *
+ * Clients join rooms per line (`line:Western`) or per region (`region:mumbai`)
+ * and receive `trains:delta` messages containing only trains whose state changed
+ * since the previous tick. The same changes are emitted locally as `train:state`
+ * events ({ train, previous, state }) for server-side consumers such as alerts.
+ */
+class LiveSimulation extends EventEmitter {
+    /**
+     * @param {Object} io - Socket.IO server instance
+     * @param {Object} options - { region, tickMs, startTime (HH:MM[:SS]), speed }
+     */
+    constructor(io, options = {}) {
+        super();
+        this.io = io;
+        this.region = options.region || DEFAULT_REGION;
+        this.tickMs = options.tickMs || DEFAULT_TICK_MS;
+        this.speed = Math.min(Math.max(Number(options.speed) || MIN_SPEED, MIN_SPEED), MAX_SPEED);
+        this.time = options.startTime ? parseTime(options.startTime) : secondsOfDay(new Date());
+        this.timer = null;
+
+        // train_id -> { train, samples (positions with service day `seconds`), holds }
+        this.trains = new Map();
+        // train_id -> last state broadcast to clients
+        this.lastStates = new Map();
+
+        this.io.on('connection', (socket) => this.handleConnection(socket));
+    }
+
+    /**
+     * Load simulated trains (output of simulateTrain) into the live clock.
+     * Delays already injected into trains that are loaded again are kept.
+     * @param {Array} simulatedTrains - Trains with timestamped positions
+     */
+    loadTrains(simulatedTrains) {
+        const holds = new Map([...this.trains].map(([trainId, entry]) => [trainId, entry.holds]));
+        this.trains.clear();
+        this.lastStates.clear();
+
+        for (const train of simulatedTrains) {
+            this.trains.set(train.train_id, { train, samples: train.positions || [], holds: holds.get(train.train_id) || [] });
+        }
+
+        console.log(`📡 Live simulation loaded ${this.trains.size} trains`);
+    }
+
+    /**
+     * Start advancing the clock and broadcasting deltas
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        console.log(`📡 Live simulation clock started at ${formatTime(this.time)}`);
+    }
+
+    /**
+     * Stop the clock
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Pause or resume the clock
+     * @param {boolean} running - True to run, false to pause
+     */
+    setRunning(running) {
+        if (running) this.start();
+        else this.stop();
+        this.io.emit('clock', this.getClock());
+    }
+
+    /**
+     * Change how many simulated seconds pass per real second
+     * @param {number} speed - Multiplier between MIN_SPEED and MAX_SPEED
+     */
+    setSpeed(speed) {
+        this.speed = Math.min(Math.max(speed, MIN_SPEED), MAX_SPEED);
+        this.io.emit('clock', this.getClock());
+    }
+
+    /**
+     * Jump to a time of the simulated day and push every train's state at that time
+     * @param {number} seconds - Seconds since midnight
+     */
+    seek(seconds) {
+        this.time = ((seconds % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+        // Trains jump rather than move, so announce fresh states instead of transitions
+        this.lastStates.clear();
+        this.broadcastDeltas();
+        this.io.emit('clock', this.getClock());
+    }
+
+    /**
+     * Advance the clock by one tick and push changes to subscribers
+     */
+    tick() {
+        this.time = (this.time + (this.tickMs / 1000) * this.speed) % SECONDS_PER_DAY;
+        this.broadcastDeltas();
+        this.io.emit('clock', this.getClock());
+    }
+
+    /**
+     * Current clock state
+     * @returns {Object} { time, seconds, speed, running }
+     */
+    getClock() {
+        return {
+            time: formatTime(this.time),
+            seconds: Math.floor(this.time),
+            speed: this.speed,
+            running: Boolean(this.timer)
+        };
+    }
+
+    /**
+     * Clock time on a train's service day. Runs past midnight keep counting (00:05 on
+     * the clock is 24:05:00 of the day the train set off) until they have arrived.
+     * @param {Object} entry - Entry from this.trains
+     * @returns {number} Seconds since midnight of the train's service day
+     */
+    trainTime(entry) {
+        const { samples, holds } = entry;
+        if (samples.length === 0) return this.time;
+
+        const totalDelay = holds.reduce((total, hold) => total + hold.duration, 0);
+        const end = samples[samples.length - 1].seconds + totalDelay;
+        return this.time + SECONDS_PER_DAY <= end ? this.time + SECONDS_PER_DAY : this.time;
+    }
+
+    /**
+     * Clock time on a train's service day, to compare with its simulated event times
+     * @param {string} trainId - Train identifier
+     * @returns {number} Seconds since midnight of the train's service day (the clock time for unknown trains)
+     */
+    serviceTime(trainId) {
+        const entry = this.trains.get(trainId);
+        return entry ? this.trainTime(entry) : this.time;
+    }
+
+    /**
+     * Hold a train for the given number of seconds starting at the current clock time
+     * @param {string} trainId - Train identifier
+     * @param {number} delaySec - Delay to add in seconds
+     * @returns {Object|null} Updated train state or null if the train is unknown
+     */
+    injectDelay(trainId, delaySec) {
+        const entry = this.trains.get(trainId);
+        if (!entry) return null;
+
+        entry.holds.push({ at: this.trainTime(entry), duration: delaySec });
+
+        const state = this.computeState(trainId, entry);
+        this.io.to(this.roomsFor(entry.train)).emit('train:delay', {
+            train_id: trainId,
+            delay_sec: delaySec,
+            total_delay_sec: state.delay_sec,
+            time: formatTime(this.time)
+        });
+        this.broadcastDeltas();
+
+        return state;
+    }
+
+    /**
+     * Total injected delay per train
+     * @returns {Object} { train_id: delay seconds } for delayed trains only
+     */
+    getDelays() {
+        const delays = {};
+        for (const [trainId, { holds }] of this.trains) {
+            const total = holds.reduce((sum, hold) => sum + hold.duration, 0);
+            if (total > 0) delays[trainId] = total;
+        }
+        return delays;
+    }
+
+    /**
+     * Injected holds per train, for simulating runs the way the live clock plays them
+     * @returns {Object} { train_id: [{ at, duration }] } for delayed trains only
+     */
+    getHolds() {
+        const holds = {};
+        for (const [trainId, entry] of this.trains) {
+            if (entry.holds.length > 0) holds[trainId] = entry.holds.map(hold => ({ ...hold }));
+        }
+        return holds;
+    }
+
+    /**
+     * Clock time at which a simulated event happens once the train's injected delays are applied
+     * @param {string} trainId - Train identifier
+     * @param {number} seconds - Event time in the simulated run
+     * @returns {number} Seconds since midnight of the train's service day
+     */
+    eventTime(trainId, seconds) {
+        const entry = this.trains.get(trainId);
+        if (!entry) return seconds;
+
+        return delayedTime(entry.holds, seconds);
+    }
+
+    /**
+     * Compute the live state of one train at the current clock time
+     * @param {string} trainId - Train identifier
+     * @param {Object} entry - Entry from this.trains
+     * @returns {Object} Train state
+     */
+    computeState(trainId, entry) {
+        const { train, samples, holds } = entry;
+        const time = this.trainTime(entry);
+
+        // Time the train is held back by injected delays
+        const delay = heldTime(holds, time);
+        const totalDelay = holds.reduce((total, hold) => total + hold.duration, 0);
+
+        const position = interpolatePosition(samples, time - delay);
+        const held = holds.some(hold => time >= hold.at && time < hold.at + hold.duration);
+
+        return {
+            train_id: trainId,
+            train_name: train.train_name,
+            train_type: train.train_type,
+            line: train.line || null,
+            lat: position ? position.lat : null,
+            lon: position ? position.lon : null,
+            distance_m: position ? position.distance_m : null,
+            bearing: position && position.bearing !== undefined ? position.bearing : null,
+            speed: position && !held ? position.speed : 0,
+            status: position ? (held && position.status !== 'completed' ? 'held' : position.status) : 'scheduled',
+            station: position ? position.station || null : null,
+            next_station: position ? position.next_station || null : null,
+            delay_sec: Math.round(totalDelay),
+            time: formatTime(this.time)
+        };
+    }
+
+    /**
+     * Current state of every train, optionally filtered by line
+     * @param {Array} lines - Optional list of line names
+     * @returns {Array} Train states
+     */
+    getSnapshot(lines = null) {
+        const states = [];
+        for (const [trainId, entry] of this.trains) {
+            if (lines && lines.length > 0 && !lines.includes(entry.train.line)) continue;
+            states.push(this.computeState(trainId, entry));
+        }
+        return states;
+    }
+
+    /**
+     * Simulated train and current state for every loaded train
+     * @returns {Array} [{ train, state }]
+     */
+    getTrainStates() {
+        const states = [];
+        for (const [trainId, entry] of this.trains) {
+            states.push({ train: entry.train, state: this.computeState(trainId, entry) });
+        }
+        return states;
+    }
+
+    /**
+     * Rooms a train's updates are published to
+     * @param {Object} train - Simulated train
+     * @returns {Array} Room names
+     */
+    roomsFor(train) {
+        const rooms = [`region:${this.region}`];
+        if (train.line) rooms.push(`line:${train.line}`);
+        return rooms;
+    }
+
+    /**
+     * Emit changed train states, grouped so each line's room gets one message per tick
+     */
+    broadcastDeltas() {
+        const changesByLine = new Map();
+
+        for (const [trainId, entry] of this.trains) {
+            const state = this.computeState(trainId, entry);
+            const previous = this.lastStates.get(trainId);
+
+            const changed = !previous ||
+                previous.lat !== state.lat ||
+                previous.lon !== state.lon ||
+                previous.speed !== state.speed ||
+                previous.status !== state.status ||
+                previous.delay_sec !== state.delay_sec;
+
+            if (!changed) continue;
+
+            this.lastStates.set(trainId, state);
+            this.emit('train:state', { train: entry.train, previous: previous || null, state });
+
+            const line = entry.train.line || null;
+            if (!changesByLine.has(line)) {
+                changesByLine.set(line, { rooms: this.roomsFor(entry.train), trains: [] });
+            }
+            changesByLine.get(line).trains.push(state);
+        }
+
+        for (const { rooms, trains } of changesByLine.values()) {
+            this.io.to(rooms).emit('trains:delta', {
+                time: formatTime(this.time),
+                trains
+            });
+        }
+    }
+
+    /**
+     * Wire up subscription handlers for a newly connected client
+     * @param {Object} socket - Socket.IO socket
+     */
+    handleConnection(socket) {
+        console.log(`📡 Client connected: ${socket.id}`);
+
+        // Body: { lines: ["Western"], region: "mumbai" } - empty lines means the whole region
+        socket.on('subscribe', filter => {
+            // Clients may send nothing, null or a bare value
+            const opts = filter && typeof filter === 'object' ? filter : {};
+            const lines = Array.isArray(opts.lines) ? opts.lines : [];
+
+            for (const room of socket.rooms) {
+                if (room !== socket.id) socket.leave(room);
+            }
+
+            if (lines.length > 0) {
+                lines.forEach(line => socket.join(`line:${line}`));
+            } else {
+                socket.join(`region:${opts.region || this.region}`);
+            }
+
+            socket.emit('clock', this.getClock());
+            socket.emit('trains:snapshot', {
+                time: formatTime(this.time),
+                trains: this.getSnapshot(lines)
+            });
+        });
+
+        socket.on('disconnect', () => {
+            console.log(`📡 Client disconnected: ${socket.id}`);
+        });
+    }
+}
+
+module.exports = {
+    MIN_SPEED,
+    MAX_SPEED,
+    LiveSimulation,
+    interpolatePosition
+};
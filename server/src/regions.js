@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const REGIONS_FILE = process.env.REGIONS_FILE || path.join(DATA_DIR, 'regions.json');
+
+// Data source fields that name files; relative paths are resolved against the regions file
+const FILE_FIELDS = ['trains_file', 'stations_file', 'osm_extract', 'gtfs_feed'];
+
+/**
+ * Validate one region entry and resolve its data file paths
+ * @param {Object} entry - Region from the regions file
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {Object} Region { id, name, bbox, center, zoom, lines, trains_file, stations_file, osm_extract, gtfs_feed }
+ */
+function normalizeRegion(entry, baseDir) {
+    const bbox = entry.bbox || {};
+    const { south, west, north, east } = bbox;
+    if (!entry.id || ![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+        throw new Error(`Region "${entry.id || entry.name}" needs an id and a bbox with south < north and west < east`);
+    }
+
+    const region = {
+        id: entry.id,
+        name: entry.name || entry.id,
+        bbox: { south, west, north, east },
+        center: entry.center || [(south + north) / 2, (west + east) / 2],
+        zoom: entry.zoom || 11,
+        lines: entry.lines || []
+    };
+    for (const field of FILE_FIELDS) {
+        region[field] = entry[field] ? path.resolve(baseDir, entry[field]) : null;
+    }
+    return region;
+}
+
+/**
+ * Read the region configuration
+ * @param {string} filePath - Regions file ({ default, regions: [...] })
+ * @returns {Object} { defaultId, regions: Map id -> region }
+ */
+function loadRegions(filePath = REGIONS_FILE) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const regions = new Map();
+    for (const entry of data.regions || []) {
+        const region = normalizeRegion(entry, path.dirname(filePath));
+        regions.set(region.id, region);
+    }
+    if (regions.size === 0) throw new Error(`${filePath} does not define any regions`);
+
+    const defaultId = process.env.DEFAULT_REGION || data.default || regions.keys().next().value;
+    if (!regions.has(defaultId)) throw new Error(`Default region "${defaultId}" is not defined in ${filePath}`);
+    return { defaultId, regions };
+}
+
+let config = null;
+
+/**
+ * Region configuration, read once from REGIONS_FILE
+ * @returns {Object} { defaultId, regions }
+ */
+function getConfig() {
+    if (!config) {
+        config = loadRegions();
+        console.log(`🌏 ${config.regions.size} region(s) configured, default ${config.defaultId}`);
+    }
+    return config;
+}
+
+/**
+ * Look up a region, falling back to the default region when no id is given
+ * @param {string} id - Region id (optional)
+ * @returns {Object|null} Region, or null when the id is not configured
+ */
+function getRegion(id) {
+    const { defaultId, regions } = getConfig();
+    return regions.get(id || defaultId) || null;
+}
+
+/**
+ * All configured regions
+ * @returns {Array} Regions
+ */
+function listRegions() {
+    return [...getConfig().regions.values()];
+}
+
+/**
+ * Region id named in a request's query string or JSON body
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Region id
+ */
+function requestedRegionId(req) {
+    return req.query.region || (req.body && req.body.region) || undefined;
+}
+
+/**
+ * Region a request asks for: `region` in the query string or JSON body, else the default
+ * @param {Object} req - Express request
+ * @returns {Object|null} Region, or null when the requested region is not configured
+ */
+function regionFromRequest(req) {
+    return getRegion(requestedRegionId(req));
+}
+
+/**
+ * Express middleware that puts the requested region on `req.region`,
+ * answering 404 when it is not configured
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function withRegion(req, res, next) {
+    const region = regionFromRequest(req);
+    if (!region) {
+        return res.status(404).json({
+            error: 'Unknown region',
+            message: `Region "${requestedRegionId(req)}" is not configured`,
+            regions: listRegions().map(known => known.id)
+        });
+    }
+    req.region = region;
+    next();
+}
+
+/**
+ * Public description of a region for API clients (without server file paths)
+ * @param {Object} region - Region
+ * @returns {Object} { id, name, bbox, center, zoom, lines, sources }
+ */
+function describeRegion(region) {
+    const { id, name, bbox, center, zoom, lines } = region;
+    const sources = {};
+    for (const field of FILE_FIELDS) {
+        sources[field] = region[field] ? path.basename(region[field]) : null;
+    }
+    return { id, name, bbox, center, zoom, lines, sources };
+}
+
+module.exports = {
+    loadRegions,
+    getRegion,
+    listRegions,
+    regionFromRequest,
+    withRegion,
+    describeRegion
+};
@@ -0,0 +1,322 @@
+const { simulateTrain, formatTime } = require('./simulator');
+const { detectConflicts, DEFAULT_MIN_HEADWAY_SEC } = require('./conflicts');
+
+// Load assumed for trains without a `passengers` figure (12-car suburban EMU)
+const DEFAULT_PASSENGERS_PER_TRAIN = 2000;
+const DEFAULT_MAX_ITERATIONS = 40;
+// Extra slack added to every computed wait so the conflict is cleared, not just touched
+const MARGIN_SEC = 30;
+// Give up on a conflict that keeps reappearing after this many attempts
+const MAX_ATTEMPTS_PER_CONFLICT = 5;
+
+/**
+ * Regulations that apply to one train, from a { train_id: [regulation] } map
+ * @param {Object} regulations - Regulations keyed by train id
+ * @param {string} trainId - Train identifier
+ * @returns {Array} Copies of the train's regulations
+ */
+function regulationsOf(regulations, trainId) {
+    return (regulations[trainId] || []).map(regulation => ({ ...regulation }));
+}
+
+/**
+ * Simulate the timetable as trains are running now: injected delays hold trains
+ * where they were, as on the live clock, and applied plans retime them
+ * @param {Array} trains - Timetabled train services
+ * @param {Object} options - { holds: { train_id: [{ at, duration }] }, regulations: { train_id: [regulation] }, disruptions }
+ * @returns {Array} Simulated trains
+ */
+function simulateWithDelays(trains, options = {}) {
+    const holds = options.holds || {};
+    const regulations = options.regulations || {};
+    return trains
+        .filter(train => train.route_geometry && train.route_geometry.length > 1)
+        .map(train => simulateTrain(train, {
+            disruptions: options.disruptions || [],
+            holds: holds[train.train_id] || [],
+            regulations: regulationsOf(regulations, train.train_id)
+        }));
+}
+
+/**
+ * Passengers assumed on board a train
+ * @param {Object} train - Train service
+ * @returns {number} Passenger count
+ */
+function passengersOf(train) {
+    return train.passengers || DEFAULT_PASSENGERS_PER_TRAIN;
+}
+
+/**
+ * Passenger delay of a simulated run against the timetable.
+ * Passengers are assumed to alight evenly over the stops after the origin, so each
+ * stop's arrival delay counts for its share of the load.
+ * @param {Object} train - Train service
+ * @param {Object} planned - Simulated run of the timetable
+ * @param {Object} actual - Simulated run being evaluated
+ * @returns {Object} { delaySec (at terminus), passengerSeconds }
+ */
+function passengerDelay(train, planned, actual) {
+    const stops = planned.schedule.slice(1);
+    const share = passengersOf(train) / Math.max(stops.length, 1);
+
+    let passengerSeconds = 0;
+    stops.forEach((stop, index) => {
+        const revised = actual.schedule[index + 1];
+        if (!revised || stop.arrival_sec === null) return;
+        passengerSeconds += Math.max(revised.arrival_sec - stop.arrival_sec, 0) * share;
+    });
+
+    const terminus = planned.schedule[planned.schedule.length - 1];
+    const revisedTerminus = actual.schedule[actual.schedule.length - 1];
+    return {
+        delaySec: Math.max(revisedTerminus.arrival_sec - terminus.arrival_sec, 0),
+        passengerSeconds
+    };
+}
+
+/**
+ * Where a train should wait to stay clear of a conflict: its last scheduled
+ * departure before it enters the conflicting section
+ * @param {Object} simulated - Simulated train
+ * @param {number} enterSec - Time the train enters the conflicting section
+ * @param {number} now - Current simulation time
+ * @returns {Object} { index, stop, type }
+ */
+function holdPoint(simulated, enterSec, now) {
+    let index = 0;
+    simulated.schedule.forEach((stop, i) => {
+        // Trains run through closed stations, so they cannot wait there
+        if (!stop.skipped && stop.departure_sec !== null && stop.departure_sec <= enterSec) index = i;
+    });
+
+    const stop = simulated.schedule[index];
+    let type = index === 0 ? 'retime_departure' : 'extend_dwell';
+    // Departures already in the past can only be replaced by holding the train now
+    if (stop.departure_sec < now) type = 'hold';
+
+    return { index, stop, type };
+}
+
+/**
+ * Add a rescheduling decision to a train's regulations. The timetable itself is
+ * left alone: the wait is extra dwell at a stop, or a hold from where the train is now.
+ * @param {Array} regulations - The train's regulations (modified in place)
+ * @param {Object} decision - { type, index, delay, at }
+ */
+function addRegulation(regulations, decision) {
+    const atSec = decision.type === 'hold' ? Math.round(decision.at) : null;
+    const existing = regulations.find(regulation => regulation.type === decision.type &&
+        regulation.stop_index === decision.index && regulation.at_sec === atSec);
+
+    if (existing) existing.delay_sec += Math.round(decision.delay);
+    else regulations.push({ type: decision.type, stop_index: decision.index, at_sec: atSec, delay_sec: Math.round(decision.delay) });
+}
+
+/**
+ * Propose retimings that remove section conflicts at the lowest passenger cost.
+ *
+ * Trains are simulated as they are running now: injected delays hold them where
+ * they were and plans already applied keep their regulations. The earliest remaining
+ * conflict is then resolved by making one train wait before the section - the
+ * follower for headway conflicts, either train for head-on conflicts - choosing
+ * the wait that delays the fewest passengers. This repeats until no conflicts
+ * remain or the iteration limit is hit.
+ * @param {Array} trains - Timetabled train services
+ * @param {Object} options - { holds: { train_id: [{ at, duration }] }, regulations: { train_id: [regulation] },
+ *   now (s), serviceTime(trainId) (s, defaults to now), minHeadway, blockLength, doubleTrack, maxIterations, disruptions }
+ * @returns {Object} Plan { actions, regulations (train_id -> new regulations), conflicts_before, conflicts_after, unresolved, metrics }
+ */
+function proposeReschedule(trains, options = {}) {
+    const holds = options.holds || {};
+    const now = options.now || 0;
+    // Runs past midnight measure time on the day they set off
+    const serviceTime = options.serviceTime || (() => now);
+    const minHeadway = options.minHeadway || DEFAULT_MIN_HEADWAY_SEC;
+    const maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+    const conflictOptions = {
+        minHeadway,
+        blockLength: options.blockLength,
+        doubleTrack: options.doubleTrack
+    };
+
+    const services = new Map(trains
+        .filter(train => train.route_geometry && train.route_geometry.length > 1)
+        .map(train => [train.train_id, train]));
+    const planned = new Map([...services].map(([id, train]) => [id, simulateTrain(train)]));
+
+    // Regulations per train: those of applied plans, then this plan's
+    const regulations = new Map([...services.keys()].map(id => [id, regulationsOf(options.regulations || {}, id)]));
+    // Disruptions, delays and regulations shape every run except the timetable delays are measured against
+    const simulate = trainId => simulateTrain(services.get(trainId), {
+        disruptions: options.disruptions || [],
+        holds: holds[trainId] || [],
+        regulations: regulations.get(trainId)
+    });
+    const simulated = new Map([...services.keys()].map(id => [id, simulate(id)]));
+    const current = new Map(simulated);
+
+    const findConflicts = () => detectConflicts([...simulated.values()], conflictOptions)
+        .filter(conflict => conflict.end_sec >= now);
+
+    const conflictsBefore = findConflicts();
+    let conflicts = conflictsBefore;
+    const actions = new Map();
+    const attempts = new Map();
+    const added = new Map();
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const conflict = conflicts.find(candidate => (attempts.get(candidate.id) || 0) < MAX_ATTEMPTS_PER_CONFLICT);
+        if (!conflict) break;
+        attempts.set(conflict.id, (attempts.get(conflict.id) || 0) + 1);
+
+        // How long each candidate would have to wait for the section to clear
+        const candidates = conflict.type === 'headway'
+            // A leader held inside the section keeps it occupied until it leaves
+            ? [{ trainId: conflict.follower, enter: conflict.follower_enter_sec,
+                delay: Math.max(
+                    minHeadway - (conflict.min_headway_sec || 0),
+                    conflict.leader_exit_sec - conflict.follower_enter_sec,
+                    0
+                ) + MARGIN_SEC }]
+            : [
+                // Either train can wait until the other has cleared the section
+                { trainId: conflict.follower, enter: conflict.follower_enter_sec,
+                    delay: conflict.leader_exit_sec - conflict.follower_enter_sec + MARGIN_SEC },
+                { trainId: conflict.leader, enter: conflict.leader_enter_sec,
+                    delay: conflict.follower_exit_sec - conflict.leader_enter_sec + MARGIN_SEC }
+            ];
+
+        let best = null;
+        for (const candidate of candidates) {
+            const run = simulated.get(candidate.trainId);
+            const at = serviceTime(candidate.trainId);
+            const point = holdPoint(run, candidate.enter, at);
+            // Waiting delays everyone still on board or waiting further down the line
+            const remaining = (run.schedule.length - point.index) / run.schedule.length;
+            const cost = candidate.delay * passengersOf(services.get(candidate.trainId)) * remaining;
+            if (!best || cost < best.cost) best = { ...candidate, ...point, at, cost };
+        }
+
+        const train = services.get(best.trainId);
+        addRegulation(regulations.get(best.trainId), best);
+        if (!added.has(best.trainId)) added.set(best.trainId, []);
+        addRegulation(added.get(best.trainId), best);
+        simulated.set(best.trainId, simulate(best.trainId));
+
+        const key = `${best.trainId}:${best.type}:${best.stop.station}`;
+        const scheduled = best.type === 'hold' ? Math.round(best.at) : best.stop.departure_sec;
+        const action = actions.get(key) || {
+            train_id: best.trainId,
+            train_name: train.train_name,
+            type: best.type,
+            station: best.stop.station,
+            scheduled_departure: formatTime(scheduled),
+            delay_sec: 0,
+            reasons: []
+        };
+        action.delay_sec += Math.round(best.delay);
+        action.revised_departure = formatTime(scheduled + action.delay_sec);
+        const other = best.trainId === conflict.leader ? conflict.follower : conflict.leader;
+        const reason = `${conflict.type === 'head_on' ? 'Head-on' : 'Headway'} conflict with ${other} in ${conflict.section.from}–${conflict.section.to}`;
+        if (!action.reasons.includes(reason)) action.reasons.push(reason);
+        actions.set(key, action);
+
+        conflicts = findConflicts();
+    }
+
+    // Passenger delay against the timetable, with and without the proposed actions
+    const totals = (runs) => {
+        let delaySec = 0;
+        let passengerSeconds = 0;
+        for (const [trainId, train] of services) {
+            const result = passengerDelay(train, planned.get(trainId), runs.get(trainId));
+            delaySec += result.delaySec;
+            passengerSeconds += result.passengerSeconds;
+        }
+        return { total_delay_min: Math.round(delaySec / 6) / 10, passenger_delay_min: Math.round(passengerSeconds / 60) };
+    };
+
+    return {
+        actions: [...actions.values()],
+        regulations: Object.fromEntries(added),
+        conflicts_before: conflictsBefore.length,
+        conflicts_after: conflicts.length,
+        unresolved: conflicts.map(conflict => ({
+            id: conflict.id,
+            type: conflict.type,
+            trains: conflict.trains,
+            section: conflict.section,
+            start_time: conflict.start_time
+        })),
+        metrics: {
+            current: totals(current),
+            proposed: totals(simulated)
+        }
+    };
+}
+
+/**
+ * Rescheduling plans applied on top of the stored timetable. The timetable is never
+ * rewritten, so delays stay measured against the advertised times and plans can be reverted.
+ */
+class TimetableRevision {
+    constructor() {
+        this.plans = [];
+    }
+
+    /**
+     * Record an applied plan
+     * @param {string} planId - Plan identifier
+     * @param {Object} plan - Plan from proposeReschedule
+     * @returns {Object} Applied plan { plan_id, applied_at, actions, regulations }
+     */
+    apply(planId, plan) {
+        const applied = {
+            plan_id: planId,
+            applied_at: new Date().toISOString(),
+            actions: plan.actions,
+            regulations: plan.regulations
+        };
+        this.plans.push(applied);
+        return applied;
+    }
+
+    /**
+     * Applied plans in the order they were applied
+     * @returns {Array} Applied plans
+     */
+    list() {
+        return [...this.plans];
+    }
+
+    /**
+     * Regulations of every applied plan, merged per train
+     * @returns {Object} { train_id: [regulation] }
+     */
+    regulations() {
+        const merged = {};
+        for (const plan of this.plans) {
+            for (const [trainId, regulations] of Object.entries(plan.regulations)) {
+                merged[trainId] = [...(merged[trainId] || []), ...regulations];
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Drop every applied plan, returning the trains to the stored timetable
+     * @returns {Array} Plans that were reverted
+     */
+    revert() {
+        const reverted = this.plans;
+        this.plans = [];
+        return reverted;
+    }
+}
+
+module.exports = {
+    TimetableRevision,
+    proposeReschedule,
+    simulateWithDelays
+};
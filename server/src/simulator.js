@@ -0,0 +1,715 @@
+const turf = require('@turf/turf');
+
+// Default rolling stock performance (typical suburban EMU values)
+const DEFAULT_ACCELERATION = 0.8; // m/s²
+const DEFAULT_DECELERATION = 0.9; // m/s²
+const DEFAULT_SPEED_KMPH = 40;
+const DEFAULT_TIME_STEP = 30; // seconds
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Disrupted sections whose end stations lie further than this from a route are not on it
+const SECTION_MATCH_DISTANCE_M = 200;
+// Successive blockages a train may wait out at one stop
+const MAX_BLOCKAGE_WAITS = 10;
+// Track length either side of a train used to measure its heading
+const BEARING_WINDOW_M = 20;
+
+/**
+ * Parse a clock time string (HH:MM or HH:MM:SS) into seconds since midnight
+ * @param {string} timeStr - Time string such as "09:15" or "09:15:30"
+ * @returns {number} Seconds since midnight (0 if the string is missing or invalid)
+ */
+function parseTime(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') return 0;
+
+    const [hours = 0, minutes = 0, seconds = 0] = timeStr.split(':').map(Number);
+    if ([hours, minutes, seconds].some(isNaN)) return 0;
+
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Format seconds since midnight to HH:MM:SS, wrapping past midnight
+ * @param {number} seconds - Seconds since midnight
+ * @returns {string} Time string in HH:MM:SS format
+ */
+function formatTime(seconds) {
+    const total = ((Math.round(seconds) % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format seconds since midnight of the service day to HH:MM:SS without wrapping,
+ * as GTFS writes times of trips running past midnight (e.g. 25:10:00)
+ * @param {number} seconds - Seconds since midnight of the service day
+ * @returns {string} Time string in HH:MM:SS format
+ */
+function formatServiceTime(seconds) {
+    const total = Math.max(Math.round(seconds), 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * How long a train has been held by a time its holds have reached
+ * @param {Array} holds - Holds { at (s), duration (s) }, each stopping the train where it is at `at`
+ * @param {number} time - Seconds since midnight of the service day
+ * @returns {number} Seconds spent held
+ */
+function heldTime(holds, time) {
+    return holds.reduce((total, hold) => total + Math.min(Math.max(time - hold.at, 0), hold.duration), 0);
+}
+
+/**
+ * Time an event of an unheld run happens once the holds are applied. A hold only
+ * pushes back events the train had not reached when it started.
+ * @param {Array} holds - Holds { at (s), duration (s) }
+ * @param {number} seconds - Event time in the unheld run
+ * @returns {number} Event time in seconds since midnight of the service day
+ */
+function delayedTime(holds, seconds) {
+    let shift = 0;
+    for (const hold of [...holds].sort((a, b) => a.at - b.at)) {
+        if (hold.at <= seconds + shift) shift += hold.duration;
+    }
+    return seconds + shift;
+}
+
+/**
+ * Compute a trapezoidal (or triangular, for short runs) speed profile over a stretch of track.
+ * Runs between stops start and end at rest; a stretch that ends at a lower speed limit
+ * starts or finishes at the speed the train carries across the boundary.
+ * @param {number} distance - Run length in meters
+ * @param {number} maxSpeed - Line speed in m/s
+ * @param {number} acceleration - Acceleration in m/s²
+ * @param {number} deceleration - Braking rate in m/s²
+ * @param {number} entrySpeed - Speed at the start of the stretch in m/s (default 0)
+ * @param {number} exitSpeed - Speed at the end of the stretch in m/s (default 0)
+ * @returns {Object} Profile with entry/peak/exit speeds, rates and acceleration/cruise/braking durations
+ */
+function computeRunProfile(distance, maxSpeed, acceleration, deceleration, entrySpeed = 0, exitSpeed = 0) {
+    const v0 = Math.min(entrySpeed, maxSpeed);
+    const v1 = Math.min(exitSpeed, maxSpeed);
+    const profile = { distance, entrySpeed: v0, exitSpeed: v1, acceleration, deceleration };
+
+    if (distance <= 0 || maxSpeed <= 0) {
+        return { ...profile, distance: 0, peakSpeed: 0, accelTime: 0, cruiseTime: 0, brakeTime: 0, duration: 0 };
+    }
+
+    const accelDistance = (maxSpeed * maxSpeed - v0 * v0) / (2 * acceleration);
+    const brakeDistance = (maxSpeed * maxSpeed - v1 * v1) / (2 * deceleration);
+
+    // Run too short to reach line speed: accelerate straight into braking
+    if (accelDistance + brakeDistance > distance) {
+        const peakSpeed = Math.sqrt(
+            (2 * distance * acceleration * deceleration + deceleration * v0 * v0 + acceleration * v1 * v1) /
+            (acceleration + deceleration)
+        );
+
+        // Too short even for the speed change across it: change speed evenly over the stretch
+        if (peakSpeed < Math.max(v0, v1)) {
+            const time = (2 * distance) / (v0 + v1);
+            return v0 > v1
+                ? { ...profile, peakSpeed: v0, accelTime: 0, cruiseTime: 0, brakeTime: time, duration: time, deceleration: (v0 - v1) / time }
+                : { ...profile, peakSpeed: v1, accelTime: time, cruiseTime: 0, brakeTime: 0, duration: time, acceleration: (v1 - v0) / time };
+        }
+
+        const accelTime = (peakSpeed - v0) / acceleration;
+        const brakeTime = (peakSpeed - v1) / deceleration;
+        return { ...profile, peakSpeed, accelTime, cruiseTime: 0, brakeTime, duration: accelTime + brakeTime };
+    }
+
+    const accelTime = (maxSpeed - v0) / acceleration;
+    const brakeTime = (maxSpeed - v1) / deceleration;
+    const cruiseTime = (distance - accelDistance - brakeDistance) / maxSpeed;
+
+    return { ...profile, peakSpeed: maxSpeed, accelTime, cruiseTime, brakeTime, duration: accelTime + cruiseTime + brakeTime };
+}
+
+/**
+ * Evaluate distance travelled and current speed at a time offset within a run profile
+ * @param {Object} profile - Profile from computeRunProfile
+ * @param {number} t - Seconds since the train started the run
+ * @returns {Object} { distance (m), speed (m/s) }
+ */
+function evaluateRunProfile(profile, t) {
+    const { entrySpeed, peakSpeed, exitSpeed, acceleration, deceleration, accelTime, cruiseTime, duration } = profile;
+
+    if (t <= 0) return { distance: 0, speed: entrySpeed };
+    if (t >= duration) return { distance: profile.distance, speed: exitSpeed };
+
+    if (t < accelTime) {
+        return { distance: entrySpeed * t + 0.5 * acceleration * t * t, speed: entrySpeed + acceleration * t };
+    }
+
+    const accelDistance = entrySpeed * accelTime + 0.5 * acceleration * accelTime * accelTime;
+    if (t < accelTime + cruiseTime) {
+        return { distance: accelDistance + peakSpeed * (t - accelTime), speed: peakSpeed };
+    }
+
+    const remaining = duration - t;
+    return {
+        distance: profile.distance - (exitSpeed * remaining + 0.5 * deceleration * remaining * remaining),
+        speed: exitSpeed + deceleration * remaining
+    };
+}
+
+/**
+ * Locate each station along the route, keeping chainages in station order
+ * @param {Array} coordinates - Route coordinates as [longitude, latitude]
+ * @param {Array} stations - Train stations with lat/lon
+ * @returns {Array} Chainage in meters for each station
+ */
+function computeStationChainages(coordinates, stations) {
+    // Cumulative distance at the start of every route segment
+    const segments = [];
+    let offset = 0;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const length = turf.distance(coordinates[i], coordinates[i + 1], { units: 'meters' });
+        if (length > 0) {
+            segments.push({ line: turf.lineString([coordinates[i], coordinates[i + 1]]), offset, length });
+        }
+        offset += length;
+    }
+
+    const chainages = [];
+    let previous = 0;
+
+    for (const station of stations) {
+        const point = turf.point([station.lon, station.lat]);
+        let best = { chainage: previous, dist: Infinity };
+
+        // Only consider the route ahead of the previous stop so loops don't pull stations backwards
+        for (const segment of segments) {
+            if (segment.offset + segment.length < previous) continue;
+
+            const nearest = turf.nearestPointOnLine(segment.line, point, { units: 'meters' });
+            if (nearest.properties.dist < best.dist) {
+                best = {
+                    chainage: Math.max(segment.offset + nearest.properties.location, previous),
+                    dist: nearest.properties.dist
+                };
+            }
+        }
+
+        chainages.push(best.chainage);
+        previous = best.chainage;
+    }
+
+    return chainages;
+}
+
+/**
+ * Whether an incident is in force at a time
+ * @param {Object} disruption - Incident with optional start_sec/end_sec window
+ * @param {number} seconds - Seconds since midnight
+ * @returns {boolean} True inside the incident's time window
+ */
+function isActiveAt(disruption, seconds) {
+    return (disruption.start_sec === null || disruption.start_sec === undefined || seconds >= disruption.start_sec) &&
+        (disruption.end_sec === null || disruption.end_sec === undefined || seconds < disruption.end_sec);
+}
+
+/**
+ * Chainage range a station-to-station section covers on a route
+ * @param {Object} line - Route as a turf LineString
+ * @param {Object} section - { from: { lat, lon }, to: { lat, lon } }
+ * @returns {Object|null} { start, end } in meters, or null if the route does not run over the section
+ */
+function sectionRange(line, section) {
+    const ends = [section.from, section.to].map(station =>
+        turf.nearestPointOnLine(line, turf.point([station.lon, station.lat]), { units: 'meters' }));
+    if (ends.some(end => end.properties.dist > SECTION_MATCH_DISTANCE_M)) return null;
+
+    const [start, end] = ends.map(end => end.properties.location).sort((a, b) => a - b);
+    return end > start ? { start, end } : null;
+}
+
+/**
+ * Sort the incidents that can affect a train by how the simulator applies them
+ * @param {Object} train - Train configuration
+ * @param {Object} line - Route as a turf LineString
+ * @param {Array} disruptions - Incidents from the disruption registry
+ * @returns {Object} { delays, closures, restrictions, blockages }
+ */
+function trainIncidents(train, line, disruptions) {
+    const incidents = { delays: [], closures: [], restrictions: [], blockages: [] };
+
+    for (const disruption of disruptions) {
+        if (disruption.type === 'train_delay' && disruption.train_id === train.train_id) {
+            incidents.delays.push(disruption);
+        } else if (disruption.type === 'station_closure') {
+            incidents.closures.push(disruption);
+        } else if (disruption.type === 'speed_restriction' || disruption.type === 'line_blockage') {
+            const range = sectionRange(line, disruption.section);
+            if (!range) continue;
+            if (disruption.type === 'speed_restriction') {
+                incidents.restrictions.push({ ...range, speed: disruption.speed_kmph / 3.6, disruption });
+            } else {
+                incidents.blockages.push({ ...range, disruption });
+            }
+        }
+    }
+    return incidents;
+}
+
+/**
+ * Plan the run between two stops, split into stretches at speed restriction boundaries
+ * @param {number} fromChainage - Chainage of the stop the train leaves
+ * @param {number} toChainage - Chainage of the next stop
+ * @param {number} departure - Departure time (restrictions in force then apply)
+ * @param {Object} context - { maxSpeed, acceleration, deceleration, incidents }
+ * @returns {Object} { legs: [{ fromChainage, profile }], duration, restrictions }
+ */
+function planRun(fromChainage, toChainage, departure, context) {
+    const { maxSpeed, acceleration, deceleration, incidents } = context;
+    const restrictions = incidents.restrictions.filter(restriction =>
+        restriction.end > fromChainage && restriction.start < toChainage && isActiveAt(restriction.disruption, departure));
+
+    const boundaries = [...new Set([
+        fromChainage,
+        toChainage,
+        ...restrictions.flatMap(restriction => [restriction.start, restriction.end])
+            .filter(chainage => chainage > fromChainage && chainage < toChainage)
+    ])].sort((a, b) => a - b);
+
+    // Speed limit of each stretch; neighbouring stretches with the same limit are merged
+    const stretches = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const middle = (boundaries[i] + boundaries[i + 1]) / 2;
+        const speed = Math.min(maxSpeed, ...restrictions
+            .filter(restriction => middle > restriction.start && middle < restriction.end)
+            .map(restriction => restriction.speed));
+
+        const previous = stretches[stretches.length - 1];
+        if (previous && previous.speed === speed) previous.end = boundaries[i + 1];
+        else stretches.push({ start: boundaries[i], end: boundaries[i + 1], speed });
+    }
+
+    // Trains cross each boundary at the lower of the two limits and stop at both ends
+    const legs = stretches.map((stretch, i) => ({
+        fromChainage: stretch.start,
+        profile: computeRunProfile(
+            stretch.end - stretch.start,
+            stretch.speed,
+            acceleration,
+            deceleration,
+            i === 0 ? 0 : Math.min(stretches[i - 1].speed, stretch.speed),
+            i === stretches.length - 1 ? 0 : Math.min(stretches[i + 1].speed, stretch.speed)
+        )
+    }));
+
+    return {
+        legs,
+        duration: legs.reduce((total, leg) => total + leg.profile.duration, 0),
+        restrictions: restrictions.filter(restriction => restriction.speed < maxSpeed)
+    };
+}
+
+/**
+ * Seconds after departure at which a planned run reaches a chainage
+ * @param {Object} run - Run from planRun
+ * @param {number} chainage - Chainage in meters
+ * @returns {number} Seconds since departure
+ */
+function timeAlongRun(run, chainage) {
+    let offset = 0;
+    for (const leg of run.legs) {
+        const target = chainage - leg.fromChainage;
+        if (target <= leg.profile.distance) {
+            // Distance only grows with time, so bisect for the moment the target is reached
+            let low = 0;
+            let high = leg.profile.duration;
+            for (let i = 0; i < 40 && high - low > 0.01; i++) {
+                const middle = (low + high) / 2;
+                if (evaluateRunProfile(leg.profile, middle).distance < target) low = middle;
+                else high = middle;
+            }
+            return offset + Math.max(high, 0);
+        }
+        offset += leg.profile.duration;
+    }
+    return offset;
+}
+
+/**
+ * Pick the next stop, running through stations that are closed when the train gets there
+ * @param {Array} stations - Train stations
+ * @param {Array} chainages - Station chainages
+ * @param {number} index - Index of the stop the train leaves
+ * @param {number} departure - Departure time
+ * @param {Object} context - { maxSpeed, acceleration, deceleration, incidents }
+ * @returns {Object} { next, run, closures }
+ */
+function nextStop(stations, chainages, index, departure, context) {
+    const closures = [];
+    let next = index + 1;
+    let run = planRun(chainages[index], chainages[next], departure, context);
+
+    // The terminus is always served
+    while (next < stations.length - 1) {
+        const passing = departure + run.duration;
+        const closure = context.incidents.closures.find(candidate =>
+            candidate.station === stations[next].name && isActiveAt(candidate, passing));
+        if (!closure) break;
+
+        closures.push(closure);
+        next++;
+        run = planRun(chainages[index], chainages[next], departure, context);
+    }
+    return { next, run, closures };
+}
+
+/**
+ * How long a train has to wait before departing so it does not enter blocked track
+ * @param {Object} run - Run from planRun
+ * @param {number} fromChainage - Chainage of the stop the train leaves
+ * @param {number} toChainage - Chainage of the next stop
+ * @param {number} departure - Planned departure time
+ * @param {Array} blockages - Blockages on the train's route
+ * @returns {Object} { wait (s), blockages }
+ */
+function blockageWait(run, fromChainage, toChainage, departure, blockages) {
+    let wait = 0;
+    const blocking = [];
+
+    for (const blockage of blockages) {
+        if (blockage.end <= fromChainage || blockage.start >= toChainage) continue;
+
+        const enter = departure + timeAlongRun(run, Math.max(blockage.start, fromChainage));
+        const exit = departure + timeAlongRun(run, Math.min(blockage.end, toChainage));
+        const { start_sec: start, end_sec: end } = blockage.disruption;
+        if (enter < end && exit > start) {
+            wait = Math.max(wait, end - enter);
+            blocking.push(blockage.disruption);
+        }
+    }
+    return { wait, blockages: blocking };
+}
+
+/**
+ * Build the ordered list of dwell and run phases a train goes through.
+ *
+ * Incidents from `options.disruptions` are honoured along the way: planned delays
+ * lengthen the dwell at their station (or the origin), closed stations are run
+ * through, speed restrictions cap the speed over their section, and trains wait at
+ * the last stop before a blocked section until the blockage is lifted. Dwells a
+ * rescheduling plan extended (`options.regulations`) are added to the timetabled halt.
+ * @param {Object} train - Train configuration from mumbaiTrains.json
+ * @param {Object} options - Simulation options
+ * @returns {Object} { line, routeLength, phases, schedule, disruptions }
+ */
+function buildTrainPlan(train, options) {
+    const { acceleration, deceleration } = options;
+    const coordinates = train.route_geometry.map(point => [point.lon, point.lat]);
+    const line = turf.lineString(coordinates);
+    const routeLength = turf.length(line, { units: 'meters' });
+
+    // Fall back to the route end points when a train has no station list
+    const stations = train.stations && train.stations.length > 0
+        ? train.stations
+        : [
+            { name: train.origin_station, ...train.route_geometry[0], halt_time_sec: 0 },
+            { name: train.destination_station, ...train.route_geometry[train.route_geometry.length - 1], halt_time_sec: 0 }
+        ];
+
+    const chainages = computeStationChainages(coordinates, stations);
+    const context = {
+        maxSpeed: (train.speed_kmph || DEFAULT_SPEED_KMPH) / 3.6,
+        acceleration,
+        deceleration,
+        incidents: trainIncidents(train, line, options.disruptions || [])
+    };
+
+    const phases = [];
+    const schedule = [];
+    // Incidents that changed this train's run
+    const affectedBy = new Set();
+
+    // The origin halt is the boarding dwell that ends at the advertised departure time
+    const originHalt = stations[0].halt_time_sec || 0;
+    let arrival = parseTime(train.departure_time) - originHalt;
+    let index = 0;
+
+    for (;;) {
+        const station = stations[index];
+        const isLast = index === stations.length - 1;
+        const halt = isLast ? 0 : (station.halt_time_sec || 0);
+        let held = 0;
+        let leg = null;
+        // Extra dwell from rescheduling plans (a later departure at the origin)
+        const added = isLast ? 0 : (options.regulations || [])
+            .filter(regulation => regulation.type !== 'hold' && regulation.stop_index === index)
+            .reduce((total, regulation) => total + regulation.delay_sec, 0);
+
+        if (!isLast) {
+            // Planned delays without a station hold the train at its origin
+            for (const delay of context.incidents.delays) {
+                if (delay.station === station.name || (delay.station === null && index === 0)) {
+                    held += delay.delay_sec;
+                    affectedBy.add(delay.id);
+                }
+            }
+
+            // Wait until the way ahead is clear; waiting can change which stations are closed
+            for (let attempt = 0; attempt < MAX_BLOCKAGE_WAITS; attempt++) {
+                leg = nextStop(stations, chainages, index, arrival + halt + added + held, context);
+                const blocked = blockageWait(leg.run, chainages[index], chainages[leg.next], arrival + halt + added + held, context.incidents.blockages);
+                if (blocked.wait <= 0) break;
+                held += blocked.wait;
+                blocked.blockages.forEach(blockage => affectedBy.add(blockage.id));
+            }
+        }
+
+        const departure = arrival + halt + added + held;
+        if (halt + added + held > 0) {
+            phases.push({ type: 'dwell', start: arrival, end: departure, chainage: chainages[index], station: station.name });
+        }
+
+        schedule.push({
+            station: station.name,
+            chainage_m: Math.round(chainages[index]),
+            arrival: index === 0 ? null : formatTime(arrival),
+            departure: isLast ? null : formatTime(departure),
+            arrival_sec: index === 0 ? null : Math.round(arrival),
+            departure_sec: isLast ? null : Math.round(departure),
+            halt_time_sec: Math.round(halt + added + held),
+            ...(added > 0 && { added_dwell_sec: Math.round(added) }),
+            ...(held > 0 && { disruption_hold_sec: Math.round(held) })
+        });
+
+        if (isLast) break;
+
+        const { next, run, closures } = leg;
+        closures.forEach(closure => affectedBy.add(closure.id));
+        run.restrictions.forEach(restriction => affectedBy.add(restriction.disruption.id));
+
+        // Closed stations keep their place in the schedule with the time the train passes
+        for (let skipped = index + 1; skipped < next; skipped++) {
+            const passing = Math.round(departure + timeAlongRun(run, chainages[skipped]));
+            schedule.push({
+                station: stations[skipped].name,
+                chainage_m: Math.round(chainages[skipped]),
+                arrival: formatTime(passing),
+                departure: formatTime(passing),
+                arrival_sec: passing,
+                departure_sec: passing,
+                halt_time_sec: 0,
+                skipped: true
+            });
+        }
+
+        let clock = departure;
+        for (const { fromChainage, profile } of run.legs) {
+            phases.push({
+                type: 'run',
+                start: clock,
+                end: clock + profile.duration,
+                fromChainage,
+                profile,
+                from: station.name,
+                to: stations[next].name
+            });
+            clock += profile.duration;
+        }
+
+        arrival = clock;
+        index = next;
+    }
+
+    return {
+        line,
+        routeLength,
+        phases,
+        schedule,
+        disruptions: [...affectedBy],
+        startTime: phases.length > 0 ? phases[0].start : arrival,
+        endTime: arrival
+    };
+}
+
+/**
+ * Get the train state (chainage, speed, status) at an absolute time
+ * @param {Object} plan - Plan from buildTrainPlan
+ * @param {number} time - Seconds since midnight
+ * @returns {Object} { chainage, speed (m/s), status, station, nextStation }
+ */
+function stateAtTime(plan, time) {
+    for (const phase of plan.phases) {
+        if (time >= phase.end) continue;
+
+        if (phase.type === 'dwell') {
+            return { chainage: phase.chainage, speed: 0, status: 'dwelling', station: phase.station };
+        }
+
+        const { distance, speed } = evaluateRunProfile(phase.profile, time - phase.start);
+        return { chainage: phase.fromChainage + distance, speed, status: 'running', nextStation: phase.to };
+    }
+
+    const last = plan.schedule[plan.schedule.length - 1];
+    return { chainage: last.chainage_m, speed: 0, status: 'completed', station: last.station };
+}
+
+/**
+ * Direction of travel along the route at a chainage
+ * @param {Object} line - Route as a turf LineString
+ * @param {number} routeLength - Route length in meters
+ * @param {number} chainage - Chainage in meters
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+function trackBearing(line, routeLength, chainage) {
+    const behind = turf.along(line, Math.max(chainage - BEARING_WINDOW_M, 0), { units: 'meters' });
+    const ahead = turf.along(line, Math.min(chainage + BEARING_WINDOW_M, routeLength), { units: 'meters' });
+    return Math.round((turf.bearing(behind, ahead) + 360) % 360);
+}
+
+/**
+ * Simulate a single train along its route geometry with station stops.
+ *
+ * `options.holds` ({ at, duration }) stop the train wherever it is at `at`, as live
+ * delays do. `options.regulations` are the changes rescheduling plans made to the
+ * train: extra dwell at a stop ({ type: 'retime_departure' | 'extend_dwell',
+ * stop_index, delay_sec }) or a hold from where the train is ({ type: 'hold', at_sec, delay_sec }).
+ * @param {Object} train - Train configuration (route_geometry, stations, departure_time, speed_kmph)
+ * @param {Object} options - { timeStep, acceleration, deceleration, disruptions, holds, regulations }
+ * @returns {Object} Simulated train with positions timestamped in seconds since midnight of
+ *   its service day (`seconds`) and as clock time (`time`), plus the computed schedule
+ */
+function simulateTrain(train, options = {}) {
+    const settings = {
+        timeStep: options.timeStep || DEFAULT_TIME_STEP,
+        acceleration: options.acceleration || DEFAULT_ACCELERATION,
+        deceleration: options.deceleration || DEFAULT_DECELERATION,
+        disruptions: options.disruptions || [],
+        regulations: options.regulations || []
+    };
+    const holds = [
+        ...(options.holds || []),
+        ...settings.regulations
+            .filter(regulation => regulation.type === 'hold')
+            .map(regulation => ({ at: regulation.at_sec, duration: regulation.delay_sec }))
+    ];
+
+    const plan = buildTrainPlan(train, settings);
+    const positions = [];
+
+    // Held trains replay the unheld run later, standing still while a hold lasts
+    const schedule = holds.length === 0 ? plan.schedule : plan.schedule.map(stop => {
+        const arrival = stop.arrival_sec === null ? null : Math.round(delayedTime(holds, stop.arrival_sec));
+        const departure = stop.departure_sec === null ? null : Math.round(delayedTime(holds, stop.departure_sec));
+        return {
+            ...stop,
+            arrival: arrival === null ? null : formatTime(arrival),
+            departure: departure === null ? null : formatTime(departure),
+            arrival_sec: arrival,
+            departure_sec: departure,
+            ...(arrival !== null && departure !== null && !stop.skipped && { halt_time_sec: departure - arrival })
+        };
+    });
+    const startTime = delayedTime(holds, plan.startTime);
+    const endTime = delayedTime(holds, plan.endTime);
+
+    const sample = (time) => {
+        const held = holds.some(hold => time >= hold.at && time < hold.at + hold.duration);
+        const state = stateAtTime(plan, Math.max(time - heldTime(holds, time), plan.startTime));
+        if (held && state.status !== 'completed') {
+            state.speed = 0;
+            state.status = 'held';
+        }
+        const chainage = Math.min(state.chainage, plan.routeLength);
+        const point = turf.along(plan.line, chainage, { units: 'meters' });
+        const [lon, lat] = point.geometry.coordinates;
+
+        positions.push({
+            time: formatTime(time),
+            // Unlike the clock time, keeps counting past midnight so positions stay in order
+            seconds: Math.round(time),
+            lat: lat,
+            lon: lon,
+            speed: Math.round(state.speed * 3.6 * 10) / 10,
+            bearing: trackBearing(plan.line, plan.routeLength, chainage),
+            status: state.status,
+            distance_m: Math.round(state.chainage),
+            ...(state.station && { station: state.station }),
+            ...(state.nextStation && { next_station: state.nextStation })
+        });
+    };
+
+    for (let time = startTime; time < endTime; time += settings.timeStep) {
+        sample(time);
+    }
+    // Always finish with the arrival at the terminus
+    sample(endTime);
+
+    return {
+        train_id: train.train_id,
+        train_name: train.train_name,
+        positions: positions,
+        route_geometry: train.route_geometry,
+        stations: train.stations,
+        schedule: schedule,
+        route_length_m: Math.round(plan.routeLength),
+        start_time: formatTime(startTime),
+        end_time: formatTime(endTime),
+        running_time_sec: Math.round(endTime - startTime),
+        disruptions: plan.disruptions
+    };
+}
+
+/**
+ * Estimate the line speed that makes a train keep to its timetable.
+ * Each run of length d at peak speed v takes d / v + v * k, where k accounts for
+ * accelerating and braking, so the total running time T over n runs covering D
+ * meters gives n·k·v² - T·v + D = 0.
+ * @param {number} distance - Total route length in meters
+ * @param {number} runningTime - Scheduled time spent moving (excluding halts) in seconds
+ * @param {number} runCount - Number of station-to-station runs
+ * @param {Object} options - { acceleration, deceleration }
+ * @returns {number} Line speed in km/h
+ */
+function estimateLineSpeed(distance, runningTime, runCount, options = {}) {
+    const acceleration = options.acceleration || DEFAULT_ACCELERATION;
+    const deceleration = options.deceleration || DEFAULT_DECELERATION;
+
+    if (!(distance > 0) || !(runningTime > 0) || !(runCount > 0)) return DEFAULT_SPEED_KMPH;
+
+    const a = runCount * (1 / acceleration + 1 / deceleration) / 2;
+    const discriminant = runningTime * runningTime - 4 * a * distance;
+
+    // A timetable tighter than the rolling stock allows gets the fastest achievable speed
+    const speed = discriminant >= 0
+        ? (runningTime - Math.sqrt(discriminant)) / (2 * a)
+        : runningTime / (2 * a);
+
+    return Math.min(Math.max(Math.round(speed * 3.6), 20), 160);
+}
+
+/**
+ * Simulate a set of trains
+ * @param {Array} trains - Train configuration array
+ * @param {Object} options - Simulation options passed to simulateTrain
+ * @returns {Array} Simulated trains
+ */
+function simulateTrains(trains, options = {}) {
+    return trains
+        .filter(train => train.route_geometry && train.route_geometry.length > 1)
+        .map(train => simulateTrain(train, options));
+}
+
+module.exports = {
+    simulateTrain,
+    simulateTrains,
+    computeRunProfile,
+    estimateLineSpeed,
+    parseTime,
+    formatTime,
+    formatServiceTime,
+    heldTime,
+    delayedTime
+};
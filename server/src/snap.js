@@ -1,4 +1,21 @@
 const turf = require('@turf/turf');
+const RBush = require('rbush');
+const { nodeKey } = require('./topology');
+
+// Meters per degree of latitude on turf's mean earth radius
+const METERS_PER_DEGREE = (6371008.8 * Math.PI) / 180;
+
+// Spatial indexes are built once per track feature array and reused for every snap
+// (osm.js hands out the same array per region until the track store changes)
+const trackIndexes = new WeakMap();
+
+// Vertex indexes (where features join) per track feature array, for train bodies crossing joins
+const vertexIndexes = new WeakMap();
+
+// A train body only carries on onto a joining track that turns less than this
+const MAX_JOIN_TURN_DEGREES = 60;
+// Joins followed per half of a train body before giving up (guards against loops of tiny features)
+const MAX_JOINS = 50;
 
 /**
  * Convert longitude,latitude to leaflet format [latitude, longitude]
@@ -10,49 +27,291 @@ function lonLatToLeaflet([lon, lat]) {
 }
 
 /**
- * Snap a train position to the nearest railway track and compute oriented train segment
+ * Smallest angle between two bearings
+ * @param {number} a - Degrees
+ * @param {number} b - Degrees
+ * @returns {number} 0..180 degrees
+ */
+function angleBetween(a, b) {
+    return Math.abs((((a - b) % 360) + 540) % 360 - 180);
+}
+
+/**
+ * Distance along a line at each of its vertices
+ * @param {Array} coords - [longitude, latitude] vertices
+ * @returns {Array} Meters from the first vertex
+ */
+function vertexOffsets(coords) {
+    const offsets = [0];
+    for (let i = 1; i < coords.length; i++) {
+        offsets.push(offsets[i - 1] + turf.distance(coords[i - 1], coords[i], { units: 'meters' }));
+    }
+    return offsets;
+}
+
+/**
+ * Index every track vertex by position so a train body reaching the end of one
+ * feature can find the features joined to it there
+ * @param {Array} railwayFeatures - Array of GeoJSON LineString features
+ * @returns {Map} node key -> [{ feature, vertex }]
+ */
+function getVertexIndex(railwayFeatures) {
+    let index = vertexIndexes.get(railwayFeatures);
+    if (index) return index;
+
+    index = new Map();
+    for (const feature of railwayFeatures) {
+        if (!feature.geometry || feature.geometry.type !== 'LineString') continue;
+        feature.geometry.coordinates.forEach((coord, vertex) => {
+            const key = nodeKey(coord);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({ feature, vertex });
+        });
+    }
+    vertexIndexes.set(railwayFeatures, index);
+    return index;
+}
+
+/**
+ * Walk along one line from a distance in a direction, collecting the vertices passed
+ * @param {Array} coords - Line vertices
+ * @param {Array} offsets - vertexOffsets(coords)
+ * @param {number} location - Start distance along the line in meters
+ * @param {number} direction - 1 along the line's vertex order, -1 against it
+ * @param {number} meters - Distance to walk
+ * @returns {Object} { coordinates (travel order, starting at location), covered, atEnd }
+ */
+function walkLine(coords, offsets, location, direction, meters) {
+    const total = offsets[offsets.length - 1];
+    const target = direction > 0 ? Math.min(location + meters, total) : Math.max(location - meters, 0);
+    const pointAt = distance => {
+        const i = Math.max(1, offsets.findIndex(offset => offset >= distance));
+        const span = offsets[i] - offsets[i - 1];
+        const fraction = span > 0 ? (distance - offsets[i - 1]) / span : 0;
+        const [a, b] = [coords[i - 1], coords[i]];
+        return [a[0] + (b[0] - a[0]) * fraction, a[1] + (b[1] - a[1]) * fraction];
+    };
+
+    const coordinates = [pointAt(location)];
+    const low = Math.min(location, target);
+    const high = Math.max(location, target);
+    const inner = [];
+    offsets.forEach((offset, i) => {
+        if (offset > low && offset < high) inner.push(coords[i]);
+    });
+    coordinates.push(...(direction > 0 ? inner : inner.reverse()), pointAt(target));
+
+    return {
+        coordinates,
+        covered: high - low,
+        atEnd: direction > 0 ? target >= total : target <= 0
+    };
+}
+
+/**
+ * Follow the track from a point for a distance, carrying on across feature joins.
+ * At a join the continuation turning least is taken; the walk stops at the end of
+ * the line or where every continuation turns more than MAX_JOIN_TURN_DEGREES.
+ * @param {Object} feature - Track feature to start on
+ * @param {number} location - Start distance along the feature in meters
+ * @param {number} direction - 1 along the feature's vertex order, -1 against it
+ * @param {number} meters - Distance to follow
+ * @param {Map|null} vertexIndex - getVertexIndex result (null: stay on the feature)
+ * @returns {Object} { coordinates (travel order), length }
+ */
+function followTrack(feature, location, direction, meters, vertexIndex) {
+    const coordinates = [];
+    let length = 0;
+    let current = { feature, location, direction };
+
+    for (let joins = 0; joins <= MAX_JOINS; joins++) {
+        const coords = current.feature.geometry.coordinates;
+        const offsets = vertexOffsets(coords);
+        const step = walkLine(coords, offsets, current.location, current.direction, meters - length);
+        coordinates.push(...(coordinates.length > 0 ? step.coordinates.slice(1) : step.coordinates));
+        length += step.covered;
+
+        if (length >= meters - 0.01 || !step.atEnd || !vertexIndex) break;
+
+        // Continue on the joined feature that runs on straightest
+        const end = coordinates[coordinates.length - 1];
+        const before = coordinates.slice(0, -1).reverse().find(coord => coord[0] !== end[0] || coord[1] !== end[1]);
+        if (!before) break;
+        const arriving = turf.bearing(before, end);
+
+        let next = null;
+        for (const joined of vertexIndex.get(nodeKey(end)) || []) {
+            if (joined.feature === current.feature) continue;
+            const joinedCoords = joined.feature.geometry.coordinates;
+            for (const joinedDirection of [1, -1]) {
+                const neighbour = joinedCoords[joined.vertex + joinedDirection];
+                if (!neighbour) continue;
+                const turn = angleBetween(arriving, turf.bearing(end, neighbour));
+                if (turn <= MAX_JOIN_TURN_DEGREES && (!next || turn < next.turn)) {
+                    next = { feature: joined.feature, vertex: joined.vertex, direction: joinedDirection, turn };
+                }
+            }
+        }
+        if (!next) break;
+
+        current = {
+            feature: next.feature,
+            location: vertexOffsets(next.feature.geometry.coordinates)[next.vertex],
+            direction: next.direction
+        };
+    }
+
+    return { coordinates, length };
+}
+
+/**
+ * Direction of travel along a track feature: an explicit direction, else the
+ * heading, else the movement from a previous position, else the feature's vertex order
+ * @param {Array} coords - Track vertices
+ * @param {number} index - Segment the train is on
+ * @param {number} location - Train distance along the track in meters
+ * @param {Object} options - { direction, heading, previousPosition }
+ * @returns {number} 1 along the vertex order, -1 against it
+ */
+function travelDirection(coords, index, location, { direction, heading, previousPosition }) {
+    if (direction === 1 || direction === -1) return direction;
+
+    if (Number.isFinite(heading)) {
+        const trackBearing = turf.bearing(coords[index], coords[index + 1]);
+        return angleBetween(heading, trackBearing) <= 90 ? 1 : -1;
+    }
+
+    if (Array.isArray(previousPosition) && previousPosition.length === 2) {
+        const previous = turf.nearestPointOnLine(turf.lineString(coords), turf.point(previousPosition), { units: 'meters' });
+        if (previous.properties.location > location) return -1;
+    }
+
+    return 1;
+}
+
+/**
+ * Snap a train position to a railway track and lay the train body along the
+ * track: the body follows curves, crosses joins onto connected features (when
+ * railwayFeatures is given) and points in the train's direction of travel
  * @param {Array} trainPointLonLat - Train position as [longitude, latitude]
  * @param {Object} trackFeature - GeoJSON LineString feature representing railway track
  * @param {number} trainBodyMeters - Length of train body in meters (default: 150)
- * @returns {Object} Object containing snapped position and train line segment
+ * @param {Object} options - { railwayFeatures, direction (1 or -1 along the feature), heading (degrees),
+ *   previousPosition ([lon, lat]) }; without any of the last three the train faces the feature's vertex order
+ * @returns {Object} Snapped position, body line from tail to head, head and tail positions and travel bearing
  */
-function computeTrainSegment(trainPointLonLat, trackFeature, trainBodyMeters = 150) {
-    // Create point from train coordinates [lon, lat]
-    const point = turf.point(trainPointLonLat);
-    
-    // Create line from track feature
-    const line = turf.lineString(trackFeature.geometry.coordinates);
-    
-    // Find nearest point on the track line
-    const snapped = turf.nearestPointOnLine(line, point, { units: 'meters' });
-    
-    // Get the index of the nearest segment on the line
-    const index = snapped.properties.index || 0;
+function computeTrainSegment(trainPointLonLat, trackFeature, trainBodyMeters = 150, options = {}) {
     const coords = trackFeature.geometry.coordinates;
-    
-    // Get previous and next coordinates to compute direction
-    const prev = coords[Math.max(0, index)];
-    const next = coords[Math.min(coords.length - 1, index + 1)];
-    
-    // Calculate bearing (direction) along the track
-    const bearing = turf.bearing(turf.point(prev), turf.point(next));
-    
-    // Create train body as a line segment
+    const snapped = turf.nearestPointOnLine(turf.lineString(coords), turf.point(trainPointLonLat), { units: 'meters' });
+    const location = snapped.properties.location;
+
+    // Segment the snapped point lies on (the last vertex belongs to the last segment)
+    const index = Math.min(snapped.properties.index || 0, coords.length - 2);
+    const direction = travelDirection(coords, index, location, options);
+
+    const vertexIndex = options.railwayFeatures ? getVertexIndex(options.railwayFeatures) : null;
     const half = trainBodyMeters / 2;
-    
-    // Calculate head and tail positions of the train
-    const head = turf.destination(snapped, half / 1000, bearing, { units: 'kilometers' });
-    const tail = turf.destination(snapped, half / 1000, bearing + 180, { units: 'kilometers' });
-    
+    const ahead = followTrack(trackFeature, location, direction, half, vertexIndex);
+    const behind = followTrack(trackFeature, location, -direction, half, vertexIndex);
+
+    const trainLine = [...behind.coordinates.slice().reverse(), ...ahead.coordinates.slice(1)];
+    const head = trainLine[trainLine.length - 1];
+    const tail = trainLine[0];
+
+    // Direction of travel at the train's position
+    const trackBearing = turf.bearing(coords[index], coords[index + 1]);
+    const bearing = direction > 0 ? trackBearing : turf.bearing(coords[index + 1], coords[index]);
+
     return {
         snapped: snapped.geometry.coordinates, // [lon, lat] - exact point on track
-        trainLine: [tail.geometry.coordinates, head.geometry.coordinates], // train body line
-        bearing: bearing, // direction train is facing
+        trainLine: trainLine, // train body along the track, tail first
+        head: head,
+        tail: tail,
+        bearing: bearing, // direction of travel
+        direction: direction, // 1 along the track's vertex order, -1 against it
+        bodyLength: ahead.length + behind.length, // shorter than trainBodyMeters where the track ends
         trackIndex: index, // which segment of the track
         distance: snapped.properties.dist // distance from original point to track
     };
 }
 
+/**
+ * Build an R-tree over the bounding boxes of every track segment
+ * @param {Array} railwayFeatures - Array of GeoJSON LineString features
+ * @returns {Object} RBush tree whose items reference feature and segment indexes
+ */
+function buildTrackIndex(railwayFeatures) {
+    const items = [];
+
+    railwayFeatures.forEach((feature, featureIndex) => {
+        if (!feature.geometry || feature.geometry.type !== 'LineString') return;
+
+        const coords = feature.geometry.coordinates;
+        for (let i = 0; i < coords.length - 1; i++) {
+            const [lon1, lat1] = coords[i];
+            const [lon2, lat2] = coords[i + 1];
+            items.push({
+                minX: Math.min(lon1, lon2),
+                minY: Math.min(lat1, lat2),
+                maxX: Math.max(lon1, lon2),
+                maxY: Math.max(lat1, lat2),
+                featureIndex,
+                segmentIndex: i
+            });
+        }
+    });
+
+    const tree = new RBush();
+    tree.load(items);
+    return tree;
+}
+
+/**
+ * Get the spatial index for a track feature array, building it on first use
+ * @param {Array} railwayFeatures - Array of GeoJSON LineString features
+ * @returns {Object} RBush tree
+ */
+function getTrackIndex(railwayFeatures) {
+    let tree = trackIndexes.get(railwayFeatures);
+    if (!tree) {
+        tree = buildTrackIndex(railwayFeatures);
+        trackIndexes.set(railwayFeatures, tree);
+    }
+    return tree;
+}
+
+/**
+ * Closest point on a segment using a local equirectangular projection around the query point
+ * (accurate to well under a meter over the snapping distances involved)
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} a - Segment start [longitude, latitude]
+ * @param {Array} b - Segment end [longitude, latitude]
+ * @returns {Object} { coordinates: [lon, lat], distance: meters, fraction: 0..1 along the segment }
+ */
+function nearestPointOnSegment(point, a, b) {
+    const kx = METERS_PER_DEGREE * Math.cos((point[1] * Math.PI) / 180);
+    const ky = METERS_PER_DEGREE;
+
+    const ax = (a[0] - point[0]) * kx;
+    const ay = (a[1] - point[1]) * ky;
+    const dx = (b[0] - a[0]) * kx;
+    const dy = (b[1] - a[1]) * ky;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const fraction = lengthSquared === 0
+        ? 0
+        : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared));
+
+    const x = ax + dx * fraction;
+    const y = ay + dy * fraction;
+
+    return {
+        coordinates: [a[0] + (b[0] - a[0]) * fraction, a[1] + (b[1] - a[1]) * fraction],
+        distance: Math.sqrt(x * x + y * y),
+        fraction
+    };
+}
+
 /**
  * Find the best railway track for a given train position
  * @param {Array} trainPointLonLat - Train position as [longitude, latitude]
@@ -61,38 +320,54 @@ function computeTrainSegment(trainPointLonLat, trackFeature, trainBodyMeters = 1
  * @returns {Object|null} Best track match or null if no suitable track found
  */
 function findNearestTrack(trainPointLonLat, railwayFeatures, maxDistanceKm = 1) {
-    const point = turf.point(trainPointLonLat);
-    let bestTrack = null;
-    let minDistance = Infinity;
-    
-    for (const feature of railwayFeatures) {
-        if (feature.geometry.type !== 'LineString') continue;
-        
-        const line = turf.lineString(feature.geometry.coordinates);
-        const nearestPoint = turf.nearestPointOnLine(line, point, { units: 'meters' });
-        const distance = nearestPoint.properties.dist;
-        
-        // Convert distance to kilometers for comparison
-        const distanceKm = distance / 1000;
-        
-        if (distanceKm <= maxDistanceKm && distance < minDistance) {
-            minDistance = distance;
-            bestTrack = {
-                feature: feature,
-                distance: distance,
-                nearestPoint: nearestPoint
-            };
+    const tree = getTrackIndex(railwayFeatures);
+    const [lon, lat] = trainPointLonLat;
+    const maxDistance = maxDistanceKm * 1000;
+
+    // Only segments whose bounding box is within the search radius can qualify
+    const latRadius = maxDistance / METERS_PER_DEGREE;
+    const lonRadius = latRadius / Math.max(Math.cos((lat * Math.PI) / 180), 1e-6);
+    const candidates = tree.search({
+        minX: lon - lonRadius,
+        minY: lat - latRadius,
+        maxX: lon + lonRadius,
+        maxY: lat + latRadius
+    });
+
+    let best = null;
+
+    for (const candidate of candidates) {
+        const coords = railwayFeatures[candidate.featureIndex].geometry.coordinates;
+        const nearest = nearestPointOnSegment(
+            trainPointLonLat,
+            coords[candidate.segmentIndex],
+            coords[candidate.segmentIndex + 1]
+        );
+
+        if (nearest.distance <= maxDistance && (!best || nearest.distance < best.nearest.distance)) {
+            best = { candidate, nearest };
         }
     }
-    
-    return bestTrack;
+
+    if (!best) return null;
+
+    const feature = railwayFeatures[best.candidate.featureIndex];
+    return {
+        feature: feature,
+        distance: best.nearest.distance,
+        nearestPoint: turf.point(best.nearest.coordinates, {
+            dist: best.nearest.distance,
+            index: best.candidate.segmentIndex
+        })
+    };
 }
 
 /**
  * Snap train to tracks and return complete train representation
  * @param {Array} trainPointLonLat - Train position as [longitude, latitude]
  * @param {Array} railwayFeatures - Array of railway track features
- * @param {Object} options - Options for train snapping
+ * @param {Object} options - Options for train snapping; heading (degrees) or
+ *   previousPosition ([lon, lat]) orient the train body in its direction of travel
  * @returns {Object|null} Complete train object or null if snapping failed
  */
 function snapTrainToTracks(trainPointLonLat, railwayFeatures, options = {}) {
@@ -100,7 +375,9 @@ function snapTrainToTracks(trainPointLonLat, railwayFeatures, options = {}) {
         trainBodyMeters = 150,
         maxDistanceKm = 1,
         trainId = null,
-        trainType = 'local'
+        trainType = 'local',
+        heading = null,
+        previousPosition = null
     } = options;
     
     // Find the nearest suitable track
@@ -112,7 +389,11 @@ function snapTrainToTracks(trainPointLonLat, railwayFeatures, options = {}) {
     }
     
     // Compute train segment on the found track
-    const trainSegment = computeTrainSegment(trainPointLonLat, nearestTrack.feature, trainBodyMeters);
+    const trainSegment = computeTrainSegment(trainPointLonLat, nearestTrack.feature, trainBodyMeters, {
+        railwayFeatures,
+        heading,
+        previousPosition
+    });
     
     return {
         id: trainId,
@@ -120,7 +401,10 @@ function snapTrainToTracks(trainPointLonLat, railwayFeatures, options = {}) {
         originalPosition: trainPointLonLat,
         snappedPosition: trainSegment.snapped,
         trainLine: trainSegment.trainLine,
+        headPosition: trainSegment.head,
+        tailPosition: trainSegment.tail,
         bearing: trainSegment.bearing,
+        direction: trainSegment.direction,
         track: {
             properties: nearestTrack.feature.properties,
             index: trainSegment.trackIndex
@@ -128,6 +412,7 @@ function snapTrainToTracks(trainPointLonLat, railwayFeatures, options = {}) {
         metadata: {
             distanceToTrack: nearestTrack.distance,
             trainLength: trainBodyMeters,
+            bodyLength: trainSegment.bodyLength,
             snappedAt: new Date().toISOString()
         }
     };
@@ -156,7 +441,9 @@ function snapMultipleTrains(trains, railwayFeatures, options = {}) {
             {
                 ...options,
                 trainId: train.id,
-                trainType: train.type
+                trainType: train.type,
+                heading: train.heading ?? null,
+                previousPosition: train.previousPosition || null
             }
         );
         
@@ -204,7 +491,10 @@ function generateSampleTrainPositions() {
 
 module.exports = {
     computeTrainSegment,
+    buildTrackIndex,
+    getTrackIndex,
     findNearestTrack,
+    nearestPointOnSegment,
     snapTrainToTracks,
     snapMultipleTrains,
     lonLatToLeaflet,
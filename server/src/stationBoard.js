@@ -0,0 +1,102 @@
+const { formatTime } = require('./simulator');
+
+// Trains that left or arrived up to this long ago stay on the board
+const DEFAULT_PAST_WINDOW_SEC = 15 * 60;
+const DEFAULT_BOARD_LIMIT = 20;
+
+/**
+ * Board row for one call of a train at the station
+ * @param {Object} details - { train, service, planned, stop, index, kind: 'arrival' | 'departure', now, eventTime }
+ * @returns {Object|null} Row, or null when the planned run does not have the call
+ */
+function boardRow({ train, service, planned, stop, index, kind, now, eventTime }) {
+    const field = kind === 'arrival' ? 'arrival_sec' : 'departure_sec';
+    const reference = planned.schedule[index];
+    if (!reference || reference.station !== stop.station || reference[field] === null || stop[field] === null) return null;
+
+    const expected = eventTime(train.train_id, stop[field]);
+    const scheduled = reference[field];
+    const call = ((service && service.stations) || []).find(station => station.name === stop.station) || {};
+
+    let status = 'expected';
+    if (stop.skipped) status = 'skipped';
+    else if (expected <= now) status = kind === 'arrival' ? 'arrived' : 'departed';
+
+    return {
+        train_id: train.train_id,
+        train_name: train.train_name,
+        line: train.line || null,
+        origin: train.origin_station || train.schedule[0].station,
+        destination: train.destination_station || train.schedule[train.schedule.length - 1].station,
+        platform: call.platform || null,
+        scheduled: formatTime(scheduled),
+        expected: stop.skipped ? null : formatTime(expected),
+        delay_sec: stop.skipped ? null : Math.max(Math.round(expected - scheduled), 0),
+        status,
+        scheduled_sec: scheduled,
+        expected_sec: Math.round(expected)
+    };
+}
+
+/**
+ * Arrivals and departures board of a station, computed from the live simulation.
+ *
+ * Scheduled times come from the timetabled run of each train, expected times
+ * from its simulated run with disruptions and live holds applied. Trains that
+ * pass a closed station are listed as skipped. Rows are sorted by expected time
+ * and start `pastWindow` seconds before now.
+ * @param {string} station - Station name as used in the schedules
+ * @param {Array} simulatedTrains - Trains as simulated by the live clock
+ * @param {Object} options - { services (timetabled trains), planned (Map train_id -> planned run),
+ *   now, serviceTime(trainId) (clock time on the train's service day, for runs past midnight),
+ *   eventTime(trainId, seconds), aliases (other names of the station in schedules), pastWindow (s), limit }
+ * @returns {Object} { station, time, arrivals, departures }
+ */
+function buildStationBoard(station, simulatedTrains, options) {
+    const now = options.now;
+    const eventTime = options.eventTime || ((trainId, seconds) => seconds);
+    const serviceTime = options.serviceTime || (() => now);
+    const from = now - (options.pastWindow !== undefined ? options.pastWindow : DEFAULT_PAST_WINDOW_SEC);
+    const limit = options.limit || DEFAULT_BOARD_LIMIT;
+    const services = new Map((options.services || []).map(service => [service.train_id, service]));
+    const names = new Set([station, ...(options.aliases || [])]);
+
+    const arrivals = [];
+    const departures = [];
+    for (const train of simulatedTrains) {
+        const planned = options.planned.get(train.train_id);
+        if (!planned) continue;
+
+        // Rows are ordered on the clock, which is a day behind the service day of runs past midnight
+        const trainNow = serviceTime(train.train_id);
+        const add = (rows, row) => {
+            if (row) rows.push({ ...row, expected_sec: row.expected_sec - (trainNow - now) });
+        };
+
+        (train.schedule || []).forEach((stop, index) => {
+            if (!names.has(stop.station)) return;
+            const context = { train, service: services.get(train.train_id), planned, stop, index, now: trainNow, eventTime };
+
+            // Origins only depart and termini only arrive
+            if (index > 0) add(arrivals, boardRow({ ...context, kind: 'arrival' }));
+            if (index < train.schedule.length - 1) add(departures, boardRow({ ...context, kind: 'departure' }));
+        });
+    }
+
+    const upcoming = rows => rows
+        .filter(row => row.expected_sec >= from)
+        .sort((a, b) => a.expected_sec - b.expected_sec)
+        .slice(0, limit)
+        .map(({ scheduled_sec: _scheduled, expected_sec: _expected, ...row }) => row);
+
+    return {
+        station,
+        time: formatTime(now),
+        arrivals: upcoming(arrivals),
+        departures: upcoming(departures)
+    };
+}
+
+module.exports = {
+    buildStationBoard
+};
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const turf = require('@turf/turf');
+const RBush = require('rbush');
+
+// Meters per degree of latitude on turf's mean earth radius
+const METERS_PER_DEGREE = (6371008.8 * Math.PI) / 180;
+
+// Train stops further than this from their registry station are reported
+const STOP_DISTANCE_TOLERANCE_M = 300;
+// Distinct stations closer than this (and not linked as an interchange) look like duplicates
+const DUPLICATE_DISTANCE_M = 100;
+// An unnamed-match OSM station this close to a registry station is the same station
+const OSM_MATCH_DISTANCE_M = 150;
+
+/**
+ * Lookup key for a station name or alias: case, spacing and punctuation are ignored
+ * @param {string} name - Station name
+ * @returns {string} Key
+ */
+function nameKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9()]+/g, ' ').trim();
+}
+
+/**
+ * URL-safe id derived from a station name
+ * @param {string} name - Station name
+ * @returns {string} Id
+ */
+function slugify(name) {
+    return String(name).toLowerCase().replace(/\(([a-z])\w*\)/g, '$1').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Distance between two points in meters
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} Distance
+ */
+function distanceBetween(a, b) {
+    return turf.distance([a.lon, a.lat], [b.lon, b.lat], { units: 'meters' });
+}
+
+/**
+ * Canonical register of stations: one entry per physical station with a stable id,
+ * its name and aliases, coordinates, the lines serving it, platforms and
+ * interchange links to neighbouring stations.
+ *
+ * Entries come from curated data files, OSM railway=station nodes and imported
+ * timetables. Train stops are resolved against the registry by name or alias.
+ */
+class StationRegistry {
+    constructor() {
+        this.stations = new Map();
+        // nameKey(name or alias) -> station id
+        this.names = new Map();
+    }
+
+    /**
+     * Register a station, or merge it into an existing entry with the same id
+     * @param {Object} input - { id?, name, aliases?, lat, lon, lines?, platforms?, interchanges?, osm_id? }
+     * @param {string} source - Where the entry came from ('file', 'osm', 'gtfs', ...)
+     * @returns {Object} Registered station
+     */
+    add(input, source) {
+        if (!input || !input.name || !Number.isFinite(Number(input.lat)) || !Number.isFinite(Number(input.lon))) {
+            throw new Error(`Station entries need a name, lat and lon (got ${JSON.stringify(input)})`);
+        }
+
+        let id = input.id || slugify(input.name);
+        const existing = this.stations.get(id);
+        if (!input.id && existing) {
+            // Generated ids must not merge unrelated stations that happen to share a slug
+            let suffix = 2;
+            while (this.stations.has(`${id}-${suffix}`)) suffix++;
+            id = `${id}-${suffix}`;
+        }
+
+        const station = this.stations.get(id) || {
+            id,
+            name: input.name,
+            aliases: [],
+            lat: Number(input.lat),
+            lon: Number(input.lon),
+            lines: [],
+            platforms: [],
+            interchanges: [],
+            osm_id: null,
+            sources: []
+        };
+
+        const merge = (list, values) => {
+            for (const value of values || []) {
+                if (!list.includes(value)) list.push(value);
+            }
+        };
+        merge(station.aliases, [...(input.aliases || []), input.name].filter(name => name !== station.name));
+        merge(station.lines, input.lines);
+        merge(station.platforms, (input.platforms || []).map(String));
+        merge(station.sources, [source]);
+        for (const link of input.interchanges || []) {
+            if (!station.interchanges.some(existingLink => existingLink.station_id === link.station_id)) {
+                station.interchanges.push({ station_id: link.station_id, walk_sec: link.walk_sec || null });
+            }
+        }
+        if (input.osm_id && !station.osm_id) station.osm_id = input.osm_id;
+
+        this.stations.set(id, station);
+        for (const name of [station.name, ...station.aliases]) {
+            if (!this.names.has(nameKey(name))) this.names.set(nameKey(name), id);
+        }
+        return station;
+    }
+
+    /**
+     * Load curated stations from a JSON file ({ stations: [...] } or an array)
+     * @param {string} filePath - Path to the data file
+     * @returns {number} Number of stations loaded
+     */
+    loadFile(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const entries = Array.isArray(data) ? data : data.stations || [];
+        entries.forEach(entry => this.add(entry, 'file'));
+        this.linkInterchanges();
+        return entries.length;
+    }
+
+    /**
+     * Merge stations from another source (e.g. a GTFS feed). Stations that resolve
+     * by name or alias enrich the existing entry; the others are added.
+     * @param {Array} stations - Stations { name, lat, lon, ... }
+     * @param {string} source - Source name
+     * @returns {Object} { added, matched }
+     */
+    addStations(stations, source) {
+        let added = 0;
+        let matched = 0;
+        for (const station of stations) {
+            const existing = this.resolve(station.name);
+            if (existing) {
+                matched++;
+                this.add({ ...station, id: existing.id, name: existing.name, aliases: [station.name] }, source);
+            } else {
+                added++;
+                this.add({ name: station.name, lat: station.lat, lon: station.lon, lines: station.lines }, source);
+            }
+        }
+        return { added, matched };
+    }
+
+    /**
+     * Merge OSM railway=station points. They match registry stations by name, alias,
+     * English or alternative name, or failing that by proximity (the OSM name then
+     * becomes an alias). Curated coordinates are kept; unmatched stations are added.
+     * @param {Array} features - GeoJSON point features with OSM tags as properties
+     * @returns {Object} { added, matched }
+     */
+    addOsmStations(features) {
+        let added = 0;
+        let matched = 0;
+        for (const feature of features) {
+            const tags = feature.properties || {};
+            const [lon, lat] = feature.geometry.coordinates;
+            const names = [tags.name, tags['name:en'], tags.official_name, tags.alt_name, tags.old_name]
+                .filter(Boolean)
+                .flatMap(value => value.split(';').map(name => name.trim()));
+            const osmId = String(feature.id || tags.id);
+
+            let existing = names.map(name => this.resolve(name)).find(Boolean) || null;
+            if (!existing) {
+                const nearest = this.nearest({ lat, lon });
+                if (nearest && nearest.distance_m <= OSM_MATCH_DISTANCE_M) existing = nearest.station;
+            }
+
+            if (existing) {
+                matched++;
+                this.add({ id: existing.id, name: existing.name, lat, lon, aliases: names, osm_id: osmId }, 'osm');
+            } else {
+                added++;
+                const name = tags['name:en'] || tags.name;
+                this.add({ name, lat, lon, aliases: names.filter(alias => alias !== name), osm_id: osmId }, 'osm');
+            }
+        }
+        this.linkInterchanges();
+        return { added, matched };
+    }
+
+    /**
+     * Make interchange links symmetric
+     */
+    linkInterchanges() {
+        for (const station of this.stations.values()) {
+            for (const link of station.interchanges) {
+                const other = this.stations.get(link.station_id);
+                if (other && !other.interchanges.some(back => back.station_id === station.id)) {
+                    other.interchanges.push({ station_id: station.id, walk_sec: link.walk_sec });
+                }
+            }
+        }
+    }
+
+    /**
+     * Station by id
+     * @param {string} id - Station id
+     * @returns {Object|null} Station
+     */
+    get(id) {
+        return this.stations.get(id) || null;
+    }
+
+    /**
+     * Find a station by id, name or alias
+     * @param {string} value - Id, name or alias
+     * @returns {Object|null} Station
+     */
+    resolve(value) {
+        if (value === undefined || value === null) return null;
+        if (this.stations.has(value)) return this.stations.get(value);
+        const id = this.names.get(nameKey(value));
+        return id ? this.stations.get(id) : null;
+    }
+
+    /**
+     * Closest registered station to a point
+     * @param {Object} point - { lat, lon }
+     * @returns {Object|null} { station, distance_m }
+     */
+    nearest(point) {
+        let best = null;
+        for (const station of this.stations.values()) {
+            const distance = distanceBetween(point, station);
+            if (!best || distance < best.distance_m) best = { station, distance_m: distance };
+        }
+        return best;
+    }
+
+    /**
+     * Registered stations, optionally filtered
+     * @param {Object} filter - { line, q (substring of name or alias) }
+     * @returns {Array} Stations sorted by name
+     */
+    list(filter = {}) {
+        const query = filter.q ? nameKey(filter.q) : null;
+        return [...this.stations.values()]
+            .filter(station => !filter.line || station.lines.includes(filter.line))
+            .filter(station => !query || [station.name, ...station.aliases].some(name => nameKey(name).includes(query)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Check the registry itself: interchange links must point at registered
+     * stations, and distinct stations should not sit on top of each other
+     * @returns {Array} Issues { type, station_id, message }
+     */
+    checkRegistry() {
+        const issues = [];
+        const stations = [...this.stations.values()];
+
+        for (const station of stations) {
+            for (const link of station.interchanges) {
+                if (!this.stations.has(link.station_id)) {
+                    issues.push({
+                        type: 'unknown_interchange',
+                        station_id: station.id,
+                        message: `${station.name} links to unknown station "${link.station_id}"`
+                    });
+                }
+            }
+        }
+
+        // Only stations in the box around each one can be close enough to be duplicates
+        const tree = new RBush();
+        tree.load(stations.map((station, index) => ({ minX: station.lon, minY: station.lat, maxX: station.lon, maxY: station.lat, index })));
+        const latRadius = DUPLICATE_DISTANCE_M / METERS_PER_DEGREE;
+
+        for (let i = 0; i < stations.length; i++) {
+            const { lat, lon } = stations[i];
+            const lonRadius = latRadius / Math.max(Math.cos((lat * Math.PI) / 180), 1e-6);
+            const nearby = tree.search({ minX: lon - lonRadius, minY: lat - latRadius, maxX: lon + lonRadius, maxY: lat + latRadius })
+                .map(item => item.index)
+                .filter(j => j > i)
+                .sort((x, y) => x - y);
+
+            for (const j of nearby) {
+                const [a, b] = [stations[i], stations[j]];
+                const distance = distanceBetween(a, b);
+                const linked = a.interchanges.some(link => link.station_id === b.id);
+                if (distance < DUPLICATE_DISTANCE_M && !linked) {
+                    issues.push({
+                        type: 'possible_duplicate',
+                        station_id: a.id,
+                        message: `${a.name} and ${b.name} are only ${Math.round(distance)} m apart`
+                    });
+                }
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Check that every stop of every train references a registry station.
+     *
+     * Errors: stops whose name is neither a registered name nor an alias.
+     * Warnings: stops placed more than STOP_DISTANCE_TOLERANCE_M from their
+     * station, and stations whose registered lines do not include the train's line.
+     * @param {Array} trains - Train services with `stations` arrays
+     * @returns {Object} { valid, checked_stops, errors, warnings }
+     */
+    validateTrains(trains) {
+        const errors = [];
+        const warnings = [...this.checkRegistry()];
+        let checked = 0;
+
+        for (const train of trains) {
+            (train.stations || []).forEach((stop, index) => {
+                checked++;
+                const station = this.resolve(stop.name);
+                const context = { train_id: train.train_id, stop: index, station: stop.name };
+
+                if (!station) {
+                    errors.push({ ...context, type: 'unknown_station', message: `${train.train_id} stops at unknown station "${stop.name}"` });
+                    return;
+                }
+
+                const distance = distanceBetween(stop, station);
+                if (distance > STOP_DISTANCE_TOLERANCE_M) {
+                    warnings.push({
+                        ...context,
+                        station_id: station.id,
+                        type: 'stop_position',
+                        message: `${train.train_id} stop "${stop.name}" is ${Math.round(distance)} m from ${station.name}`
+                    });
+                }
+                if (train.line && station.lines.length > 0 && !station.lines.includes(train.line)) {
+                    warnings.push({
+                        ...context,
+                        station_id: station.id,
+                        type: 'line_not_served',
+                        message: `${station.name} is not registered as served by the ${train.line} line (${train.train_id})`
+                    });
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, checked_stops: checked, errors, warnings };
+    }
+
+    /**
+     * Copy of a train with each stop's registry id as `station_id`
+     * @param {Object} train - Train service
+     * @returns {Object} Annotated train (unknown stops get null)
+     */
+    annotateTrain(train) {
+        return {
+            ...train,
+            stations: (train.stations || []).map(stop => {
+                const station = this.resolve(stop.name);
+                return { ...stop, station_id: station ? station.id : null };
+            })
+        };
+    }
+}
+
+let registry = null;
+
+/**
+ * Station registry shared by the simulation server and the track API, so stations
+ * loaded or imported through either are known to both
+ * @returns {StationRegistry} Registry instance
+ */
+function getStationRegistry() {
+    if (!registry) registry = new StationRegistry();
+    return registry;
+}
+
+module.exports = {
+    StationRegistry,
+    getStationRegistry,
+    slugify
+};
@@ -0,0 +1,415 @@
+const fs = require('fs');
+
+/**
+ * Check whether a feature's bounding box overlaps the requested bounding box
+ * @param {Object} feature - GeoJSON LineString feature
+ * @param {Object} bbox - { south, west, north, east }
+ * @returns {boolean} True if the feature overlaps the box
+ */
+function featureIntersectsBox(feature, { south, west, north, east }) {
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    for (const [lon, lat] of feature.geometry.coordinates) {
+        if (lon < minLon) minLon = lon;
+        if (lon > maxLon) maxLon = lon;
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+    }
+    return minLon <= east && maxLon >= west && minLat <= north && maxLat >= south;
+}
+
+/**
+ * Give every track feature a stable id so it can be upserted
+ * @param {Array} features - GeoJSON features
+ * @param {string} source - Source name used to build fallback ids
+ * @returns {Array} Features with `id` set
+ */
+function withFeatureIds(features, source) {
+    return features.map((feature, index) => ({
+        ...feature,
+        id: String(feature.id || (feature.properties && feature.properties.id) || `${source}/${index}`)
+    }));
+}
+
+/**
+ * Unique stations (by name) across a set of train services
+ * @param {Array} trains - Train services with `stations` arrays
+ * @returns {Array} Stations { name, lat, lon }
+ */
+function extractStations(trains) {
+    const stations = new Map();
+    for (const train of trains) {
+        for (const station of train.stations || []) {
+            if (!stations.has(station.name)) {
+                stations.set(station.name, { name: station.name, lat: station.lat, lon: station.lon });
+            }
+        }
+    }
+    return [...stations.values()];
+}
+
+/**
+ * In-memory storage, used when no database is configured and in tests
+ */
+class MemoryStore {
+    constructor() {
+        this.kind = 'memory';
+        this.tracks = new Map();
+        this.trackSource = null;
+        this.tracksLoadedAt = null;
+        this.stations = new Map();
+        this.trains = new Map();
+        this.simulationRuns = [];
+    }
+
+    async init() {
+        return this;
+    }
+
+    async close() {}
+
+    async replaceTracks(features, source) {
+        this.tracks.clear();
+        return this.upsertTracks(features, source);
+    }
+
+    async upsertTracks(features, source) {
+        for (const feature of withFeatureIds(features, source)) {
+            this.tracks.set(feature.id, feature);
+        }
+        this.trackSource = source;
+        this.tracksLoadedAt = new Date().toISOString();
+        return this.tracks.size;
+    }
+
+    async getTracks(bbox = null) {
+        const features = [...this.tracks.values()];
+        return bbox ? features.filter(feature => featureIntersectsBox(feature, bbox)) : features;
+    }
+
+    async getTrackInfo() {
+        return {
+            source: this.trackSource,
+            trackCount: this.tracks.size,
+            loadedAt: this.tracksLoadedAt
+        };
+    }
+
+    async saveStations(stations) {
+        for (const station of stations) {
+            this.stations.set(station.name, { ...station });
+        }
+    }
+
+    async getStations() {
+        return [...this.stations.values()];
+    }
+
+    async saveTrains(trains) {
+        for (const train of trains) {
+            this.trains.set(train.train_id, JSON.parse(JSON.stringify(train)));
+        }
+    }
+
+    async replaceTrains(trains) {
+        this.trains.clear();
+        await this.saveTrains(trains);
+    }
+
+    async getTrains() {
+        return [...this.trains.values()].map(train => JSON.parse(JSON.stringify(train)));
+    }
+
+    async deleteTrain(trainId) {
+        return this.trains.delete(trainId);
+    }
+
+    async saveSimulationRun(run) {
+        this.simulationRuns.unshift({ ...run, created_at: new Date().toISOString() });
+        // Runs carry full position timelines, so only keep the most recent ones in memory
+        this.simulationRuns.length = Math.min(this.simulationRuns.length, 50);
+    }
+
+    async getSimulationRuns(limit = 20) {
+        return this.simulationRuns.slice(0, limit).map(({ trains, ...summary }) => summary);
+    }
+
+    async getSimulationRun(id) {
+        return this.simulationRuns.find(run => run.id === id) || null;
+    }
+}
+
+/**
+ * PostGIS-backed storage in the `osrd` schema provisioned by docker-compose
+ */
+class PostgisStore {
+    /**
+     * @param {string} connectionString - e.g. postgres://osrd:password@db:5432/osrd
+     */
+    constructor(connectionString) {
+        // Only load the driver when a database is actually configured
+        const { Pool } = require('pg');
+        this.kind = 'postgis';
+        this.pool = new Pool({ connectionString });
+    }
+
+    /**
+     * Create tables if they don't exist yet
+     */
+    async init() {
+        await this.pool.query(`
+            CREATE EXTENSION IF NOT EXISTS postgis;
+            CREATE SCHEMA IF NOT EXISTS osrd;
+
+            CREATE TABLE IF NOT EXISTS osrd.tracks (
+                id TEXT PRIMARY KEY,
+                properties JSONB NOT NULL DEFAULT '{}',
+                geom GEOMETRY(LineString, 4326) NOT NULL,
+                source TEXT,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+            CREATE INDEX IF NOT EXISTS tracks_geom_idx ON osrd.tracks USING GIST (geom);
+
+            CREATE TABLE IF NOT EXISTS osrd.stations (
+                name TEXT PRIMARY KEY,
+                geom GEOMETRY(Point, 4326) NOT NULL,
+                properties JSONB NOT NULL DEFAULT '{}'
+            );
+
+            CREATE TABLE IF NOT EXISTS osrd.train_services (
+                train_id TEXT PRIMARY KEY,
+                data JSONB NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+
+            CREATE TABLE IF NOT EXISTS osrd.simulation_runs (
+                id TEXT PRIMARY KEY,
+                metadata JSONB NOT NULL DEFAULT '{}',
+                trains JSONB NOT NULL DEFAULT '[]',
+                created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+        return this;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+
+    async replaceTracks(features, source) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM osrd.tracks');
+            await this.insertTracks(client, features, source);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        return (await this.getTrackInfo()).trackCount;
+    }
+
+    async upsertTracks(features, source) {
+        await this.insertTracks(this.pool, features, source);
+        return (await this.getTrackInfo()).trackCount;
+    }
+
+    /**
+     * Bulk upsert features in one statement
+     * @param {Object} db - pg Pool or Client
+     * @param {Array} features - GeoJSON LineString features
+     * @param {string} source - Source name stored with each track
+     */
+    async insertTracks(db, features, source) {
+        if (features.length === 0) return;
+
+        await db.query(`
+            INSERT INTO osrd.tracks (id, properties, geom, source, updated_at)
+            SELECT f->>'id',
+                   COALESCE(f->'properties', '{}'::json)::jsonb,
+                   ST_SetSRID(ST_GeomFromGeoJSON(f->>'geometry'), 4326),
+                   $2,
+                   now()
+            FROM json_array_elements($1::json) AS f
+            ON CONFLICT (id) DO UPDATE
+            SET properties = EXCLUDED.properties,
+                geom = EXCLUDED.geom,
+                source = EXCLUDED.source,
+                updated_at = now()
+        `, [JSON.stringify(withFeatureIds(features, source)), source]);
+    }
+
+    async getTracks(bbox = null) {
+        const params = [];
+        let where = '';
+        if (bbox) {
+            params.push(bbox.west, bbox.south, bbox.east, bbox.north);
+            where = 'WHERE geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)';
+        }
+
+        const result = await this.pool.query(`
+            SELECT id, properties, ST_AsGeoJSON(geom)::json AS geometry
+            FROM osrd.tracks
+            ${where}
+        `, params);
+
+        return result.rows.map(row => ({
+            type: 'Feature',
+            id: row.id,
+            properties: row.properties,
+            geometry: row.geometry
+        }));
+    }
+
+    async getTrackInfo() {
+        const result = await this.pool.query(`
+            SELECT COUNT(*)::int AS count,
+                   MAX(updated_at) AS loaded_at,
+                   (ARRAY_AGG(source ORDER BY updated_at DESC))[1] AS source
+            FROM osrd.tracks
+        `);
+        const row = result.rows[0];
+        return {
+            source: row.source,
+            trackCount: row.count,
+            loadedAt: row.loaded_at ? row.loaded_at.toISOString() : null
+        };
+    }
+
+    async saveStations(stations) {
+        if (stations.length === 0) return;
+
+        await this.pool.query(`
+            INSERT INTO osrd.stations (name, geom, properties)
+            SELECT s->>'name',
+                   ST_SetSRID(ST_MakePoint((s->>'lon')::float8, (s->>'lat')::float8), 4326),
+                   s::jsonb - 'name' - 'lat' - 'lon'
+            FROM json_array_elements($1::json) AS s
+            ON CONFLICT (name) DO UPDATE
+            SET geom = EXCLUDED.geom,
+                properties = EXCLUDED.properties
+        `, [JSON.stringify(stations)]);
+    }
+
+    async getStations() {
+        const result = await this.pool.query(`
+            SELECT name, ST_Y(geom) AS lat, ST_X(geom) AS lon, properties
+            FROM osrd.stations
+            ORDER BY name
+        `);
+        return result.rows.map(row => ({ ...row.properties, name: row.name, lat: row.lat, lon: row.lon }));
+    }
+
+    async saveTrains(trains) {
+        await this.insertTrains(this.pool, trains);
+    }
+
+    /**
+     * Bulk upsert train services in one statement
+     * @param {Object} db - pg Pool or Client
+     * @param {Array} trains - Train services
+     */
+    async insertTrains(db, trains) {
+        if (trains.length === 0) return;
+
+        await db.query(`
+            INSERT INTO osrd.train_services (train_id, data, updated_at)
+            SELECT t->>'train_id', t::jsonb, now()
+            FROM json_array_elements($1::json) AS t
+            ON CONFLICT (train_id) DO UPDATE
+            SET data = EXCLUDED.data,
+                updated_at = now()
+        `, [JSON.stringify(trains)]);
+    }
+
+    async replaceTrains(trains) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM osrd.train_services');
+            await this.insertTrains(client, trains);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getTrains() {
+        const result = await this.pool.query('SELECT data FROM osrd.train_services ORDER BY train_id');
+        return result.rows.map(row => row.data);
+    }
+
+    async deleteTrain(trainId) {
+        const result = await this.pool.query('DELETE FROM osrd.train_services WHERE train_id = $1', [trainId]);
+        return result.rowCount > 0;
+    }
+
+    async saveSimulationRun(run) {
+        await this.pool.query(
+            'INSERT INTO osrd.simulation_runs (id, metadata, trains) VALUES ($1, $2, $3)',
+            [run.id, JSON.stringify(run.metadata || {}), JSON.stringify(run.trains || [])]
+        );
+    }
+
+    async getSimulationRuns(limit = 20) {
+        const result = await this.pool.query(
+            'SELECT id, metadata, created_at FROM osrd.simulation_runs ORDER BY created_at DESC LIMIT $1',
+            [limit]
+        );
+        return result.rows.map(row => ({ id: row.id, metadata: row.metadata, created_at: row.created_at.toISOString() }));
+    }
+
+    async getSimulationRun(id) {
+        const result = await this.pool.query('SELECT * FROM osrd.simulation_runs WHERE id = $1', [id]);
+        const row = result.rows[0];
+        return row ? { id: row.id, metadata: row.metadata, trains: row.trains, created_at: row.created_at.toISOString() } : null;
+    }
+}
+
+let store = null;
+
+/**
+ * Shared storage instance: PostGIS when DATABASE_URL is set, in-memory otherwise
+ * @returns {MemoryStore|PostgisStore} Store instance
+ */
+function getStore() {
+    if (!store) {
+        store = process.env.DATABASE_URL
+            ? new PostgisStore(process.env.DATABASE_URL)
+            : new MemoryStore();
+        console.log(`🗄️  Using ${store.kind} storage`);
+    }
+    return store;
+}
+
+/**
+ * Seed train services and stations from a JSON file when the store has no trains yet
+ * @param {Object} targetStore - Store to seed
+ * @param {string} trainsFile - Path to a mumbaiTrains.json style file
+ * @returns {Promise<number>} Number of trains seeded (0 if the store already had data)
+ */
+async function seedTrainsFromFile(targetStore, trainsFile) {
+    const existing = await targetStore.getTrains();
+    if (existing.length > 0 || !fs.existsSync(trainsFile)) return 0;
+
+    const trains = JSON.parse(fs.readFileSync(trainsFile, 'utf8'));
+    await targetStore.saveTrains(trains);
+    await targetStore.saveStations(extractStations(trains));
+
+    console.log(`🗄️  Seeded ${trains.length} trains from ${trainsFile}`);
+    return trains.length;
+}
+
+module.exports = {
+    MemoryStore,
+    PostgisStore,
+    getStore,
+    seedTrainsFromFile,
+    extractStations,
+    featureIntersectsBox
+};
@@ -0,0 +1,162 @@
+const turf = require('@turf/turf');
+const { formatTime } = require('./simulator');
+
+// Stations and positions further than this from the corridor are not on it
+const CORRIDOR_MATCH_DISTANCE_M = 200;
+
+/**
+ * Lines that have at least one routable train
+ * @param {Array} trains - Simulated trains
+ * @returns {Array} Line names, sorted
+ */
+function corridorNames(trains) {
+    const names = new Set(trains
+        .filter(train => train.route_geometry && train.route_geometry.length > 1)
+        .map(train => train.line || 'Unassigned'));
+    return [...names].sort();
+}
+
+/**
+ * Distance axis of a corridor: the longest route on the line, with every station
+ * served on the line placed at its chainage along that route
+ * @param {Array} trains - Simulated trains on the line
+ * @returns {Object} { line (turf LineString), length_m, stations: [{ name, distance_m }] }
+ */
+function corridorAxis(trains) {
+    const reference = trains.reduce((longest, train) => (
+        train.route_length_m > longest.route_length_m ? train : longest
+    ));
+    const line = turf.lineString(reference.route_geometry.map(point => [point.lon, point.lat]));
+
+    const stations = new Map();
+    for (const train of trains) {
+        for (const station of train.stations || []) {
+            if (stations.has(station.name)) continue;
+            const nearest = turf.nearestPointOnLine(line, turf.point([station.lon, station.lat]), { units: 'meters' });
+            if (nearest.properties.dist <= CORRIDOR_MATCH_DISTANCE_M) {
+                stations.set(station.name, { name: station.name, distance_m: Math.round(nearest.properties.location) });
+            }
+        }
+    }
+
+    return {
+        line,
+        length_m: Math.round(turf.length(line, { units: 'meters' })),
+        stations: [...stations.values()].sort((a, b) => a.distance_m - b.distance_m)
+    };
+}
+
+/**
+ * Time-distance points of a train along the corridor. Samples off the corridor
+ * (branches) are dropped.
+ * @param {Object} axis - Corridor axis from corridorAxis
+ * @param {Array} positions - Simulated positions (seconds, lat, lon)
+ * @param {Function} shiftTime - Maps a simulated time (s) to the time it happens
+ * @returns {Array} Points [seconds, distance_m]
+ */
+function corridorPoints(axis, positions, shiftTime) {
+    const points = [];
+    for (const position of positions || []) {
+        const nearest = turf.nearestPointOnLine(axis.line, turf.point([position.lon, position.lat]), { units: 'meters' });
+        if (nearest.properties.dist > CORRIDOR_MATCH_DISTANCE_M) continue;
+        points.push([Math.round(shiftTime(position.seconds)), Math.round(nearest.properties.location)]);
+    }
+    return points;
+}
+
+/**
+ * Build the time-distance (Marey) diagram of one corridor.
+ *
+ * Each train is drawn twice: the planned run of its timetable, and the simulated
+ * run with disruptions and live holds applied. Conflicts between trains of the
+ * corridor are returned as time windows over the section between two stations.
+ * @param {Array} simulatedTrains - Trains as simulated by the live clock
+ * @param {Array} plannedTrains - Simulated timetable runs, matched by train_id
+ * @param {Object} options - { line, conflicts, eventTime(trainId, seconds) }
+ * @returns {Object|null} { line, length_m, stations, trains, conflicts, start_sec, end_sec }
+ *   or null when no train runs on the line
+ */
+function buildStringLine(simulatedTrains, plannedTrains, options = {}) {
+    const onLine = simulatedTrains.filter(train => (
+        (train.line || 'Unassigned') === options.line && train.route_geometry && train.route_geometry.length > 1
+    ));
+    if (onLine.length === 0) return null;
+
+    const axis = corridorAxis(onLine);
+    const planned = new Map(plannedTrains.map(train => [train.train_id, train]));
+    const eventTime = options.eventTime || ((trainId, seconds) => seconds);
+    const stationDistance = new Map(axis.stations.map(station => [station.name, station.distance_m]));
+
+    const trains = onLine.map(train => {
+        const reference = planned.get(train.train_id);
+        const simulated = corridorPoints(axis, train.positions, seconds => eventTime(train.train_id, seconds));
+        const timetable = reference ? corridorPoints(axis, reference.positions, seconds => seconds) : [];
+
+        const stops = (train.schedule || []).map((stop, index) => {
+            const plannedStop = reference && reference.schedule[index] && reference.schedule[index].station === stop.station
+                ? reference.schedule[index]
+                : null;
+            const arrival = stop.arrival_sec !== null ? eventTime(train.train_id, stop.arrival_sec) : null;
+            const departure = stop.departure_sec !== null ? eventTime(train.train_id, stop.departure_sec) : null;
+            const actual = index === 0 ? departure : arrival;
+            const scheduled = plannedStop ? (index === 0 ? plannedStop.departure_sec : plannedStop.arrival_sec) : null;
+
+            return {
+                station: stop.station,
+                distance_m: stationDistance.has(stop.station) ? stationDistance.get(stop.station) : null,
+                arrival: arrival !== null ? formatTime(arrival) : null,
+                departure: departure !== null ? formatTime(departure) : null,
+                planned_arrival: plannedStop ? plannedStop.arrival : null,
+                planned_departure: plannedStop ? plannedStop.departure : null,
+                delay_sec: scheduled !== null && actual !== null ? Math.max(Math.round(actual - scheduled), 0) : null,
+                skipped: Boolean(stop.skipped)
+            };
+        });
+
+        const first = simulated[0];
+        const last = simulated[simulated.length - 1];
+        return {
+            train_id: train.train_id,
+            train_name: train.train_name,
+            train_type: train.train_type || null,
+            // 1 when running towards the end of the corridor axis, -1 towards its start
+            direction: first && last && last[1] < first[1] ? -1 : 1,
+            planned: timetable,
+            simulated,
+            stops
+        };
+    });
+
+    const ids = new Set(onLine.map(train => train.train_id));
+    const conflicts = (options.conflicts || [])
+        .filter(conflict => conflict.trains.every(id => ids.has(id))
+            && stationDistance.has(conflict.section.from) && stationDistance.has(conflict.section.to))
+        .map(conflict => ({
+            id: conflict.id,
+            type: conflict.type,
+            trains: conflict.trains,
+            section: conflict.section,
+            start_sec: conflict.start_sec,
+            end_sec: conflict.end_sec,
+            start_time: conflict.start_time,
+            end_time: conflict.end_time,
+            from_m: Math.min(stationDistance.get(conflict.section.from), stationDistance.get(conflict.section.to)),
+            to_m: Math.max(stationDistance.get(conflict.section.from), stationDistance.get(conflict.section.to))
+        }));
+
+    const times = trains.flatMap(train => [...train.planned, ...train.simulated].map(([seconds]) => seconds));
+    return {
+        line: options.line,
+        length_m: axis.length_m,
+        stations: axis.stations,
+        trains,
+        conflicts,
+        start_sec: times.length > 0 ? Math.min(...times) : null,
+        end_sec: times.length > 0 ? Math.max(...times) : null
+    };
+}
+
+module.exports = {
+    corridorNames,
+    buildStringLine
+};
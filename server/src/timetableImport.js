@@ -0,0 +1,211 @@
+const turf = require('@turf/turf');
+const { parseCsv } = require('./gtfsImport');
+const { parseTime, formatTime, estimateLineSpeed } = require('./simulator');
+
+// Columns every timetable upload must have
+const REQUIRED_COLUMNS = ['train_id', 'sequence', 'station'];
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Parse an optional HH:MM[:SS] cell
+ * @param {string} value - Cell value
+ * @returns {number|null|undefined} Seconds since midnight, null when empty, undefined when invalid
+ */
+function parseTimeCell(value) {
+    if (!value) return null;
+    return TIME_PATTERN.test(value) ? parseTime(value) : undefined;
+}
+
+/**
+ * Validate one timetable row and turn it into a stop
+ * @param {Object} row - CSV row
+ * @param {number} line - Line number in the file (header is line 1)
+ * @param {Map} stations - Known stations keyed by lower-case name and alias
+ * @param {Array} errors - Collected row errors
+ * @returns {Object|null} Stop or null if the row is invalid
+ */
+function parseRow(row, line, stations, errors) {
+    const rowErrors = [];
+    const fail = (field, message) => rowErrors.push({ row: line, train_id: row.train_id || null, field, message });
+
+    if (!row.train_id) fail('train_id', 'train_id is required');
+
+    const sequence = Number(row.sequence);
+    if (!Number.isInteger(sequence)) fail('sequence', `"${row.sequence}" is not an integer`);
+
+    const station = stations.get((row.station || '').toLowerCase());
+    if (!row.station) {
+        fail('station', 'station is required');
+    } else if (!station) {
+        fail('station', `Unknown station "${row.station}"`);
+    }
+
+    const arrival = parseTimeCell(row.arrival);
+    const departure = parseTimeCell(row.departure);
+    if (arrival === undefined) fail('arrival', `"${row.arrival}" is not a HH:MM[:SS] time`);
+    if (departure === undefined) fail('departure', `"${row.departure}" is not a HH:MM[:SS] time`);
+    if (arrival !== null && departure !== null && arrival !== undefined && departure !== undefined && departure < arrival) {
+        fail('departure', `Departure ${row.departure} is before arrival ${row.arrival}`);
+    }
+
+    let halt = null;
+    if (row.halt_sec) {
+        halt = Number(row.halt_sec);
+        if (!Number.isFinite(halt) || halt < 0) fail('halt_sec', `"${row.halt_sec}" is not a non-negative number`);
+    }
+
+    let speed = null;
+    if (row.speed_kmph) {
+        speed = Number(row.speed_kmph);
+        if (!Number.isFinite(speed) || speed <= 0) fail('speed_kmph', `"${row.speed_kmph}" is not a positive number`);
+    }
+
+    if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+        return null;
+    }
+
+    return {
+        line,
+        train_id: row.train_id,
+        train_name: row.train_name || null,
+        line_name: row.line || null,
+        speed_kmph: speed,
+        sequence,
+        station,
+        arrival,
+        departure,
+        halt,
+        platform: row.platform || null
+    };
+}
+
+/**
+ * Assemble the stops of one train into a train service
+ * @param {string} trainId - Train identifier
+ * @param {Array} stops - Valid stops of the train
+ * @param {Array} errors - Collected row errors
+ * @returns {Object|null} Train service or null if the stop sequence is invalid
+ */
+function buildTrain(trainId, stops, errors) {
+    const trainErrors = [];
+    const fail = (row, field, message) => trainErrors.push({ row, train_id: trainId, field, message });
+
+    stops.sort((a, b) => a.sequence - b.sequence);
+
+    if (stops.length < 2) {
+        fail(stops[0].line, 'sequence', 'A train needs at least two stops');
+    }
+
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    if (first.departure === null) fail(first.line, 'departure', 'The first stop needs a departure time');
+    if (last.arrival === null) fail(last.line, 'arrival', 'The last stop needs an arrival time');
+
+    // Times must never run backwards along the stop sequence
+    let previousTime = -Infinity;
+    stops.forEach((stop, index) => {
+        if (index > 0 && stop.sequence === stops[index - 1].sequence) {
+            fail(stop.line, 'sequence', `Duplicate sequence ${stop.sequence}`);
+        }
+        for (const [field, time] of [['arrival', stop.arrival], ['departure', stop.departure]]) {
+            if (time === null) continue;
+            if (time < previousTime) fail(stop.line, field, `${formatTime(time)} is earlier than the previous stop`);
+            previousTime = time;
+        }
+    });
+
+    if (trainErrors.length > 0) {
+        errors.push(...trainErrors);
+        return null;
+    }
+
+    const stations = stops.map((stop, index) => {
+        const isTerminus = index === stops.length - 1;
+        const scheduledHalt = stop.arrival !== null && stop.departure !== null ? stop.departure - stop.arrival : 0;
+        return {
+            name: stop.station.name,
+            lat: stop.station.lat,
+            lon: stop.station.lon,
+            halt_time_sec: isTerminus ? 0 : (stop.halt !== null ? stop.halt : scheduledHalt),
+            ...(stop.platform && { platform: stop.platform })
+        };
+    });
+
+    const routeGeometry = stations.map(({ lat, lon }) => ({ lat, lon }));
+    const routeLength = turf.length(
+        turf.lineString(routeGeometry.map(point => [point.lon, point.lat])),
+        { units: 'meters' }
+    );
+    const haltTime = stations.slice(1).reduce((total, station) => total + station.halt_time_sec, 0);
+    // Per-train columns only need to be filled on one of the train's rows
+    const firstValue = field => (stops.find(stop => stop[field]) || {})[field] || null;
+
+    return {
+        train_id: trainId,
+        train_name: firstValue('train_name') || `${stations[0].name} → ${stations[stations.length - 1].name}`,
+        origin_station: stations[0].name,
+        destination_station: stations[stations.length - 1].name,
+        line: firstValue('line_name'),
+        departure_time: formatTime(first.departure),
+        speed_kmph: firstValue('speed_kmph') ||
+            estimateLineSpeed(routeLength, last.arrival - first.departure - haltTime, stations.length - 1),
+        stations: stations,
+        route_geometry: routeGeometry
+    };
+}
+
+/**
+ * Parse and validate a CSV timetable.
+ *
+ * One row per stop with columns train_id, sequence, station and optionally
+ * train_name, line, arrival, departure (HH:MM[:SS]), halt_sec, platform and speed_kmph.
+ * Trains with any invalid row are rejected as a whole; the others are returned.
+ * @param {Buffer|string} content - CSV content
+ * @param {Array} knownStations - Stations { name, lat, lon, aliases? } that rows may refer to
+ * @returns {Promise<Object>} { trains, errors, rowCount }
+ */
+async function parseTimetableCsv(content, knownStations) {
+    const rows = await parseCsv(Buffer.from(content));
+    const errors = [];
+
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (rows.length === 0 || missing.length > 0) {
+        throw new Error(rows.length === 0
+            ? 'Timetable is empty'
+            : `Timetable is missing column(s): ${missing.join(', ')}`);
+    }
+
+    const stations = new Map(knownStations.flatMap(station => (
+        [station.name, ...(station.aliases || [])].map(name => [name.toLowerCase(), station])
+    )));
+
+    // Group valid stops by train, remembering trains that had a bad row
+    const stopsByTrain = new Map();
+    const invalidTrains = new Set();
+    rows.forEach((row, index) => {
+        const stop = parseRow(row, index + 2, stations, errors);
+        if (!stop) {
+            if (row.train_id) invalidTrains.add(row.train_id);
+            return;
+        }
+        if (!stopsByTrain.has(stop.train_id)) stopsByTrain.set(stop.train_id, []);
+        stopsByTrain.get(stop.train_id).push(stop);
+    });
+
+    const trains = [];
+    for (const [trainId, stops] of stopsByTrain) {
+        if (invalidTrains.has(trainId)) continue;
+        const train = buildTrain(trainId, stops, errors);
+        if (train) trains.push(train);
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { trains, errors, rowCount: rows.length };
+}
+
+module.exports = {
+    parseTimetableCsv
+};
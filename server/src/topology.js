@@ -0,0 +1,409 @@
+const turf = require('@turf/turf');
+
+// Railway values that describe running track trains can be routed over
+const ROUTABLE_RAILWAY = new Set(['rail', 'light_rail', 'narrow_gauge', 'subway', 'monorail', 'tram']);
+
+// Coordinate precision used to decide two features share an OSM node (~1 cm)
+const NODE_PRECISION = 7;
+
+// Graphs are expensive to build, so keep one per track feature array
+// (osm.js hands out the same array per region until the track store changes)
+const graphCache = new WeakMap();
+
+/**
+ * Build a stable key for a [longitude, latitude] coordinate
+ * @param {Array} coord - [longitude, latitude]
+ * @returns {string} Node key
+ */
+function nodeKey([lon, lat]) {
+    return `${lon.toFixed(NODE_PRECISION)},${lat.toFixed(NODE_PRECISION)}`;
+}
+
+/**
+ * Length of a coordinate list in meters
+ * @param {Array} coords - Array of [longitude, latitude]
+ * @returns {number} Length in meters
+ */
+function lineLength(coords) {
+    let length = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+        length += turf.distance(coords[i], coords[i + 1], { units: 'meters' });
+    }
+    return length;
+}
+
+/**
+ * Check whether a feature is running track that can be part of the routing graph
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} True for routable LineStrings
+ */
+function isRoutableTrack(feature) {
+    return Boolean(
+        feature.geometry &&
+        feature.geometry.type === 'LineString' &&
+        feature.properties &&
+        ROUTABLE_RAILWAY.has(feature.properties.railway)
+    );
+}
+
+/**
+ * Stitch railway LineStrings into a node/edge graph.
+ * Lines are split wherever a vertex is shared with another line (junctions,
+ * switches, crossings modelled with a common node) and at every line end.
+ * @param {Object} railwayData - GeoJSON FeatureCollection of railway tracks
+ * @returns {Object} Graph { nodes: Map, edges: Array, adjacency: Map }
+ */
+function buildRailwayGraph(railwayData) {
+    const features = (railwayData.features || []).filter(isRoutableTrack);
+
+    // Count how many features touch each vertex to find junctions
+    const usage = new Map();
+    for (const feature of features) {
+        const seen = new Set();
+        for (const coord of feature.geometry.coordinates) {
+            const key = nodeKey(coord);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            usage.set(key, (usage.get(key) || 0) + 1);
+        }
+    }
+
+    const nodes = new Map();
+    const edges = [];
+    const adjacency = new Map();
+
+    const addNode = (coord) => {
+        const key = nodeKey(coord);
+        if (!nodes.has(key)) {
+            nodes.set(key, { id: key, coordinates: coord });
+            adjacency.set(key, []);
+        }
+        return key;
+    };
+
+    const addEdge = (coords, feature) => {
+        const length = lineLength(coords);
+        if (length === 0) return;
+
+        const from = addNode(coords[0]);
+        const to = addNode(coords[coords.length - 1]);
+        const edge = {
+            id: edges.length,
+            from,
+            to,
+            coordinates: coords,
+            length,
+            properties: feature.properties
+        };
+
+        edges.push(edge);
+        adjacency.get(from).push({ edge: edge.id, node: to });
+        adjacency.get(to).push({ edge: edge.id, node: from });
+    };
+
+    for (const feature of features) {
+        const coords = feature.geometry.coordinates;
+        let current = [coords[0]];
+
+        for (let i = 1; i < coords.length; i++) {
+            current.push(coords[i]);
+
+            const isEnd = i === coords.length - 1;
+            const isJunction = usage.get(nodeKey(coords[i])) > 1;
+            if (isEnd || isJunction) {
+                addEdge(current, feature);
+                current = [coords[i]];
+            }
+        }
+    }
+
+    return { nodes, edges, adjacency };
+}
+
+/**
+ * Get (and cache) the routing graph for a track FeatureCollection
+ * @param {Object} railwayData - GeoJSON FeatureCollection of railway tracks
+ * @returns {Object} Railway graph
+ */
+function getRailwayGraph(railwayData) {
+    const features = railwayData.features || [];
+    if (!graphCache.has(features)) {
+        const graph = buildRailwayGraph(railwayData);
+        graphCache.set(features, graph);
+        console.log(`🕸️  Built railway graph: ${graph.nodes.size} nodes, ${graph.edges.length} edges`);
+    }
+    return graphCache.get(features);
+}
+
+/**
+ * Find the closest point on any graph edge
+ * @param {Object} graph - Railway graph
+ * @param {Array} pointLonLat - [longitude, latitude]
+ * @returns {Object|null} { edge, location (m along edge), coordinates, distance (m) }
+ */
+function snapToGraph(graph, pointLonLat) {
+    const point = turf.point(pointLonLat);
+    let best = null;
+
+    for (const edge of graph.edges) {
+        const nearest = turf.nearestPointOnLine(turf.lineString(edge.coordinates), point, { units: 'meters' });
+        if (!best || nearest.properties.dist < best.distance) {
+            best = {
+                edge,
+                location: nearest.properties.location,
+                coordinates: nearest.geometry.coordinates,
+                distance: nearest.properties.dist
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Slice an edge between two distances, returning coordinates in travel order
+ * @param {Object} edge - Graph edge
+ * @param {number} startMeters - Start distance along the edge
+ * @param {number} stopMeters - Stop distance along the edge (may be < start to go backwards)
+ * @returns {Array} Coordinates [longitude, latitude]
+ */
+function sliceEdge(edge, startMeters, stopMeters) {
+    const low = Math.min(startMeters, stopMeters);
+    const high = Math.max(startMeters, stopMeters);
+
+    if (high - low <= 0) return [];
+
+    const slice = turf.lineSliceAlong(turf.lineString(edge.coordinates), low, high, { units: 'meters' });
+    const coords = slice.geometry.coordinates;
+    return startMeters <= stopMeters ? coords : coords.slice().reverse();
+}
+
+/**
+ * Minimal binary heap keyed by cost for Dijkstra
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= items[i].cost) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+                if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Shortest track-following path between two points on the railway graph
+ * @param {Object} graph - Railway graph from getRailwayGraph
+ * @param {Array} fromLonLat - Start position [longitude, latitude]
+ * @param {Array} toLonLat - End position [longitude, latitude]
+ * @returns {Object|null} { coordinates, length, start, end, edges } or null if unreachable
+ */
+function findShortestPath(graph, fromLonLat, toLonLat) {
+    const start = snapToGraph(graph, fromLonLat);
+    const end = snapToGraph(graph, toLonLat);
+    if (!start || !end) return null;
+
+    return shortestPathBetween(graph, start, end);
+}
+
+/**
+ * Shortest track-following path between two positions already on the graph
+ * @param {Object} graph - Railway graph from getRailwayGraph
+ * @param {Object} start - { edge, location (m along edge) }, e.g. from snapToGraph
+ * @param {Object} end - { edge, location }
+ * @param {number} maxLength - Give up on paths longer than this many meters (default: no limit)
+ * @returns {Object|null} { coordinates, length, start, end, edges } or null if unreachable
+ */
+function shortestPathBetween(graph, start, end, maxLength = Infinity) {
+    // Both points on the same edge: just walk along it
+    if (start.edge.id === end.edge.id) {
+        return {
+            coordinates: sliceEdge(start.edge, start.location, end.location),
+            length: Math.abs(end.location - start.location),
+            start,
+            end,
+            edges: [start.edge.id]
+        };
+    }
+
+    // Seed the search from both ends of the start edge
+    const costs = new Map();
+    const previous = new Map();
+    const heap = new MinHeap();
+    const seed = (node, cost) => {
+        if (cost < (costs.has(node) ? costs.get(node) : Infinity)) {
+            costs.set(node, cost);
+            previous.set(node, null);
+            heap.push({ node, cost });
+        }
+    };
+    seed(start.edge.from, start.location);
+    seed(start.edge.to, start.edge.length - start.location);
+
+    // Reaching either end of the target edge finishes the path
+    const exitCost = new Map([
+        [end.edge.from, end.location],
+        [end.edge.to, end.edge.length - end.location]
+    ]);
+
+    let best = { cost: maxLength, node: null };
+
+    while (heap.size > 0) {
+        const { node, cost } = heap.pop();
+        if (cost > costs.get(node) || cost >= best.cost) continue;
+
+        if (exitCost.has(node) && cost + exitCost.get(node) < best.cost) {
+            best = { cost: cost + exitCost.get(node), node };
+        }
+
+        for (const { edge: edgeId, node: neighbour } of graph.adjacency.get(node)) {
+            if (edgeId === end.edge.id) continue;
+
+            const next = cost + graph.edges[edgeId].length;
+            if (next < (costs.has(neighbour) ? costs.get(neighbour) : Infinity)) {
+                costs.set(neighbour, next);
+                previous.set(neighbour, { node, edge: edgeId });
+                heap.push({ node: neighbour, cost: next });
+            }
+        }
+    }
+
+    if (!best.node) return null;
+
+    // Walk back from the exit node to the seeded start node
+    const chain = [];
+    let cursor = best.node;
+    while (previous.get(cursor)) {
+        chain.unshift({ edge: previous.get(cursor).edge, to: cursor });
+        cursor = previous.get(cursor).node;
+    }
+
+    const coordinates = [];
+    const append = (coords) => {
+        for (const coord of coords) {
+            const last = coordinates[coordinates.length - 1];
+            if (!last || last[0] !== coord[0] || last[1] !== coord[1]) coordinates.push(coord);
+        }
+    };
+
+    // Start edge from the snapped point to the seed node
+    append(sliceEdge(start.edge, start.location, cursor === start.edge.from ? 0 : start.edge.length));
+
+    for (const step of chain) {
+        const edge = graph.edges[step.edge];
+        append(step.to === edge.to ? edge.coordinates : edge.coordinates.slice().reverse());
+    }
+
+    // End edge from the exit node to the snapped target
+    append(sliceEdge(end.edge, best.node === end.edge.from ? 0 : end.edge.length, end.location));
+
+    return {
+        coordinates,
+        length: best.cost,
+        start,
+        end,
+        edges: [start.edge.id, ...chain.map(step => step.edge), end.edge.id]
+    };
+}
+
+/**
+ * Track distance from a position on the graph to every node within reach
+ * @param {Object} graph - Railway graph from getRailwayGraph
+ * @param {Object} start - { edge, location (m along edge) }
+ * @param {number} maxLength - Stop searching beyond this many meters
+ * @returns {Map} node id -> meters
+ */
+function distancesFrom(graph, start, maxLength) {
+    const costs = new Map();
+    const heap = new MinHeap();
+    const visit = (node, cost) => {
+        if (cost <= maxLength && cost < (costs.has(node) ? costs.get(node) : Infinity)) {
+            costs.set(node, cost);
+            heap.push({ node, cost });
+        }
+    };
+    visit(start.edge.from, start.location);
+    visit(start.edge.to, start.edge.length - start.location);
+
+    while (heap.size > 0) {
+        const { node, cost } = heap.pop();
+        if (cost > costs.get(node)) continue;
+        for (const { edge: edgeId, node: neighbour } of graph.adjacency.get(node)) {
+            visit(neighbour, cost + graph.edges[edgeId].length);
+        }
+    }
+    return costs;
+}
+
+/**
+ * Route through an ordered list of waypoints (e.g. stations) and join the legs
+ * @param {Object} railwayData - GeoJSON FeatureCollection of railway tracks
+ * @param {Array} waypoints - Array of [longitude, latitude]
+ * @returns {Object|null} { coordinates, length, legs } or null if any leg is unreachable
+ */
+function routeThroughWaypoints(railwayData, waypoints) {
+    const graph = getRailwayGraph(railwayData);
+    const coordinates = [];
+    const legs = [];
+    let length = 0;
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        const leg = findShortestPath(graph, waypoints[i], waypoints[i + 1]);
+        if (!leg) return null;
+
+        legs.push({
+            length: leg.length,
+            startSnapDistance: leg.start.distance,
+            endSnapDistance: leg.end.distance
+        });
+        length += leg.length;
+        coordinates.push(...(coordinates.length > 0 ? leg.coordinates.slice(1) : leg.coordinates));
+    }
+
+    return { coordinates, length, legs };
+}
+
+module.exports = {
+    nodeKey,
+    buildRailwayGraph,
+    getRailwayGraph,
+    snapToGraph,
+    findShortestPath,
+    shortestPathBetween,
+    distancesFrom,
+    routeThroughWaypoints,
+    isRoutableTrack
+};
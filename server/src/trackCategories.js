@@ -0,0 +1,145 @@
+// Track categories in legend order
+const TRACK_CATEGORIES = [
+    { id: 'mainline', label: 'Main line', description: 'Main and long-distance lines (usage=main, highspeed=yes)' },
+    { id: 'suburban', label: 'Suburban', description: 'Branch and electrified local lines (usage=branch, passenger=suburban)' },
+    { id: 'metro', label: 'Metro / tram', description: 'railway=subway, light_rail, monorail, tram, funicular' },
+    { id: 'siding', label: 'Siding', description: 'Sidings, spurs, crossovers and industrial tracks' },
+    { id: 'yard', label: 'Yard', description: 'Yard tracks (service=yard)' },
+    { id: 'platform', label: 'Platform', description: 'Platform edges (railway=platform)' },
+    { id: 'disused', label: 'Disused', description: 'Disused, abandoned, planned or under construction' },
+    { id: 'other', label: 'Other', description: 'Heritage, narrow gauge tourist and other railway features' }
+];
+const CATEGORY_IDS = TRACK_CATEGORIES.map(category => category.id);
+
+const LIFECYCLE_RAILWAYS = ['disused', 'abandoned', 'razed', 'construction', 'proposed'];
+const METRO_RAILWAYS = ['subway', 'light_rail', 'monorail', 'tram', 'funicular'];
+const SIDING_SERVICES = ['siding', 'spur', 'crossover'];
+const LINE_RAILWAYS = ['rail', 'narrow_gauge'];
+
+/**
+ * Whether a track is electrified (any electrified=* value except "no")
+ * @param {Object} properties - OSM tags
+ * @returns {boolean} Electrified
+ */
+function isElectrified(properties) {
+    return Boolean(properties.electrified) && properties.electrified !== 'no';
+}
+
+/**
+ * Track gauges in millimetres; dual gauge tracks list several ("1676;1435")
+ * @param {Object} properties - OSM tags
+ * @returns {Array<number>} Gauges
+ */
+function trackGauges(properties) {
+    return String(properties.gauge || '')
+        .split(';')
+        .map(value => parseInt(value, 10))
+        .filter(Number.isFinite);
+}
+
+/**
+ * Category of a railway feature from its railway, usage, service, electrified and gauge tags
+ * @param {Object} properties - OSM tags
+ * @returns {string} Category id from TRACK_CATEGORIES
+ */
+function classifyTrack(properties = {}) {
+    const { railway, usage, service } = properties;
+
+    if (LIFECYCLE_RAILWAYS.includes(railway) || properties.disused === 'yes' || properties.abandoned === 'yes') {
+        return 'disused';
+    }
+    if (railway === 'platform' || properties.public_transport === 'platform') return 'platform';
+    if (METRO_RAILWAYS.includes(railway)) return 'metro';
+    if (service === 'yard') return 'yard';
+    if (SIDING_SERVICES.includes(service) || usage === 'industrial' || usage === 'military') return 'siding';
+    if (!LINE_RAILWAYS.includes(railway) || usage === 'tourism' || usage === 'test') return 'other';
+
+    if (usage === 'main' || properties.highspeed === 'yes') return 'mainline';
+    if (usage === 'branch' || properties.passenger === 'suburban') return 'suburban';
+
+    // Without a usage tag: narrow gauge lines are mostly hill and heritage railways,
+    // electrified ones local services, the rest main lines
+    const gauges = trackGauges(properties);
+    if (railway === 'narrow_gauge' || (gauges.length > 0 && Math.max(...gauges) < 1000)) return 'other';
+    return isElectrified(properties) ? 'suburban' : 'mainline';
+}
+
+/**
+ * Copy tracks with their category in properties.category
+ * @param {Array} features - GeoJSON track features
+ * @returns {Array} Classified features
+ */
+function classifyFeatures(features) {
+    return features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, category: classifyTrack(feature.properties || {}) }
+    }));
+}
+
+/**
+ * Read track filters from a query string
+ * @param {Object} query - Express req.query: category (comma separated), electrified (true/false), gauge (mm)
+ * @returns {Object} { filters } or { error } describing the invalid parameter
+ */
+function parseTrackFilters(query) {
+    const filters = {};
+
+    if (query.category) {
+        const categories = String(query.category).split(',').map(value => value.trim()).filter(Boolean);
+        const unknown = categories.filter(category => !CATEGORY_IDS.includes(category));
+        if (unknown.length > 0) {
+            return { error: `Unknown track categor${unknown.length > 1 ? 'ies' : 'y'} ${unknown.join(', ')}; use ${CATEGORY_IDS.join(', ')}` };
+        }
+        filters.categories = categories;
+    }
+
+    if (query.electrified !== undefined) {
+        if (query.electrified !== 'true' && query.electrified !== 'false') {
+            return { error: 'electrified must be true or false' };
+        }
+        filters.electrified = query.electrified === 'true';
+    }
+
+    if (query.gauge !== undefined) {
+        const gauge = parseInt(query.gauge, 10);
+        if (!Number.isFinite(gauge) || gauge <= 0) {
+            return { error: 'gauge must be a track gauge in millimetres, e.g. 1676' };
+        }
+        filters.gauge = gauge;
+    }
+
+    return { filters };
+}
+
+/**
+ * Keep the classified tracks matching every given filter
+ * @param {Array} features - Classified track features
+ * @param {Object} filters - { categories, electrified, gauge } (all optional)
+ * @returns {Array} Matching features
+ */
+function filterTracks(features, { categories, electrified, gauge } = {}) {
+    return features.filter(({ properties }) =>
+        (!categories || categories.includes(properties.category)) &&
+        (electrified === undefined || isElectrified(properties) === electrified) &&
+        (gauge === undefined || trackGauges(properties).includes(gauge)));
+}
+
+/**
+ * Number of tracks per category
+ * @param {Array} features - Classified track features
+ * @returns {Object} category id -> count (every category listed)
+ */
+function countCategories(features) {
+    const counts = Object.fromEntries(CATEGORY_IDS.map(id => [id, 0]));
+    for (const { properties } of features) counts[properties.category]++;
+    return counts;
+}
+
+module.exports = {
+    TRACK_CATEGORIES,
+    classifyTrack,
+    classifyFeatures,
+    parseTrackFilters,
+    filterTracks,
+    countCategories
+};
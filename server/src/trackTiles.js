@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const NodeCache = require('node-cache');
+const turf = require('@turf/turf');
+const { featureIntersectsBox } = require('./store');
+
+// Tracks are cached per slippy-map tile at this zoom (z12 tiles are roughly 10 km wide)
+const TILE_ZOOM = 12;
+// Very large requests drop to coarser tiles rather than touching thousands of tiles
+const MAX_TILES_PER_REQUEST = 256;
+const TILE_TTL_SEC = 24 * 60 * 60;
+const TILE_CACHE_DIR = process.env.TRACK_TILE_CACHE_DIR || path.join(__dirname, '..', 'cache', 'track-tiles');
+
+/**
+ * Tile column containing a longitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile x
+ */
+function lonToTileX(lon, zoom) {
+    const n = 2 ** zoom;
+    return Math.min(Math.max(Math.floor(((lon + 180) / 360) * n), 0), n - 1);
+}
+
+/**
+ * Tile row containing a latitude
+ * @param {number} lat - Latitude
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile y
+ */
+function latToTileY(lat, zoom) {
+    const n = 2 ** zoom;
+    const rad = (lat * Math.PI) / 180;
+    const y = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+    return Math.min(Math.max(y, 0), n - 1);
+}
+
+/**
+ * Latitude of the northern edge of a tile row
+ * @param {number} y - Tile y
+ * @param {number} zoom - Zoom level
+ * @returns {number} Latitude
+ */
+function tileYToLat(y, zoom) {
+    const n = Math.PI - (2 * Math.PI * y) / 2 ** zoom;
+    return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+/**
+ * Bounding box of a tile
+ * @param {Object} tile - { z, x, y }
+ * @returns {Object} { south, west, north, east }
+ */
+function tileBounds({ z, x, y }) {
+    return {
+        south: tileYToLat(y + 1, z),
+        west: (x / 2 ** z) * 360 - 180,
+        north: tileYToLat(y, z),
+        east: ((x + 1) / 2 ** z) * 360 - 180
+    };
+}
+
+/**
+ * Cache key of a tile
+ * @param {Object} tile - { z, x, y }
+ * @returns {string} "z/x/y"
+ */
+function tileKey({ z, x, y }) {
+    return `${z}/${x}/${y}`;
+}
+
+/**
+ * Tiles covering a bounding box, at TILE_ZOOM or coarser when that would need
+ * more than MAX_TILES_PER_REQUEST tiles
+ * @param {Object} box - { south, west, north, east }
+ * @returns {Array} Tiles { z, x, y }
+ */
+function tilesForBox({ south, west, north, east }) {
+    let zoom = TILE_ZOOM;
+    const range = z => ({
+        minX: lonToTileX(west, z),
+        maxX: lonToTileX(east, z),
+        minY: latToTileY(north, z),
+        maxY: latToTileY(south, z)
+    });
+
+    let { minX, maxX, minY, maxY } = range(zoom);
+    while (zoom > 0 && (maxX - minX + 1) * (maxY - minY + 1) > MAX_TILES_PER_REQUEST) {
+        zoom--;
+        ({ minX, maxX, minY, maxY } = range(zoom));
+    }
+
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            tiles.push({ z: zoom, x, y });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Smallest bounding box containing a set of tiles
+ * @param {Array} tiles - Tiles { z, x, y } at the same zoom
+ * @returns {Object} { south, west, north, east }
+ */
+function tilesBounds(tiles) {
+    const boxes = tiles.map(tileBounds);
+    return {
+        south: Math.min(...boxes.map(box => box.south)),
+        west: Math.min(...boxes.map(box => box.west)),
+        north: Math.max(...boxes.map(box => box.north)),
+        east: Math.max(...boxes.map(box => box.east))
+    };
+}
+
+/**
+ * Distribute features over the tiles their bounding box touches. Every tile
+ * gets an entry, so tiles without tracks are cached as empty too.
+ * @param {Array} features - GeoJSON features
+ * @param {Array} tiles - Tiles { z, x, y } the features were fetched for
+ * @returns {Map} tile key -> features
+ */
+function splitIntoTiles(features, tiles) {
+    const byTile = new Map(tiles.map(tile => [tileKey(tile), []]));
+    const zoom = tiles.length > 0 ? tiles[0].z : TILE_ZOOM;
+
+    for (const feature of features) {
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(feature);
+        for (let x = lonToTileX(minLon, zoom); x <= lonToTileX(maxLon, zoom); x++) {
+            for (let y = latToTileY(maxLat, zoom); y <= latToTileY(minLat, zoom); y++) {
+                const list = byTile.get(tileKey({ z: zoom, x, y }));
+                if (list) list.push(feature);
+            }
+        }
+    }
+    return byTile;
+}
+
+/**
+ * Railway tracks cached per tile, in memory and on disk so the cache survives
+ * restarts. A bounding box request is answered from the tiles it covers; only
+ * tiles that are not cached (or have expired) need downloading.
+ */
+class TrackTileCache {
+    /**
+     * @param {Object} options - { dir, ttlSec }
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || TILE_CACHE_DIR;
+        this.ttlSec = options.ttlSec || TILE_TTL_SEC;
+        this.memory = new NodeCache({ stdTTL: this.ttlSec, useClones: false });
+    }
+
+    /**
+     * File a tile is persisted in
+     * @param {Object} tile - { z, x, y }
+     * @returns {string} Path
+     */
+    tilePath({ z, x, y }) {
+        return path.join(this.dir, String(z), String(x), `${y}.json`);
+    }
+
+    /**
+     * Cached features of a tile, from memory or disk
+     * @param {Object} tile - { z, x, y }
+     * @returns {Promise<Array|null>} Features, or null when the tile is not cached or expired
+     */
+    async get(tile) {
+        const key = tileKey(tile);
+        const cached = this.memory.get(key);
+        if (cached) return cached.features;
+
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.tilePath(tile), 'utf8'));
+            const ageSec = (Date.now() - Date.parse(entry.fetchedAt)) / 1000;
+            if (!(ageSec < this.ttlSec)) return null;
+
+            this.memory.set(key, entry, Math.max(Math.round(this.ttlSec - ageSec), 1));
+            return entry.features;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`❌ Unreadable track tile ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Cache the features of a tile in memory and on disk
+     * @param {Object} tile - { z, x, y }
+     * @param {Array} features - GeoJSON features touching the tile
+     */
+    async set(tile, features) {
+        const entry = { tile: tileKey(tile), fetchedAt: new Date().toISOString(), features };
+        this.memory.set(tileKey(tile), entry);
+
+        try {
+            const file = this.tilePath(tile);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(entry));
+        } catch (error) {
+            // The memory copy still serves this process
+            console.error(`❌ Could not persist track tile ${entry.tile}:`, error.message);
+        }
+    }
+
+    /**
+     * Railway tracks for a bounding box, assembled from cached tiles; missing
+     * tiles are downloaded in one request covering just those tiles
+     * @param {Object} box - { south, west, north, east }
+     * @param {Function} download - async (box) => { features, error? } for the missing tiles
+     * @returns {Promise<Object>} { features, tiles: { total, cached, fetched, zoom }, error }
+     */
+    async getTracks(box, download) {
+        const tiles = tilesForBox(box);
+        const byTile = new Map();
+        const missing = [];
+        for (const tile of tiles) {
+            const features = await this.get(tile);
+            if (features) byTile.set(tileKey(tile), features);
+            else missing.push(tile);
+        }
+
+        let error = null;
+        if (missing.length > 0) {
+            const fresh = await download(tilesBounds(missing));
+            if (fresh.error) {
+                error = fresh.error;
+            } else {
+                for (const [key, features] of splitIntoTiles(fresh.features, missing)) {
+                    const [z, x, y] = key.split('/').map(Number);
+                    await this.set({ z, x, y }, features);
+                    byTile.set(key, features);
+                }
+            }
+        }
+
+        // Tracks crossing tile borders are cached in each tile they touch
+        const features = new Map();
+        for (const list of byTile.values()) {
+            for (const feature of list) {
+                const id = feature.id || JSON.stringify(feature.geometry.coordinates[0]);
+                if (!features.has(id) && featureIntersectsBox(feature, box)) features.set(id, feature);
+            }
+        }
+
+        return {
+            features: [...features.values()],
+            tiles: {
+                total: tiles.length,
+                cached: tiles.length - missing.length,
+                fetched: error ? 0 : missing.length,
+                zoom: tiles[0].z
+            },
+            error
+        };
+    }
+
+    /**
+     * Drop every cached tile, in memory and on disk
+     */
+    async clear() {
+        this.memory.flushAll();
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+    }
+
+    /**
+     * Cache statistics
+     * @returns {Promise<Object>} { dir, zoom, memoryTiles, diskTiles, hits, misses }
+     */
+    async stats() {
+        let diskTiles = 0;
+        try {
+            const entries = await fs.promises.readdir(this.dir, { recursive: true });
+            diskTiles = entries.filter(entry => entry.endsWith('.json')).length;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const { hits, misses } = this.memory.getStats();
+        return { dir: this.dir, zoom: TILE_ZOOM, memoryTiles: this.memory.keys().length, diskTiles, hits, misses };
+    }
+}
+
+module.exports = {
+    TILE_ZOOM,
+    TrackTileCache,
+    tilesForBox,
+    tileBounds,
+    tilesBounds,
+    splitIntoTiles
+};
@@ -0,0 +1,138 @@
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const { getRegionRailwayTracks, getTrackStoreInfo, trackStoreStamp } = require('./osm');
+
+// Layer name clients style the tracks by
+const LAYER_NAME = 'tracks';
+// Deepest zoom tiles are generated for; clients overzoom beyond it
+const MAX_ZOOM = 14;
+// Simplification tolerance in tile pixels, applied per zoom level by geojson-vt
+const TOLERANCE = 3;
+const EXTENT = 4096;
+// Zoom from which tiles carry every kept property instead of the styling essentials
+const DETAIL_ZOOM = 12;
+
+// Properties kept in tiles; other OSM tags stay in /api/tracks
+const TILE_PROPERTIES = ['id', 'category', 'railway', 'name', 'usage', 'service', 'electrified', 'gauge', 'operator', 'maxspeed', 'tracks'];
+const LOW_ZOOM_PROPERTIES = ['id', 'category', 'railway', 'name'];
+
+// Lowest zoom each track category (trackCategories.js) appears at
+const CATEGORY_MIN_ZOOM = {
+    mainline: 0,
+    suburban: 0,
+    metro: 10,
+    other: 12,
+    siding: 13,
+    yard: 13,
+    platform: 14,
+    disused: 14
+};
+
+// Tile index per region, rebuilt when the track store changes
+const indexes = new Map();
+
+/**
+ * Copy a track with only the tile properties plus its minimum zoom
+ * @param {Object} feature - Classified GeoJSON track feature
+ * @returns {Object} Feature for the tile index
+ */
+function toTileFeature(feature) {
+    const source = { ...feature.properties, id: feature.properties?.id || feature.id };
+    const properties = { minzoom: CATEGORY_MIN_ZOOM[source.category] ?? 0 };
+    for (const key of TILE_PROPERTIES) {
+        if (source[key] !== undefined && source[key] !== null) properties[key] = source[key];
+    }
+    return { type: 'Feature', geometry: feature.geometry, properties };
+}
+
+/**
+ * Build a tile index from railway tracks
+ * @param {Array} features - GeoJSON track features
+ * @returns {Object} geojson-vt index
+ */
+function createTileIndex(features) {
+    return geojsonvt(
+        { type: 'FeatureCollection', features: features.map(toTileFeature) },
+        { maxZoom: MAX_ZOOM, tolerance: TOLERANCE, extent: EXTENT, buffer: 64 }
+    );
+}
+
+/**
+ * Encode one tile of an index as a Mapbox Vector Tile, dropping tracks below
+ * their minimum zoom and detail properties below DETAIL_ZOOM
+ * @param {Object} index - geojson-vt index
+ * @param {number} z - Zoom
+ * @param {number} x - Tile x
+ * @param {number} y - Tile y
+ * @returns {Buffer|null} MVT bytes, or null when the tile has no tracks
+ */
+function encodeTile(index, z, x, y) {
+    const tile = index.getTile(z, x, y);
+    if (!tile) return null;
+
+    const keep = z >= DETAIL_ZOOM ? TILE_PROPERTIES : LOW_ZOOM_PROPERTIES;
+    const features = tile.features
+        .filter(feature => feature.tags.minzoom <= z)
+        .map(feature => {
+            const tags = {};
+            for (const key of keep) {
+                if (feature.tags[key] !== undefined) tags[key] = feature.tags[key];
+            }
+            return { ...feature, tags };
+        });
+    if (features.length === 0) return null;
+
+    return Buffer.from(vtpbf.fromGeojsonVt({ [LAYER_NAME]: { features } }, { version: 2, extent: EXTENT }));
+}
+
+/**
+ * Tile index of a region's tracks. Builds are shared between concurrent tile
+ * requests and redone when the track store is replaced or refreshed.
+ * @param {Object} region - Region from regions.js
+ * @returns {Promise<Object>} geojson-vt index
+ */
+async function getRegionTileIndex(region) {
+    const stamp = trackStoreStamp(await getTrackStoreInfo());
+    const cached = indexes.get(region.id);
+    if (cached && cached.stamp === stamp) return cached.index;
+
+    const index = getRegionRailwayTracks(region).then(railwayTracks => {
+        // Do not keep an empty index when Overpass failed; the next request retries
+        if (railwayTracks.error) throw new Error(railwayTracks.error);
+        console.log(`🧩 Built vector tile index for ${region.id} from ${railwayTracks.features.length} tracks`);
+        return createTileIndex(railwayTracks.features);
+    });
+    indexes.set(region.id, { stamp, index });
+    index.catch(() => {
+        if (indexes.get(region.id)?.index === index) indexes.delete(region.id);
+    });
+    return index;
+}
+
+/**
+ * Mapbox Vector Tile of a region's railway tracks
+ * @param {Object} region - Region from regions.js
+ * @param {number} z - Zoom
+ * @param {number} x - Tile x
+ * @param {number} y - Tile y
+ * @returns {Promise<Buffer|null>} MVT bytes, or null when the tile has no tracks
+ */
+async function getTrackVectorTile(region, z, x, y) {
+    return encodeTile(await getRegionTileIndex(region), z, x, y);
+}
+
+/**
+ * Drop the built tile indexes so they are rebuilt from fresh tracks
+ */
+function clearTileIndexes() {
+    indexes.clear();
+}
+
+module.exports = {
+    LAYER_NAME,
+    MAX_ZOOM,
+    createTileIndex,
+    encodeTile,
+    getTrackVectorTile,
+    clearTileIndexes
+};
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectConflicts, routeSections } = require('../src/conflicts');
+const { simulateTrain, parseTime } = require('../src/simulator');
+const trains = require('../data/mumbaiTrains.json');
+
+const local = trains[0];
+
+/**
+ * Simulated run of the CST → Thane local under another id and departure time
+ * @param {string} trainId - Train identifier
+ * @param {string} departure - Departure time
+ * @returns {Object} Simulated train
+ */
+function localRun(trainId, departure) {
+    return simulateTrain({ ...local, train_id: trainId, departure_time: departure });
+}
+
+/**
+ * Simulated run of the same local in the Thane → CST direction
+ * @param {string} trainId - Train identifier
+ * @param {string} departure - Departure time
+ * @returns {Object} Simulated train
+ */
+function returnRun(trainId, departure) {
+    return simulateTrain({
+        ...local,
+        train_id: trainId,
+        departure_time: departure,
+        stations: [...local.stations].reverse(),
+        route_geometry: [...local.route_geometry].reverse()
+    });
+}
+
+describe('conflict detection', () => {
+    it('splits a route into sections between the stations it passes', () => {
+        const run = localRun('A', '09:00');
+        const sections = routeSections(run, run.stations);
+        assert.deepEqual(sections.map(section => section.from), local.stations.slice(0, -1).map(station => station.name));
+        assert.equal(sections[sections.length - 1].to, 'Thane');
+    });
+
+    it('reports a follower entering a block within the minimum headway', () => {
+        const conflicts = detectConflicts([localRun('A', '09:00'), localRun('B', '09:02')]);
+
+        assert.ok(conflicts.length > 0);
+        assert.ok(conflicts.every(conflict => conflict.type === 'headway'));
+        assert.deepEqual([conflicts[0].leader, conflicts[0].follower], ['A', 'B']);
+        assert.ok(conflicts[0].min_headway_sec < 180);
+        assert.equal(conflicts[0].geometry.type, 'LineString');
+
+        assert.deepEqual(detectConflicts([localRun('A', '09:00'), localRun('B', '09:10')]), []);
+        assert.ok(detectConflicts([localRun('A', '09:00'), localRun('B', '09:10')], { minHeadway: 900 }).length > 0);
+    });
+
+    it('reports trains meeting head on unless each direction has its own track', () => {
+        const services = [localRun('A', '09:00'), returnRun('B', '09:00')];
+
+        const conflicts = detectConflicts(services);
+        assert.ok(conflicts.length > 0);
+        assert.ok(conflicts.every(conflict => conflict.type === 'head_on'));
+        assert.deepEqual(conflicts[0].trains, ['A', 'B']);
+
+        assert.deepEqual(detectConflicts(services, { doubleTrack: true }), []);
+    });
+
+    it('finds conflicts between runs that cross midnight', () => {
+        const conflicts = detectConflicts([localRun('A', '23:58'), localRun('B', '24:00')]);
+
+        assert.ok(conflicts.length > 0);
+        assert.equal(conflicts[0].leader_enter_sec, parseTime('23:58'));
+        assert.ok(conflicts[conflicts.length - 1].start_sec > 24 * 3600);
+        assert.equal(conflicts[0].start_time, '23:58:00');
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DisruptionRegistry, normalizeDisruption } = require('../src/disruptions');
+const { simulateTrain, parseTime } = require('../src/simulator');
+const trains = require('../data/mumbaiTrains.json');
+
+const local = trains[0];
+const STATIONS = local.stations.map(({ name, lat, lon }) => ({ name, lat, lon, ...(name === 'CST' && { aliases: ['CSMT'] }) }));
+const TRAIN_IDS = trains.map(train => train.train_id);
+
+describe('disruption validation', () => {
+    it('resolves stations by name or alias and normalizes the time window', () => {
+        const { disruption, errors } = normalizeDisruption(
+            { type: 'station_closure', station: 'csmt', start_time: '9:00', end_time: '10:30' },
+            STATIONS,
+            TRAIN_IDS
+        );
+
+        assert.deepEqual(errors, []);
+        assert.equal(disruption.station, 'CST');
+        assert.deepEqual(
+            [disruption.start_time, disruption.end_time, disruption.start_sec],
+            ['09:00:00', '10:30:00', parseTime('09:00')]
+        );
+    });
+
+    it('lists every problem with an incident', () => {
+        assert.deepEqual(normalizeDisruption({ type: 'flood' }, STATIONS, TRAIN_IDS).errors, [
+            'type must be one of train_delay, station_closure, speed_restriction, line_blockage'
+        ]);
+
+        const delay = normalizeDisruption({ type: 'train_delay', train_id: 'T999', delay_sec: -5, station: 'Atlantis' }, STATIONS, TRAIN_IDS);
+        assert.equal(delay.disruption, null);
+        assert.deepEqual(delay.errors, [
+            'Unknown train_id "T999"',
+            'delay_sec must be a positive number',
+            'Unknown station "Atlantis"'
+        ]);
+
+        const restriction = normalizeDisruption({ type: 'speed_restriction', from: 'Dadar', to: 'Dadar', speed_kmph: 'slow' }, STATIONS, TRAIN_IDS);
+        assert.deepEqual(restriction.errors, ['from and to must be different stations', 'speed_kmph must be a positive number']);
+
+        const blockage = normalizeDisruption({ type: 'line_blockage', from: 'Dadar', to: 'Sion', start_time: '10:00', end_time: '09:00' }, STATIONS, TRAIN_IDS);
+        assert.deepEqual(blockage.errors, ['end_time must be after start_time']);
+        assert.deepEqual(
+            normalizeDisruption({ type: 'line_blockage', from: 'Dadar', to: 'Sion' }, STATIONS, TRAIN_IDS).errors,
+            ['A line blockage needs start_time and end_time']
+        );
+    });
+});
+
+describe('disruption registry', () => {
+    it('registers valid incidents with an id and removes them', () => {
+        const registry = new DisruptionRegistry();
+        const rejected = registry.create({ type: 'station_closure' }, STATIONS, TRAIN_IDS);
+        assert.deepEqual(rejected.errors, ['station is required']);
+
+        const { disruption } = registry.create({ type: 'station_closure', station: 'Sion' }, STATIONS, TRAIN_IDS);
+        assert.equal(disruption.id, 'inc_1');
+        assert.deepEqual(registry.list().map(incident => incident.id), ['inc_1']);
+
+        assert.equal(registry.remove('inc_1').station, 'Sion');
+        assert.equal(registry.remove('inc_1'), null);
+        assert.deepEqual(registry.list(), []);
+    });
+});
+
+describe('disruptions in the simulation', () => {
+    const baseline = simulateTrain(local);
+    const terminus = baseline.schedule.length - 1;
+
+    /**
+     * Simulate the CST → Thane local with one registered incident
+     * @param {Object} input - Incident from the API
+     * @returns {Object} { run, disruption }
+     */
+    function simulateWith(input) {
+        const registry = new DisruptionRegistry();
+        const { disruption, errors } = registry.create(input, STATIONS, TRAIN_IDS);
+        assert.deepEqual(errors, []);
+        return { run: simulateTrain(local, { disruptions: registry.list() }), disruption };
+    }
+
+    it('holds a delayed train at the station of the delay', () => {
+        const { run, disruption } = simulateWith({ type: 'train_delay', train_id: 'T001', station: 'Dadar', delay_sec: 300 });
+        const dadar = run.schedule.findIndex(stop => stop.station === 'Dadar');
+
+        assert.deepEqual(run.schedule.slice(0, dadar), baseline.schedule.slice(0, dadar));
+        assert.equal(run.schedule[dadar].disruption_hold_sec, 300);
+        assert.equal(run.schedule[terminus].arrival_sec, baseline.schedule[terminus].arrival_sec + 300);
+        assert.deepEqual(run.disruptions, [disruption.id]);
+    });
+
+    it('runs through a closed station without stopping', () => {
+        const { run } = simulateWith({ type: 'station_closure', station: 'Sion' });
+        const sion = run.schedule.find(stop => stop.station === 'Sion');
+
+        assert.equal(sion.skipped, true);
+        assert.equal(sion.halt_time_sec, 0);
+        assert.ok(run.schedule[terminus].arrival_sec < baseline.schedule[terminus].arrival_sec);
+    });
+
+    it('slows trains down between the stations of a speed restriction', () => {
+        const { run } = simulateWith({ type: 'speed_restriction', from: 'Kurla', to: 'Ghatkopar', speed_kmph: 15 });
+        const kurla = run.schedule.findIndex(stop => stop.station === 'Kurla');
+
+        assert.deepEqual(run.schedule.slice(0, kurla + 1), baseline.schedule.slice(0, kurla + 1));
+        assert.ok(run.schedule[terminus].arrival_sec > baseline.schedule[terminus].arrival_sec);
+
+        const departure = run.schedule[kurla].departure_sec;
+        const section = run.positions.filter(position => position.seconds > departure && position.seconds < run.schedule[kurla + 1].arrival_sec);
+        assert.ok(section.every(position => position.speed <= 15));
+    });
+
+    it('keeps trains out of a blocked line until the blockage is lifted', () => {
+        const { run } = simulateWith({ type: 'line_blockage', from: 'Dadar', to: 'Sion', start_time: '09:00', end_time: '09:40' });
+        const dadar = run.schedule.find(stop => stop.station === 'Dadar');
+        assert.equal(dadar.departure_sec, parseTime('09:40'));
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { convertGtfsFeed, readGtfsZip } = require('../src/gtfsImport');
+
+const STOPS = [
+    'stop_id,stop_name,stop_lat,stop_lon,parent_station,platform_code',
+    'CST,CSMT,18.9400,72.8353,,',
+    'CST-1,CSMT Platform 1,18.9401,72.8354,CST,1',
+    'BY,Byculla,18.9793,72.8330,,',
+    'DR,Dadar,19.0182,72.8471,,'
+];
+const TRIPS = [
+    'route_id,service_id,trip_id,trip_short_name',
+    'CR,WD,T1,91001',
+    'CR,WE,T2,',
+    'CR,WD,T3,'
+];
+const STOP_TIMES = [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    'T1,23:50:00,23:50:00,CST-1,1',
+    'T1,,,BY,2',
+    'T1,24:05:00,24:06:00,DR,3',
+    'T2,10:00:00,10:00:00,CST,1',
+    'T2,10:15:00,10:15:00,DR,2',
+    'T3,11:00:00,11:00:00,CST,1'
+];
+const ROUTES = ['route_id,route_short_name', 'CR,Central'];
+const CALENDAR = [
+    'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+    'WD,1,1,1,1,1,0,0,20260101,20261231',
+    'WE,0,0,0,0,0,1,1,20260101,20261231'
+];
+
+/**
+ * Parse CSV lines the way csv-parser reports them, without reading a file
+ * @param {Array} lines - Header followed by rows
+ * @returns {Array} Rows keyed by column name
+ */
+function table(lines) {
+    const [header, ...rows] = lines.map(line => line.split(','));
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i] || ''])));
+}
+
+/**
+ * GTFS tables for a small Central line feed
+ * @returns {Object} Tables keyed by file name without extension
+ */
+function feedTables() {
+    return {
+        stops: table(STOPS),
+        trips: table(TRIPS),
+        stop_times: table(STOP_TIMES),
+        routes: table(ROUTES),
+        shapes: [],
+        calendar: table(CALENDAR),
+        calendar_dates: []
+    };
+}
+
+describe('GTFS feed import', () => {
+    it('converts trips running on the service date into trains', () => {
+        // 2026-10-19 is a Monday
+        const feed = convertGtfsFeed(feedTables(), { date: '2026-10-19' });
+
+        assert.deepEqual(feed.trains.map(train => train.train_id), ['T1']);
+        assert.deepEqual(feed.metadata.skipped, [{ trip_id: 'T3', reason: 'fewer than two stops' }]);
+
+        const [train] = feed.trains;
+        assert.equal(train.train_name, 'CSMT → Dadar (91001)');
+        assert.equal(train.line, 'Central');
+        assert.equal(train.departure_time, '23:50:00');
+        assert.equal(train.gtfs.start_time, '23:50:00');
+        assert.ok(train.speed_kmph > 0);
+
+        // Platforms are reported as their station; untimed stops have no halt
+        assert.deepEqual(train.stations.map(station => station.name), ['CSMT', 'Byculla', 'Dadar']);
+        assert.equal(train.stations[0].platform, '1');
+        assert.equal(train.stations[0].gtfs_stop_id, 'CST');
+        assert.deepEqual(train.stations.map(station => station.halt_time_sec), [0, 0, 0]);
+        assert.deepEqual(feed.stations.map(station => station.name), ['CSMT', 'Byculla', 'Dadar']);
+    });
+
+    it('applies calendar exceptions and route filters', () => {
+        const tables = feedTables();
+        tables.calendar_dates = table(['service_id,date,exception_type', 'WD,20261019,2', 'WE,20261019,1']);
+
+        assert.deepEqual(convertGtfsFeed(tables, { date: '20261019' }).trains.map(train => train.train_id), ['T2']);
+        assert.equal(convertGtfsFeed(tables, { routes: ['Central'], limit: 1 }).trains.length, 1);
+        assert.equal(convertGtfsFeed(tables, { routes: ['Western'] }).trains.length, 0);
+        assert.throws(() => convertGtfsFeed(tables, { date: '19/10/2026' }), /Invalid service date/);
+    });
+
+    it('reads feeds wrapped in a folder and rejects feeds without stop times', async () => {
+        const zip = new AdmZip();
+        zip.addFile('feed/stops.txt', Buffer.from(`\uFEFF${STOPS.join('\n')}`));
+        zip.addFile('feed/trips.txt', Buffer.from(TRIPS.join('\n')));
+
+        await assert.rejects(readGtfsZip(zip.toBuffer()), /missing stop_times\.txt/);
+
+        zip.addFile('feed/stop_times.txt', Buffer.from(STOP_TIMES.join('\n')));
+        const tables = await readGtfsZip(zip.toBuffer());
+        assert.equal(tables.stops[0].stop_id, 'CST');
+        assert.equal(tables.stop_times.length, 6);
+        assert.deepEqual(tables.calendar, []);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LiveSimulation } = require('../src/realtime');
+const { simulateTrain, parseTime } = require('../src/simulator');
+const { plannedRun } = require('../src/metrics');
+const { buildVehiclePositionsFeed, buildTripUpdatesFeed, encodeFeed, feedToJson } = require('../src/gtfsRealtime');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const trains = require('../data/mumbaiTrains.json');
+
+const SERVICE_DAY = new Date(2026, 9, 19);
+
+/**
+ * Socket.IO server stand-in that ignores what is emitted
+ * @returns {Object} io
+ */
+function fakeIo() {
+    const emit = () => {};
+    return { on: () => {}, emit, to: () => ({ emit }) };
+}
+
+/**
+ * Live clock running one train, loaded the way the server loads its simulation
+ * @param {Object} train - Train service
+ * @param {string} startTime - Clock time
+ * @returns {Object} LiveSimulation
+ */
+function liveRun(train, startTime) {
+    const live = new LiveSimulation(fakeIo(), { startTime });
+    live.loadTrains([{ ...simulateTrain(train), departure_time: train.departure_time, line: 'Central' }]);
+    return live;
+}
+
+describe('GTFS-Realtime feeds', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('reports running trains as vehicle positions on their service day', () => {
+        const live = liveRun(trains[0], '09:10');
+        const { header, entity } = feedToJson(buildVehiclePositionsFeed(live, SERVICE_DAY));
+
+        assert.equal(header.incrementality, 'FULL_DATASET');
+        assert.equal(header.timestamp, Math.floor(SERVICE_DAY.getTime() / 1000) + parseTime('09:10'));
+        assert.equal(entity.length, 1);
+
+        const { vehicle } = entity[0];
+        assert.deepEqual(
+            [vehicle.trip.tripId, vehicle.trip.startTime, vehicle.trip.startDate],
+            ['T001', '09:00:00', '20261019']
+        );
+        assert.ok(['STOPPED_AT', 'IN_TRANSIT_TO'].includes(vehicle.currentStatus));
+        assert.ok(vehicle.stopId);
+
+        // Trains that have finished their run are left out
+        live.seek(parseTime('11:00'));
+        assert.equal(buildVehiclePositionsFeed(live, SERVICE_DAY).entity.length, 0);
+    });
+
+    it('predicts the stops still to come with the delay against the planned run', () => {
+        const live = liveRun(trains[0], '09:10');
+        live.injectDelay('T001', 300);
+        const planned = new Map([['T001', plannedRun(trains[0])]]);
+
+        const [{ tripUpdate }] = feedToJson(buildTripUpdatesFeed(live, planned, SERVICE_DAY)).entity;
+        const schedule = planned.get('T001').schedule;
+        assert.equal(tripUpdate.delay, 300);
+        assert.ok(tripUpdate.stopTimeUpdate[0].stopSequence > 1, 'stops already served are left out');
+
+        const terminus = tripUpdate.stopTimeUpdate[tripUpdate.stopTimeUpdate.length - 1];
+        assert.equal(terminus.stopSequence, schedule.length);
+        assert.equal(terminus.arrival.delay, 300);
+        assert.equal(
+            terminus.arrival.time,
+            Math.floor(SERVICE_DAY.getTime() / 1000) + schedule[schedule.length - 1].arrival_sec + 300
+        );
+    });
+
+    it('dates trips still running after midnight to the day they started', () => {
+        const live = liveRun({ ...trains[0], departure_time: '23:50' }, '23:55');
+        live.seek(parseTime('00:05'));
+
+        const [{ tripUpdate }] = feedToJson(buildTripUpdatesFeed(live, new Map(), SERVICE_DAY)).entity;
+        assert.equal(tripUpdate.trip.startDate, '20261018');
+        assert.equal(tripUpdate.trip.startTime, '23:50:00');
+    });
+
+    it('encodes feeds as GTFS-Realtime protobuf', () => {
+        const live = liveRun(trains[0], '09:10');
+        const bytes = encodeFeed(buildVehiclePositionsFeed(live, SERVICE_DAY));
+        const decoded = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(bytes);
+
+        assert.equal(decoded.header.gtfsRealtimeVersion, '2.0');
+        assert.equal(decoded.entity[0].vehicle.trip.tripId, 'T001');
+    });
+});
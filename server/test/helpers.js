@@ -0,0 +1,65 @@
+const express = require('express');
+const { createOverpassMock } = require('../src/overpassMock');
+
+// Shared by the server tests: local servers on free ports and JSON requests to them
+
+/**
+ * Start an app on a free local port
+ * @param {Object} app - Express app
+ * @returns {Promise<Object>} { server, url }
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+/**
+ * Start the Overpass stand-in (overpassMock.js), counting the requests it answers
+ * @returns {Promise<Object>} { server, url, interpreterUrl, requests() }
+ */
+async function startOverpassStandIn() {
+    let requests = 0;
+    const overpass = express();
+    overpass.use((req, res, next) => {
+        requests += 1;
+        next();
+    });
+    overpass.use(createOverpassMock());
+
+    const { server, url } = await listen(overpass);
+    return {
+        server,
+        url,
+        interpreterUrl: `${url}/api/interpreter`,
+        requests: () => requests
+    };
+}
+
+/**
+ * JSON request to a test server
+ * @param {string} baseUrl - Server URL
+ * @param {string} route - Path and query
+ * @param {Object} body - JSON body (sends a POST when given)
+ * @param {string} method - HTTP method (default GET, or POST with a body)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function requestJson(baseUrl, route, body, method) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: method || (body === undefined ? 'GET' : 'POST'),
+        ...(body !== undefined && {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        })
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+module.exports = {
+    listen,
+    startOverpassStandIn,
+    requestJson
+};
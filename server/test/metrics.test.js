@@ -0,0 +1,83 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LiveSimulation } = require('../src/realtime');
+const { simulateTrain, parseTime } = require('../src/simulator');
+const { computeMetrics } = require('../src/metrics');
+const trains = require('../data/mumbaiTrains.json');
+
+// CST → Thane (Central), Churchgate → Borivali (Western) and CST → Panvel (Harbour)
+const services = [trains[0], trains[1], trains[3]];
+
+/**
+ * Socket.IO server stand-in that ignores what is emitted
+ * @returns {Object} io
+ */
+function fakeIo() {
+    const emit = () => {};
+    return { on: () => {}, emit, to: () => ({ emit }) };
+}
+
+/**
+ * Live clock running the timetable, loaded the way the server loads its simulation
+ * @param {string} startTime - Clock time
+ * @returns {Object} LiveSimulation
+ */
+function liveTimetable(startTime) {
+    const live = new LiveSimulation(fakeIo(), { startTime });
+    live.loadTrains(services.map(train => ({ ...simulateTrain(train), departure_time: train.departure_time, line: train.line })));
+    return live;
+}
+
+describe('operational metrics', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('counts trains that have started as on time until they are delayed', () => {
+        const live = liveTimetable('09:20');
+        const { summary, trains: rows } = computeMetrics(live, services);
+
+        assert.deepEqual(
+            [summary.total_trains, summary.active, summary.scheduled, summary.on_time, summary.delayed],
+            [3, 2, 1, 2, 0]
+        );
+        assert.equal(summary.on_time_pct, 100);
+        assert.ok(rows.every(row => row.delay_sec === 0));
+    });
+
+    it('reports an injected delay against the timetable', () => {
+        const live = liveTimetable('09:20');
+        live.injectDelay('T001', 600);
+        const { summary, trains: rows, lines } = computeMetrics(live, services);
+
+        assert.deepEqual([rows[0].train_id, rows[0].delay_sec, rows[0].on_time], ['T001', 600, false]);
+        assert.deepEqual([summary.on_time, summary.delayed, summary.on_time_pct], [1, 1, 50]);
+        assert.equal(summary.max_delay_min, 10);
+        assert.equal(summary.avg_delay_min, 5);
+
+        const central = lines.find(line => line.line === 'Central');
+        assert.deepEqual([central.delayed, central.avg_delay_min], [1, 10]);
+
+        // Within the threshold the train still counts as on time
+        assert.equal(computeMetrics(live, services, { onTimeThreshold: 900 }).summary.delayed, 0);
+    });
+
+    it('measures completed runs by their arrival at the terminus', () => {
+        const live = liveTimetable('09:20');
+        live.injectDelay('T001', 600);
+        live.seek(parseTime('12:00'));
+        const { summary, trains: rows, punctuality, stations } = computeMetrics(live, services);
+
+        assert.equal(summary.completed, 3);
+        assert.equal(rows.find(row => row.train_id === 'T001').delay_sec, 600);
+
+        const arrivals = punctuality.reduce((total, bucket) => total + bucket.arrivals, 0);
+        const calls = services.reduce((total, train) => total + train.stations.length - 1, 0);
+        assert.equal(arrivals, calls);
+        assert.equal(stations.find(station => station.station === 'CST').trains, 2);
+    });
+});
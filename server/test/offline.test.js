@@ -0,0 +1,181 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listen, startOverpassStandIn, requestJson } = require('./helpers');
+
+// Track and snap endpoints of index.js answered by the Overpass stand-in, without internet access
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'fixtures', 'overpass-mumbai.json'), 'utf8'));
+const CENTRAL_LINE = FIXTURE.elements.find(element => element.type === 'way' && element.tags.name.startsWith('Central Line (CST'));
+const MUMBAI_BBOX = 's=18.9&w=72.7&n=19.3&e=73.0';
+
+/**
+ * Point partway along a fixture way
+ * @param {Object} way - Overpass way with geometry
+ * @param {number} index - Vertex to start from
+ * @param {number} fraction - 0..1 towards the next vertex
+ * @returns {Array} [longitude, latitude]
+ */
+function alongWay(way, index, fraction) {
+    const a = way.geometry[index];
+    const b = way.geometry[index + 1];
+    return [a.lon + (b.lon - a.lon) * fraction, a.lat + (b.lat - a.lat) * fraction];
+}
+
+describe('track API against the Overpass stand-in', () => {
+    let overpassMock;
+    let api;
+    let cacheDir;
+
+    /**
+     * JSON request to the track API
+     * @param {string} route - Path and query
+     * @param {Object} body - JSON body (sends a POST when given)
+     * @returns {Promise<Object>} { status, body }
+     */
+    function request(route, body) {
+        return requestJson(api.url, route, body);
+    }
+
+    before(async () => {
+        // The servers narrate every fetch and cache build; keep the test report readable
+        mock.method(console, 'log', () => {});
+
+        overpassMock = await startOverpassStandIn();
+
+        // Read when the modules load, so set before requiring the server
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'track-tiles-'));
+        process.env.OVERPASS_URL = overpassMock.interpreterUrl;
+        process.env.TRACK_TILE_CACHE_DIR = cacheDir;
+        delete process.env.DATABASE_URL;
+        delete process.env.OSM_EXTRACT_PATH;
+
+        const { getStore } = require('../src/store');
+        const { app } = require('../src/index');
+        await getStore().init();
+        api = await listen(app);
+    });
+
+    after(() => {
+        api.server.close();
+        overpassMock.server.close();
+        mock.restoreAll();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('fetches tracks for a bounding box from Overpass', async () => {
+        const { status, body } = await request(`/api/osm?${MUMBAI_BBOX}`);
+        assert.equal(status, 200);
+        assert.equal(body.metadata.source, 'overpass');
+        assert.equal(body.features.length, FIXTURE.elements.filter(element => element.type === 'way').length);
+        assert.ok(body.features.every(feature => feature.properties.category === 'mainline'));
+        assert.ok(overpassMock.requests() > 0);
+    });
+
+    it('answers a repeated bounding box from the tile cache', async () => {
+        const before = overpassMock.requests();
+        const { status, body } = await request(`/api/osm?${MUMBAI_BBOX}`);
+        assert.equal(status, 200);
+        assert.equal(body.metadata.tiles.fetched, 0);
+        assert.equal(overpassMock.requests(), before);
+    });
+
+    it('filters tracks and rejects bad bounding boxes', async () => {
+        const filtered = await request(`/api/osm?${MUMBAI_BBOX}&category=metro`);
+        assert.equal(filtered.status, 200);
+        assert.equal(filtered.body.features.length, 0);
+
+        const missing = await request('/api/osm?s=18.9&w=72.7');
+        assert.equal(missing.status, 400);
+    });
+
+    it('serves the Mumbai tracks', async () => {
+        const { status, body } = await request('/api/mumbai');
+        assert.equal(status, 200);
+        assert.equal(body.metadata.region, 'mumbai');
+        assert.ok(body.features.some(feature => feature.properties.name === CENTRAL_LINE.tags.name));
+    });
+
+    it('snaps a train onto the nearest track, facing its heading', async () => {
+        const position = alongWay(CENTRAL_LINE, 3, 0.5);
+        const offTrack = [position[0] + 0.0005, position[1]];
+        const { status, body } = await request('/api/snap', { position: offTrack, trainId: 'T001', heading: 0 });
+        assert.equal(status, 200);
+        assert.equal(body.train.id, 'T001');
+        assert.equal(body.train.track.properties.name, CENTRAL_LINE.tags.name);
+        assert.ok(body.train.metadata.distanceToTrack < 100);
+        // The line runs north, so the head is north of the tail
+        assert.equal(body.train.direction, 1);
+        assert.ok(body.train.headPosition[1] > body.train.tailPosition[1]);
+    });
+
+    it('rejects invalid snap requests and positions far from any track', async () => {
+        const invalid = await request('/api/snap', { position: [72.8] });
+        assert.equal(invalid.status, 400);
+
+        const badHeading = await request('/api/snap', { position: alongWay(CENTRAL_LINE, 0, 0.5), heading: 'north' });
+        assert.equal(badHeading.status, 400);
+
+        const far = await request('/api/snap', { position: [72.5, 18.5] });
+        assert.equal(far.status, 404);
+    });
+
+    it('snaps several trains at once', async () => {
+        const { status, body } = await request('/api/snap-multiple', {
+            trains: [
+                { id: 'a', position: alongWay(CENTRAL_LINE, 1, 0.2) },
+                { id: 'b', position: alongWay(CENTRAL_LINE, 6, 0.7) },
+                { id: 'far', position: [72.5, 18.5] }
+            ]
+        });
+        assert.equal(status, 200);
+        assert.equal(body.successfullySnapped, 2);
+        assert.deepEqual(body.trains.map(train => train.id), ['a', 'b']);
+    });
+
+    it('map-matches a sequence of fixes to one path', async () => {
+        const start = Date.parse('2025-10-01T09:00:00Z');
+        const fixes = [1, 2, 3, 4].map((index, i) => ({
+            position: alongWay(CENTRAL_LINE, index, 0.5),
+            timestamp: new Date(start + i * 60000).toISOString()
+        }));
+        const { status, body } = await request('/api/snap/match', { trainId: 'T001', fixes });
+        assert.equal(status, 200);
+
+        const [train] = body.trains;
+        assert.equal(train.id, 'T001');
+        assert.equal(train.fixes.length, fixes.length);
+        assert.ok(train.fixes.every(fix => fix.matched));
+        assert.equal(train.geometry.type, 'LineString');
+    });
+
+    it('rejects map matching requests that are not fix sequences', async () => {
+        const nullTrain = await request('/api/snap/match', { trains: [null] });
+        assert.equal(nullTrain.status, 400);
+
+        const noFixes = await request('/api/snap/match', { trainId: 'T001', fixes: [] });
+        assert.equal(noFixes.status, 400);
+    });
+
+    it('caps the fixes per request and the track searched between fixes', async () => {
+        const fix = { position: alongWay(CENTRAL_LINE, 1, 0.5) };
+        const tooMany = await request('/api/snap/match', {
+            trains: [{ id: 'a', fixes: Array(600).fill(fix) }, { id: 'b', fixes: Array(600).fill(fix) }]
+        });
+        assert.equal(tooMany.status, 400);
+
+        // CST to Thane in an hour is possible, but longer than a transition may search
+        const last = CENTRAL_LINE.geometry.length - 2;
+        const { status, body } = await request('/api/snap/match', {
+            trainId: 'T001',
+            fixes: [
+                { position: alongWay(CENTRAL_LINE, 0, 0.1), timestamp: '2025-10-01T09:00:00Z' },
+                { position: alongWay(CENTRAL_LINE, last, 0.9), timestamp: '2025-10-01T10:00:00Z' }
+            ]
+        });
+        assert.equal(status, 200);
+        assert.equal(body.trains[0].segments.length, 2);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LiveSimulation } = require('../src/realtime');
+const { simulateTrain, parseTime } = require('../src/simulator');
+const trains = require('../data/mumbaiTrains.json');
+
+/**
+ * Socket.IO server stand-in that records what is emitted
+ * @returns {Object} io with an `emitted` list of [event, payload]
+ */
+function fakeIo() {
+    const emitted = [];
+    const emit = (event, payload) => emitted.push([event, payload]);
+    return { emitted, on: () => {}, emit, to: () => ({ emit }) };
+}
+
+/**
+ * Live clock with one train departing late in the evening
+ * @param {string} departure - Departure time of the CST → Thane local
+ * @returns {Object} { live, run }
+ */
+function lateTrain(departure) {
+    const run = simulateTrain({ ...trains[0], departure_time: departure });
+    const live = new LiveSimulation(fakeIo(), { startTime: '23:55' });
+    live.loadTrains([{ ...run, line: 'Central' }]);
+    return { live, run };
+}
+
+describe('live simulation clock', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('follows a run across midnight', () => {
+        const { live, run } = lateTrain('23:50');
+        const end = run.positions[run.positions.length - 1].seconds;
+        assert.ok(end > 24 * 3600, 'the run should end after midnight');
+
+        const [beforeMidnight] = live.getSnapshot();
+        assert.equal(beforeMidnight.status, 'running');
+
+        live.seek(parseTime('00:05'));
+        const [afterMidnight] = live.getSnapshot();
+        assert.notEqual(afterMidnight.status, 'scheduled');
+        assert.notEqual(afterMidnight.status, 'completed');
+        assert.ok(afterMidnight.distance_m > beforeMidnight.distance_m);
+
+        // Long after arrival the train waits for the next evening's departure
+        live.seek(end - 24 * 3600 + 600);
+        assert.equal(live.getSnapshot()[0].status, 'scheduled');
+    });
+
+    it('holds a train that is past midnight from where it is', () => {
+        const { live } = lateTrain('23:50');
+        live.seek(parseTime('00:05'));
+        const position = live.getSnapshot()[0].distance_m;
+
+        const state = live.injectDelay('T001', 600);
+        assert.equal(state.delay_sec, 600);
+
+        live.seek(parseTime('00:10'));
+        const held = live.getSnapshot()[0];
+        assert.equal(held.status, 'held');
+        assert.equal(held.distance_m, position);
+        assert.equal(live.serviceTime('T001'), parseTime('24:10'));
+    });
+
+    it('delays only the events a train had not reached when it was held', () => {
+        const { live, run } = lateTrain('23:50');
+        live.seek(parseTime('00:05'));
+        live.injectDelay('T001', 300);
+
+        const first = run.schedule[0].departure_sec;
+        const terminus = run.schedule[run.schedule.length - 1].arrival_sec;
+        assert.equal(live.eventTime('T001', first), first);
+        assert.equal(live.eventTime('T001', terminus), terminus + 300);
+        assert.deepEqual(live.getDelays(), { T001: 300 });
+    });
+
+    it('answers subscriptions without a filter object', () => {
+        const { live } = lateTrain('09:00');
+        const handlers = {};
+        const sent = [];
+        const socket = {
+            id: 'client-1',
+            rooms: new Set(['client-1']),
+            on: (event, handler) => { handlers[event] = handler; },
+            join: room => socket.rooms.add(room),
+            leave: room => socket.rooms.delete(room),
+            emit: (event, payload) => sent.push([event, payload])
+        };
+        live.handleConnection(socket);
+
+        for (const filter of [null, 'Central', 5, undefined]) {
+            assert.doesNotThrow(() => handlers.subscribe(filter));
+        }
+        assert.ok(socket.rooms.has('region:mumbai'));
+        assert.ok(sent.some(([event, payload]) => event === 'trains:snapshot' && payload.trains.length === 1));
+
+        handlers.subscribe({ lines: ['Western'] });
+        assert.ok(socket.rooms.has('line:Western'));
+        assert.ok(!socket.rooms.has('region:mumbai'));
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimetableRevision, proposeReschedule, simulateWithDelays } = require('../src/reschedule');
+const { detectConflicts } = require('../src/conflicts');
+const { parseTime } = require('../src/simulator');
+const trains = require('../data/mumbaiTrains.json');
+
+/**
+ * The CST → Thane local and a second one following it on the same tracks
+ * @param {string} departure - Departure time of the follower
+ * @returns {Array} [leader, follower] train services
+ */
+function followingLocals(departure) {
+    return [trains[0], { ...trains[0], train_id: 'T001B', departure_time: departure }];
+}
+
+describe('rescheduler', () => {
+    it('extends a dwell to clear a headway conflict without retiming the timetable', () => {
+        const services = followingLocals('09:03');
+        const plan = proposeReschedule(services, {});
+
+        assert.ok(plan.conflicts_before > 0);
+        assert.equal(plan.conflicts_after, 0);
+        assert.deepEqual(plan.actions.map(action => [action.train_id, action.type]), [['T001B', 'extend_dwell']]);
+        assert.equal(plan.regulations.T001B[0].type, 'extend_dwell');
+        assert.equal(services[1].departure_time, '09:03');
+
+        // The regulations replay the plan; the delay it costs is measured against the timetable
+        const runs = simulateWithDelays(services, { regulations: plan.regulations });
+        assert.equal(detectConflicts(runs).length, 0);
+        const stop = runs[1].schedule[plan.regulations.T001B[0].stop_index];
+        assert.equal(stop.added_dwell_sec, plan.regulations.T001B[0].delay_sec);
+        assert.ok(plan.metrics.proposed.total_delay_min > plan.metrics.current.total_delay_min);
+    });
+
+    it('holds a running train from where it is instead of retiming its departure', () => {
+        const services = followingLocals('09:06');
+        const now = parseTime('09:27');
+        const holds = { T001: [{ at: parseTime('09:26'), duration: 900 }] };
+        const plan = proposeReschedule(services, { holds, now });
+
+        assert.equal(plan.conflicts_after, 0);
+        const [hold] = plan.regulations.T001B;
+        assert.equal(hold.type, 'hold');
+        assert.equal(hold.at_sec, now);
+
+        const [, unheld] = simulateWithDelays(services, { holds });
+        const [, held] = simulateWithDelays(services, { holds, regulations: plan.regulations });
+        // The part of the run already travelled is untouched
+        assert.deepEqual(held.schedule.slice(0, hold.stop_index + 1), unheld.schedule.slice(0, hold.stop_index + 1));
+
+        const at = time => held.positions.find(position => position.seconds >= time);
+        assert.equal(at(now + 60).status, 'held');
+        assert.equal(at(now + 60).distance_m, at(now).distance_m);
+        assert.equal(
+            held.schedule[held.schedule.length - 1].arrival_sec,
+            unheld.schedule[unheld.schedule.length - 1].arrival_sec + hold.delay_sec
+        );
+    });
+
+    it('holds a run past midnight at the time of its own service day', () => {
+        const services = followingLocals('23:46').map(train => (
+            train.train_id === 'T001' ? { ...train, departure_time: '23:40' } : train
+        ));
+        const plan = proposeReschedule(services, {
+            holds: { T001: [{ at: parseTime('24:06'), duration: 900 }] },
+            now: parseTime('00:07'),
+            serviceTime: () => parseTime('24:07')
+        });
+
+        assert.equal(plan.conflicts_after, 0);
+        assert.deepEqual(plan.regulations.T001B.map(regulation => [regulation.type, regulation.at_sec]), [['hold', parseTime('24:07')]]);
+    });
+});
+
+describe('timetable revision', () => {
+    it('keeps applied plans as regulations until they are reverted', () => {
+        const revision = new TimetableRevision();
+        const first = { actions: [{ train_id: 'T001' }], regulations: { T001: [{ type: 'retime_departure', stop_index: 0, at_sec: null, delay_sec: 60 }] } };
+        const second = { actions: [{ train_id: 'T001' }], regulations: { T001: [{ type: 'hold', stop_index: 2, at_sec: 33000, delay_sec: 120 }] } };
+
+        revision.apply('plan_1', first);
+        revision.apply('plan_2', second);
+        assert.deepEqual(revision.list().map(plan => plan.plan_id), ['plan_1', 'plan_2']);
+        assert.deepEqual(revision.regulations().T001.map(regulation => regulation.type), ['retime_departure', 'hold']);
+
+        assert.equal(revision.revert().length, 2);
+        assert.deepEqual(revision.regulations(), {});
+        assert.equal(revision.list().length, 0);
+    });
+});
@@ -0,0 +1,218 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startOverpassStandIn, requestJson } = require('./helpers');
+
+// The server npm start runs (index-simple.js with the index.js track API mounted),
+// seeded with the Mumbai timetable and answered by the Overpass stand-in
+
+const MUMBAI_BBOX = 's=18.9&w=72.7&n=19.3&e=73.0';
+
+describe('simulation server with the track API mounted', () => {
+    let overpassMock;
+    let simulationServer;
+    let url;
+    let cacheDir;
+
+    /**
+     * JSON request to the simulation server
+     * @param {string} route - Path and query
+     * @param {Object} body - JSON body (sends a POST when given)
+     * @param {string} method - HTTP method (optional)
+     * @returns {Promise<Object>} { status, body }
+     */
+    function request(route, body, method) {
+        return requestJson(url, route, body, method);
+    }
+
+    before(async () => {
+        // The servers narrate every fetch, tick and cache build; keep the test report readable
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+
+        overpassMock = await startOverpassStandIn();
+
+        // Read when the modules load, so set before requiring the server
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'track-tiles-'));
+        process.env.OVERPASS_URL = overpassMock.interpreterUrl;
+        process.env.TRACK_TILE_CACHE_DIR = cacheDir;
+        process.env.SIM_START_TIME = '08:55';
+        for (const key of ['DATABASE_URL', 'OSM_EXTRACT_PATH', 'GTFS_FEED_PATH', 'STATIONS_FILE', 'REGION']) {
+            delete process.env[key];
+        }
+
+        simulationServer = require('../src/index-simple');
+        const server = await simulationServer.start(0);
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await simulationServer.stop();
+        overpassMock.server.close();
+        mock.restoreAll();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('serves region tracks from the same source as /api/osm and the vector tiles', async () => {
+        const tracks = await request('/api/tracks?region=mumbai');
+        assert.equal(tracks.status, 200);
+        assert.equal(tracks.body.metadata.region, 'mumbai');
+        assert.equal(tracks.body.metadata.source, 'overpass');
+
+        const osm = await request(`/api/osm?${MUMBAI_BBOX}`);
+        assert.equal(tracks.body.features.length, osm.body.features.length);
+
+        const mumbai = await request('/api/mumbai');
+        assert.equal(mumbai.status, 200);
+        assert.equal(mumbai.body.features.length, tracks.body.features.length);
+    });
+
+    it('filters region tracks and rejects unknown categories', async () => {
+        const metro = await request('/api/tracks?region=mumbai&category=metro');
+        assert.equal(metro.status, 200);
+        assert.equal(metro.body.features.length, 0);
+
+        const bogus = await request('/api/tracks?region=mumbai&category=bogus');
+        assert.equal(bogus.status, 400);
+
+        const unknownRegion = await request('/api/tracks?region=atlantis');
+        assert.equal(unknownRegion.status, 404);
+    });
+
+    it('lists the configured regions with the one it simulates', async () => {
+        const { status, body } = await request('/api/regions');
+        assert.equal(status, 200);
+        assert.equal(body.simulation_region, 'mumbai');
+        assert.ok(body.regions.some(region => region.id === 'mumbai'));
+    });
+
+    it('documents the simulation and track endpoints together', async () => {
+        const { status, body } = await request('/');
+        assert.equal(status, 200);
+        assert.ok(body.endpoints['GET /api/metrics']);
+        assert.ok(body.endpoints['GET /api/tiles/{z}/{x}/{y}.mvt?region={id}']);
+
+        const health = await request('/api/health');
+        assert.equal(health.body.status, 'OK');
+
+        const missing = await request('/api/nowhere');
+        assert.equal(missing.status, 404);
+    });
+
+    it('routes between stations known by their aliases', async () => {
+        const { status, body } = await request('/api/route?from=VT&to=thane');
+        assert.equal(status, 200);
+        assert.deepEqual(body.stations.map(station => station.name), ['CST', 'Thane']);
+
+        const unknown = await request('/api/route?from=CSMT&to=Atlantis');
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error, 'Unknown station');
+        assert.ok(unknown.body.knownStations.includes('Dadar'));
+    });
+
+    it('runs the region timetable on the live clock', async () => {
+        const { status, body } = await request('/api/live/state');
+        assert.equal(status, 200);
+        assert.equal(body.trains.length, 5);
+        assert.ok(body.clock.seconds >= 8 * 3600 + 55 * 60);
+    });
+
+    it('detects conflicts in the simulated timetable', async () => {
+        const { status, body } = await request('/api/conflicts');
+        assert.equal(status, 200);
+        assert.equal(body.count, body.conflicts.length);
+        assert.equal(body.summary.headway + body.summary.head_on, body.count);
+
+        const doubleTrack = await request('/api/conflicts?double_track=true');
+        assert.equal(doubleTrack.body.summary.head_on, 0);
+    });
+
+    it('applies rescheduling plans on top of the stored timetable and reverts them', async () => {
+        // T001 held at CST until shortly before T004 is due out on the same tracks
+        const delay = await request('/api/live/delays', { train_id: 'T001', delay_sec: 2640 });
+        assert.equal(delay.status, 200);
+
+        const { body: { plan } } = await request('/api/reschedule/plan');
+        assert.ok(plan.actions.some(action => action.train_id === 'T004'));
+
+        const applied = await request('/api/reschedule/apply', { plan_id: plan.id });
+        assert.equal(applied.status, 200);
+        assert.ok(applied.body.trains_updated.includes('T004'));
+
+        const departureOf = async trainId => {
+            const { body } = await request('/api/stations/CST/board');
+            return body.board.departures.find(row => row.train_id === trainId);
+        };
+
+        // The timetable is untouched, so the wait shows as a delay against it
+        const { body: { trains } } = await request('/api/trains/mumbai');
+        assert.equal(trains.find(train => train.train_id === 'T004').departure_time, '09:45');
+        const delayed = await departureOf('T004');
+        assert.equal(delayed.scheduled, '09:45:00');
+        assert.ok(delayed.delay_sec > 0);
+
+        const list = await request('/api/reschedule/applied');
+        assert.deepEqual(list.body.plans.map(entry => entry.plan_id), [plan.id]);
+
+        const reverted = await request('/api/reschedule/applied', undefined, 'DELETE');
+        assert.deepEqual(reverted.body.reverted, [plan.id]);
+        assert.equal((await request('/api/reschedule/applied')).body.count, 0);
+        assert.equal((await departureOf('T004')).delay_sec, 0);
+    });
+
+    it('lists alerts and the outbound alert channels', async () => {
+        const { status, body } = await request('/api/alerts');
+        assert.equal(status, 200);
+        assert.equal(body.count, body.alerts.length);
+
+        const invalid = await request('/api/alerts?severity=urgent');
+        assert.equal(invalid.status, 400);
+
+        const channels = await request('/api/alerts/channels');
+        assert.deepEqual(channels.body.channels.map(channel => channel.channel), ['webhook', 'email']);
+    });
+
+    it('pauses, speeds up and scrubs the live clock', async () => {
+        const clock = await request('/api/live/clock');
+        assert.equal(clock.status, 200);
+
+        const { body } = await request('/api/live/clock', { running: false, speed: 10, time: '10:15' });
+        assert.deepEqual([body.clock.running, body.clock.speed, body.clock.seconds], [false, 10, 10 * 3600 + 15 * 60]);
+
+        const invalid = await request('/api/live/clock', { running: 'no', time: '10h15' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.message, 'running must be true or false; time must be HH:MM[:SS]');
+        assert.equal((await request('/api/live/clock')).body.clock.seconds, 10 * 3600 + 15 * 60);
+    });
+
+    it('draws the string line of a corridor', async () => {
+        const { status, body } = await request('/api/stringline');
+        assert.equal(status, 200);
+        assert.deepEqual(body.lines, ['Central', 'Harbour', 'Western']);
+        assert.equal(body.corridor.line, 'Central');
+
+        const western = await request('/api/stringline?line=Western');
+        assert.deepEqual(western.body.corridor.trains.map(train => train.train_id).sort(), ['T002', 'T003']);
+        assert.ok(western.body.corridor.stations.length > 0);
+
+        const unknown = await request('/api/stringline?line=Monorail');
+        assert.equal(unknown.status, 404);
+    });
+
+    it('serves vector tiles of the region tracks', async () => {
+        // Zoom 10 tile over central Mumbai
+        const tile = await fetch(`${url}/api/tiles/10/719/456.mvt?region=mumbai`);
+        assert.equal(tile.status, 200);
+        assert.equal(tile.headers.get('content-type'), 'application/vnd.mapbox-vector-tile');
+        assert.ok((await tile.arrayBuffer()).byteLength > 0);
+
+        // Open sea off the Mumbai coast has no tracks
+        const empty = await fetch(`${url}/api/tiles/10/716/456.mvt?region=mumbai`);
+        assert.equal(empty.status, 204);
+
+        const invalid = await request('/api/tiles/10/1024/456.mvt?region=mumbai');
+        assert.equal(invalid.status, 400);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    simulateTrain,
+    computeRunProfile,
+    estimateLineSpeed,
+    parseTime,
+    formatTime,
+    formatServiceTime,
+    heldTime,
+    delayedTime
+} = require('../src/simulator');
+const trains = require('../data/mumbaiTrains.json');
+
+describe('run profiles', () => {
+    it('cruises at line speed on long runs and covers the whole distance', () => {
+        const profile = computeRunProfile(1000, 20, 0.8, 0.9);
+        assert.equal(profile.peakSpeed, 20);
+        assert.equal(profile.accelTime, 25);
+        assert.ok(profile.cruiseTime > 0);
+
+        const covered = 0.5 * 20 * profile.accelTime + 20 * profile.cruiseTime + 0.5 * 20 * profile.brakeTime;
+        assert.ok(Math.abs(covered - 1000) < 1e-6);
+    });
+
+    it('brakes before reaching line speed on short runs', () => {
+        const profile = computeRunProfile(200, 20, 0.8, 0.9);
+        assert.ok(profile.peakSpeed < 20);
+        assert.equal(profile.cruiseTime, 0);
+    });
+
+    it('estimates a line speed that keeps to the timetable', () => {
+        const speed = estimateLineSpeed(20000, 1800, 10);
+        const profile = computeRunProfile(2000, speed / 3.6, 0.8, 0.9);
+        assert.ok(Math.abs(profile.duration * 10 - 1800) < 60);
+    });
+});
+
+describe('train simulation', () => {
+    const train = trains[0];
+    const run = simulateTrain(train);
+
+    it('departs at the timetabled time and calls at every station in order', () => {
+        assert.equal(run.schedule[0].departure, '09:00:00');
+        assert.deepEqual(run.schedule.map(stop => stop.station), train.stations.map(station => station.name));
+
+        for (let i = 1; i < run.schedule.length; i++) {
+            const previous = run.schedule[i - 1];
+            const stop = run.schedule[i];
+            assert.ok(stop.arrival_sec > previous.departure_sec, `${stop.station} is reached after leaving ${previous.station}`);
+            if (stop.departure_sec !== null) {
+                assert.equal(stop.departure_sec - stop.arrival_sec, train.stations[i].halt_time_sec);
+            }
+        }
+    });
+
+    it('stops at stations, keeps under line speed and ends at the terminus', () => {
+        const seconds = run.positions.map(position => position.seconds);
+        assert.deepEqual(seconds, [...seconds].sort((a, b) => a - b));
+        assert.ok(run.positions.every(position => position.speed <= train.speed_kmph));
+        assert.ok(run.positions.some(position => position.status === 'dwelling' && position.speed === 0));
+
+        const last = run.positions[run.positions.length - 1];
+        assert.equal(last.status, 'completed');
+        assert.equal(last.station, 'Thane');
+        assert.equal(last.distance_m, run.route_length_m);
+    });
+
+    it('counts service day seconds past midnight', () => {
+        const late = simulateTrain({ ...train, departure_time: '23:50' });
+        const last = late.positions[late.positions.length - 1];
+        assert.ok(last.seconds > 24 * 3600);
+        assert.equal(last.time, formatTime(last.seconds));
+    });
+
+    it('holds a train where it is and replays the rest of its run later', () => {
+        const at = parseTime('09:20');
+        const held = simulateTrain(train, { holds: [{ at, duration: 600 }] });
+        const terminus = run.schedule.length - 1;
+
+        assert.equal(held.schedule[terminus].arrival_sec, run.schedule[terminus].arrival_sec + 600);
+        assert.deepEqual(held.schedule[1], run.schedule[1]);
+
+        const during = held.positions.find(position => position.seconds >= at + 300);
+        assert.equal(during.status, 'held');
+        assert.equal(during.speed, 0);
+    });
+});
+
+describe('time helpers', () => {
+    it('parses and formats clock and service day times', () => {
+        assert.equal(parseTime('09:15:30'), 33330);
+        assert.equal(parseTime('bogus'), 0);
+        assert.equal(formatTime(parseTime('25:10')), '01:10:00');
+        assert.equal(formatServiceTime(parseTime('25:10')), '25:10:00');
+    });
+
+    it('applies holds only to events the train had not reached', () => {
+        const holds = [{ at: 100, duration: 50 }, { at: 300, duration: 20 }];
+        assert.equal(heldTime(holds, 90), 0);
+        assert.equal(heldTime(holds, 120), 20);
+        assert.equal(heldTime(holds, 400), 70);
+        assert.equal(delayedTime(holds, 90), 90);
+        assert.equal(delayedTime(holds, 200), 250);
+        assert.equal(delayedTime(holds, 260), 330);
+    });
+});
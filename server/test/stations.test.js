@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { StationRegistry } = require('../src/stations');
+
+// About 50 m and 150 m north of a point, in degrees of latitude
+const FIFTY_M = 0.00045;
+const HUNDRED_FIFTY_M = 0.00135;
+
+describe('station registry check', () => {
+    it('reports stations close enough to be duplicates unless they are an interchange', () => {
+        const registry = new StationRegistry();
+        registry.add({ id: 'dadar', name: 'Dadar', lat: 19.0182, lon: 72.8471, interchanges: [{ station_id: 'dadar-w' }] }, 'file');
+        registry.add({ id: 'dadar-w', name: 'Dadar (W)', lat: 19.0182 + FIFTY_M, lon: 72.8471 }, 'file');
+        registry.add({ id: 'dadar-copy', name: 'Dadar Copy', lat: 19.0182 - FIFTY_M, lon: 72.8471 }, 'file');
+        registry.add({ id: 'matunga', name: 'Matunga', lat: 19.0182 - FIFTY_M - HUNDRED_FIFTY_M, lon: 72.8471 }, 'file');
+
+        const duplicates = registry.checkRegistry().filter(issue => issue.type === 'possible_duplicate');
+        assert.deepEqual(duplicates.map(issue => issue.message), [
+            'Dadar and Dadar Copy are only 50 m apart'
+        ]);
+    });
+
+    it('checks a large registry without comparing every pair', () => {
+        const registry = new StationRegistry();
+        // A 100 × 100 grid of stations about 1 km apart, plus one near-copy
+        for (let row = 0; row < 100; row++) {
+            for (let column = 0; column < 100; column++) {
+                registry.add({ id: `s-${row}-${column}`, name: `Station ${row}-${column}`, lat: 18 + row * 0.01, lon: 72 + column * 0.01 }, 'file');
+            }
+        }
+        registry.add({ id: 'copy', name: 'Copy', lat: 18.5 + FIFTY_M, lon: 72.5 }, 'file');
+
+        const duplicates = registry.checkRegistry().filter(issue => issue.type === 'possible_duplicate');
+        assert.equal(duplicates.length, 1);
+        assert.equal(duplicates[0].station_id, 's-50-50');
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimetableCsv } = require('../src/timetableImport');
+const trains = require('../data/mumbaiTrains.json');
+
+// Stations of the CST → Thane local
+const STATIONS = trains[0].stations.map(({ name, lat, lon }) => ({ name, lat, lon }));
+
+/**
+ * Two-stop timetable for one train
+ * @param {string} trainId - Train identifier
+ * @param {string} speed - speed_kmph cell of the first row
+ * @returns {string} CSV rows without header
+ */
+function trainRows(trainId, speed) {
+    return [
+        `${trainId},1,CST,,09:00,${speed}`,
+        `${trainId},2,Dadar,09:12,,`
+    ].join('\n');
+}
+
+const HEADER = 'train_id,sequence,station,arrival,departure,speed_kmph';
+
+describe('CSV timetable import', () => {
+    it('builds trains from valid rows, estimating the speed when none is given', async () => {
+        const csv = [HEADER, trainRows('X1', '60'), trainRows('X2', '')].join('\n');
+        const { trains: imported, errors, rowCount } = await parseTimetableCsv(csv, STATIONS);
+
+        assert.equal(rowCount, 4);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(imported.map(train => train.train_id), ['X1', 'X2']);
+        assert.equal(imported[0].speed_kmph, 60);
+        assert.equal(imported[0].departure_time, '09:00:00');
+        assert.ok(imported[1].speed_kmph > 0);
+    });
+
+    it('rejects trains whose speed_kmph is not a positive number', async () => {
+        const csv = [HEADER, trainRows('X1', '-20'), trainRows('X2', 'fast'), trainRows('X3', '0'), trainRows('X4', '80')].join('\n');
+        const { trains: imported, errors } = await parseTimetableCsv(csv, STATIONS);
+
+        assert.deepEqual(imported.map(train => train.train_id), ['X4']);
+        assert.deepEqual(
+            errors.map(error => [error.row, error.train_id, error.field]),
+            [[2, 'X1', 'speed_kmph'], [4, 'X2', 'speed_kmph'], [6, 'X3', 'speed_kmph']]
+        );
+    });
+});